@@ -0,0 +1,378 @@
+// Aircraft type statistics for create_australian_leaderboard_from_jsonl.js
+//
+// Groups the season's flights by glider type (aircraft.name) and compares the types on
+// points per flight, average XC speed and average thermal strength. Points and speed are
+// the flight's score in the configured view; thermal strength and glide ratio come from the
+// flight's detailed stats (the flightStats objects written to <dataPrefix>_flight_details.json),
+// picked like the page's tooltip: task stats for a finished task, else free stats (always
+// free stats in the free view). <aircraftPagesDir> (default <outputFile>_aircraft) gets
+// index.html ranking the types and a page per type listing its pilots and flights.
+//
+// config.aircraftTypes (false to skip the pages):
+//   view        Leaderboard view whose flight points and speed count (default 'mixed')
+//   minFlights  Flights a type needs to be ranked (default 3); fewer are listed unranked
+
+const fs = require('fs');
+const path = require('path');
+const { rankByPoints } = require('./weglide_scoring');
+const { escapeHtml, isSharedRank, formatRank } = require('./shared_helpers');
+
+const METRICS = {
+    points: { label: 'Points per flight', valueOf: type => type.pointsPerFlight },
+    speed: { label: 'Avg XC speed', valueOf: type => type.avgSpeed },
+    thermal: { label: 'Avg climb', valueOf: type => type.avgThermal }
+};
+
+// Equal values are split by the number of flights behind them
+const TYPE_TIE_BREAKERS = {
+    moreFlights: (a, b) => b.type.flightCount - a.type.flightCount
+};
+const PILOT_TIE_BREAKERS = {
+    bestFlight: (a, b) => b.bestPoints - a.bestPoints
+};
+
+const KIND_LABELS = { GL: 'Glider', MG: 'Motor glider' };
+
+const DEFAULT_AIRCRAFT_RULES = { view: 'mixed', minFlights: 3 };
+
+const PAGE_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #2c3e50; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
+        .back-link { color: #3498db; text-decoration: none; font-size: 14px; }
+        h1 { margin: 10px 0 4px; }
+        h2 { font-size: 18px; margin: 0 0 12px; }
+        .subtitle { color: #7f8c8d; margin-bottom: 20px; }
+        .section { background: white; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 20px; overflow-x: auto; }
+        .summary { display: flex; flex-wrap: wrap; gap: 24px; }
+        .summary div { font-size: 13px; color: #7f8c8d; }
+        .summary strong { display: block; font-size: 20px; color: #2c3e50; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ecf0f1; text-align: left; white-space: nowrap; }
+        th { background: #f8f9fa; font-weight: 600; }
+        td.points { text-align: right; }
+        td.rank { text-align: center; }
+        tr.top td { background: #fef9e7; font-weight: 600; }
+        tr.unranked td { color: #95a5a6; }
+        .role { font-size: 11px; color: #8e44ad; }
+        .legend { font-size: 12px; color: #7f8c8d; margin-top: 8px; }
+        a { color: #2980b9; }`;
+
+// Validate a config's aircraft type rules and fill in the defaults; null when the pages are off
+function resolveAircraftTypeRules(aircraftTypes, views) {
+    if (aircraftTypes === false) return null;
+    const rules = { ...DEFAULT_AIRCRAFT_RULES, ...(aircraftTypes || {}) };
+
+    if (!views.some(view => view.id === rules.view)) {
+        throw new Error(`aircraftTypes.view "${rules.view}" is not a leaderboard view (${views.map(view => view.id).join(', ')})`);
+    }
+    if (!Number.isInteger(rules.minFlights) || rules.minFlights < 1) {
+        throw new Error('aircraftTypes.minFlights must be a positive whole number');
+    }
+    return rules;
+}
+
+function average(values) {
+    const known = values.filter(value => typeof value === 'number' && Number.isFinite(value) && value > 0);
+    return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+// Detailed stats behind a flight's score in the view, as the tooltip shows them
+function scoredStats(details, viewId) {
+    if (!details) return null;
+    if (viewId !== 'free' && details.taskAchieved && details.taskStats) return details.taskStats;
+    return details.freeStats;
+}
+
+// File name for a type's page: "ASG 29 (18m)" -> "asg-29-18m"
+function typeSlug(name, taken) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'type';
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix++) {
+        slug = `${base}-${suffix}`;
+    }
+    taken.add(slug);
+    return slug;
+}
+
+// Types flown in the season with their averages, pilots and flights, ordered by points per
+// flight. ranks[metric] is { rank, shared } for types with at least minFlights flights and a
+// value for the metric, else null. Flights with no aircraft type are counted in untyped.
+function buildAircraftTypeStats(records, rules) {
+    const types = new Map();
+    let untyped = 0;
+
+    records.forEach(record => {
+        const score = record.scores?.[rules.view];
+        if (!score) return;
+        const name = record.aircraft?.name;
+        if (!name) {
+            untyped++;
+            return;
+        }
+        if (!types.has(name)) {
+            types.set(name, { name, kind: record.aircraft.kind, flights: [] });
+        }
+        const stats = scoredStats(record.details, rules.view);
+        types.get(name).flights.push({
+            id: record.id,
+            date: record.date,
+            pilot: record.pilotName,
+            pilotId: record.userId,
+            copilot: record.copilot,
+            points: score.points,
+            distance: score.distance,
+            speed: score.speed,
+            declared: score.declared,
+            takeoff: score.takeoff,
+            dmstIndex: score.dmstIndex,
+            thermalAvg: stats?.thermal_avg ?? null,
+            glideRatio: stats?.glide_ratio ?? null
+        });
+    });
+
+    const slugs = new Set();
+    const list = Array.from(types.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(type => {
+            type.slug = typeSlug(type.name, slugs);
+            type.flights.sort((a, b) => b.points - a.points || String(a.date).localeCompare(String(b.date)));
+            type.flightCount = type.flights.length;
+            type.totalPoints = type.flights.reduce((sum, flight) => sum + flight.points, 0);
+            type.pointsPerFlight = type.totalPoints / type.flightCount;
+            type.avgSpeed = average(type.flights.map(flight => flight.speed));
+            type.avgThermal = average(type.flights.map(flight => flight.thermalAvg));
+            type.avgGlideRatio = average(type.flights.map(flight => flight.glideRatio));
+            type.kms = type.flights.reduce((sum, flight) => sum + (flight.distance || 0), 0);
+            type.dmstIndex = type.flights.find(flight => flight.dmstIndex)?.dmstIndex || null;
+
+            const pilots = new Map();
+            type.flights.forEach(flight => {
+                if (!pilots.has(flight.pilotId)) {
+                    pilots.set(flight.pilotId, { pilotId: flight.pilotId, pilot: flight.pilot, flights: [] });
+                }
+                pilots.get(flight.pilotId).flights.push(flight);
+            });
+            type.pilots = rankByPoints(Array.from(pilots.values()).map(entry => ({
+                pilotId: entry.pilotId,
+                pilot: entry.pilot,
+                flightCount: entry.flights.length,
+                totalPoints: entry.flights.reduce((sum, flight) => sum + flight.points, 0),
+                bestPoints: Math.max(...entry.flights.map(flight => flight.points)),
+                avgSpeed: average(entry.flights.map(flight => flight.speed)),
+                avgThermal: average(entry.flights.map(flight => flight.thermalAvg))
+            })), entry => entry.totalPoints, ['bestFlight'], PILOT_TIE_BREAKERS);
+            type.ranks = {};
+            return type;
+        });
+
+    Object.entries(METRICS).forEach(([metric, { valueOf }]) => {
+        const ranked = rankByPoints(list
+            .filter(type => type.flightCount >= rules.minFlights && valueOf(type) !== null)
+            .map(type => ({ type, value: valueOf(type) })), entry => entry.value, ['moreFlights'], TYPE_TIE_BREAKERS);
+        list.forEach(type => {
+            type.ranks[metric] = null;
+        });
+        ranked.forEach(entry => {
+            entry.type.ranks[metric] = {
+                rank: entry.rank,
+                shared: isSharedRank(entry, ranked)
+            };
+        });
+    });
+
+    // Ranked types first, by points per flight; then the rest by flights flown
+    list.sort((a, b) => {
+        if (a.ranks.points && b.ranks.points) return a.ranks.points.rank - b.ranks.points.rank;
+        if (a.ranks.points || b.ranks.points) return a.ranks.points ? -1 : 1;
+        return b.flightCount - a.flightCount || b.pointsPerFlight - a.pointsPerFlight;
+    });
+
+    return { types: list, untyped };
+}
+
+// A type's rank in one stat, "-" when it isn't ranked in it
+function formatTypeRank(rank) {
+    return rank ? formatRank(rank.rank, rank.shared) : '-';
+}
+
+// Climb in knots, as on the leaderboard's flight tooltip
+function formatClimb(ms) {
+    return ms ? `${(Math.round(ms * 1.94384 * 10) / 10).toFixed(1)} kts` : '-';
+}
+
+function formatSpeed(kmh) {
+    return kmh ? `${kmh.toFixed(1)} km/h` : '-';
+}
+
+function formatGlideRatio(ratio) {
+    return ratio ? ratio.toFixed(1) : '-';
+}
+
+function kindLabel(kind) {
+    return KIND_LABELS[kind] || kind || 'Unknown';
+}
+
+function renderPage({ title, heading, subtitle, backLinks, body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(heading)} - ${escapeHtml(title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${backLinks}
+        <h1>${escapeHtml(heading)}</h1>
+        <div class="subtitle">${subtitle}</div>
+${body}
+    </div>
+</body>
+</html>
+`;
+}
+
+function renderIndexPage(results, options) {
+    const rows = results.types.map(type => `
+                    <tr class="${type.ranks.points?.rank === 1 ? 'top' : type.ranks.points ? '' : 'unranked'}">
+                        <td class="rank">${formatTypeRank(type.ranks.points)}</td>
+                        <td><a href="${escapeHtml(type.slug)}.html">${escapeHtml(type.name)}</a></td>
+                        <td>${escapeHtml(kindLabel(type.kind))}</td>
+                        <td>${type.flightCount}</td>
+                        <td>${type.pilots.length}</td>
+                        <td class="points">${type.pointsPerFlight.toFixed(1)}</td>
+                        <td class="rank">${formatTypeRank(type.ranks.speed)}</td>
+                        <td class="points">${formatSpeed(type.avgSpeed)}</td>
+                        <td class="rank">${formatTypeRank(type.ranks.thermal)}</td>
+                        <td class="points">${formatClimb(type.avgThermal)}</td>
+                        <td class="points">${formatGlideRatio(type.avgGlideRatio)}</td>
+                    </tr>`).join('');
+
+    return renderPage({
+        title: options.title,
+        heading: 'Aircraft Types',
+        subtitle: `${escapeHtml(options.title)} · ${escapeHtml(options.seasonLabel)} · ${results.types.length} types · scored by ${escapeHtml(options.viewLabel)}`,
+        backLinks: options.backLinks,
+        body: `
+        <div class="section">
+            <h2>Types by Points per Flight</h2>
+            <table>
+                <thead><tr><th>Rank</th><th>Type</th><th>Kind</th><th>Flights</th><th>Pilots</th><th>Points / flight</th><th>Speed rank</th><th>Avg XC speed</th><th>Climb rank</th><th>Avg climb</th><th>Avg L/D</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <div class="legend">Types need at least ${options.minFlights} flights to be ranked; equal values are split by the number of flights. XC speed is the scored ${escapeHtml(options.viewLabel)} contest's speed; climb and glide ratio (L/D) are WeGlide's averages for the scored part of the flight.${results.untyped > 0 ? ` ${results.untyped} flights without an aircraft type are left out.` : ''} Click a type for its pilots and flights.</div>
+        </div>`
+    });
+}
+
+function renderTypePage(type, options) {
+    const { pilotLink } = options;
+    const pilotRows = type.pilots.map(entry => `
+                    <tr${entry.rank === 1 ? ' class="top"' : ''}>
+                        <td>${formatRank(entry.rank, isSharedRank(entry, type.pilots))}</td>
+                        <td>${pilotLink(entry.pilotId, entry.pilot)}</td>
+                        <td>${entry.flightCount}</td>
+                        <td class="points">${entry.totalPoints.toFixed(1)}</td>
+                        <td class="points">${entry.bestPoints.toFixed(1)}</td>
+                        <td class="points">${formatSpeed(entry.avgSpeed)}</td>
+                        <td class="points">${formatClimb(entry.avgThermal)}</td>
+                    </tr>`).join('');
+    const flightRows = type.flights.map(flight => `
+                    <tr>
+                        <td>${escapeHtml(flight.date || '')}</td>
+                        <td>${pilotLink(flight.pilotId, flight.pilot)}${flight.copilot ? ` <span class="role">with ${escapeHtml(flight.copilot.name)}</span>` : ''}</td>
+                        <td class="points">${flight.points.toFixed(1)}</td>
+                        <td class="points">${Math.round(flight.distance || 0)} km</td>
+                        <td class="points">${formatSpeed(flight.speed)}</td>
+                        <td class="points">${formatClimb(flight.thermalAvg)}</td>
+                        <td class="points">${formatGlideRatio(flight.glideRatio)}</td>
+                        <td>${flight.declared ? 'Task' : 'Free'}</td>
+                        <td>${escapeHtml(flight.takeoff || '')}</td>
+                        <td><a href="https://www.weglide.org/flight/${flight.id}" target="_blank">${flight.id}</a></td>
+                    </tr>`).join('');
+    const ranks = Object.entries(METRICS)
+        .map(([metric, { label }]) => type.ranks[metric] ? `${escapeHtml(label)} #${formatTypeRank(type.ranks[metric])}` : null)
+        .filter(Boolean);
+
+    return renderPage({
+        title: options.title,
+        heading: type.name,
+        subtitle: `${escapeHtml(kindLabel(type.kind))}${type.dmstIndex ? ` · index ${type.dmstIndex}` : ''} · ${escapeHtml(options.seasonLabel)} · ${ranks.length > 0 ? ranks.join(' · ') : `unranked (fewer than ${options.minFlights} flights)`}`,
+        backLinks: options.backLinks,
+        body: `
+        <div class="section summary">
+            <div><strong>${type.flightCount}</strong>flights</div>
+            <div><strong>${type.pilots.length}</strong>pilots</div>
+            <div><strong>${type.pointsPerFlight.toFixed(1)}</strong>points per flight</div>
+            <div><strong>${formatSpeed(type.avgSpeed)}</strong>avg XC speed</div>
+            <div><strong>${formatClimb(type.avgThermal)}</strong>avg climb</div>
+            <div><strong>${formatGlideRatio(type.avgGlideRatio)}</strong>avg L/D</div>
+            <div><strong>${Math.round(type.kms).toLocaleString()} km</strong>flown</div>
+        </div>
+
+        <div class="section">
+            <h2>Pilots</h2>
+            <table>
+                <thead><tr><th>Rank</th><th>Pilot</th><th>Flights</th><th>Points</th><th>Best flight</th><th>Avg XC speed</th><th>Avg climb</th></tr></thead>
+                <tbody>${pilotRows}
+                </tbody>
+            </table>
+            <div class="legend">Every ${escapeHtml(options.viewLabel)} flight in the type counts for the pilot in command; equal totals are split by the best flight.</div>
+        </div>
+
+        <div class="section">
+            <h2>Flights</h2>
+            <table>
+                <thead><tr><th>Date</th><th>Pilot</th><th>Points</th><th>Distance</th><th>Speed</th><th>Climb</th><th>L/D</th><th>Scoring</th><th>Takeoff</th><th>Flight</th></tr></thead>
+                <tbody>${flightRows}
+                </tbody>
+            </table>
+        </div>`
+    });
+}
+
+// Write the index and type pages; removes the pages of types no longer flown
+function writeAircraftTypePages(config, results, { seasonLabel, rankedPilotIds }) {
+    const dir = config.aircraftPagesDir;
+    fs.mkdirSync(dir, { recursive: true });
+    const relative = target => path.relative(dir, target).split(path.sep).join('/');
+    const leaderboardHref = relative(config.outputFile);
+    const pilotPagesHref = relative(config.pilotPagesDir);
+    const options = {
+        title: config.title,
+        seasonLabel,
+        viewLabel: config.leaderboards.find(view => view.id === config.aircraftTypes.view).label,
+        minFlights: config.aircraftTypes.minFlights,
+        // Pilot pages exist for ranked pilots only
+        pilotLink: (pilotId, name) => rankedPilotIds.has(pilotId)
+            ? `<a href="${escapeHtml(`${pilotPagesHref}/${pilotId}.html`)}">${escapeHtml(name)}</a>`
+            : escapeHtml(name),
+        backLinks: `<a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a> · <a class="back-link" href="index.html">All aircraft types</a>`
+    };
+
+    const written = new Set(['index.html']);
+    results.types.forEach(type => {
+        fs.writeFileSync(path.join(dir, `${type.slug}.html`), renderTypePage(type, options));
+        written.add(`${type.slug}.html`);
+    });
+    fs.writeFileSync(path.join(dir, 'index.html'), renderIndexPage(results, {
+        ...options,
+        backLinks: `<a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a>`
+    }));
+
+    fs.readdirSync(dir)
+        .filter(fileName => fileName.endsWith('.html') && !written.has(fileName))
+        .forEach(fileName => fs.unlinkSync(path.join(dir, fileName)));
+
+    return results.types.length;
+}
+
+module.exports = {
+    scoredStats,
+    resolveAircraftTypeRules,
+    buildAircraftTypeStats,
+    writeAircraftTypePages
+};
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+// DMSt scoring audit (JavaScript port of qa_verify_scoring.py)
+// - Recomputes DMSt points for every flight with an au contest and a dmst_index:
+//     Free: au score distance * (1 + shape bonus) / (index / 100)
+//     Task: task distance * (1 + shape bonus + 0.30 if achieved) / (index / 100)
+// - Shape bonuses come from weglide_scoring.js, the same table the leaderboard uses
+// - Compares against the au points reported by the API: Free when the au score is
+//   not declared, Task when it is
+// - Writes a JSON report and prints a summary; exits 1 when the share of
+//   mismatched flights is above --max-mismatch-rate
+//
+// Usage:
+//   node audit_dmst_scoring.js [--config sac_demo | --input flights.jsonl]
+//                              [--report dmst_audit_report.json] [--tolerance 0.2]
+//                              [--max-mismatch-rate 0.05]
+
+const fs = require('fs');
+const readline = require('readline');
+const { getDMSTShapeBonus } = require('./weglide_scoring');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+
+const DECLARATION_BONUS = 0.30;
+const SAMPLE_SIZE = 10; // mismatches shown per check in the summary
+
+function parseArgs(argv) {
+    const options = {
+        config: DEFAULT_CONFIG,
+        input: null,
+        report: 'dmst_audit_report.json',
+        tolerance: 0.2,
+        maxMismatchRate: 0.05
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--config': options.config = next; i++; break;
+            case '--input': options.input = next; i++; break;
+            case '--report': options.report = next; i++; break;
+            case '--tolerance': options.tolerance = parseFloat(next); i++; break;
+            case '--max-mismatch-rate': options.maxMismatchRate = parseFloat(next); i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!Number.isFinite(options.tolerance) || options.tolerance < 0) {
+        throw new Error('--tolerance must be a non-negative number');
+    }
+    if (!Number.isFinite(options.maxMismatchRate) || options.maxMismatchRate < 0 || options.maxMismatchRate > 1) {
+        throw new Error('--max-mismatch-rate must be between 0 and 1');
+    }
+    if (!options.input) {
+        options.input = resolveLeaderboardConfig(options.config).inputFile;
+    }
+    return options;
+}
+
+function dmstPoints(distance, bonus, dmstIndex) {
+    return (distance * (1 + bonus)) / (dmstIndex / 100);
+}
+
+// Recompute the DMSt points for one flight; null when it cannot be audited
+function auditFlight(flight) {
+    const dmstIndex = Number(flight.dmst_index);
+    if (!dmstIndex) return null;
+
+    const contests = Array.isArray(flight.contest) ? flight.contest : [];
+    const auContest = contests.find(c => c && c.name === 'au');
+    if (!auContest || typeof auContest.points !== 'number') return null;
+
+    const score = auContest.score || {};
+    const declared = score.declared === true;
+    const taskAchieved = flight.task_achieved === true;
+
+    const result = {
+        flightId: flight.id,
+        pilot: flight.user?.name || null,
+        dmstIndex,
+        check: declared ? 'task' : 'free',
+        actual: auContest.points,
+        expected: null,
+        basis: null
+    };
+
+    if (declared) {
+        // Declared task: prefer the task geometry, fall back to the au distance
+        const taskDistance = flight.task?.distance;
+        if (taskDistance) {
+            const bonus = getDMSTShapeBonus(flight.task.kind);
+            result.expected = dmstPoints(taskDistance, bonus + (taskAchieved ? DECLARATION_BONUS : 0), dmstIndex);
+            result.basis = { source: 'task', distance: taskDistance, kind: flight.task.kind || null, bonus, taskAchieved };
+        } else if (score.distance) {
+            const bonus = getDMSTShapeBonus(score.name);
+            result.expected = dmstPoints(score.distance, bonus + DECLARATION_BONUS, dmstIndex);
+            result.basis = { source: 'au distance', distance: score.distance, kind: score.name || null, bonus, taskAchieved };
+        }
+    } else if (score.distance) {
+        const bonus = getDMSTShapeBonus(score.name);
+        result.expected = dmstPoints(score.distance, bonus, dmstIndex);
+        result.basis = { source: 'au distance', distance: score.distance, kind: score.name || null, bonus, taskAchieved };
+    }
+
+    if (result.expected === null) return null;
+    result.difference = result.actual - result.expected;
+    return result;
+}
+
+async function runAudit(options) {
+    const results = [];
+    let totalFlights = 0;
+    let skipped = 0;
+
+    const fileStream = fs.createReadStream(options.input);
+    const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        let flight;
+        try {
+            flight = JSON.parse(line);
+        } catch {
+            continue; // Skip malformed lines
+        }
+        totalFlights++;
+
+        const result = auditFlight(flight);
+        if (result) {
+            results.push(result);
+        } else {
+            skipped++;
+        }
+    }
+
+    const mismatches = results.filter(r => Math.abs(r.difference) > options.tolerance);
+    const mismatchRate = results.length > 0 ? mismatches.length / results.length : 0;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        inputFile: options.input,
+        tolerance: options.tolerance,
+        maxMismatchRate: options.maxMismatchRate,
+        totalFlights,
+        checked: results.length,
+        skipped,
+        freeChecked: results.filter(r => r.check === 'free').length,
+        taskChecked: results.filter(r => r.check === 'task').length,
+        freeMismatches: mismatches.filter(r => r.check === 'free').length,
+        taskMismatches: mismatches.filter(r => r.check === 'task').length,
+        mismatchRate,
+        passed: mismatchRate <= options.maxMismatchRate,
+        mismatches
+    };
+}
+
+function formatMismatch(r) {
+    return `  flight ${r.flightId} (${r.pilot || 'unknown'}, H=${r.dmstIndex}) -> calc ${r.expected.toFixed(2)} / api ${r.actual.toFixed(2)} ` +
+        `(${r.difference >= 0 ? '+' : ''}${r.difference.toFixed(2)}) [${r.basis.source}, ${r.basis.kind || 'no kind'}, bonus ${r.basis.bonus.toFixed(2)}]`;
+}
+
+function printSummary(report) {
+    console.log(`Checked ${report.checked} of ${report.totalFlights} flights (${report.skipped} without au contest or DMSt index)`);
+    console.log(`DMSt Free mismatches: ${report.freeMismatches}/${report.freeChecked}`);
+    console.log(`DMSt Task mismatches: ${report.taskMismatches}/${report.taskChecked}`);
+    console.log(`Mismatch rate: ${(report.mismatchRate * 100).toFixed(1)}% (threshold ${(report.maxMismatchRate * 100).toFixed(1)}%, tolerance ±${report.tolerance} pts)`);
+
+    ['free', 'task'].forEach(check => {
+        const items = report.mismatches.filter(r => r.check === check);
+        if (items.length === 0) return;
+        console.log(`\nSample ${check} mismatches:`);
+        items.slice(0, SAMPLE_SIZE).forEach(r => console.log(formatMismatch(r)));
+        if (items.length > SAMPLE_SIZE) {
+            console.log(`  ... and ${items.length - SAMPLE_SIZE} more in the report`);
+        }
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!fs.existsSync(options.input)) {
+        throw new Error(`Missing ${options.input}`);
+    }
+
+    console.log(`🔍 Auditing DMSt scoring in ${options.input}`);
+    const report = await runAudit(options);
+
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    printSummary(report);
+    console.log(`\n💾 Saved mismatch report to ${options.report}`);
+
+    if (report.passed) {
+        console.log('✅ DMSt audit passed');
+    } else {
+        console.log('❌ DMSt audit failed: mismatch rate above threshold');
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    auditFlight,
+    runAudit
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,229 @@
+// Coaching insights for the pilot pages of create_australian_leaderboard_from_jsonl.js
+//
+// WeGlide's contest score stats (thermal count, radius and bank, thermal attempts, glide
+// detour, time below AGL thresholds, ...) are only displayed per flight in the tooltip.
+// Here each pilot's season averages are set against the other pilots of their club and of
+// the whole leaderboard: the pilot's percentile and the group median per stat, outliers
+// flagged ("Time below 1312 ft (400 m) AGL: 18% vs 6% median"), and the trend
+// from the first to the second half of the pilot's season flights.
+//
+// Stats per flight are the ones the tooltip shows in the Combined view (task stats for a
+// finished task, else free stats), from the pilot's flights as pilot in command.
+
+const { scoredStats } = require('./aircraft_types');
+const { escapeHtml } = require('./shared_helpers');
+
+const perHour = key => stats => stats.duration > 0 && typeof stats[key] === 'number' ? stats[key] / (stats.duration / 3600) : null;
+const shareOfTime = key => stats => stats.duration > 0 && typeof stats[key] === 'number' ? stats[key] / stats.duration : null;
+
+// Stats analysed, in report order. better: 1 when higher is better, -1 when lower is, 0 for
+// style (only unusual values are noted). weight: stat the average is weighted by; share:
+// a fraction of time, compared in percentage points. flightValue derives the stat from a
+// flight's stats when WeGlide has no such field; format turns a value into page text.
+const INSIGHT_METRICS = [
+    { key: 'thermal_avg', label: 'Avg climb', better: 1, weight: 'thermal_time', format: value => `${(value * 1.94384).toFixed(1)} kts` },
+    { key: 'thermals_per_hour', label: 'Thermals per hour', better: 0, flightValue: perHour('thermal_count'), format: value => value.toFixed(1) },
+    { key: 'thermal_radius', label: 'Thermal radius', better: 0, weight: 'thermal_time', format: value => `${Math.round(value * 3.28084)} ft` },
+    { key: 'thermal_bank', label: 'Thermal bank', better: 0, weight: 'thermal_time', format: value => `${value.toFixed(1)}°` },
+    { key: 'attempts_per_hour', label: 'Thermal attempts per hour', better: -1, flightValue: perHour('attempt_count'), format: value => value.toFixed(1) },
+    { key: 'attempt_share', label: 'Time in thermal attempts', better: -1, share: true, flightValue: shareOfTime('attempt_time') },
+    { key: 'glide_detour', label: 'Glide detour', better: -1, weight: 'glide_time', format: value => value.toFixed(2) },
+    { key: 'below_800_agl', label: 'Time below 2625 ft (800 m) AGL', better: -1, share: true },
+    { key: 'below_400_agl', label: 'Time below 1312 ft (400 m) AGL', better: -1, share: true },
+    { key: 'below_200_agl', label: 'Time below 656 ft (200 m) AGL', better: -1, share: true }
+];
+
+// Pilots a group needs for percentiles, flights a pilot needs for a trend
+const MIN_NATIONAL_PILOTS = 5;
+const MIN_CLUB_PILOTS = 3;
+const MIN_TREND_FLIGHTS = 4;
+// Outside this percentile band (best or worst fifth of the pilots) a stat is flagged
+const FLAG_PERCENTILE = 20;
+// Smallest change between the halves of the season that counts as a trend
+const TREND_RELATIVE = 0.1;
+const TREND_SHARE = 0.02;
+
+function formatValue(metric, value) {
+    if (value === null || value === undefined) return '-';
+    return metric.share ? `${Math.round(value * 100)}%` : metric.format(value);
+}
+
+function flightValue(metric, stats) {
+    const value = metric.flightValue ? metric.flightValue(stats) : stats[metric.key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    // Zero is a real share of time, but means "not measured" for the other stats
+    return value > 0 || (metric.share && value === 0) ? value : null;
+}
+
+// Average over flights, weighted by the time the stat covers (flight time by default)
+function weightedAverage(metric, flights) {
+    let weighted = 0;
+    let totalWeight = 0;
+    flights.forEach(stats => {
+        const value = flightValue(metric, stats);
+        if (value === null) return;
+        const weight = stats[metric.weight || 'duration'] > 0 ? stats[metric.weight || 'duration'] : 1;
+        weighted += value * weight;
+        totalWeight += weight;
+    });
+    return totalWeight > 0 ? weighted / totalWeight : null;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Share of the group below the value, counting equal values half (0-100, higher = larger value)
+function percentile(value, values) {
+    const below = values.filter(other => other < value).length;
+    const equal = values.filter(other => other === value).length;
+    return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+function compareWithGroup(value, values, minPilots) {
+    if (value === null || values.length < minPilots) return null;
+    return { median: median(values), percentile: percentile(value, values), pilots: values.length };
+}
+
+// First half of the pilot's season flights against the second half
+function seasonTrend(metric, flights) {
+    const valued = flights.filter(stats => flightValue(metric, stats) !== null);
+    if (valued.length < MIN_TREND_FLIGHTS) return null;
+    const half = Math.floor(valued.length / 2);
+    const early = weightedAverage(metric, valued.slice(0, half));
+    const late = weightedAverage(metric, valued.slice(valued.length - half));
+    const change = metric.share ? late - early : (late - early) / early;
+    const notable = Math.abs(change) >= (metric.share ? TREND_SHARE : TREND_RELATIVE);
+    return {
+        early,
+        late,
+        direction: !notable ? 'steady' : metric.better === 0 ? (change > 0 ? 'up' : 'down') : (change * metric.better > 0 ? 'improving' : 'worsening')
+    };
+}
+
+// Most common club among the pilot's flights
+function mainClub(flights) {
+    const counts = new Map();
+    flights.forEach(flight => {
+        if (flight.club) counts.set(flight.club, (counts.get(flight.club) || 0) + 1);
+    });
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || null;
+}
+
+// Flag a stat in the best or worst fifth nationally; style stats only when unusual
+function flagFor(metric, value, national) {
+    if (!national) return null;
+    const low = national.percentile <= FLAG_PERCENTILE;
+    const high = national.percentile >= 100 - FLAG_PERCENTILE;
+    if (!low && !high) return null;
+    const versus = `${formatValue(metric, value)} vs ${formatValue(metric, national.median)} median`;
+    if (metric.better === 0) {
+        return { kind: 'style', text: `${metric.label} ${high ? 'higher' : 'lower'} than most pilots: ${versus}` };
+    }
+    const strong = (high ? 1 : -1) * metric.better > 0;
+    return { kind: strong ? 'strength' : 'weakness', text: `${metric.label}: ${versus}` };
+}
+
+// { pilotId: insight } for every pilot with detailed stats on a PIC flight, where insight
+// is { pilotId, pilot, club, flightCount, metrics: [{ key, label, value, flights, club,
+// national, trend, flag }], flags } and club/national are { median, percentile, pilots } or
+// null when the group is too small to compare with.
+function buildCoachingInsights(records) {
+    const pilots = new Map();
+    records
+        .slice()
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.id - b.id)
+        .forEach(record => {
+            const stats = scoredStats(record.details, 'mixed');
+            if (!stats || !Number.isInteger(record.userId)) return;
+            if (!pilots.has(record.userId)) {
+                pilots.set(record.userId, { pilotId: record.userId, pilot: record.pilotName, flights: [] });
+            }
+            pilots.get(record.userId).flights.push({ ...stats, club: record.clubName });
+        });
+
+    const entries = Array.from(pilots.values()).map(entry => ({
+        ...entry,
+        club: mainClub(entry.flights),
+        values: Object.fromEntries(INSIGHT_METRICS.map(metric => [metric.key, weightedAverage(metric, entry.flights)]))
+    }));
+
+    const insights = {};
+    entries.forEach(entry => {
+        const metrics = INSIGHT_METRICS.map(metric => {
+            const value = entry.values[metric.key];
+            const groupValues = group => group.map(other => other.values[metric.key]).filter(other => other !== null);
+            const national = compareWithGroup(value, groupValues(entries), MIN_NATIONAL_PILOTS);
+            const club = entry.club
+                ? compareWithGroup(value, groupValues(entries.filter(other => other.club === entry.club)), MIN_CLUB_PILOTS)
+                : null;
+            return {
+                key: metric.key,
+                label: metric.label,
+                value,
+                flights: entry.flights.filter(stats => flightValue(metric, stats) !== null).length,
+                club,
+                national,
+                trend: seasonTrend(metric, entry.flights),
+                flag: value === null ? null : flagFor(metric, value, national)
+            };
+        });
+        insights[entry.pilotId] = {
+            pilotId: entry.pilotId,
+            pilot: entry.pilot,
+            club: entry.club,
+            flightCount: entry.flights.length,
+            metrics,
+            flags: metrics.map(item => item.flag).filter(Boolean)
+        };
+    });
+    return insights;
+}
+
+const FLAG_ICONS = { weakness: '⚠️', strength: '✅', style: 'ℹ️' };
+const TREND_LABELS = { improving: '▲ improving', worsening: '▼ worsening', up: '▲ up', down: '▼ down', steady: 'steady' };
+
+// Pilot page section: flags first, then every stat against the club and national groups
+function renderCoachingSection(insight) {
+    const metricsByKey = new Map(INSIGHT_METRICS.map(metric => [metric.key, metric]));
+    const group = (metric, comparison) => comparison
+        ? `<td class="points">${formatValue(metric, comparison.median)}</td><td class="points">${comparison.percentile}</td>`
+        : '<td class="points">-</td><td class="points">-</td>';
+    const rows = insight.metrics.map(item => {
+        const metric = metricsByKey.get(item.key);
+        const trend = item.trend
+            ? `${formatValue(metric, item.trend.early)} → ${formatValue(metric, item.trend.late)} <span class="trend-${item.trend.direction}">${TREND_LABELS[item.trend.direction]}</span>`
+            : '-';
+        return `
+                    <tr${item.flag && item.flag.kind !== 'style' ? ` class="insight-${item.flag.kind}"` : ''}>
+                        <td>${escapeHtml(item.label)}</td>
+                        <td class="points">${formatValue(metric, item.value)}</td>
+                        <td class="points">${item.flights}</td>
+                        ${group(metric, item.club)}
+                        ${group(metric, item.national)}
+                        <td>${trend}</td>
+                    </tr>`;
+    }).join('');
+    const flags = insight.flags.length > 0
+        ? `<ul class="facts">${insight.flags.map(flag => `<li>${FLAG_ICONS[flag.kind]} ${escapeHtml(flag.text)}</li>`).join('')}</ul>`
+        : '<p>Nothing stands out against the other pilots yet.</p>';
+
+    return `<div class="section">
+            <h2>Coaching Insights</h2>
+            ${flags}
+            <table>
+                <thead><tr><th>Stat</th><th>Pilot</th><th>Flights</th><th>Club median</th><th>Club pct</th><th>National median</th><th>National pct</th><th>Season trend</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <div class="legend">Season averages over ${insight.flightCount} flights as pilot in command, from the stats in the flight tooltip, weighted by the time each stat covers. Percentiles place the pilot's value among the pilots of ${insight.club ? escapeHtml(insight.club) : 'their club'} (${MIN_CLUB_PILOTS}+ pilots needed) and all pilots on the leaderboard (${MIN_NATIONAL_PILOTS}+); 100 is the highest value. Stats in the best or worst ${FLAG_PERCENTILE}% nationally are flagged. The trend compares the first and second half of the pilot's flights (${MIN_TREND_FLIGHTS}+ needed).</div>
+        </div>`;
+}
+
+module.exports = {
+    INSIGHT_METRICS,
+    buildCoachingInsights,
+    renderCoachingSection
+};
@@ -1,182 +1,604 @@
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const readline = require('readline');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+const { escapeHtml } = require('./shared_helpers');
+const {
+    TASK_KIND_LABELS,
+    calculateBestScore,
+    calculateFreeScore,
+    getDMSTShapeBonus,
+    scoreFlightWithProfile,
+    rankPilots
+} = require('./weglide_scoring');
+const {
+    getFlightReview,
+    getContestPoints,
+    snapshotFromBuildState,
+    diffSnapshots,
+    printDiffSummary
+} = require('./flight_snapshot_diff');
+const { COPILOT_CREDIT_SHARES, flightCreditShares, checkFlightEligibility, findCreditedCopilots, summarizeExclusions } = require('./pilot_eligibility');
+const { writePilotPages } = require('./pilot_profile_pages');
+const { buildDailyResults, writeDailyPages } = require('./daily_pages');
+const { buildTeamLeaderboards, renderTeamSection, TEAM_KINDS } = require('./team_leaderboards');
+const { buildClassLeaderboards } = require('./handicap_classes');
+const { buildAircraftTypeStats, writeAircraftTypePages } = require('./aircraft_types');
+const { buildPilotStatSummaries, writeComparisonPage } = require('./pilot_comparison');
+const { buildCoachingInsights } = require('./coaching_insights');
+const { writeExports, EXPORT_SCHEMA_VERSION } = require('./leaderboard_exports');
+const { buildSeasonSummary, archiveSeason } = require('./season_archive');
+const { buildReviewQueue } = require('./verification_review');
+const { loadPrivateDOBs, savePrivateDOBs, extractRawDatesOfBirth, refreshDerivedAges } = require('./dob_private_store');
+const { seasonFlightsByPilot, estimatePicHours, loadFlightHistory } = require('./pic_hours_estimator');
+const { buildTrophyCandidates } = require('./trophy_definitions');
+
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_NAMES_LONG = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function formatLongDate(date) {
+    return `${MONTH_NAMES_LONG[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+}
 
+// Flight entry stored in a leaderboard's bestFlights
+function buildLeaderboardFlight(flight, scoringData) {
+    return {
+        id: flight.id,
+        userId: flight.user?.id,
+        date: flight.scoring_date,
+        distance: scoringData.distance,
+        speed: scoringData.speed,
+        points: scoringData.score,
+        takeoff: flight.takeoff_airport?.name || '',
+        region: flight.takeoff_airport?.region || '',
+        declared: scoringData.declared,
+        contestType: scoringData.contestType,
+        aircraftKind: flight.aircraft?.kind || 'unknown',
+        aircraftName: flight.aircraft?.name || '',
+        dmstIndex: flight.dmst_index || null
+    };
+}
 
-// Function to calculate best score from flight contest data (Mixed scoring)
-function calculateBestScore(flight) {
-    if (!flight.contest || !Array.isArray(flight.contest)) {
-        return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
-    }
+// Leaderboard entry credited to one pilot of a two-seater flight (config.copilotCredit):
+// share scales the points, copilotOf names the PIC when the entry is the co-pilot's
+function creditLeaderboardFlight(entry, { share = 1, userId = entry.userId, copilotOf = null } = {}) {
+    if (share === 1 && !copilotOf) return entry;
+    return { ...entry, userId, points: entry.points * share, creditShare: share, copilotOf };
+}
+
+// Compact copy of a flight for the page's task statistics
+function buildMinimalFlight(f) {
+    const bestContest = Array.isArray(f.contest) ? f.contest.reduce((best, current) => {
+        if (!current || typeof current.points !== 'number') return best;
+        if (!best || current.points > (best.points || 0)) {
+            return current;
+        }
+        return best;
+    }, null) : null;
+
+    const primaryDistance = (typeof bestContest?.distance === 'number')
+        ? bestContest.distance
+        : (typeof f.task?.distance === 'number') ? f.task.distance
+        : null;
+
+    const durationSeconds = (typeof f.total_seconds === 'number')
+        ? f.total_seconds
+        : (typeof bestContest?.score?.duration === 'number') ? bestContest.score.duration
+        : null;
+
+    return {
+        id: f.id,
+        user: f.user ? { id: f.user.id, name: f.user.name } : null,
+        date: f.scoring_date || null,
+        distance: typeof primaryDistance === 'number' ? primaryDistance : 0,
+        duration: typeof durationSeconds === 'number' ? durationSeconds : 0,
+        taskDeclared: !!f.task,
+        taskCompleted: f.task_achieved === true,
+        task: f.task ? {
+            kind: f.task.kind,
+            from_igcfile: f.task.from_igcfile,
+            distance: f.task.distance,
+            laps: f.task.laps,
+            name: f.task.name,
+            type: f.task.type
+        } : null,
+        task_achieved: f.task_achieved === true,
+        contest: f.contest ? f.contest.map(c => ({
+            name: c.name,
+            points: c.points,
+            distance: c.distance,
+            speed: c.speed,
+            score: c.score ? { declared: c.score.declared } : null
+        })) : null,
+        takeoff_airport: f.takeoff_airport ? { name: f.takeoff_airport.name, region: f.takeoff_airport.region } : null
+    };
+}
 
-    // Find the "au" (task), "declaration", and "free" contests specifically
-    const auContest = flight.contest.find(contest => contest.name === 'au' && contest.points > 0);
-    const declarationContest = flight.contest.find(contest => contest.name === 'declaration' && contest.points > 0);
-    const freeContest = flight.contest.find(contest => contest.name === 'free' && contest.points > 0);
+// Highest distance or points over the flight's contests, null when there are none
+function getBestContestValue(flight, field) {
+    if (!flight.contest || !Array.isArray(flight.contest)) return null;
 
-    let bestContest = null;
-    let bestScore = 0;
+    let best = 0;
+    flight.contest.forEach(contest => {
+        if (contest[field] && contest[field] > best) {
+            best = contest[field];
+        }
+    });
 
-    // Check if contests are declared (have declared: true in their score object)
-    const isAuDeclared = auContest?.score?.declared === true;
-    const isDeclarationDeclared = declarationContest?.score?.declared === true;
+    return best > 0 ? best : null;
+}
 
-    // Always start with free contest as baseline
-    if (freeContest) {
-        bestContest = freeContest;
-        bestScore = freeContest.points;
-    }
+function getBestDistance(flight) {
+    const bestDistance = getBestContestValue(flight, 'distance');
+    return bestDistance ? `${bestDistance.toFixed(1)} km` : 'Unknown';
+}
 
-    // Check if AU contest should be used (higher than free AND declared)
-    if (auContest && isAuDeclared && auContest.points > bestScore) {
-        bestContest = auContest;
-        bestScore = auContest.points;
-    }
+function getBestPoints(flight) {
+    const bestPoints = getBestContestValue(flight, 'points');
+    return bestPoints ? `${bestPoints.toFixed(1)} pts` : 'Unknown';
+}
 
-    // Check if Declaration contest should be used (higher than current best AND declared)
-    if (declarationContest && isDeclarationDeclared && declarationContest.points > bestScore) {
-        bestContest = declarationContest;
-        bestScore = declarationContest.points;
+function formatDuration(seconds) {
+    if (!seconds) return 'Unknown';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+}
+
+// Silver C-Gull candidate entry when a junior pilot earned the silver badge on this flight.
+// distance and points are display text; distanceKm and bestPoints the numbers (or null).
+function buildSilverBadgeEntry(flight) {
+    if (!flight.junior || !Array.isArray(flight.achievement) || !flight.user) return null;
+    if (!flight.achievement.find(a => a.badge_id === 'silver')) return null;
+
+    return {
+        pilot: flight.user.name,
+        flightId: flight.id,
+        date: flight.scoring_date,
+        distance: getBestDistance(flight),
+        distanceKm: getBestContestValue(flight, 'distance'),
+        duration: formatDuration(flight.total_seconds),
+        points: getBestPoints(flight),
+        bestPoints: getBestContestValue(flight, 'points'),
+        takeoff: flight.takeoff_airport?.name || 'Unknown',
+        club: flight.club?.name || 'Unknown',
+        userId: flight.user.id
+    };
+}
+
+// Per-flight contributions to the season statistics
+function buildFlightCounts(flight, mixedScoringData) {
+    const counts = { kms: 0, taskDeclared: false, taskCompleted: false, taskHigherThanFree: false };
+
+    // Calculate distance from contest data
+    if (mixedScoringData.score > 0) {
+        counts.kms = mixedScoringData.distance;
     }
 
-    // If no au/declaration/free found, fall back to any other contest with points
-    if (!bestContest) {
-        flight.contest.forEach(contest => {
-            if (contest.points && contest.points > bestScore) {
-                bestScore = contest.points;
-                bestContest = contest;
-            }
-        });
+    // Check for task declaration and completion using actual flight task data
+    if (flight.task) {
+        counts.taskDeclared = true;
+
+        // Task is completed if task_achieved is true
+        if (flight.task_achieved === true) {
+            counts.taskCompleted = true;
+        }
     }
 
-    if (bestContest) {
-        // Mark as declared if using au or declaration contest that was declared
-        const isDeclaredTask = (bestContest.name === 'au' && isAuDeclared) ||
-                              (bestContest.name === 'declaration' && isDeclarationDeclared);
-
-        return {
-            score: bestScore,
-            distance: bestContest.distance || 0,
-            speed: bestContest.speed || 0,
-            contestType: bestContest.name || 'unknown',
-            declared: isDeclaredTask
-        };
+    // Count completed tasks that scored higher than free scoring
+    if (flight.contest && Array.isArray(flight.contest)) {
+        const auContest = flight.contest.find(contest => contest.name === 'au' && contest.points > 0);
+        const declarationContest = flight.contest.find(contest => contest.name === 'declaration' && contest.points > 0);
+        const freeContest = flight.contest.find(contest => contest.name === 'free' && contest.points > 0);
+
+        // Check if declared AU or Declaration scored higher than free
+        const isAuDeclared = auContest?.score?.declared === true;
+        const isDeclarationDeclared = declarationContest?.score?.declared === true;
+
+        if (freeContest) {
+            if (auContest && isAuDeclared && auContest.points > freeContest.points) {
+                counts.taskHigherThanFree = true;
+            } else if (declarationContest && isDeclarationDeclared && declarationContest.points > freeContest.points) {
+                counts.taskHigherThanFree = true;
+            }
+        }
     }
 
-    return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+    return counts;
 }
 
-// Function to calculate Free-only score from flight contest data
-function calculateFreeScore(flight) {
-    if (!flight.contest || !Array.isArray(flight.contest)) {
-        return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+// Everything the leaderboards need from one flight. Records are cached in the
+// build state and reused while the flight's JSONL line (hash) is unchanged.
+function deriveFlightRecord(flight, hash, config) {
+    const pilotName = flight.user?.name || null;
+    const record = {
+        id: flight.id,
+        hash,
+        pilotName,
+        userId: flight.user?.id ?? null,
+        date: flight.scoring_date || null,
+        durationSeconds: typeof flight.total_seconds === 'number' ? flight.total_seconds : null,
+        clubName: flight.club?.name || null,
+        aircraft: flight.aircraft ? {
+            kind: flight.aircraft.kind || null,
+            name: flight.aircraft.name || null,
+            scClass: flight.sc_class || flight.aircraft.sc_class || null, // WeGlide competition class
+            doubleSeater: flight.aircraft.double_seater === true
+        } : null,
+        scoreClubClass: flight.score_club_class === true, // scored as club class by WeGlide
+        junior: flight.junior === true,
+        copilot: flight.co_user?.name || flight.co_user_name
+            ? { id: flight.co_user?.id ?? null, name: flight.co_user?.name || flight.co_user_name }
+            : null,
+        review: getFlightReview(flight),
+        contestPoints: getContestPoints(flight),
+        scores: {},
+        details: null,
+        stats: null,
+        minimal: buildMinimalFlight(flight),
+        silverBadge: buildSilverBadgeEntry(flight)
+    };
+
+    // Invalid flights stay in the build state for the snapshot diff but are never scored.
+    // Pilot eligibility is checked per build (processFlights) so rule changes need no rescoring.
+    if (record.review.excluded) {
+        return record;
     }
 
-    // Only use Free contest
-    const freeContest = flight.contest.find(contest => contest.name === 'free' && contest.points > 0);
+    // Score the flight under each leaderboard's rule profile
+    config.leaderboards.forEach(view => {
+        const scoringData = scoreFlightWithProfile(flight, view.profile);
+        if (scoringData.score > 0) {
+            record.scores[view.id] = buildLeaderboardFlight(flight, scoringData);
+        }
+    });
+
+    // WeGlide Combined/Free scores drive the tooltip statistics
+    const mixedScoringData = calculateBestScore(flight);
+    const freeScoringData = calculateFreeScore(flight);
+    record.stats = buildFlightCounts(flight, mixedScoringData);
+
+    // Store comprehensive flight stats for tooltip use if it has scoring data
+    if (mixedScoringData.score > 0 || freeScoringData.score > 0) {
+        // Get stats from both contest types
+        const auContest = flight.contest?.find(c => c.name === 'au' && c.points > 0);
+        const declarationContest = flight.contest?.find(c => c.name === 'declaration' && c.points > 0);
+        const freeContest = flight.contest?.find(c => c.name === 'free' && c.points > 0);
+        const taskAchieved = flight.task_achieved === true;
+
+        if (freeContest || auContest) {
+            const flightStats = {
+                id: flight.id,
+                taskAchieved: taskAchieved,
+                hasTask: !!flight.task, // Track if a task was declared
+                bestContestType: mixedScoringData.contestType || 'free',
+                // Store both free and task stats for dynamic switching
+                freeStats: null,
+                taskStats: null,
+                taskInfo: null
+            };
 
-    if (freeContest) {
-        return {
-            score: freeContest.points,
-            distance: freeContest.distance || 0,
-            speed: freeContest.speed || 0,
-            contestType: 'free',
-            declared: false  // No task badges in Free-only mode
-        };
+            // Extract comprehensive stats from free contest
+            if (freeContest?.score) {
+                flightStats.freeStats = {
+                    glide_ratio: freeContest.score.glide_ratio,
+                    thermal_avg: freeContest.score.thermal_avg,
+                    glide_speed: freeContest.score.glide_speed,
+                    glide_speed_lift: freeContest.score.glide_speed_lift,
+                    glide_speed_sink: freeContest.score.glide_speed_sink,
+                    altitude_avg: freeContest.score.altitude_avg,
+                    agl_avg: freeContest.score.agl_avg,
+                    thermal_count: freeContest.score.thermal_count,
+                    thermal_gain: freeContest.score.thermal_gain,
+                    thermal_radius: freeContest.score.thermal_radius,
+                    thermal_start_agl: freeContest.score.thermal_start_agl,
+                    thermal_bank: freeContest.score.thermal_bank,
+                    glide_percentage: freeContest.score.glide_percentage,
+                    glide_percentage_lift: freeContest.score.glide_percentage_lift,
+                    duration: freeContest.score.duration,
+                    thermal_time: freeContest.score.thermal_time,
+                    glide_time: freeContest.score.glide_time,
+                    wind_speed: freeContest.score.wind_speed,
+                    wind_direction: freeContest.score.wind_direction,
+                    attempt_count: freeContest.score.attempt_count,
+                    attempt_avg: freeContest.score.attempt_avg,
+                    attempt_speed_loss: freeContest.score.attempt_speed_loss,
+                    attempt_time: freeContest.score.attempt_time,
+                    // All altitude threshold stats
+                    below_1000_agl: freeContest.score.below_1000_agl,
+                    below_800_agl: freeContest.score.below_800_agl,
+                    below_600_agl: freeContest.score.below_600_agl,
+                    below_400_agl: freeContest.score.below_400_agl,
+                    below_200_agl: freeContest.score.below_200_agl,
+                    below_100_agl: freeContest.score.below_100_agl,
+                    track_distance: freeContest.score.track_distance,
+                    glide_detour: freeContest.score.glide_detour,
+                    glide_distance: freeContest.score.glide_distance,
+                    glide_alt_avg: freeContest.score.glide_alt_avg,
+                    end_time: freeContest.score.end_time,
+                    start_time: freeContest.score.start_time,
+                    // Get finish altitude from last leg
+                    finish_alt: freeContest.score.leg?.[freeContest.score.leg.length - 1]?.end_alt
+                };
+            }
+
+            // Extract comprehensive stats from AU task contest
+            if (auContest?.score) {
+                flightStats.taskStats = {
+                    glide_ratio: auContest.score.glide_ratio,
+                    thermal_avg: auContest.score.thermal_avg,
+                    glide_speed: auContest.score.glide_speed,
+                    glide_speed_lift: auContest.score.glide_speed_lift,
+                    glide_speed_sink: auContest.score.glide_speed_sink,
+                    altitude_avg: auContest.score.altitude_avg,
+                    agl_avg: auContest.score.agl_avg,
+                    thermal_count: auContest.score.thermal_count,
+                    thermal_gain: auContest.score.thermal_gain,
+                    thermal_radius: auContest.score.thermal_radius,
+                    thermal_start_agl: auContest.score.thermal_start_agl,
+                    thermal_bank: auContest.score.thermal_bank,
+                    glide_percentage: auContest.score.glide_percentage,
+                    glide_percentage_lift: auContest.score.glide_percentage_lift,
+                    duration: auContest.score.duration,
+                    thermal_time: auContest.score.thermal_time,
+                    glide_time: auContest.score.glide_time,
+                    wind_speed: auContest.score.wind_speed,
+                    wind_direction: auContest.score.wind_direction,
+                    attempt_count: auContest.score.attempt_count,
+                    attempt_avg: auContest.score.attempt_avg,
+                    attempt_speed_loss: auContest.score.attempt_speed_loss,
+                    attempt_time: auContest.score.attempt_time,
+                    // All altitude threshold stats
+                    below_1000_agl: auContest.score.below_1000_agl,
+                    below_800_agl: auContest.score.below_800_agl,
+                    below_600_agl: auContest.score.below_600_agl,
+                    below_400_agl: auContest.score.below_400_agl,
+                    below_200_agl: auContest.score.below_200_agl,
+                    below_100_agl: auContest.score.below_100_agl,
+                    track_distance: auContest.score.track_distance,
+                    glide_detour: auContest.score.glide_detour,
+                    glide_distance: auContest.score.glide_distance,
+                    glide_alt_avg: auContest.score.glide_alt_avg,
+                    end_time: auContest.score.end_time,
+                    start_time: auContest.score.start_time,
+                    // Get finish altitude from last leg
+                    finish_alt: auContest.score.leg?.[auContest.score.leg.length - 1]?.end_alt,
+                    // Task-specific timing
+                    task_duration: auContest.score.duration,
+                    total_duration: freeContest?.score?.duration || auContest.score.duration
+                };
+            }
+
+            const hasDeclaredTask = !!flight.task;
+            const taskKind = flight.task?.kind || null;
+            const normalizedTaskKind = taskKind ? taskKind.toUpperCase() : null;
+            const taskTypeLabel = taskKind ? (TASK_KIND_LABELS[taskKind]
+                || (normalizedTaskKind ? TASK_KIND_LABELS[normalizedTaskKind] : undefined)
+                || taskKind) : 'No task declared';
+            const taskDistance = typeof flight.task?.distance === 'number'
+                ? flight.task.distance
+                : (typeof auContest?.distance === 'number' ? auContest.distance
+                    : (typeof declarationContest?.distance === 'number' ? declarationContest.distance : null));
+
+            const taskContestUsed = (mixedScoringData.contestType === 'au' || mixedScoringData.contestType === 'declaration')
+                ? mixedScoringData.contestType
+                : (auContest ? 'au' : declarationContest ? 'declaration' : null);
+
+            const taskContestPoints = taskContestUsed === 'au'
+                ? auContest?.points
+                : taskContestUsed === 'declaration'
+                    ? declarationContest?.points
+                    : null;
+
+            const dmstIndex = typeof flight.dmst_index === 'number' && flight.dmst_index > 0
+                ? flight.dmst_index
+                : null;
+            const dmstIndexFactor = dmstIndex ? (dmstIndex / 100) : 1;
+            const auScoreName = auContest?.score?.name || null;
+            const dmstFreeDistanceRaw = typeof auContest?.score?.distance === 'number'
+                ? auContest.score.distance
+                : (typeof auContest?.distance === 'number'
+                    ? auContest.distance
+                    : (typeof freeContest?.score?.distance === 'number'
+                        ? freeContest.score.distance
+                        : (typeof freeContest?.distance === 'number'
+                            ? freeContest.distance
+                            : null)));
+            const dmstFreeDistance = Number.isFinite(dmstFreeDistanceRaw) ? dmstFreeDistanceRaw : null;
+            const freeShapeBonus = getDMSTShapeBonus(auScoreName || taskKind);
+            const dmstFreePointsCalc = Number.isFinite(dmstFreeDistance) && dmstIndexFactor
+                ? (dmstFreeDistance * (1 + freeShapeBonus)) / dmstIndexFactor
+                : null;
+
+            const taskDistanceForCalc = typeof flight.task?.distance === 'number'
+                ? flight.task.distance
+                : dmstFreeDistance;
+            const taskShapeBonus = getDMSTShapeBonus(taskKind || auScoreName);
+            const declarationBonus = hasDeclaredTask ? 0.30 : 0;
+            const taskMultiplierActual = 1 + taskShapeBonus + (taskAchieved ? declarationBonus : 0);
+            const taskMultiplierPotential = 1 + taskShapeBonus + declarationBonus;
+            const dmstTaskActualPoints = taskDistanceForCalc && dmstIndexFactor
+                ? (taskDistanceForCalc * taskMultiplierActual) / dmstIndexFactor
+                : null;
+            const dmstTaskPotentialPoints = taskDistanceForCalc && dmstIndexFactor
+                ? (taskDistanceForCalc * taskMultiplierPotential) / dmstIndexFactor
+                : null;
+
+            flightStats.taskInfo = {
+                hasTask: !!flight.task,
+                distanceKm: typeof taskDistance === 'number' ? taskDistance : null,
+                type: taskKind,
+                typeLabel: taskTypeLabel,
+                completed: taskAchieved,
+                taskContestUsed,
+                taskContestLabel: (() => {
+                    if (!taskContestUsed) return 'Task Score';
+                    if (taskContestUsed === 'declaration') return 'WeGlide/DMSt Task Score';
+                    if (taskContestUsed === 'au') {
+                        if (!taskAchieved) {
+                            return 'WeGlide/DMSt Task Score (not finished)';
+                        }
+                        if (auContest?.score?.declared === false) {
+                            return 'DMSt Free > Task';
+                        }
+                        return 'WeGlide/DMSt Task Score';
+                    }
+                    return 'Task Score';
+                })(),
+                taskContestPoints: typeof taskContestPoints === 'number' ? taskContestPoints : null,
+                freePoints: typeof freeContest?.points === 'number' ? freeContest.points : null,
+                auPoints: typeof auContest?.points === 'number' ? auContest.points : null,
+                declarationPoints: typeof declarationContest?.points === 'number' ? declarationContest.points : null,
+                bestContestType: mixedScoringData.contestType || 'free',
+                dmstFreePoints: dmstFreePointsCalc,
+                dmstFreeDistance: dmstFreeDistance,
+                dmstTaskActualPoints: dmstTaskActualPoints,
+                dmstTaskPotentialPoints: dmstTaskPotentialPoints,
+                dmstTaskDistance: typeof taskDistanceForCalc === 'number' && Number.isFinite(taskDistanceForCalc)
+                    ? taskDistanceForCalc
+                    : (Number.isFinite(dmstFreeDistance) ? dmstFreeDistance : null),
+                weglideFreeDistance: (() => {
+                    if (Number.isFinite(freeContest?.score?.distance)) return freeContest.score.distance;
+                    if (Number.isFinite(freeContest?.distance)) return freeContest.distance;
+                    return null;
+                })(),
+                dmstIndex: dmstIndex
+            };
+
+            record.details = flightStats;
+        }
     }
 
-    return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+    return record;
 }
 
-function calculateContestScore(flight, contestName) {
-    if (!flight?.contest || !Array.isArray(flight.contest)) {
-        return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
-    }
+// Incremental build state: every flight's derived record, grouped per pilot and
+// keyed by flight id, with a hash of its JSONL line. A record is reused while the
+// line is unchanged; new or re-scored flights (e.g. edited before
+// edit_allowed_until) are parsed and scored again. Any change to the code records are
+// derived with or to the leaderboard rules changes rulesHash and forces a full rebuild;
+// page HTML and CSS edits don't. The state also
+// keeps each view's ranks so the next build can report what changed upstream.
+const BUILD_STATE_VERSION = 2;
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
 
-    const contest = flight.contest.find(c => c && c.name === contestName && typeof c.points === 'number' && c.points > 0);
-    if (!contest) {
-        return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+// Code a cached record comes from: deriveFlightRecord and its helpers here, the scoring
+// rules, and the flight review and contest points of flight_snapshot_diff.js
+const RECORD_DERIVATION_FUNCTIONS = [
+    buildLeaderboardFlight,
+    buildMinimalFlight,
+    getBestContestValue,
+    getBestDistance,
+    getBestPoints,
+    formatDuration,
+    buildSilverBadgeEntry,
+    buildFlightCounts,
+    deriveFlightRecord
+];
+const RECORD_DERIVATION_MODULES = ['./weglide_scoring', './flight_snapshot_diff'];
+
+function computeRulesHash(config) {
+    return hashText([
+        BUILD_STATE_VERSION,
+        ...RECORD_DERIVATION_FUNCTIONS.map(fn => fn.toString()),
+        ...RECORD_DERIVATION_MODULES.map(name => fs.readFileSync(require.resolve(name), 'utf-8')),
+        JSON.stringify(config.leaderboards)
+    ].join('\n'));
+}
+
+// Previous build state, or null when there is none this version can use
+function loadBuildState(config) {
+    if (!fs.existsSync(config.buildStateFile)) return null;
+
+    try {
+        const state = JSON.parse(fs.readFileSync(config.buildStateFile, 'utf-8'));
+        if (state.version !== BUILD_STATE_VERSION) {
+            console.log(`ℹ️ ${config.buildStateFile} is from an older generator - rebuilding from scratch`);
+            return null;
+        }
+        return state;
+    } catch (e) {
+        console.warn(`⚠️ Could not read ${config.buildStateFile}, rebuilding from scratch:`, e.message || e);
+        return null;
     }
+}
 
-    const distance = typeof contest.distance === 'number' ? contest.distance
-        : typeof contest?.score?.distance === 'number' ? contest.score.distance
-        : (typeof flight.distance === 'number' ? flight.distance : 0);
-    const speed = typeof contest.speed === 'number' ? contest.speed
-        : typeof contest?.score?.speed === 'number' ? contest.score.speed
-        : 0;
-    const declared = contest?.score?.declared === true;
-
-        const taskCompleted = flight?.task_achieved === true;
-        return {
-            score: contest.points,
-            distance,
-            speed,
-            contestType: contest.name,
-            declared: declared || taskCompleted
-        };
+// Records that can be reused, keyed by line hash (empty when rules changed)
+function getReusableRecords(state, rulesHash) {
+    const records = new Map();
+    if (!state) return records;
+    if (state.rulesHash !== rulesHash) {
+        console.log(`ℹ️ Scoring rules changed since the last build - rescoring every flight`);
+        return records;
     }
+    snapshotFromBuildState(state).records.forEach(record => records.set(record.hash, record));
+    return records;
+}
 
-const TASK_KIND_LABELS = {
-    FR4: 'Start, 2-3 Turnpoints, Finish',
-    Triangle: 'FAI Triangle',
-    TR: 'FAI Triangle',
-    OR: 'Out & Return',
-    GL: 'Goal Flight',
-    RT: 'Rectangle',
-    MTR: 'Multi-Lap Triangle/Rectangle',
-    SP: 'Speed Task',
-    OL: 'Optimized Task',
-    FR: 'Free Task',
-    unknown: 'Other Task'
-};
+// Rank and total per pilot for each view, compared by the next build's snapshot diff
+function buildRankSnapshot(leaderboardsByView) {
+    const ranks = {};
+    Object.entries(leaderboardsByView).forEach(([viewId, leaderboard]) => {
+        ranks[viewId] = {};
+        leaderboard.forEach(entry => {
+            ranks[viewId][entry.pilot] = { rank: entry.rank, totalPoints: entry.totalPoints };
+        });
+    });
+    return ranks;
+}
 
-function getDMSTShapeBonus(kind) {
-    if (!kind) return 0;
-    const normalized = String(kind).toUpperCase();
-    switch (normalized) {
-        case 'TR':
-        case 'TRIANGLE':
-        case 'DECLARATION':
-            return 0.40; // FAI Triangle
-        case 'OR':
-        case 'OUT_RETURN':
-            return 0.30; // Out & Return
-        case 'GL':
-        case 'OUT':
-        case 'GOAL':
-            return 0.30; // Straight Out / Goal
-        case 'RT':
-        case 'RECTANGLE':
-            return 0.40; // Rectangle bonus
-        case 'MTR':
-            return 0.20; // Multi-lap triangle/rectangle
-        case 'SP':
-        case 'SPEED':
-        case 'FR':
-        case 'FR4':
-            return 0.0; // No bonus
-        default:
-            return 0.0;
-    }
+function saveBuildState(config, rulesHash, records, ranks, updatedAt) {
+    const pilots = {};
+    records.forEach(record => {
+        const key = record.userId != null ? String(record.userId) : 'unknown';
+        if (!pilots[key]) {
+            pilots[key] = { name: record.pilotName, flights: {} };
+        }
+        pilots[key].flights[record.id] = record;
+    });
+
+    fs.writeFileSync(config.buildStateFile, JSON.stringify({
+        version: BUILD_STATE_VERSION,
+        rulesHash,
+        inputFile: config.inputFile,
+        updatedAt,
+        ranks,
+        pilots
+    }));
 }
 
-async function processAustralianFlights() {
-    console.log('🇦🇺 Processing Australian flights from JSONL...');
+// Build the leaderboard site described by a config from leaderboard_configs.js
+// (pass { fullRebuild: true } to rescore every flight instead of reusing the build state)
+async function processFlights(config, { fullRebuild = false } = {}) {
+    console.log(`${config.flag} Processing ${config.countryName} flights from ${config.inputFile}...`);
 
-    const pilotFlightsMixed = {};  // Mixed scoring (AU/Free)
-    const pilotFlightsFree = {};   // Free-only scoring
-    const pilotFlightsSprint = {}; // Sprint contest scoring
-    const pilotFlightsTriangle = {}; // Triangle contest scoring
-    const pilotFlightsOutReturn = {}; // Out & Return contest scoring
-    const pilotFlightsOut = {}; // Straight out (goal) contest scoring
+    // Flights per pilot for each configured leaderboard view (config.leaderboards)
+    const pilotFlightsByView = {};
+    config.leaderboards.forEach(view => {
+        pilotFlightsByView[view.id] = {};
+    });
     let totalProcessed = 0;
-    let australianCount = 0;
-    let australianFlights = []; // Store all flight data for detailed tooltips
-    let allFlightData = []; // Store all original flight data for statistics
-    let seasonStartDate = null;
-    let seasonEndDate = null;
+    let seasonFlightCount = 0;
+    let outOfSeasonCount = 0;
+    let detailedFlights = []; // Store all flight data for detailed tooltips
+    const buildRecords = []; // Every flight in the input, for the build state
+    let seasonRecords = []; // Flights inside the season window, in file order
+    const excludedRecords = []; // Invalid flights inside the season window, for the review report
+    let reusedCount = 0;
+    let rescoredCount = 0;
+    const rulesHash = computeRulesHash(config);
+    const previousState = loadBuildState(config);
+    const previousRecords = fullRebuild ? new Map() : getReusableRecords(previousState, rulesHash);
+    const seasonStartDate = new Date(config.seasonStart + 'T00:00:00Z');
+    const seasonEndDate = new Date(config.seasonEnd + 'T00:00:00Z');
 
     try {
-        const fileStream = fs.createReadStream('australian_flights_2025_details.jsonl');
+        const fileStream = fs.createReadStream(config.inputFile);
         const rl = readline.createInterface({
             input: fileStream,
             crlfDelay: Infinity
@@ -186,523 +608,317 @@ async function processAustralianFlights() {
             if (line.trim().length > 0) {
                 totalProcessed++;
 
-                try {
-                    const flight = JSON.parse(line);
-
-                    // All flights in this file are Australian
-                    australianCount++;
-                    const pilotName = flight.user?.name;
-
-                    // Track season date range
-                    if (flight.scoring_date) {
-                        const scoringDate = new Date(flight.scoring_date + 'T00:00:00Z');
-                        if (!Number.isNaN(scoringDate.getTime())) {
-                            if (!seasonStartDate || scoringDate < seasonStartDate) {
-                                seasonStartDate = scoringDate;
-                            }
-                            if (!seasonEndDate || scoringDate > seasonEndDate) {
-                                seasonEndDate = scoringDate;
-                            }
-                        }
-                    }
-
-                    // Store original flight data for statistics
-                    allFlightData.push(flight);
-
-                    // Skip invalid pilot names or club names
-                    if (!pilotName || pilotName.toLowerCase().includes('soaring club') ||
-                        pilotName.toLowerCase().includes('gliding club') ||
-                        pilotName.toLowerCase().includes('club')) {
-                        continue;
-                    }
-
-                    // Initialize pilot arrays for both scoring modes
-                    if (!pilotFlightsMixed[pilotName]) {
-                        pilotFlightsMixed[pilotName] = [];
-                    }
-                    if (!pilotFlightsFree[pilotName]) {
-                        pilotFlightsFree[pilotName] = [];
-                    }
-                    if (!pilotFlightsSprint[pilotName]) {
-                        pilotFlightsSprint[pilotName] = [];
-                    }
-                    if (!pilotFlightsTriangle[pilotName]) {
-                        pilotFlightsTriangle[pilotName] = [];
-                    }
-                    if (!pilotFlightsOutReturn[pilotName]) {
-                        pilotFlightsOutReturn[pilotName] = [];
-                    }
-                    if (!pilotFlightsOut[pilotName]) {
-                        pilotFlightsOut[pilotName] = [];
-                    }
-
-                    // Calculate scores for both modes
-                    const mixedScoringData = calculateBestScore(flight);
-                    const freeScoringData = calculateFreeScore(flight);
-
-                    // Add to mixed scoring leaderboard
-                    if (mixedScoringData.score > 0) {
-                        pilotFlightsMixed[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: mixedScoringData.distance,
-                            speed: mixedScoringData.speed,
-                            points: mixedScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: mixedScoringData.declared,
-                            contestType: mixedScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
-                    }
-
-                    // Add to free-only leaderboard
-                    if (freeScoringData.score > 0) {
-                        pilotFlightsFree[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: freeScoringData.distance,
-                            speed: freeScoringData.speed,
-                            points: freeScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: freeScoringData.declared,
-                            contestType: freeScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',  // Track aircraft type
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
-                    }
-
-                    const sprintScoringData = calculateContestScore(flight, 'sprint');
-                    if (sprintScoringData.score > 0) {
-                        pilotFlightsSprint[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: sprintScoringData.distance,
-                            speed: sprintScoringData.speed,
-                            points: sprintScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: sprintScoringData.declared,
-                            contestType: sprintScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
-                    }
-
-                    const triangleScoringData = calculateContestScore(flight, 'triangle');
-                    if (triangleScoringData.score > 0) {
-                        pilotFlightsTriangle[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: triangleScoringData.distance,
-                            speed: triangleScoringData.speed,
-                            points: triangleScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: triangleScoringData.declared,
-                            contestType: triangleScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
+                const hash = hashText(line);
+                let record = previousRecords.get(hash);
+                if (record) {
+                    reusedCount++;
+                } else {
+                    let flight;
+                    try {
+                        flight = JSON.parse(line);
+                    } catch (e) {
+                        continue; // Skip malformed lines
                     }
+                    record = deriveFlightRecord(flight, hash, config);
+                    rescoredCount++;
+                }
+                buildRecords.push(record);
 
-                    const outReturnScoringData = calculateContestScore(flight, 'out_return');
-                    if (outReturnScoringData.score > 0) {
-                        pilotFlightsOutReturn[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: outReturnScoringData.distance,
-                            speed: outReturnScoringData.speed,
-                            points: outReturnScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: outReturnScoringData.declared,
-                            contestType: outReturnScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
-                    }
+                // The input file holds one country's season; drop anything outside the configured window
+                const scoringDate = record.date ? new Date(record.date + 'T00:00:00Z') : null;
+                if (!scoringDate || Number.isNaN(scoringDate.getTime()) ||
+                    scoringDate < seasonStartDate || scoringDate > seasonEndDate) {
+                    outOfSeasonCount++;
+                    continue;
+                }
 
-                    const outScoringData = calculateContestScore(flight, 'out');
-                    if (outScoringData.score > 0) {
-                        pilotFlightsOut[pilotName].push({
-                            id: flight.id,
-                            userId: flight.user?.id,
-                            date: flight.scoring_date,
-                            distance: outScoringData.distance,
-                            speed: outScoringData.speed,
-                            points: outScoringData.score,
-                            takeoff: flight.takeoff_airport?.name || '',
-                            region: flight.takeoff_airport?.region || '',
-                            declared: outScoringData.declared,
-                            contestType: outScoringData.contestType,
-                            aircraftKind: flight.aircraft?.kind || 'unknown',
-                            aircraftName: flight.aircraft?.name || '',
-                            dmstIndex: flight.dmst_index || null
-                        });
-                    }
+                seasonFlightCount++;
+                if (record.review.excluded) {
+                    excludedRecords.push(record);
+                    continue;
+                }
+                seasonRecords.push(record);
+            }
 
-                    // Store comprehensive flight stats for tooltip use if it has scoring data
-                    if (mixedScoringData.score > 0 || freeScoringData.score > 0) {
-                        // Get stats from both contest types
-                        const auContest = flight.contest?.find(c => c.name === 'au' && c.points > 0);
-                        const declarationContest = flight.contest?.find(c => c.name === 'declaration' && c.points > 0);
-                        const freeContest = flight.contest?.find(c => c.name === 'free' && c.points > 0);
-                        const taskAchieved = flight.task_achieved === true;
-
-                        if (freeContest || auContest) {
-                            const flightStats = {
-                                id: flight.id,
-                                taskAchieved: taskAchieved,
-                                hasTask: !!flight.task, // Track if a task was declared
-                                bestContestType: mixedScoringData.contestType || 'free',
-                                // Store both free and task stats for dynamic switching
-                                freeStats: null,
-                                taskStats: null,
-                                taskInfo: null
-                            };
+            // Progress indicator
+            if (totalProcessed % 10000 === 0) {
+                console.log(`Processed ${totalProcessed} lines, found ${seasonFlightCount} ${config.countryName} flights...`);
+            }
+        }
 
-                            // Extract comprehensive stats from free contest
-                            if (freeContest?.score) {
-                                flightStats.freeStats = {
-                                    glide_ratio: freeContest.score.glide_ratio,
-                                    thermal_avg: freeContest.score.thermal_avg,
-                                    glide_speed: freeContest.score.glide_speed,
-                                    glide_speed_lift: freeContest.score.glide_speed_lift,
-                                    glide_speed_sink: freeContest.score.glide_speed_sink,
-                                    altitude_avg: freeContest.score.altitude_avg,
-                                    agl_avg: freeContest.score.agl_avg,
-                                    thermal_count: freeContest.score.thermal_count,
-                                    thermal_gain: freeContest.score.thermal_gain,
-                                    thermal_radius: freeContest.score.thermal_radius,
-                                    thermal_start_agl: freeContest.score.thermal_start_agl,
-                                    thermal_bank: freeContest.score.thermal_bank,
-                                    glide_percentage: freeContest.score.glide_percentage,
-                                    glide_percentage_lift: freeContest.score.glide_percentage_lift,
-                                    duration: freeContest.score.duration,
-                                    thermal_time: freeContest.score.thermal_time,
-                                    glide_time: freeContest.score.glide_time,
-                                    wind_speed: freeContest.score.wind_speed,
-                                    wind_direction: freeContest.score.wind_direction,
-                                    attempt_count: freeContest.score.attempt_count,
-                                    attempt_avg: freeContest.score.attempt_avg,
-                                    attempt_speed_loss: freeContest.score.attempt_speed_loss,
-                                    // All altitude threshold stats
-                                    below_1000_agl: freeContest.score.below_1000_agl,
-                                    below_800_agl: freeContest.score.below_800_agl,
-                                    below_600_agl: freeContest.score.below_600_agl,
-                                    below_400_agl: freeContest.score.below_400_agl,
-                                    below_200_agl: freeContest.score.below_200_agl,
-                                    below_100_agl: freeContest.score.below_100_agl,
-                                    track_distance: freeContest.score.track_distance,
-                                    glide_detour: freeContest.score.glide_detour,
-                                    glide_distance: freeContest.score.glide_distance,
-                                    glide_alt_avg: freeContest.score.glide_alt_avg,
-                                    end_time: freeContest.score.end_time,
-                                    start_time: freeContest.score.start_time,
-                                    // Get finish altitude from last leg
-                                    finish_alt: freeContest.score.leg?.[freeContest.score.leg.length - 1]?.end_alt
-                                };
-                            }
+        console.log(`✅ Processed ${totalProcessed} total flights, found ${seasonFlightCount} ${config.countryName} flights in season ${config.seasonStart} - ${config.seasonEnd}`);
+        if (outOfSeasonCount > 0) {
+            console.log(`ℹ️ Skipped ${outOfSeasonCount} flights outside the season window`);
+        }
+        console.log(`♻️ Reused ${reusedCount} unchanged flights, scored ${rescoredCount} new or changed flights`);
+        if (excludedRecords.length > 0) {
+            console.log(`⛔ Excluded ${excludedRecords.length} invalid flights (see ${config.reviewReportFile})`);
+        }
 
-                            // Extract comprehensive stats from AU task contest
-                            if (auContest?.score) {
-                                flightStats.taskStats = {
-                                    glide_ratio: auContest.score.glide_ratio,
-                                    thermal_avg: auContest.score.thermal_avg,
-                                    glide_speed: auContest.score.glide_speed,
-                                    glide_speed_lift: auContest.score.glide_speed_lift,
-                                    glide_speed_sink: auContest.score.glide_speed_sink,
-                                    altitude_avg: auContest.score.altitude_avg,
-                                    agl_avg: auContest.score.agl_avg,
-                                    thermal_count: auContest.score.thermal_count,
-                                    thermal_gain: auContest.score.thermal_gain,
-                                    thermal_radius: auContest.score.thermal_radius,
-                                    thermal_start_agl: auContest.score.thermal_start_agl,
-                                    thermal_bank: auContest.score.thermal_bank,
-                                    glide_percentage: auContest.score.glide_percentage,
-                                    glide_percentage_lift: auContest.score.glide_percentage_lift,
-                                    duration: auContest.score.duration,
-                                    thermal_time: auContest.score.thermal_time,
-                                    glide_time: auContest.score.glide_time,
-                                    wind_speed: auContest.score.wind_speed,
-                                    wind_direction: auContest.score.wind_direction,
-                                    attempt_count: auContest.score.attempt_count,
-                                    attempt_avg: auContest.score.attempt_avg,
-                                    attempt_speed_loss: auContest.score.attempt_speed_loss,
-                                    // All altitude threshold stats
-                                    below_1000_agl: auContest.score.below_1000_agl,
-                                    below_800_agl: auContest.score.below_800_agl,
-                                    below_600_agl: auContest.score.below_600_agl,
-                                    below_400_agl: auContest.score.below_400_agl,
-                                    below_200_agl: auContest.score.below_200_agl,
-                                    below_100_agl: auContest.score.below_100_agl,
-                                    track_distance: auContest.score.track_distance,
-                                    glide_detour: auContest.score.glide_detour,
-                                    glide_distance: auContest.score.glide_distance,
-                                    glide_alt_avg: auContest.score.glide_alt_avg,
-                                    end_time: auContest.score.end_time,
-                                    start_time: auContest.score.start_time,
-                                    // Get finish altitude from last leg
-                                    finish_alt: auContest.score.leg?.[auContest.score.leg.length - 1]?.end_alt,
-                                    // Task-specific timing
-                                    task_duration: auContest.score.duration,
-                                    total_duration: freeContest?.score?.duration || auContest.score.duration
-                                };
+        // Helper: server-side fetch of pilot profile data (no CORS in Node)
+        async function fetchUserProfilesServer(pilotIds) {
+            const durations = {};
+            const profiles = {};
+            const chunk = 100;
+            for (let i = 0; i < pilotIds.length; i += chunk) {
+                const slice = pilotIds.slice(i, i + chunk);
+                const url = `https://api.weglide.org/v1/user?id_in=${slice.join(',')}`;
+                try {
+                    const resp = await fetch(url);
+                    if (!resp.ok) continue;
+                    const arr = await resp.json();
+                    arr.forEach(u => {
+                        if (u && typeof u.id === 'number') {
+                            // Store duration for backward compatibility
+                            if (typeof u.total_flight_duration === 'number') {
+                                durations[u.id] = u.total_flight_duration;
                             }
-
-                            const hasDeclaredTask = !!flight.task;
-                            const taskKind = flight.task?.kind || null;
-                            const normalizedTaskKind = taskKind ? taskKind.toUpperCase() : null;
-                            const taskTypeLabel = taskKind ? (TASK_KIND_LABELS[taskKind]
-                                || (normalizedTaskKind ? TASK_KIND_LABELS[normalizedTaskKind] : undefined)
-                                || taskKind) : 'No task declared';
-                            const taskDistance = typeof flight.task?.distance === 'number'
-                                ? flight.task.distance
-                                : (typeof auContest?.distance === 'number' ? auContest.distance
-                                    : (typeof declarationContest?.distance === 'number' ? declarationContest.distance : null));
-
-                            const taskContestUsed = (mixedScoringData.contestType === 'au' || mixedScoringData.contestType === 'declaration')
-                                ? mixedScoringData.contestType
-                                : (auContest ? 'au' : declarationContest ? 'declaration' : null);
-
-                            const taskContestPoints = taskContestUsed === 'au'
-                                ? auContest?.points
-                                : taskContestUsed === 'declaration'
-                                    ? declarationContest?.points
-                                    : null;
-
-                            const dmstIndex = typeof flight.dmst_index === 'number' && flight.dmst_index > 0
-                                ? flight.dmst_index
-                                : null;
-                            const dmstIndexFactor = dmstIndex ? (dmstIndex / 100) : 1;
-                            const auScoreName = auContest?.score?.name || null;
-                            const dmstFreeDistanceRaw = typeof auContest?.score?.distance === 'number'
-                                ? auContest.score.distance
-                                : (typeof auContest?.distance === 'number'
-                                    ? auContest.distance
-                                    : (typeof freeContest?.score?.distance === 'number'
-                                        ? freeContest.score.distance
-                                        : (typeof freeContest?.distance === 'number'
-                                            ? freeContest.distance
-                                            : null)));
-                            const dmstFreeDistance = Number.isFinite(dmstFreeDistanceRaw) ? dmstFreeDistanceRaw : null;
-                            const freeShapeBonus = getDMSTShapeBonus(auScoreName || taskKind);
-                            const dmstFreePointsCalc = Number.isFinite(dmstFreeDistance) && dmstIndexFactor
-                                ? (dmstFreeDistance * (1 + freeShapeBonus)) / dmstIndexFactor
-                                : null;
-
-                            const taskDistanceForCalc = typeof flight.task?.distance === 'number'
-                                ? flight.task.distance
-                                : dmstFreeDistance;
-                            const taskShapeBonus = getDMSTShapeBonus(taskKind || auScoreName);
-                            const declarationBonus = hasDeclaredTask ? 0.30 : 0;
-                            const taskMultiplierActual = 1 + taskShapeBonus + (taskAchieved ? declarationBonus : 0);
-                            const taskMultiplierPotential = 1 + taskShapeBonus + declarationBonus;
-                            const dmstTaskActualPoints = taskDistanceForCalc && dmstIndexFactor
-                                ? (taskDistanceForCalc * taskMultiplierActual) / dmstIndexFactor
-                                : null;
-                            const dmstTaskPotentialPoints = taskDistanceForCalc && dmstIndexFactor
-                                ? (taskDistanceForCalc * taskMultiplierPotential) / dmstIndexFactor
-                                : null;
-
-                            flightStats.taskInfo = {
-                                hasTask: !!flight.task,
-                                distanceKm: typeof taskDistance === 'number' ? taskDistance : null,
-                                type: taskKind,
-                                typeLabel: taskTypeLabel,
-                                completed: taskAchieved,
-                                taskContestUsed,
-                                taskContestLabel: (() => {
-                                    if (!taskContestUsed) return 'Task Score';
-                                    if (taskContestUsed === 'declaration') return 'WeGlide/DMSt Task Score';
-                                    if (taskContestUsed === 'au') {
-                                        if (!taskAchieved) {
-                                            return 'WeGlide/DMSt Task Score (not finished)';
-                                        }
-                                        if (auContest?.score?.declared === false) {
-                                            return 'DMSt Free > Task';
-                                        }
-                                        return 'WeGlide/DMSt Task Score';
-                                    }
-                                    return 'Task Score';
-                                })(),
-                                taskContestPoints: typeof taskContestPoints === 'number' ? taskContestPoints : null,
-                                freePoints: typeof freeContest?.points === 'number' ? freeContest.points : null,
-                                auPoints: typeof auContest?.points === 'number' ? auContest.points : null,
-                                declarationPoints: typeof declarationContest?.points === 'number' ? declarationContest.points : null,
-                                bestContestType: mixedScoringData.contestType || 'free',
-                                dmstFreePoints: dmstFreePointsCalc,
-                                dmstFreeDistance: dmstFreeDistance,
-                                dmstTaskActualPoints: dmstTaskActualPoints,
-                                dmstTaskPotentialPoints: dmstTaskPotentialPoints,
-                                dmstTaskDistance: typeof taskDistanceForCalc === 'number' && Number.isFinite(taskDistanceForCalc)
-                                    ? taskDistanceForCalc
-                                    : (Number.isFinite(dmstFreeDistance) ? dmstFreeDistance : null),
-                                weglideFreeDistance: (() => {
-                                    if (Number.isFinite(freeContest?.score?.distance)) return freeContest.score.distance;
-                                    if (Number.isFinite(freeContest?.distance)) return freeContest.distance;
-                                    return null;
-                                })(),
-                                dmstIndex: dmstIndex
+                            // Store full profile data for tooltips
+                            profiles[u.id] = {
+                                total_flight_duration: u.total_flight_duration || 0,
+                                total_free_distance: u.total_free_distance || 0,
+                                avg_speed: u.avg_speed || 0,
+                                flight_count: u.flight_count || 0,
+                                avg_glide_speed: u.avg_glide_speed || 0,
+                                avg_glide_detour: u.avg_glide_detour || 0,
+                                achievement_count: u.achievement_count || 0,
+                                name: u.name || '',
+                                gender: u.gender || '',
+                                club: u.club || {},
+                                home_airport: u.home_airport || {}
                             };
-
-                            australianFlights.push(flightStats);
                         }
-                    }
+                    });
                 } catch (e) {
-                    // Skip malformed lines
+                    console.warn('Server-side profile fetch failed for batch:', e.message || e);
                 }
             }
-
-            // Progress indicator
-            if (totalProcessed % 10000 === 0) {
-                console.log(`Processed ${totalProcessed} lines, found ${australianCount} Australian flights...`);
-            }
+            return { durations, profiles };
         }
 
-        console.log(`✅ Processed ${totalProcessed} total flights, found ${australianCount} Australian flights`);
-
-        // Function to generate leaderboard from pilot flights
-        function generateLeaderboard(pilotFlights, maxFlights = 5) {
-            const leaderboard = [];
-
-            Object.keys(pilotFlights).forEach(pilotName => {
-                const flights = pilotFlights[pilotName];
+        // Compute unique pilot IDs and prefetch profile data server-side (residency rules need it)
+        const creditShares = COPILOT_CREDIT_SHARES[config.copilotCredit];
+        const allPilotIds = Array.from(new Set(seasonRecords.flatMap(record => [
+            record.userId,
+            creditShares.copilot > 0 ? record.copilot?.id : null
+        ]).filter(id => id != null)));
+        let pilotDurationsEmbedded = {};
+        let pilotProfilesEmbedded = {};
+        try {
+            const durationsPath = config.userDurationsFile;
+            const profilesPath = config.userProfilesFile;
+            let loaded = false;
 
-                // Sort flights by points (descending) and take top N
-                const bestFlights = flights
-                    .sort((a, b) => b.points - a.points)
-                    .slice(0, maxFlights);
-
-                if (bestFlights.length > 0) {
-                    const totalPoints = bestFlights.reduce((sum, flight) => sum + flight.points, 0);
-                    const totalDistance = bestFlights.reduce((sum, flight) => sum + flight.distance, 0);
-
-                    leaderboard.push({
-                        pilot: pilotName,
-                        pilotId: bestFlights[0].userId || bestFlights[0].id,
-                        totalPoints: totalPoints,
-                        totalDistance: totalDistance,
-                        flightCount: bestFlights.length,
-                        bestFlights: bestFlights
-                    });
+            // Try to load both caches
+            if (fs.existsSync(durationsPath) && fs.existsSync(profilesPath)) {
+                pilotDurationsEmbedded = JSON.parse(fs.readFileSync(durationsPath, 'utf-8'));
+                pilotProfilesEmbedded = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
+                if (pilotDurationsEmbedded && Object.keys(pilotDurationsEmbedded).length > 0 &&
+                    pilotProfilesEmbedded && Object.keys(pilotProfilesEmbedded).length > 0) {
+                    console.log(`ℹ️ Loaded cached ${durationsPath} and profiles`);
+                    loaded = true;
+                } else {
+                    console.log('ℹ️ Cache exists but incomplete, refetching data...');
                 }
-            });
+            }
 
-            // Sort leaderboard by total points
-            leaderboard.sort((a, b) => b.totalPoints - a.totalPoints);
-            return leaderboard;
+            if (!loaded) {
+                console.log('⏬ Fetching pilot profile data from WeGlide...');
+                const { durations, profiles } = await fetchUserProfilesServer(allPilotIds);
+                pilotDurationsEmbedded = durations;
+                pilotProfilesEmbedded = profiles;
+
+                fs.writeFileSync(durationsPath, JSON.stringify(pilotDurationsEmbedded, null, 2));
+                fs.writeFileSync(profilesPath, JSON.stringify(pilotProfilesEmbedded, null, 2));
+                console.log('💾 Saved pilot durations and profiles to cache files');
+            }
+        } catch (e) {
+            console.warn('⚠️ Could not load/save pilot profile data:', e.message || e);
         }
 
-        // Generate both leaderboards
-        const mixedLeaderboard = generateLeaderboard(pilotFlightsMixed);
-        const freeLeaderboard = generateLeaderboard(pilotFlightsFree);
-        const sprintLeaderboard = generateLeaderboard(pilotFlightsSprint, 3);
-        const triangleLeaderboard = generateLeaderboard(pilotFlightsTriangle, 3);
-        const outReturnLeaderboard = generateLeaderboard(pilotFlightsOutReturn, 3);
-        const outLeaderboard = generateLeaderboard(pilotFlightsOut, 3);
+        // Every flight a pilot flew this season counts for the PIC hours estimate, including
+        // invalid flights and flights the eligibility rules leave off the leaderboards
+        const seasonFlightDurations = seasonFlightsByPilot([...seasonRecords, ...excludedRecords]);
 
-        // Function to generate Silver C-Gull Trophy leaderboard (juniors with silver badge)
-        function generateSilverCGullLeaderboard() {
-            const silverBadgeJuniors = [];
+        // Apply the config's eligibility rules (allow/deny lists, club accounts, co-pilots, residency)
+        const eligibilityExclusions = [];
+        seasonRecords = seasonRecords.filter(record => {
+            const result = checkFlightEligibility(record, config.eligibility, pilotProfilesEmbedded[record.userId]);
+            if (result) {
+                eligibilityExclusions.push({ record, result });
+            }
+            return !result;
+        });
 
-            // Re-read the file to find silver badge achievements
-            const fileStream = fs.createReadStream('/Users/ryanwood/GitHub/WeGlide-API/australian_flights_2025_details.jsonl');
+        // Co-pilots with a WeGlide account are credited (config.copilotCredit) when they pass the same rules
+        const copilotCredit = findCreditedCopilots(seasonRecords, config.eligibility, creditShares, pilotProfilesEmbedded);
+        const creditedCopilotRecords = copilotCredit.credited;
+        eligibilityExclusions.push(...copilotCredit.exclusions);
+        if (copilotCredit.withoutAccount > 0) {
+            console.log(`ℹ️ ${copilotCredit.withoutAccount} co-pilots without a WeGlide account were not credited`);
+        }
+        const ineligiblePilots = summarizeExclusions(eligibilityExclusions);
+        ineligiblePilots.forEach(entry => {
+            console.log(`🚫 Not ranked: ${entry.pilot} (${entry.userId ?? 'no id'}) - ${entry.reason} [${entry.flightIds.length} flights]`);
+        });
 
-            return new Promise((resolve) => {
-                const rl = readline.createInterface({
-                    input: fileStream,
-                    crlfDelay: Infinity
-                });
+        // Group the season's flights per pilot for each leaderboard view; two-seater
+        // flights are shared with the co-pilot according to config.copilotCredit
+        const copilotFlightsByPilot = {}; // Flights flown as co-pilot, for the pilot tooltips
+        seasonRecords.forEach(record => {
+            const copilotCredited = creditedCopilotRecords.has(record);
+            const shares = flightCreditShares(creditShares, copilotCredited);
+            Object.keys(record.scores).forEach(viewId => {
+                const pilotFlights = pilotFlightsByView[viewId];
+                if (!pilotFlights) return;
+                const entry = record.scores[viewId];
+                if (!pilotFlights[record.pilotName]) {
+                    pilotFlights[record.pilotName] = [];
+                }
+                pilotFlights[record.pilotName].push(creditLeaderboardFlight(entry, { share: shares.pic }));
 
-                rl.on('line', (line) => {
-                    if (line.trim().length > 0) {
-                        try {
-                            const flight = JSON.parse(line);
-
-                            // Check for silver badge achievement in junior pilots
-                            if (flight.junior && flight.achievement && Array.isArray(flight.achievement)) {
-                                const silverBadge = flight.achievement.find(a => a.badge_id === 'silver');
-                                if (silverBadge) {
-                                    // Check if we already have this pilot
-                                    const existingPilot = silverBadgeJuniors.find(p => p.userId === flight.user.id);
-                                    if (!existingPilot) {
-                                        silverBadgeJuniors.push({
-                                            pilot: flight.user.name,
-                                            flightId: flight.id,
-                                            date: flight.scoring_date,
-                                            distance: getBestDistance(flight),
-                                            duration: formatDuration(flight.total_seconds),
-                                            points: getBestPoints(flight),
-                                            takeoff: flight.takeoff_airport?.name || 'Unknown',
-                                            club: flight.club?.name || 'Unknown',
-                                            userId: flight.user.id
-                                        });
-                                    }
-                                }
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON lines
-                        }
+                if (copilotCredited) {
+                    if (!pilotFlights[record.copilot.name]) {
+                        pilotFlights[record.copilot.name] = [];
                     }
+                    pilotFlights[record.copilot.name].push(creditLeaderboardFlight(entry, {
+                        share: shares.copilot,
+                        userId: record.copilot.id,
+                        copilotOf: record.pilotName
+                    }));
+                }
+            });
+            if (record.details) {
+                detailedFlights.push(record.details);
+            }
+            if (record.copilot?.id != null) {
+                if (!copilotFlightsByPilot[record.copilot.id]) {
+                    copilotFlightsByPilot[record.copilot.id] = [];
+                }
+                copilotFlightsByPilot[record.copilot.id].push({
+                    id: record.id,
+                    date: record.date,
+                    pic: record.pilotName,
+                    points: record.scores.mixed ? record.scores.mixed.points * shares.copilot : 0,
+                    credited: copilotCredited
                 });
+            }
+        });
 
-                rl.on('close', () => {
-                    // Sort by pilot name
-                    silverBadgeJuniors.sort((a, b) => a.pilot.localeCompare(b.pilot));
-                    resolve(silverBadgeJuniors);
-                });
-            });
-        }
+        // Rank each view using its profile's best-N and tie-break rules
+        const leaderboardsByView = {};
+        config.leaderboards.forEach(view => {
+            leaderboardsByView[view.id] = rankPilots(pilotFlightsByView[view.id], view.profile);
+        });
+        const mixedLeaderboard = leaderboardsByView.mixed;
+        const freeLeaderboard = leaderboardsByView.free;
 
-        function getBestDistance(flight) {
-            if (!flight.contest || !Array.isArray(flight.contest)) return 'Unknown';
+        const snapshot = {
+            updatedAt: new Date().toISOString(),
+            records: buildRecords,
+            ranks: buildRankSnapshot(leaderboardsByView)
+        };
+        saveBuildState(config, rulesHash, snapshot.records, snapshot.ranks, snapshot.updatedAt);
+        console.log(`💾 Saved build state to ${config.buildStateFile}`);
+
+        // Report what changed upstream since the previous build
+        if (previousState) {
+            const snapshotDiff = diffSnapshots(snapshotFromBuildState(previousState), snapshot);
+            printDiffSummary(snapshotDiff);
+            fs.writeFileSync(config.snapshotDiffFile, JSON.stringify(snapshotDiff, null, 2));
+            console.log(`💾 Saved snapshot diff to ${config.snapshotDiffFile}`);
+        } else {
+            console.log('ℹ️ No previous build state - skipping the snapshot diff');
+        }
+
+        // Invalid flights and ineligible pilots kept off the leaderboards, plus counted flights with WeGlide notices
+        const reviewReport = {
+            generatedAt: snapshot.updatedAt,
+            inputFile: config.inputFile,
+            season: `${config.seasonStart} - ${config.seasonEnd}`,
+            excluded: excludedRecords.map(record => ({
+                flightId: record.id,
+                pilot: record.pilotName,
+                userId: record.userId,
+                date: record.date,
+                reasons: record.review.reasons,
+                notices: record.review.notices,
+                editAllowedUntil: record.review.editAllowedUntil,
+                url: `https://www.weglide.org/flight/${record.id}`
+            })),
+            ineligible: ineligiblePilots,
+            notices: seasonRecords.filter(record => record.review.notices.length > 0).map(record => ({
+                flightId: record.id,
+                pilot: record.pilotName,
+                date: record.date,
+                notices: record.review.notices
+            }))
+        };
+        fs.writeFileSync(config.reviewReportFile, JSON.stringify(reviewReport, null, 2));
+        console.log(`💾 Saved review report to ${config.reviewReportFile}`);
 
-            let bestDistance = 0;
-            flight.contest.forEach(contest => {
-                if (contest.distance && contest.distance > bestDistance) {
-                    bestDistance = contest.distance;
-                }
+        // Silver C-Gull Trophy leaderboard: juniors with a silver badge, first qualifying flight each
+        function generateSilverCGullLeaderboard(records) {
+            const silverBadgeJuniors = [];
+            const seenPilots = new Set();
+
+            records.forEach(record => {
+                if (!record.silverBadge || seenPilots.has(record.silverBadge.userId)) return;
+                seenPilots.add(record.silverBadge.userId);
+                silverBadgeJuniors.push(record.silverBadge);
             });
 
-            return bestDistance > 0 ? `${bestDistance.toFixed(1)} km` : 'Unknown';
+            // Sort by pilot name
+            silverBadgeJuniors.sort((a, b) => a.pilot.localeCompare(b.pilot));
+            return silverBadgeJuniors;
         }
 
-        function getBestPoints(flight) {
-            if (!flight.contest || !Array.isArray(flight.contest)) return 'Unknown';
-
-            let bestPoints = 0;
-            flight.contest.forEach(contest => {
-                if (contest.points && contest.points > bestPoints) {
-                    bestPoints = contest.points;
-                }
-            });
+        // Generate Silver C-Gull leaderboard
+        const silverCGullLeaderboard = generateSilverCGullLeaderboard(seasonRecords);
+
+        // Ranked candidates for the config's trophies; the page picks the winners
+        // against the live verifications (trophy_definitions.js)
+        const recordsById = new Map(seasonRecords.map(record => [record.id, record]));
+        const trophyCandidates = buildTrophyCandidates(config.trophies, {
+            records: seasonRecords,
+            recordsById,
+            views: config.leaderboards,
+            leaderboardsByView,
+            pilotFlightsByView,
+            silverCGullLeaderboard,
+            pilotDurations: pilotDurationsEmbedded
+        });
+        // Club and region teams scored from their pilots' best flights (config.teams)
+        const teamLeaderboards = config.teams
+            ? buildTeamLeaderboards(config.teams, { views: config.leaderboards, pilotFlightsByView, recordsById })
+            : null;
+        if (teamLeaderboards) {
+            console.log(`👥 Teams: ${config.teams.by.map(kind => `${teamLeaderboards[kind].length} ${TEAM_KINDS[kind].label.toLowerCase()}`).join(', ')}`);
+        }
 
-            return bestPoints > 0 ? `${bestPoints.toFixed(1)} pts` : 'Unknown';
+        // Every view ranked again within each handicap class (config.handicapClasses)
+        const classLeaderboardsByView = config.handicapClasses
+            ? buildClassLeaderboards(config.handicapClasses, { views: config.leaderboards, pilotFlightsByView, recordsById })
+            : {};
+        const flownClasses = (config.handicapClasses || []).filter(definition => classLeaderboardsByView.mixed[definition.id]);
+        if (flownClasses.length > 0) {
+            console.log(`🏷️ Handicap classes: ${flownClasses.map(definition => `${definition.label} ${classLeaderboardsByView.mixed[definition.id].length}`).join(', ')}`);
         }
 
-        function formatDuration(seconds) {
-            if (!seconds) return 'Unknown';
-            const hours = Math.floor(seconds / 3600);
-            const minutes = Math.floor((seconds % 3600) / 60);
-            return `${hours}h ${minutes}m`;
+        // Season flights by scoring date for the daily and weekly results pages
+        const dailyResults = buildDailyResults(seasonRecords, { creditShares, creditedCopilotRecords });
+
+        // Glider types compared on points per flight, XC speed and climb (config.aircraftTypes)
+        const aircraftTypeStats = config.aircraftTypes ? buildAircraftTypeStats(seasonRecords, config.aircraftTypes) : null;
+        if (aircraftTypeStats) {
+            const rankedTypes = aircraftTypeStats.types.filter(type => type.ranks.points);
+            console.log(`🛩️ Aircraft types: ${aircraftTypeStats.types.length} flown, ${rankedTypes.length} with ${config.aircraftTypes.minFlights}+ flights` +
+                (rankedTypes.length > 0 ? ` (top: ${rankedTypes[0].name} ${rankedTypes[0].pointsPerFlight.toFixed(1)} pts/flight)` : ''));
         }
 
-        // Generate Silver C-Gull leaderboard
-        const silverCGullLeaderboard = await generateSilverCGullLeaderboard();
+        if (config.trophies.length > 0) {
+            console.log(`🏆 Trophy candidates: ${config.trophies.map(definition => `${definition.title} ${trophyCandidates[definition.key].combined.length}`).join(', ')}`);
+        }
 
         // Calculate aircraft type awards for free leaderboard
         function calculateAircraftAwards(pilotFlights) {
@@ -758,7 +974,7 @@ async function processAustralianFlights() {
             };
         }
 
-        const aircraftAwards = calculateAircraftAwards(pilotFlightsFree);
+        const aircraftAwards = calculateAircraftAwards(pilotFlightsByView.free);
 
         // Add award badges to free leaderboard pilots
         freeLeaderboard.forEach(pilot => {
@@ -777,12 +993,7 @@ async function processAustralianFlights() {
         // Collect flight IDs that are actually used in the leaderboards
         const usedFlightIds = new Set();
         const leaderboardsForDetails = [
-            mixedLeaderboard,
-            freeLeaderboard,
-            sprintLeaderboard,
-            triangleLeaderboard,
-            outReturnLeaderboard,
-            outLeaderboard,
+            ...Object.values(leaderboardsByView),
             silverCGullLeaderboard
         ];
 
@@ -799,67 +1010,21 @@ async function processAustralianFlights() {
             });
         });
 
-        // Filter australianFlights to only include flights used in leaderboards
-        australianFlights = australianFlights.filter(flight => usedFlightIds.has(flight.id));
-        console.log(`📊 Storing ${australianFlights.length} flight details for tooltips`);
+        // Filter detailedFlights to only include flights used in leaderboards
+        detailedFlights = detailedFlights.filter(flight => usedFlightIds.has(flight.id));
+        console.log(`📊 Storing ${detailedFlights.length} flight details for tooltips`);
 
         // Write detailed flight data to separate file to avoid embedding large data
-        fs.writeFileSync('australian_flight_details.json', JSON.stringify(australianFlights, null, 2));
-        console.log(`💾 Saved detailed flight data to australian_flight_details.json`);
+        fs.writeFileSync(config.flightDetailsFile, JSON.stringify(detailedFlights, null, 2));
+        console.log(`💾 Saved detailed flight data to ${config.flightDetailsFile}`);
 
         // Write minimal flight data for task stats to separate file
-        const minimalFlightData = allFlightData.map(f => {
-            const bestContest = Array.isArray(f.contest) ? f.contest.reduce((best, current) => {
-                if (!current || typeof current.points !== 'number') return best;
-                if (!best || current.points > (best.points || 0)) {
-                    return current;
-                }
-                return best;
-            }, null) : null;
-
-            const primaryDistance = (typeof bestContest?.distance === 'number')
-                ? bestContest.distance
-                : (typeof f.task?.distance === 'number') ? f.task.distance
-                : null;
-
-            const durationSeconds = (typeof f.total_seconds === 'number')
-                ? f.total_seconds
-                : (typeof bestContest?.score?.duration === 'number') ? bestContest.score.duration
-                : null;
-
-            return {
-                id: f.id,
-                user: f.user ? { id: f.user.id, name: f.user.name } : null,
-                date: f.scoring_date || null,
-                distance: typeof primaryDistance === 'number' ? primaryDistance : 0,
-                duration: typeof durationSeconds === 'number' ? durationSeconds : 0,
-                taskDeclared: !!f.task,
-                taskCompleted: f.task_achieved === true,
-                task: f.task ? {
-                    kind: f.task.kind,
-                    from_igcfile: f.task.from_igcfile,
-                    distance: f.task.distance,
-                    laps: f.task.laps,
-                    name: f.task.name,
-                    type: f.task.type
-                } : null,
-                task_achieved: f.task_achieved === true,
-                contest: f.contest ? f.contest.map(c => ({
-                    name: c.name,
-                    points: c.points,
-                    distance: c.distance,
-                    speed: c.speed,
-                    score: c.score ? { declared: c.score.declared } : null
-                })) : null,
-                takeoff_airport: f.takeoff_airport ? { name: f.takeoff_airport.name, region: f.takeoff_airport.region } : null
-            };
-        });
-        fs.writeFileSync('australian_flight_stats.json', JSON.stringify(minimalFlightData, null, 2));
-        console.log(`💾 Saved flight stats data to australian_flight_stats.json`);
+        const minimalFlightData = seasonRecords.map(record => record.minimal);
+        fs.writeFileSync(config.flightStatsFile, JSON.stringify(minimalFlightData, null, 2));
+        console.log(`💾 Saved flight stats data to ${config.flightStatsFile}`);
 
         // Calculate statistics from ALL flights (not just top 5 used for leaderboard)
-        // Note: Need to access original flight data to check actual task objects
-        function calculateAllFlightStats(originalFlightData) {
+        function calculateAllFlightStats(records) {
             const pilotSet = new Set();
             let totalFlights = 0;
             let totalKms = 0;
@@ -867,53 +1032,13 @@ async function processAustralianFlights() {
             let totalTasksCompleted = 0;
             let totalTasksHigherThanFree = 0;
 
-            originalFlightData.forEach(flight => {
-                const pilotName = flight.user?.name;
-
-                // Skip invalid pilot names or club names
-                if (!pilotName || pilotName.toLowerCase().includes('soaring club') ||
-                    pilotName.toLowerCase().includes('gliding club') ||
-                    pilotName.toLowerCase().includes('club')) {
-                    return;
-                }
-
-                pilotSet.add(pilotName);
+            records.forEach(record => {
+                pilotSet.add(record.pilotName);
                 totalFlights++;
-
-                // Calculate distance from contest data
-                const mixedScoringData = calculateBestScore(flight);
-                if (mixedScoringData.score > 0) {
-                    totalKms += mixedScoringData.distance;
-                }
-
-                // Check for task declaration and completion using actual flight task data
-                if (flight.task) {
-                    totalTasksDeclared++;
-
-                    // Task is completed if task_achieved is true
-                    if (flight.task_achieved === true) {
-                        totalTasksCompleted++;
-                    }
-                }
-
-                // Count completed tasks that scored higher than free scoring
-                if (flight.contest && Array.isArray(flight.contest)) {
-                    const auContest = flight.contest.find(contest => contest.name === 'au' && contest.points > 0);
-                    const declarationContest = flight.contest.find(contest => contest.name === 'declaration' && contest.points > 0);
-                    const freeContest = flight.contest.find(contest => contest.name === 'free' && contest.points > 0);
-
-                    // Check if declared AU or Declaration scored higher than free
-                    const isAuDeclared = auContest?.score?.declared === true;
-                    const isDeclarationDeclared = declarationContest?.score?.declared === true;
-
-                    if (freeContest) {
-                        if (auContest && isAuDeclared && auContest.points > freeContest.points) {
-                            totalTasksHigherThanFree++;
-                        } else if (declarationContest && isDeclarationDeclared && declarationContest.points > freeContest.points) {
-                            totalTasksHigherThanFree++;
-                        }
-                    }
-                }
+                totalKms += record.stats.kms;
+                if (record.stats.taskDeclared) totalTasksDeclared++;
+                if (record.stats.taskCompleted) totalTasksCompleted++;
+                if (record.stats.taskHigherThanFree) totalTasksHigherThanFree++;
             });
 
             return {
@@ -927,7 +1052,7 @@ async function processAustralianFlights() {
         }
 
         // Use ALL flights for meta statistics
-        const allFlightStats = calculateAllFlightStats(allFlightData);
+        const allFlightStats = calculateAllFlightStats(seasonRecords);
         const totalPilots = allFlightStats.totalPilots;
         const totalFlights = allFlightStats.totalFlights;
         const totalKms = allFlightStats.totalKms;
@@ -944,120 +1069,190 @@ async function processAustralianFlights() {
             return;
         }
 
-        // Helper: server-side fetch of pilot profile data (no CORS in Node)
-        async function fetchUserProfilesServer(pilotIds) {
-            const durations = {};
-            const profiles = {};
-            const chunk = 100;
-            for (let i = 0; i < pilotIds.length; i += chunk) {
-                const slice = pilotIds.slice(i, i + chunk);
-                const url = `https://api.weglide.org/v1/user?id_in=${slice.join(',')}`;
-                try {
-                    const resp = await fetch(url);
-                    if (!resp.ok) continue;
-                    const arr = await resp.json();
-                    arr.forEach(u => {
-                        if (u && typeof u.id === 'number') {
-                            // Store duration for backward compatibility
-                            if (typeof u.total_flight_duration === 'number') {
-                                durations[u.id] = u.total_flight_duration;
-                            }
-                            // Store full profile data for tooltips
-                            profiles[u.id] = {
-                                total_flight_duration: u.total_flight_duration || 0,
-                                total_free_distance: u.total_free_distance || 0,
-                                avg_speed: u.avg_speed || 0,
-                                flight_count: u.flight_count || 0,
-                                avg_glide_speed: u.avg_glide_speed || 0,
-                                avg_glide_detour: u.avg_glide_detour || 0,
-                                achievement_count: u.achievement_count || 0,
-                                name: u.name || '',
-                                gender: u.gender || '',
-                                club: u.club || {},
-                                home_airport: u.home_airport || {}
-                            };
-                        }
-                    });
-                } catch (e) {
-                    console.warn('Server-side profile fetch failed for batch:', e.message || e);
-                }
+        // Load pilot verification data
+        let pilotVerificationData = { verifications: {} };
+        try {
+            const verificationPath = config.verificationFile;
+            if (fs.existsSync(verificationPath)) {
+                pilotVerificationData = JSON.parse(fs.readFileSync(verificationPath, 'utf-8'));
+                console.log(`ℹ️ Loaded ${verificationPath}`);
+            } else {
+                console.log('ℹ️ No pilot verification data found - will create empty verification system');
+            }
+        } catch (e) {
+            console.warn(`⚠️ Could not load ${config.verificationFile}:`, e.message || e);
+        }
+
+        // Raw dates of birth stay in the admin-only file; the page only gets the age on
+        // each candidate's Silver C achievement date
+        const datesOfBirth = loadPrivateDOBs(config.dobPrivateFile);
+        pilotVerificationData.dobVerifications = pilotVerificationData.dobVerifications || {};
+        const movedDOBs = extractRawDatesOfBirth(pilotVerificationData.dobVerifications, datesOfBirth);
+        const rederivedAges = refreshDerivedAges(pilotVerificationData.dobVerifications, datesOfBirth, silverCGullLeaderboard);
+        if (movedDOBs.length > 0 || rederivedAges.length > 0) {
+            // Private file first, so a raw date is never only in memory
+            savePrivateDOBs(config.dobPrivateFile, datesOfBirth);
+            fs.writeFileSync(config.verificationFile, JSON.stringify(pilotVerificationData, null, 2));
+            if (movedDOBs.length > 0) {
+                console.log(`🔒 Moved ${movedDOBs.length} dates of birth from ${config.verificationFile} to ${config.dobPrivateFile}`);
+            }
+            if (rederivedAges.length > 0) {
+                console.log(`🎂 Derived Silver C ages for ${rederivedAges.length} pilots - run sync_verifications.js to update Firestore`);
             }
-            return { durations, profiles };
         }
 
-        // Compute unique pilot IDs and prefetch profile data server-side
-        const allPilotIds = Array.from(new Set([...mixedLeaderboard, ...freeLeaderboard].map(p => p.pilotId)));
-        let pilotDurationsEmbedded = {};
-        let pilotProfilesEmbedded = {};
-        try {
-            const durationsPath = 'australian_user_durations.json';
-            const profilesPath = 'australian_user_profiles.json';
-            let loaded = false;
+        // Run server-side WeGlide verification calculation
+        console.log('🔄 Running WeGlide verification calculations...');
 
-            // Try to load both caches
-            if (fs.existsSync(durationsPath) && fs.existsSync(profilesPath)) {
-                pilotDurationsEmbedded = JSON.parse(fs.readFileSync(durationsPath, 'utf-8'));
-                pilotProfilesEmbedded = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
-                if (pilotDurationsEmbedded && Object.keys(pilotDurationsEmbedded).length > 0 &&
-                    pilotProfilesEmbedded && Object.keys(pilotProfilesEmbedded).length > 0) {
-                    console.log('ℹ️ Loaded cached australian_user_durations.json and profiles');
-                    loaded = true;
-                } else {
-                    console.log('ℹ️ Cache exists but incomplete, refetching data...');
-                }
+        // Server-side WeGlide verification calculation function
+        async function runServerSideVerificationCalculations() {
+            let calculatedCount = 0;
+            let updatedCount = 0;
+            const confidenceCounts = { high: 0, medium: 0, low: 0 };
+
+            // Each pilot's own flight list when pic_hours_estimator.js has fetched one,
+            // otherwise the season's flights from the JSONL (pic_hours_estimator.js)
+            const flightHistory = loadFlightHistory(config);
+            if (flightHistory) {
+                console.log(`ℹ️ Using the flight history fetched ${flightHistory.fetchedAt} for PIC hours estimates`);
             }
 
-            if (!loaded) {
-                console.log('⏬ Fetching pilot profile data from WeGlide...');
-                const { durations, profiles } = await fetchUserProfilesServer(allPilotIds);
-                pilotDurationsEmbedded = durations;
-                pilotProfilesEmbedded = profiles;
+            // Initialize verification data if not exists
+            if (!pilotVerificationData.picHoursVerifications) {
+                pilotVerificationData.picHoursVerifications = {};
+            }
 
-                fs.writeFileSync(durationsPath, JSON.stringify(pilotDurationsEmbedded, null, 2));
-                fs.writeFileSync(profilesPath, JSON.stringify(pilotProfilesEmbedded, null, 2));
-                console.log('💾 Saved pilot durations and profiles to cache files');
+            // Estimates for every pilot, including those with a declaration, so admins
+            // can review declarations against them (verification_review.js)
+            pilotVerificationData.picHoursEstimates = {};
+
+            // Process all pilots from mixed leaderboard (most comprehensive)
+            for (const pilot of mixedLeaderboard) {
+                const pilotId = pilot.pilotId;
+                const existingVerification = pilotVerificationData.picHoursVerifications[pilotId];
+                const history = flightHistory?.pilots?.[pilotId];
+
+                const estimate = history
+                    ? estimatePicHours({
+                        totalSeconds: history.totalFlightDuration,
+                        flights: history.flights,
+                        source: 'flight-list',
+                        seasonStart: config.seasonStart,
+                        fetchedAt: flightHistory.fetchedAt
+                    })
+                    : estimatePicHours({
+                        totalSeconds: pilotDurationsEmbedded[pilotId],
+                        flights: seasonFlightDurations[pilotId],
+                        source: 'season-file',
+                        seasonStart: config.seasonStart
+                    });
+
+                // Only process if we have meaningful WeGlide data
+                if (estimate) {
+                    calculatedCount++;
+                    confidenceCounts[estimate.calculation.confidence]++;
+                    pilotVerificationData.picHoursEstimates[pilotId] = { pilotName: pilot.pilot, ...estimate };
+
+                    // Never overwrite a pilot's own declaration, whatever its review status
+                    if (existingVerification && existingVerification.dataSource === 'user-entered') {
+                        continue;
+                    }
+
+                    // Update or create verification entry (only if no user data exists)
+                    pilotVerificationData.picHoursVerifications[pilotId] = {
+                        pilotName: pilot.pilot,
+                        picHours: estimate.picHours,
+                        verifiedDate: new Date().toISOString(),
+                        dataSource: 'weglide-calculated',
+                        eligible: estimate.eligible,
+                        calculation: estimate.calculation
+                    };
+                    updatedCount++;
+                }
             }
-        } catch (e) {
-            console.warn('⚠️ Could not load/save pilot profile data:', e.message || e);
-        }
 
-        // Load pilot verification data
-        let pilotVerificationData = { verifications: {} };
-        try {
-            const verificationPath = 'pilot_pic_hours_verification.json';
-            if (fs.existsSync(verificationPath)) {
-                pilotVerificationData = JSON.parse(fs.readFileSync(verificationPath, 'utf-8'));
-                console.log('ℹ️ Loaded pilot_pic_hours_verification.json');
+            // Save updated verification data back to file
+            if (calculatedCount > 0) {
+                try {
+                    fs.writeFileSync(config.verificationFile,
+                        JSON.stringify(pilotVerificationData, null, 2));
+                    console.log(`✅ Updated ${updatedCount}/${calculatedCount} pilot verifications with WeGlide data`);
+                    console.log(`📐 PIC hours estimate confidence: ${confidenceCounts.high} high, ${confidenceCounts.medium} medium, ${confidenceCounts.low} low`);
+
+                } catch (error) {
+                    console.error('❌ Failed to save verification calculations:', error);
+                }
             } else {
-                console.log('ℹ️ No pilot verification data found - will create empty verification system');
+                console.log('ℹ️ No verification updates needed');
             }
-        } catch (e) {
-            console.warn('⚠️ Could not load pilot_pic_hours_verification.json:', e.message || e);
+
         }
 
-        // Read the Canadian HTML template
-        const canadianHTML = fs.readFileSync('canadian_leaderboard_2025_embedded.html', 'utf-8');
+        await runServerSideVerificationCalculations();
 
-        // Replace Canadian-specific content with Australian content
-        let australianHTML = canadianHTML
-            .replace(/Canadian Gliding Leaderboard 2025/g, 'Soaring Association of Canada Leaderboard 2025')
-            .replace(/🏆 Canadian Gliding Leaderboard 2025/g, '🏆 Soaring Association of Canada Leaderboard 2025')
-            .replace(/Soaring Association of Canada/g, 'Soaring Association of Canada')
+        const pendingDeclarations = buildReviewQueue(pilotVerificationData);
+        if (pendingDeclarations.length > 0) {
+            console.log(`⏳ ${pendingDeclarations.length} pilot declarations awaiting admin review`);
+        }
+
+        // Season label shown on the page, e.g. "Oct 2024 - Sep 2025"
+        const seasonStartIso = config.seasonStart;
+        const seasonEndIso = config.seasonEnd;
+        const seasonLabel = `${MONTH_NAMES[seasonStartDate.getUTCMonth()]} ${seasonStartDate.getUTCFullYear()} - ${MONTH_NAMES[seasonEndDate.getUTCMonth()]} ${seasonEndDate.getUTCFullYear()}`;
+        const seasonStartLong = formatLongDate(seasonStartDate);
+        const seasonEndLong = formatLongDate(seasonEndDate);
+        const mixedView = config.leaderboards.find(view => view.id === 'mixed');
+
+        // Pilots left off the leaderboards by the eligibility rules, with the reason
+        const ineligibleSectionHtml = ineligiblePilots.length === 0 ? '' :
+            '<div class="task-stats-section"><div class="task-stats-header" onclick="toggleEligibilitySection()"><h5>🚫 Not Ranked (' + ineligiblePilots.length + ') <span class="toggle-arrow" id="eligibilityArrow">▶</span></h5></div>' +
+            '<div class="task-stats-content" id="eligibilityContent" style="display: none;"><div class="task-stats-table-wrapper"><table class="task-stats-table"><thead><tr><th>Pilot</th><th>Reason</th><th>Flights</th></tr></thead><tbody>' +
+            ineligiblePilots.map(entry => '<tr><td>' + escapeHtml(entry.pilot) + '</td><td>' + escapeHtml(entry.reason) + '</td><td>' + entry.flightIds.length + '</td></tr>').join('') +
+            '</tbody></table></div></div></div>';
+
+        const teamSectionHtml = teamLeaderboards ? renderTeamSection(teamLeaderboards, config.teams, {
+            viewLabel: config.leaderboards.find(view => view.id === config.teams.view).label,
+            pilotPagesHref: path.relative(path.dirname(config.outputFile), config.pilotPagesDir).split(path.sep).join('/')
+        }) : '';
+
+        // Latest flight of the day, linking to the daily and weekly results pages
+        const latestDay = dailyResults.days[dailyResults.days.length - 1];
+        const dailyPagesHref = path.relative(path.dirname(config.outputFile), config.dailyPagesDir).split(path.sep).join('/');
+        const dailySectionHtml = !latestDay ? '' :
+            '<div class="daily-highlight">⭐ <strong>Flight of the day</strong> (' + escapeHtml(formatLongDate(new Date(latestDay.date + 'T00:00:00Z'))) + '): ' +
+            latestDay.flightsOfTheDay.map(flight => escapeHtml(flight.pilot) + ' - ' + flight.points.toFixed(1) + ' pts, ' + Math.round(flight.distance || 0) + ' km').join(' / ') +
+            ' · <a href="' + escapeHtml(dailyPagesHref + '/' + latestDay.date + '.html') + '">Day results</a>' +
+            ' · <a href="' + escapeHtml(dailyPagesHref + '/' + latestDay.week.id + '.html') + '">Week ' + latestDay.week.id + '</a>' +
+            ' · <a href="' + escapeHtml(dailyPagesHref + '/index.html') + '">All days and weeks</a></div>';
+
+        // Best glider type on points per flight, linking to the aircraft type pages
+        const topAircraftType = aircraftTypeStats?.types.find(type => type.ranks.points?.rank === 1);
+        const aircraftPagesHref = path.relative(path.dirname(config.outputFile), config.aircraftPagesDir).split(path.sep).join('/');
+        const aircraftSectionHtml = !aircraftTypeStats || aircraftTypeStats.types.length === 0 ? '' :
+            '<div class="daily-highlight aircraft-highlight">🛩️ <strong>Aircraft types</strong>' +
+            (topAircraftType ? ': ' + escapeHtml(topAircraftType.name) + ' leads with ' + topAircraftType.pointsPerFlight.toFixed(1) + ' pts per flight' : '') +
+            ' · <a href="' + escapeHtml(aircraftPagesHref + '/index.html') + '">Points, XC speed and climb by type</a></div>';
+
+        // Read the HTML template (the original Canadian leaderboard page)
+        const templateHTML = fs.readFileSync(config.templateFile, 'utf-8');
+
+        // Replace the template's Canadian content with the configured leaderboard
+        let leaderboardHTML = templateHTML
+            .replace(/Canadian Gliding Leaderboard 2025/g, config.title)
             // Add Firebase CDN scripts before closing head tag
             .replace('</head>', `
     <!-- Firebase CDN -->
     <script src="https://www.gstatic.com/firebasejs/9.22.0/firebase-app-compat.js"></script>
+    <script src="https://www.gstatic.com/firebasejs/9.22.0/firebase-auth-compat.js"></script>
     <script src="https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore-compat.js"></script>
 </head>`)
             .replace(/sac_logo\.png/g, 'gfa_logo.png')
-            .replace(/Canadian gliding season runs October 1, 2024 to September 30, 2025/g, 'Australian gliding season runs October 1, 2024 to September 30, 2025')
-            .replace(/Oct 2024 - Sep 2025/g, 'Oct 2024 - Sep 2025')
-            .replace(/Best 5 flights per pilot • Higher of Free or Task scoring/g, 'Best 5 flights per pilot • Higher of WeGlide Task or Free scoring • Oct 2024 - Sep 2025')
+            .replace(/Canadian gliding season runs October 1, 2024 to September 30, 2025/g, `${config.countryName} gliding season runs ${seasonStartLong} to ${seasonEndLong}`)
             .replace(/Scoring uses the higher of Free flight or Task \(declared\) scoring for each flight/g, 'Scoring uses the higher of Free flight or WeGlide Task scoring for each flight')
             // Remove the logo image
             .replace(/<img src="[^"]*logo[^"]*"[^>]*>/g, '')
             // Add ID to scoring description for dynamic updates
-            .replace(/<p>Best 5 flights per pilot • Higher of WeGlide Task or Free scoring • Oct 2024 - Sep 2025<\/p>/g, '<p id="scoringDescription">Best 5 flights per pilot • Higher of <span class="scoring-tooltip" data-tooltip="task">WeGlide Task</span> or <span class="scoring-tooltip" data-tooltip="free">Free scoring</span> • Oct 2024 - Sep 2025</p>\n                ')
+            .replace(/<p>Best 5 flights per pilot • Higher of Free or Task scoring<\/p>/g, `<p id="scoringDescription">Best ${mixedView.profile.bestN} flights per pilot • ${mixedView.profile.description} • ${seasonLabel}</p>\n                `)
             // Replace season period with task stats
             .replace(/<div class="stat">\s*<span class="stat-number" id="seasonPeriod">Oct 2024 - Sep 2025<\/span>\s*<span class="stat-label">Season Period<\/span>\s*<\/div>/g,
                 `<div class="stat">
@@ -1074,25 +1269,53 @@ async function processAustralianFlights() {
                 </div>`);
 
         // Replace the script section with our custom implementation
-        const scriptStart = australianHTML.indexOf('<script>');
-        const scriptEnd = australianHTML.lastIndexOf('</script>') + 9;
+        const scriptStart = leaderboardHTML.indexOf('<script>');
+        const scriptEnd = leaderboardHTML.lastIndexOf('</script>') + 9;
 
         // Build script content with embedded durations
-        const seasonStartIso = seasonStartDate ? seasonStartDate.toISOString().split('T')[0] : '';
-        const seasonEndIso = seasonEndDate ? seasonEndDate.toISOString().split('T')[0] : '';
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const seasonLabel = (seasonStartDate && seasonEndDate)
-            ? `${monthNames[seasonStartDate.getUTCMonth()]} ${seasonStartDate.getUTCFullYear()} - ${monthNames[seasonEndDate.getUTCMonth()]} ${seasonEndDate.getUTCFullYear()}`
-            : 'Current Season';
+        // Labels and rules for each leaderboard view, used by the toggle buttons
+        const leaderboardViews = config.leaderboards.map(view => ({
+            id: view.id,
+            label: view.label,
+            description: view.profile.description,
+            bestN: view.profile.bestN
+        }));
+        const contestViewButtons = leaderboardViews
+            .filter(view => view.id !== 'mixed' && view.id !== 'free')
+            .map(view => `<button class="toggle-btn secondary" data-mode="${view.id}">${escapeHtml(view.label)}</button>`)
+            .join('\n                        ');
+        // Class selector, with the classes someone flew
+        const classSelectHtml = flownClasses.length === 0 ? '' :
+            '<select id="classSelect" class="class-select" title="Handicap class"><option value="">All classes</option>' +
+            flownClasses.map(definition => '<option value="' + definition.id + '">' + escapeHtml(definition.label) + '</option>').join('') + '</select>';
+
+        // The shared scoring, review and trophy modules are inlined so the page stays a single standalone file
+        const scoringModuleSource = fs.readFileSync(require.resolve('./weglide_scoring.js'), 'utf-8');
+        const reviewModuleSource = fs.readFileSync(require.resolve('./verification_review.js'), 'utf-8');
+        const trophyModuleSource = fs.readFileSync(require.resolve('./trophy_definitions.js'), 'utf-8');
 
         const newScriptContent = `<script>
+${scoringModuleSource}
+    </script>
+    <script>
+${reviewModuleSource}
+    </script>
+    <script>
+${trophyModuleSource}
+    </script>
+    <script>
+        const { calculateBestScore } = WeGlideScoring;
+        const { getReviewStatus, isApproved, isPending, buildReviewQueue, deriveAgeAtAchievement, getAgeAtAchievement, DECLARATION_KINDS } = VerificationReview;
+        const { decideTrophy } = TrophyDefinitions;
+
         // Global variables for leaderboard data
         let mixedLeaderboard = [];
         let freeLeaderboard = [];
-        let sprintLeaderboard = [];
-        let triangleLeaderboard = [];
-        let outReturnLeaderboard = [];
-        let outLeaderboard = [];
+        let leaderboardsByMode = {}; // Every configured view, keyed by mode id
+        let classLeaderboardsByMode = {}; // { mode: { classId: leaderboard } } for the class selector
+        const HANDICAP_CLASS_LABELS = ${JSON.stringify(Object.fromEntries(flownClasses.map(definition => [definition.id, definition.label])))};
+        let currentClass = '';
+        const LEADERBOARD_VIEWS = ${JSON.stringify(Object.fromEntries(leaderboardViews.map(view => [view.id, view])))};
         let silverCGullLeaderboard = [];
         let fullFlightData = [];
         let detailedFlightData = [];
@@ -1101,9 +1324,13 @@ async function processAustralianFlights() {
         const HOURS_200_SEC = 200 * 3600;
         let under200Enabled = false;
         const IS_TOUCH_DEVICE = (('ontouchstart' in window) || (navigator.maxTouchPoints && navigator.maxTouchPoints > 0) || (window.matchMedia && window.matchMedia('(hover: none)').matches));
-        const SEASON_START = new Date('${seasonStartIso ? seasonStartIso + 'T00:00:00Z' : ''}');
-        const SEASON_END = new Date('${seasonEndIso ? seasonEndIso + 'T23:59:59Z' : ''}');
+        const SEASON_START = new Date('${seasonStartIso}T00:00:00Z');
+        const SEASON_END = new Date('${seasonEndIso}T23:59:59Z');
         const SEASON_LABEL = '${seasonLabel}';
+        const SEASON_START_LABEL = '${seasonStartLong}';
+        const COUNTRY_NAME = ${JSON.stringify(config.countryName)};
+        const TROPHY_DEFINITIONS = ${JSON.stringify(config.trophies)};
+        const PILOT_PAGES_HREF = ${JSON.stringify(path.relative(path.dirname(config.outputFile), config.pilotPagesDir).split(path.sep).join('/'))};
 
         // Tooltip functionality
         const tooltipTexts = {
@@ -1252,6 +1479,10 @@ No maximum distance bonus\`
         // Embedded pilot PIC hours verifications
         const pilotVerifications = __PILOT_VERIFICATIONS_PLACEHOLDER__;
 
+        // Two-seater flights flown as co-pilot, keyed by the co-pilot's pilotId
+        const copilotFlightsByPilot = ${JSON.stringify(copilotFlightsByPilot)};
+        const COPILOT_CREDIT = ${JSON.stringify(config.copilotCredit)};
+
         function isWithinSeason(dateString) {
             if (!dateString) return false;
             const normalized = dateString.includes('T') ? dateString : dateString + 'T00:00:00Z';
@@ -1385,7 +1616,7 @@ No maximum distance bonus\`
             // Current year stats from flight data
             tooltipContent += \`
                 <div class="pilot-stats-section">
-                    <h5>🗓️ \${SEASON_LABEL} Stats (Australian Leaderboard)</h5>
+                    <h5>🗓️ \${SEASON_LABEL} Stats (\${COUNTRY_NAME} Leaderboard)</h5>
                     <div class="pilot-stats-grid">
                         <div class="pilot-stat">
                             <span class="stat-label">Flights</span>
@@ -1413,6 +1644,30 @@ No maximum distance bonus\`
                         </div>
                     </div>
                 </div>
+            \`;
+
+            // Two-seater flights this pilot flew as co-pilot and the credit they earned
+            const copilotFlights = copilotFlightsByPilot[pilotId] || [];
+            if (copilotFlights.length > 0) {
+                tooltipContent += \`
+                <div class="pilot-stats-section">
+                    <h5>👥 Flown as Co-pilot</h5>
+                    <ul class="copilot-flight-list">
+                        \${copilotFlights.map(flight => \`
+                            <li>
+                                <a href="https://www.weglide.org/flight/\${flight.id}" target="_blank">\${formatDate(flight.date)}</a>
+                                with \${flight.pic}
+                                <span class="copilot-credit">\${flight.credited
+                                    ? \`\${flight.points.toFixed(1)} pts\${COPILOT_CREDIT === 'split' ? ' (split)' : ''}\`
+                                    : 'not credited'}</span>
+                            </li>
+                        \`).join('')}
+                    </ul>
+                </div>
+                \`;
+            }
+
+            tooltipContent += \`
             </div>
             \`;
 
@@ -1422,6 +1677,9 @@ No maximum distance bonus\`
         // Embedded aircraft awards data
         const aircraftAwards = ${JSON.stringify(aircraftAwards)};
 
+        // Trophy candidates ranked at build time, keyed by trophy
+        const trophyCandidates = ${JSON.stringify(trophyCandidates)};
+
         // Durations embedded at build time; no client-side fetch required
 
         function applyUnder200Filter(list) {
@@ -1434,16 +1692,14 @@ No maximum distance bonus\`
         async function loadLeaderboard() {
             try {
                 // Embedded leaderboard data
-                mixedLeaderboard = ${JSON.stringify(mixedLeaderboard)};
-                freeLeaderboard = ${JSON.stringify(freeLeaderboard)};
-                sprintLeaderboard = ${JSON.stringify(sprintLeaderboard)};
-                triangleLeaderboard = ${JSON.stringify(triangleLeaderboard)};
-                outReturnLeaderboard = ${JSON.stringify(outReturnLeaderboard)};
-                outLeaderboard = ${JSON.stringify(outLeaderboard)};
+                leaderboardsByMode = ${JSON.stringify(leaderboardsByView)};
+                mixedLeaderboard = leaderboardsByMode.mixed;
+                freeLeaderboard = leaderboardsByMode.free;
+                classLeaderboardsByMode = ${JSON.stringify(classLeaderboardsByView)};
                 silverCGullLeaderboard = ${JSON.stringify(silverCGullLeaderboard)};
 
                 // Embedded detailed flight data for tooltips (compressed)
-                detailedFlightData = ${JSON.stringify(australianFlights)};
+                detailedFlightData = ${JSON.stringify(detailedFlights)};
 
                 // Embedded minimal flight data for task stats (compressed)
                 fullFlightData = ${JSON.stringify(minimalFlightData)};
@@ -1492,6 +1748,10 @@ No maximum distance bonus\`
 
         function createFlightCell(flight) {
             const declaredBadge = flight.declared ? '<span class="declared-task">TASK</span>' : '';
+            // Two-seater credit: CO-PILOT on the co-pilot's entry, ½ on split entries
+            const copilotBadge = flight.copilotOf
+                ? \`<span class="copilot-badge" title="Flown as co-pilot with \${flight.copilotOf}">CO-PILOT</span>\`
+                : (flight.creditShare < 1 ? '<span class="copilot-badge" title="Points split with the co-pilot">½</span>' : '');
             const flightUrl = \`https://www.weglide.org/flight/\${flight.id}\`;
 
             // Create aircraft display with name and index if available
@@ -1510,7 +1770,7 @@ No maximum distance bonus\`
             return \`
                 <td class="flight-cell" onmouseover="showFlightPreview(\${flight.id}, event)" onmouseout="hideFlightPreview(event)">
                     <div class="flight-details">
-                        <div class="flight-points">\${flight.points.toFixed(1)} pts\${declaredBadge}</div>
+                        <div class="flight-points">\${flight.points.toFixed(1)} pts\${declaredBadge}\${copilotBadge}</div>
                         <div class="flight-distance">\${flight.distance.toFixed(1)} km</div>
                         <div class="flight-speed">\${flight.speed.toFixed(1)} km/h</div>
                         <div class="flight-date">\${formatDate(flight.date)}</div>
@@ -1544,6 +1804,14 @@ No maximum distance bonus\`
             }
         }
 
+        // Description line for a view, e.g. "Top 3 flights per pilot • WeGlide Sprint scoring • Oct 2024 - Sep 2025"
+        function describeLeaderboardView(mode) {
+            const view = LEADERBOARD_VIEWS[mode];
+            const flights = view.bestN === 1 ? 'Best flight per pilot'
+                : (view.bestN < 5 ? 'Top ' : 'Best ') + view.bestN + ' flights per pilot';
+            return flights + ' • ' + view.description + ' • ' + SEASON_LABEL;
+        }
+
         // Switch between scoring modes
         function switchScoringMode(mode) {
             currentScoringMode = mode;
@@ -1560,7 +1828,7 @@ No maximum distance bonus\`
 
             if (mode === 'mixed') {
                 leaderboard = mixedLeaderboard;
-                document.getElementById('scoringDescription').innerHTML = 'Best 5 flights per pilot • Higher of <span class="scoring-tooltip" data-tooltip="task">WeGlide Task</span> or <span class="scoring-tooltip" data-tooltip="free">Free scoring</span> • Oct 2024 - Sep 2025';
+                document.getElementById('scoringDescription').innerHTML = describeLeaderboardView('mixed');
 
                 document.getElementById('pilotCount').textContent = ` + totalPilots + `;
                 document.getElementById('flightCount').textContent = ` + totalFlights + `;
@@ -1576,7 +1844,7 @@ No maximum distance bonus\`
                 });
             } else if (mode === 'free') {
                 leaderboard = freeLeaderboard;
-                document.getElementById('scoringDescription').innerHTML = 'Best 5 flights per pilot • <span class="scoring-tooltip" data-tooltip="free">Free scoring</span> only • Oct 2024 - Sep 2025';
+                document.getElementById('scoringDescription').innerHTML = describeLeaderboardView('free');
 
                 document.getElementById('pilotCount').textContent = ` + totalPilots + `;
                 document.getElementById('flightCount').textContent = ` + totalFlights + `;
@@ -1590,45 +1858,10 @@ No maximum distance bonus\`
                     totalTasksCompleted: ` + totalTasksCompleted + `,
                     totalTasksHigherThanFree: ` + totalTasksHigherThanFree + `
                 });
-            } else if (mode === 'sprint') {
-                leaderboard = sprintLeaderboard;
-                document.getElementById('scoringDescription').textContent = 'Top 3 flights per pilot • WeGlide Sprint scoring • Oct 2024 - Sep 2025';
-                updateStatsFromLeaderboard(leaderboard);
-                updateTaskStats('mixed', {
-                    totalPilots: ` + totalPilots + `,
-                    totalFlights: ` + totalFlights + `,
-                    totalKms: ` + totalKms + `,
-                    totalTasksDeclared: ` + totalTasksDeclared + `,
-                    totalTasksCompleted: ` + totalTasksCompleted + `,
-                    totalTasksHigherThanFree: ` + totalTasksHigherThanFree + `
-                });
-            } else if (mode === 'triangle') {
-                leaderboard = triangleLeaderboard;
-                document.getElementById('scoringDescription').textContent = 'Top 3 flights per pilot • WeGlide Triangle scoring • Oct 2024 - Sep 2025';
-                updateStatsFromLeaderboard(leaderboard);
-                updateTaskStats('mixed', {
-                    totalPilots: ` + totalPilots + `,
-                    totalFlights: ` + totalFlights + `,
-                    totalKms: ` + totalKms + `,
-                    totalTasksDeclared: ` + totalTasksDeclared + `,
-                    totalTasksCompleted: ` + totalTasksCompleted + `,
-                    totalTasksHigherThanFree: ` + totalTasksHigherThanFree + `
-                });
-            } else if (mode === 'out_return') {
-                leaderboard = outReturnLeaderboard;
-                document.getElementById('scoringDescription').textContent = 'Top 3 flights per pilot • WeGlide Out & Return scoring • Oct 2024 - Sep 2025';
-                updateStatsFromLeaderboard(leaderboard);
-                updateTaskStats('mixed', {
-                    totalPilots: ` + totalPilots + `,
-                    totalFlights: ` + totalFlights + `,
-                    totalKms: ` + totalKms + `,
-                    totalTasksDeclared: ` + totalTasksDeclared + `,
-                    totalTasksCompleted: ` + totalTasksCompleted + `,
-                    totalTasksHigherThanFree: ` + totalTasksHigherThanFree + `
-                });
-            } else if (mode === 'out') {
-                leaderboard = outLeaderboard;
-                document.getElementById('scoringDescription').textContent = 'Top 3 flights per pilot • WeGlide Out (Goal) scoring • Oct 2024 - Sep 2025';
+            } else if (leaderboardsByMode[mode]) {
+                // Contest views and any extra views from the leaderboard config
+                leaderboard = leaderboardsByMode[mode];
+                document.getElementById('scoringDescription').innerHTML = describeLeaderboardView(mode);
                 updateStatsFromLeaderboard(leaderboard);
                 updateTaskStats('mixed', {
                     totalPilots: ` + totalPilots + `,
@@ -1651,7 +1884,7 @@ No maximum distance bonus\`
                 document.getElementById('totalKms').textContent = Math.round(silverKms).toLocaleString();
             } else {
                 leaderboard = freeLeaderboard;
-                document.getElementById('scoringDescription').innerHTML = 'Best 5 flights per pilot • <span class="scoring-tooltip" data-tooltip="free">Free scoring</span> only • Oct 2024 - Sep 2025';
+                document.getElementById('scoringDescription').innerHTML = describeLeaderboardView('free');
 
                 document.getElementById('pilotCount').textContent = ` + totalPilots + `;
                 document.getElementById('flightCount').textContent = ` + totalFlights + `;
@@ -1667,22 +1900,23 @@ No maximum distance bonus\`
                 });
             }
 
+            // Handicap class: the same view ranked on the class's flights only
+            if (currentClass && mode !== 'silverCGull') {
+                leaderboard = (classLeaderboardsByMode[mode] || {})[currentClass] || [];
+                document.getElementById('scoringDescription').innerHTML = describeLeaderboardView(mode) + ' • ' + HANDICAP_CLASS_LABELS[currentClass] + ' class';
+                updateStatsFromLeaderboard(leaderboard);
+            }
+
             document.querySelectorAll('.toggle-btn, .filter-btn').forEach(btn => btn.classList.remove('active'));
             const modeToButton = {
                 mixed: 'combinedBtn',
-                free: 'freeBtn',
-                sprint: 'sprintBtn',
-                triangle: 'triangleBtn',
-                out_return: 'outReturnBtn',
-                out: 'outBtn',
-                silverCGull: null
+                free: 'freeBtn'
             };
-            const activeBtn = Object.prototype.hasOwnProperty.call(modeToButton, mode) ? modeToButton[mode] : null;
-            if (activeBtn) {
-                const btnElement = document.getElementById(activeBtn);
-                if (btnElement) {
-                    btnElement.classList.add('active');
-                }
+            const btnElement = modeToButton[mode]
+                ? document.getElementById(modeToButton[mode])
+                : document.querySelector('.toggle-btn[data-mode="' + mode + '"]');
+            if (btnElement) {
+                btnElement.classList.add('active');
             }
 
             const underBtn = document.getElementById('under200Btn');
@@ -2458,6 +2692,21 @@ No maximum distance bonus\`
             };
         }
 
+        // Ranks within the shown rows: pilots sharing a rank on the full leaderboard
+        // (rankPilots) share it here too and show as "T-3"
+        function rankVisiblePilots(visible) {
+            const ranks = [];
+            visible.forEach((pilot, index) => {
+                const previous = visible[index - 1];
+                const tiedWithPrevious = previous && pilot.rank !== undefined && pilot.rank === previous.rank;
+                ranks.push({ rank: tiedWithPrevious ? ranks[index - 1].rank : index + 1, shared: false });
+                if (tiedWithPrevious) {
+                    ranks[index].shared = ranks[index - 1].shared = true;
+                }
+            });
+            return ranks;
+        }
+
         // Function to build the leaderboard table
         function buildLeaderboard() {
             const tbody = document.getElementById('leaderboardBody');
@@ -2465,34 +2714,37 @@ No maximum distance bonus\`
             const isFreeMode = leaderboard === freeLeaderboard;
             const isSilverCGull = leaderboard === silverCGullLeaderboard;
             const visible = applyUnder200Filter(leaderboard);
-            const isThreeFlightMode = currentScoringMode === 'sprint' || currentScoringMode === 'triangle' || currentScoringMode === 'out_return' || currentScoringMode === 'out';
-            const maxFlightsToShow = isThreeFlightMode ? 3 : 5;
+            // The table has five flight columns; totals still count every best-N flight
+            const maxFlightsToShow = Math.min(LEADERBOARD_VIEWS[currentScoringMode]?.bestN || 5, 5);
 
             // Calculate aircraft awards for visible pilots in free mode
             const visibleAwards = isFreeMode ? calculateVisibleAircraftAwards(visible) : null;
 
+            const visibleRanks = rankVisiblePilots(visible);
+
             visible.forEach((pilot, index) => {
                 const row = document.createElement('tr');
 
-                let rankDisplay = index + 1;
+                const { rank, shared } = visibleRanks[index];
+                let rankDisplay = shared ? 'T-' + rank : rank;
                 if (!isFreeMode && !isSilverCGull) {
-                    if (index === 0) rankDisplay = '<span class="medal gold">🥇</span>' + rankDisplay;
-                    else if (index === 1) rankDisplay = '<span class="medal silver">🥈</span>' + rankDisplay;
-                    else if (index === 2) rankDisplay = '<span class="medal bronze">🥉</span>' + rankDisplay;
+                    if (rank === 1) rankDisplay = '<span class="medal gold">🥇</span>' + rankDisplay;
+                    else if (rank === 2) rankDisplay = '<span class="medal silver">🥈</span>' + rankDisplay;
+                    else if (rank === 3) rankDisplay = '<span class="medal bronze">🥉</span>' + rankDisplay;
                 }
 
-                // Create pilot name with link to WeGlide profile
+                // Create pilot name with link to the pilot's season page (pilot_profile_pages.js)
                 let pilotName;
                 const safePilotNameAttr = pilot.pilot ? pilot.pilot.replace(/'/g, "\\'") : '';
                 if (isSilverCGull) {
                     // For Silver C-Gull, check if pilotId is available
                     if (pilot.userId) {
-                        pilotName = \`<a href="https://www.weglide.org/user/\${pilot.userId}" target="_blank" class="pilot-link" onmouseenter="pilotHoverEnter(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)" onmouseleave="pilotHoverLeave(event)" onfocus="pilotFocus(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)" onblur="pilotBlur(event)" onclick="return pilotLinkTap(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)">\${pilot.pilot}</a>\`;
+                        pilotName = \`<a href="\${PILOT_PAGES_HREF}/\${pilot.userId}.html" class="pilot-link" onmouseenter="pilotHoverEnter(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)" onmouseleave="pilotHoverLeave(event)" onfocus="pilotFocus(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)" onblur="pilotBlur(event)" onclick="return pilotLinkTap(event, '\${pilot.userId}', '\${safePilotNameAttr}', this)">\${pilot.pilot}</a>\`;
                     } else {
                         pilotName = pilot.pilot;
                     }
                 } else {
-                    pilotName = \`<a href="https://www.weglide.org/user/\${pilot.pilotId}" target="_blank" class="pilot-link" onmouseenter="pilotHoverEnter(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)" onmouseleave="pilotHoverLeave(event)" onfocus="pilotFocus(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)" onblur="pilotBlur(event)" onclick="return pilotLinkTap(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)">\${pilot.pilot}</a>\`;
+                    pilotName = \`<a href="\${PILOT_PAGES_HREF}/\${pilot.pilotId}.html" class="pilot-link" onmouseenter="pilotHoverEnter(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)" onmouseleave="pilotHoverLeave(event)" onfocus="pilotFocus(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)" onblur="pilotBlur(event)" onclick="return pilotLinkTap(event, '\${pilot.pilotId}', '\${safePilotNameAttr}', this)">\${pilot.pilot}</a>\`;
                 }
 
                 // Add verification status for under 200 hrs mode
@@ -2503,12 +2755,18 @@ No maximum distance bonus\`
                 if (under200Enabled && !isSilverCGull) {
                     const pilotId = pilot.pilotId;
                     const verificationData = pilotVerifications.picHoursVerifications && pilotVerifications.picHoursVerifications[pilotId];
-                    const isUserVerified = verificationData && verificationData.dataSource === 'user-entered';
+                    const reviewStatus = getReviewStatus(verificationData);
 
-                    if (isUserVerified) {
+                    if (reviewStatus === 'approved') {
                         verificationBadge = '<div class="verification-badge verified">✓ <200hrs PIC Verified</div>';
                         rowClass = 'verified-row';
+                    } else if (reviewStatus === 'pending') {
+                        verificationBadge = '<div class="verification-badge pending">⏳ PIC hours awaiting review</div>';
+                        rowClass = 'pending-row';
                     } else {
+                        if (reviewStatus === 'rejected') {
+                            verificationBadge = '<div class="verification-badge rejected">✗ PIC hours not approved</div>';
+                        }
                         verificationButton = \`<div><button class="verify-btn unverified" onclick="showVerificationForm('\${pilotId}', '\${pilot.pilot.replace(/'/g, '\\\'')}')" title="Verify PIC hours">Verify PIC hours</button></div>\`;
                         rowClass = 'unverified-row';
                     }
@@ -2518,12 +2776,18 @@ No maximum distance bonus\`
                 } else if (isSilverCGull) {
                     const pilotId = pilot.userId || pilot.pilotId;
                     const verificationData = pilotVerifications.dobVerifications && pilotVerifications.dobVerifications[pilotId];
-                    const isUserVerified = verificationData && verificationData.dataSource === 'user-entered';
+                    const reviewStatus = getReviewStatus(verificationData);
 
-                    if (isUserVerified) {
+                    if (reviewStatus === 'approved') {
                         verificationBadge = '<div class="verification-badge verified">✓ DOB Verified</div>';
                         rowClass = 'verified-row';
+                    } else if (reviewStatus === 'pending') {
+                        verificationBadge = '<div class="verification-badge pending">⏳ DOB awaiting review</div>';
+                        rowClass = 'pending-row';
                     } else {
+                        if (reviewStatus === 'rejected') {
+                            verificationBadge = '<div class="verification-badge rejected">✗ DOB not approved</div>';
+                        }
                         verificationButton = \`<div><button class="verify-btn unverified" onclick="showDOBVerificationForm('\${pilotId}', '\${pilot.pilot.replace(/'/g, '\\\'')}')" title="Verify date of birth">Verify DOB</button></div>\`;
                         rowClass = 'unverified-row';
                     }
@@ -2622,7 +2886,7 @@ No maximum distance bonus\`
                         f && f.user && visiblePilotIds.has(f.user.id)
                     ).reduce((sum, flight) => {
                         // Use the same logic as main stats calculation
-                        const bestScore = calculateBestScoreForFlight(flight);
+                        const bestScore = calculateBestScore(flight);
                         return sum + (bestScore.distance || 0);
                     }, 0);
                     document.getElementById('totalKms').textContent = Math.round(totalKmsVisible).toLocaleString();
@@ -2675,7 +2939,7 @@ No maximum distance bonus\`
                 const filteredKms = Math.round((fullFlightData || []).filter(f =>
                     f && f.user && pilotIdSet.has(f.user.id)
                 ).reduce((sum, flight) => {
-                    const bestScore = calculateBestScoreForFlight(flight);
+                    const bestScore = calculateBestScore(flight);
                     return sum + (bestScore.distance || 0);
                 }, 0));
 
@@ -2692,7 +2956,7 @@ No maximum distance bonus\`
                 }
             } else if (!isSilverCGull) {
                 // When filter is off, restore original stats for Combined/Free modes
-                const currentMode = leaderboard === mixedLeaderboard ? 'mixed' : 'free';
+                const currentMode = currentScoringMode === 'free' ? 'free' : 'mixed';
                 updateTaskStats(currentMode, {
                     totalPilots: ` + totalPilots + `,
                     totalFlights: ` + totalFlights + `,
@@ -2714,407 +2978,14 @@ No maximum distance bonus\`
             btn.textContent = under200Enabled ? '< 200 hrs PIC (ON)' : '< 200 hrs PIC';
         }
 
-        // Trophy calculation functions
+        // Trophy winners from the candidates ranked at build time (trophy_definitions.js)
         function calculateTrophyWinners() {
-            const trophies = {
-                canadair: calculateCanadairTrophy(),
-                trophy200: calculateTrophy200(),
-                silverCGull: calculateSilverCGullTrophy(),
-                baic: calculateBAICTrophy(),
-                dow: calculateDowTrophies()
-            };
-
-            displayTrophyWinners(trophies);
-        }
-
-        function calculateCanadairTrophy() {
-            // Top pilot from mixed leaderboard (top 5 flights combined)
-            const mixedWinner = mixedLeaderboard[0];
-            const freeWinner = freeLeaderboard[0];
-
-            const result = {
-                combined: mixedWinner,
-                free: null,
-                sameWinner: false,
-                explanation: ''
-            };
-
-            if (mixedWinner && freeWinner && mixedWinner.pilot === freeWinner.pilot) {
-                result.sameWinner = true;
-                result.explanation = 'Combined and Free score same person - 1 award';
-            } else if (freeWinner) {
-                result.free = freeWinner;
-                result.explanation = 'Different winners in Combined vs Free scoring - 2 awards';
-            }
-
-            return result;
-        }
-
-        function calculateTrophy200() {
-            // Always use <200 hrs pilots regardless of current filter state
-            const mixed200 = mixedLeaderboard.filter(p =>
-                (typeof pilotDurations[p.pilotId] === 'number') &&
-                pilotDurations[p.pilotId] < HOURS_200_SEC
-            );
-            const free200 = freeLeaderboard.filter(p =>
-                (typeof pilotDurations[p.pilotId] === 'number') &&
-                pilotDurations[p.pilotId] < HOURS_200_SEC
-            );
-
-            // Find verified and unverified pilots
-            const getVerificationStatus = (pilot) => {
-                const verificationData = pilotVerifications.picHoursVerifications && pilotVerifications.picHoursVerifications[pilot.pilotId];
-                // Only consider user-entered verifications, not WeGlide-calculated ones
-                return verificationData && verificationData.dataSource === 'user-entered';
-            };
-
-            // Get top verified pilot and any higher unverified pilots
-            let topVerifiedCombined = null;
-            let topVerifiedFree = null;
-            let higherUnverifiedCombined = [];
-            let higherUnverifiedFree = [];
-
-            // For combined scoring
-            for (let i = 0; i < mixed200.length; i++) {
-                const pilot = mixed200[i];
-                if (getVerificationStatus(pilot)) {
-                    topVerifiedCombined = pilot;
-                    // Get all unverified pilots that scored higher
-                    higherUnverifiedCombined = mixed200.slice(0, i).filter(p => !getVerificationStatus(p));
-                    break;
-                }
-            }
-
-            // For free scoring
-            for (let i = 0; i < free200.length; i++) {
-                const pilot = free200[i];
-                if (getVerificationStatus(pilot)) {
-                    topVerifiedFree = pilot;
-                    // Get all unverified pilots that scored higher
-                    higherUnverifiedFree = free200.slice(0, i).filter(p => !getVerificationStatus(p));
-                    break;
-                }
-            }
-
-            const result = {
-                combined: topVerifiedCombined,
-                free: null,
-                sameWinner: false,
-                explanation: '',
-                higherUnverifiedCombined: higherUnverifiedCombined,
-                higherUnverifiedFree: higherUnverifiedFree
-            };
-
-            if (topVerifiedCombined && topVerifiedFree && topVerifiedCombined.pilot === topVerifiedFree.pilot) {
-                result.sameWinner = true;
-                result.explanation = 'Combined and Free score same person - 1 award';
-            } else if (topVerifiedFree && topVerifiedFree !== topVerifiedCombined) {
-                result.free = topVerifiedFree;
-                result.explanation = 'Different winners in Combined vs Free scoring - 2 awards';
-            } else if (!topVerifiedCombined) {
-                result.explanation = 'No verified pilots found with <200 hours';
-            }
-
-            return result;
-        }
-
-        function calculateSilverCGullTrophy() {
-            // Find verified and unverified pilots in Silver C-Gull candidates
-            const getDOBVerificationStatus = (pilot) => {
-                return pilotVerifications.dobVerifications && pilotVerifications.dobVerifications[pilot.userId || pilot.pilotId];
-            };
-
-            let youngestVerified = null;
-            let youngestAge = Infinity;
-            let unverifiedCandidates = [];
-
-            silverCGullLeaderboard.forEach(pilot => {
-                const verification = getDOBVerificationStatus(pilot);
-
-                if (verification && verification.dateOfBirth) {
-                    // Calculate age at time of achievement
-                    const dob = new Date(verification.dateOfBirth);
-                    const achievementDate = new Date(pilot.date);
-                    const ageAtAchievement = (achievementDate - dob) / (365.25 * 24 * 60 * 60 * 1000);
-
-                    if (ageAtAchievement < youngestAge) {
-                        youngestAge = ageAtAchievement;
-                        youngestVerified = {
-                            ...pilot,
-                            ageAtAchievement: Math.floor(ageAtAchievement),
-                            dateOfBirth: verification.dateOfBirth
-                        };
-                    }
-                } else {
-                    unverifiedCandidates.push(pilot);
-                }
-            });
-
-            return {
-                winner: youngestVerified,
-                unverifiedCandidates: unverifiedCandidates.slice(0, 10), // Limit to 10
-                totalUnverified: unverifiedCandidates.length,
-                explanation: youngestVerified ?
-                    \`Youngest verified pilot to achieve Silver C badge (age \${youngestVerified.ageAtAchievement})\` :
-                    'No verified pilots found'
-            };
-        }
-
-        function calculateBAICTrophy() {
-            // Single highest scoring flight - need to check ALL flights, not just top 5
-            let bestCombinedFlight = null;
-            let bestFreeFlight = null;
-            let bestCombinedScore = 0;
-            let bestFreeScore = 0;
-
-            // Check ALL flights in the full flight data
-            fullFlightData.forEach(flight => {
-                if (!flight.contest || !Array.isArray(flight.contest)) return;
-
-                // Calculate combined score (our standard logic)
-                const combinedScoring = calculateBestScoreForFlight(flight);
-                if (combinedScoring.score > bestCombinedScore) {
-                    bestCombinedScore = combinedScoring.score;
-                    bestCombinedFlight = {
-                        id: flight.id,
-                        pilot: flight.user?.name,
-                        pilotId: flight.user?.id,
-                        points: combinedScoring.score,
-                        distance: combinedScoring.distance,
-                        speed: combinedScoring.speed,
-                        contestType: combinedScoring.contestType,
-                        declared: combinedScoring.declared
-                    };
-                }
-
-                // Calculate free-only score
-                const freeContest = flight.contest.find(c => c.name === 'free' && c.points > 0);
-                if (freeContest && freeContest.points > bestFreeScore) {
-                    bestFreeScore = freeContest.points;
-                    bestFreeFlight = {
-                        id: flight.id,
-                        pilot: flight.user?.name,
-                        pilotId: flight.user?.id,
-                        points: freeContest.points,
-                        distance: freeContest.distance || 0,
-                        speed: freeContest.speed || 0,
-                        contestType: 'free',
-                        declared: false
-                    };
-                }
-            });
-
-            const sameWinner = bestCombinedFlight?.id === bestFreeFlight?.id;
-
-            return {
-                combined: bestCombinedFlight,
-                free: sameWinner ? null : bestFreeFlight,
-                sameWinner: sameWinner,
-                explanation: sameWinner ?
-                    'Same flight wins both Combined and Free - 1 award' :
-                    'Different flights win Combined vs Free - 2 awards'
-            };
-        }
-
-        function calculateDowTrophies() {
-            const triangleBest = findBestByTaskType(['TR']);
-            const orBest = findBestByTaskType(['OR']);
-            const goalBest = findBestByTaskType(['GL'], true); // Goal requires declared tasks only
-
-            return {
-                triangle: triangleBest,
-                outReturn: orBest,
-                goal: goalBest
-            };
-        }
-
-        function findBestByTaskType(taskTypes, declaredOnly = false) {
-            let bestFlight = null;
-            let bestScore = 0;
-
-            // Look through all flight data to find task types
-            fullFlightData.forEach(flight => {
-                if (!flight.task || !taskTypes.includes(flight.task.kind)) return;
-                if (!flight.contest || !Array.isArray(flight.contest)) return;
-
-                let contestToUse = null;
-                let scoreToUse = 0;
-
-                // For Dow trophies, compare scores and use the higher one
-                if (taskTypes.includes('TR')) {
-                    // Triangle: compare triangle contest vs au/declaration (if declared)
-                    const triangleContest = flight.contest.find(c => c.name === 'triangle' && c.points > 0);
-                    const auContest = flight.contest.find(c => c.name === 'au' && c.points > 0);
-                    const declarationContest = flight.contest.find(c => c.name === 'declaration' && c.points > 0);
-                    const freeContest = flight.contest.find(c => c.name === 'free' && c.points > 0);
-
-                    const candidates = [];
-
-                    if (triangleContest) {
-                        candidates.push({ contest: triangleContest, score: triangleContest.points });
-                    }
-                    if (auContest?.score?.declared) {
-                        candidates.push({ contest: auContest, score: auContest.points });
-                    }
-                    if (declarationContest?.score?.declared) {
-                        candidates.push({ contest: declarationContest, score: declarationContest.points });
-                    }
-                    if (!declaredOnly && freeContest && candidates.length === 0) {
-                        candidates.push({ contest: freeContest, score: freeContest.points });
-                    }
-
-                    // Use the highest scoring contest
-                    const bestCandidate = candidates.reduce((best, current) =>
-                        current.score > best.score ? current : best,
-                        { score: 0 }
-                    );
-
-                    if (bestCandidate.contest) {
-                        contestToUse = bestCandidate.contest;
-                        scoreToUse = bestCandidate.score;
-                    }
-                } else if (taskTypes.includes('OR')) {
-                    // Out & Return: compare out_return contest vs au/declaration (if declared)
-                    const orContest = flight.contest.find(c => c.name === 'out_return' && c.points > 0);
-                    const auContest = flight.contest.find(c => c.name === 'au' && c.points > 0);
-                    const declarationContest = flight.contest.find(c => c.name === 'declaration' && c.points > 0);
-                    const freeContest = flight.contest.find(c => c.name === 'free' && c.points > 0);
-
-                    const candidates = [];
-
-                    if (orContest) {
-                        candidates.push({ contest: orContest, score: orContest.points });
-                    }
-                    if (auContest?.score?.declared) {
-                        candidates.push({ contest: auContest, score: auContest.points });
-                    }
-                    if (declarationContest?.score?.declared) {
-                        candidates.push({ contest: declarationContest, score: declarationContest.points });
-                    }
-                    if (!declaredOnly && freeContest && candidates.length === 0) {
-                        candidates.push({ contest: freeContest, score: freeContest.points });
-                    }
-
-                    // Use the highest scoring contest
-                    const bestCandidate = candidates.reduce((best, current) =>
-                        current.score > best.score ? current : best,
-                        { score: 0 }
-                    );
-
-                    if (bestCandidate.contest) {
-                        contestToUse = bestCandidate.contest;
-                        scoreToUse = bestCandidate.score;
-                    }
-                } else {
-                    // For other task types (like GL/Goal), only use au/declaration if declared
-                    const auContest = flight.contest.find(c => c.name === 'au' && c.points > 0);
-                    const declarationContest = flight.contest.find(c => c.name === 'declaration' && c.points > 0);
-
-                    if (auContest?.score?.declared) {
-                        contestToUse = auContest;
-                        scoreToUse = auContest.points;
-                    } else if (declarationContest?.score?.declared) {
-                        contestToUse = declarationContest;
-                        scoreToUse = declarationContest.points;
-                    }
-                }
-
-                if (contestToUse && scoreToUse > bestScore) {
-                    bestScore = scoreToUse;
-
-                    // Ensure distance and speed are present. Some contests (au/declaration) omit them.
-                    // Fall back to task distance or free contest metrics for display only.
-                    const freeContestFallback = flight.contest.find(c => c.name === 'free' && c.points > 0);
-
-                    const rawDistance = contestToUse.distance;
-                    const rawSpeed = contestToUse.speed;
-                    const distance = (typeof rawDistance === 'number') ? rawDistance
-                                   : (typeof flight.task?.distance === 'number') ? flight.task.distance
-                                   : (typeof freeContestFallback?.distance === 'number') ? freeContestFallback.distance
-                                   : 0;
-                    const speed = (typeof rawSpeed === 'number') ? rawSpeed
-                                : (typeof freeContestFallback?.speed === 'number') ? freeContestFallback.speed
-                                : 0;
-
-                    // Derive a sensible task display name if missing (e.g., "1029km Goal")
-                    let taskName = flight.task?.name;
-                    const taskKind = flight.task?.kind;
-                    if ((!taskName || taskName.trim().length === 0) && taskKind) {
-                        const kindLabel = taskKind === 'TR' ? 'Triangle'
-                                        : taskKind === 'OR' ? 'Out & Return'
-                                        : taskKind === 'GL' ? 'Goal'
-                                        : null;
-                        if (kindLabel && distance > 0) {
-                            taskName = String(Math.round(distance)) + 'km ' + kindLabel;
-                        } else if (kindLabel) {
-                            taskName = kindLabel;
-                        }
-                    }
-
-                    bestFlight = {
-                        id: flight.id,
-                        pilot: flight.user?.name,
-                        pilotId: flight.user?.id,
-                        points: scoreToUse,
-                        distance,
-                        speed,
-                        taskName,
-                        taskKind: taskKind,
-                        declared: contestToUse.score?.declared || false,
-                        contestType: contestToUse.name
-                    };
-
-                }
+            const trophies = {};
+            TROPHY_DEFINITIONS.forEach(definition => {
+                trophies[definition.key] = decideTrophy(definition, trophyCandidates[definition.key], pilotVerifications);
             });
 
-            return bestFlight;
-        }
-
-        function calculateBestScoreForFlight(flight) {
-            // Reuse the existing calculateBestScore logic
-            if (!flight.contest || !Array.isArray(flight.contest)) {
-                return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
-            }
-
-            const auContest = flight.contest.find(contest => contest.name === 'au' && contest.points > 0);
-            const declarationContest = flight.contest.find(contest => contest.name === 'declaration' && contest.points > 0);
-            const freeContest = flight.contest.find(contest => contest.name === 'free' && contest.points > 0);
-
-            let bestContest = null;
-            let bestScore = 0;
-
-            const isAuDeclared = auContest?.score?.declared === true;
-            const isDeclarationDeclared = declarationContest?.score?.declared === true;
-
-            if (freeContest) {
-                bestContest = freeContest;
-                bestScore = freeContest.points;
-            }
-
-            if (auContest && isAuDeclared && auContest.points > bestScore) {
-                bestContest = auContest;
-                bestScore = auContest.points;
-            }
-
-            if (declarationContest && isDeclarationDeclared && declarationContest.points > bestScore) {
-                bestContest = declarationContest;
-                bestScore = declarationContest.points;
-            }
-
-            if (bestContest) {
-                const isDeclaredTask = (bestContest.name === 'au' && isAuDeclared) ||
-                                      (bestContest.name === 'declaration' && isDeclarationDeclared);
-
-                return {
-                    score: bestScore,
-                    distance: bestContest.distance || 0,
-                    speed: bestContest.speed || 0,
-                    contestType: bestContest.name || 'unknown',
-                    declared: isDeclaredTask
-                };
-            }
-
-            return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+            displayTrophyWinners(trophies);
         }
 
         function formatTrophyWinner(trophy, type) {
@@ -3192,9 +3063,8 @@ No maximum distance bonus\`
 
             const getVerificationStatusText = (pilot) => {
                 const verificationData = pilotVerifications.picHoursVerifications && pilotVerifications.picHoursVerifications[pilot.pilotId];
-                // Only consider user-entered verifications, not WeGlide-calculated ones
-                const isVerified = verificationData && verificationData.dataSource === 'user-entered';
-                if (isVerified) {
+                // Only approved declarations count, not pending ones or WeGlide estimates
+                if (isApproved(verificationData)) {
                     return '<span class="verification-status verified">✓ <200hrs PIC Verified</span>';
                 } else {
                     return '<span class="verification-status unverified">⚠ Needs PIC verification</span>';
@@ -3232,6 +3102,25 @@ No maximum distance bonus\`
                 \`;
             }
 
+            // Higher scoring pilots whose declarations wait for admin review
+            if (trophy.higherPendingCombined && trophy.higherPendingCombined.length > 0) {
+                html += '<div class="unverified-leaders pending-leaders">';
+                html += \`<h6 style="margin: 12px 0 6px 0; font-size: 0.75em; color: #ccc; opacity: 0.8;">\${trophy.higherPendingCombined.length} higher scoring \${trophy.higherPendingCombined.length === 1 ? 'pilot' : 'pilots'} awaiting review:</h6>\`;
+                trophy.higherPendingCombined.forEach(pilot => {
+                    const score = pilot.totalPoints || pilot.points || 0;
+                    html += \`
+                        <div class="unverified-pilot">
+                            <div class="winner-info">
+                                <span class="winner-name">\${pilot.pilot}</span>
+                                <span class="winner-score">\${score.toFixed(1)} pts</span>
+                            </div>
+                            <span class="verification-status pending">⏳ Pending review</span>
+                        </div>
+                    \`;
+                });
+                html += '</div>';
+            }
+
             // Show higher unverified pilots that need verification (limit to top 5)
             if (trophy.higherUnverifiedCombined && trophy.higherUnverifiedCombined.length > 0) {
                 const maxShow = 5;
@@ -3282,6 +3171,9 @@ No maximum distance bonus\`
                     </div>
                 \`;
 
+                if (trophy.pendingCandidates.length > 0) {
+                    html += \`<p style="font-size: 0.8em; color: #cccccc; margin: 8px 0 0 0; font-style: italic;">\${trophy.pendingCandidates.length} \${trophy.pendingCandidates.length === 1 ? 'date of birth' : 'dates of birth'} awaiting review</p>\`;
+                }
                 if (trophy.totalUnverified > 0) {
                     html += \`<p style="font-size: 0.8em; color: #cccccc; margin: 8px 0 0 0; font-style: italic;">\${trophy.totalUnverified} candidates need date of birth verification</p>\`;
                 }
@@ -3303,6 +3195,23 @@ No maximum distance bonus\`
                 </div>
             \`;
 
+            // Candidates whose dates of birth wait for admin review
+            if (trophy.pendingCandidates.length > 0) {
+                html += '<div class="unverified-leaders pending-leaders">';
+                html += \`<h6 style="margin: 12px 0 6px 0; font-size: 0.75em; color: #ccc; opacity: 0.8;">Awaiting review (\${trophy.pendingCandidates.length}):</h6>\`;
+                trophy.pendingCandidates.forEach(pilot => {
+                    html += \`
+                        <div class="unverified-pilot">
+                            <div class="winner-info">
+                                <span class="winner-name">\${pilot.pilot}</span>
+                            </div>
+                            <span class="verification-status pending">⏳ Pending review</span>
+                        </div>
+                    \`;
+                });
+                html += '</div>';
+            }
+
             // Show unverified candidates if any (limit to 3)
             if (trophy.unverifiedCandidates && trophy.unverifiedCandidates.length > 0) {
                 html += '<div class="unverified-leaders">';
@@ -3338,78 +3247,36 @@ No maximum distance bonus\`
             return html;
         }
 
+        // Card body for a trophy result, by the definition's source and verification
+        function formatTrophyCard(definition, trophy) {
+            if (definition.source.type === 'silverC') {
+                return formatSilverCGullTrophyWinner(trophy);
+            }
+            if (definition.verification === 'picHours') {
+                return formatTrophy200Winner(trophy);
+            }
+            if (definition.source.type === 'flight' && definition.split === 'none') {
+                return formatSingleFlightWinner(trophy.combined);
+            }
+            return formatTrophyWinner(trophy, definition.source.type === 'flight' ? 'flight' : 'leaderboard');
+        }
+
         function displayTrophyWinners(trophies) {
             const container = document.getElementById('trophyWinners');
 
             let html = '<div class="trophy-grid">';
-
-            // Canadair Trophy
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 Canadair Trophy</h4>
-                    <p class="trophy-desc">Overall Champion (Top 5 flights)</p>
-                    \${formatTrophyWinner(trophies.canadair, 'leaderboard')}
-                    <p class="calculation-note">\${trophies.canadair.explanation}</p>
-                </div>
-            \`;
-
-            // 200 Trophy (moved beside Canadair)
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 200 Trophy</h4>
-                    <p class="trophy-desc">Under 200 Hours Champion</p>
-                    \${formatTrophy200Winner(trophies.trophy200)}
-                    <p class="calculation-note">\${trophies.trophy200.explanation}</p>
-                </div>
-            \`;
-
-            // BAIC Trophy (moved to third position)
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 BAIC Trophy</h4>
-                    <p class="trophy-desc">Single Best Flight</p>
-                    \${formatTrophyWinner(trophies.baic, 'flight')}
-                    <p class="calculation-note">\${trophies.baic.explanation}</p>
-                </div>
-            \`;
-
-            // Dow Trophy - Triangle
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 Dow Trophy - Triangle</h4>
-                    <p class="trophy-desc">Best Triangle Flight</p>
-                    \${formatSingleFlightWinner(trophies.dow.triangle)}
-                </div>
-            \`;
-
-            // Dow Trophy - Out & Return
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 Dow Trophy - Out & Return</h4>
-                    <p class="trophy-desc">Best Out & Return Flight</p>
-                    \${formatSingleFlightWinner(trophies.dow.outReturn)}
-                </div>
-            \`;
-
-            // Dow Trophy - Goal
-            html += \`
-                <div class="trophy-item">
-                    <h4>🏆 Dow Trophy - Goal</h4>
-                    <p class="trophy-desc">Best Goal Flight (Declared Tasks Only)</p>
-                    \${formatSingleFlightWinner(trophies.dow.goal)}
-                </div>
-            \`;
-
-            // Silver C-Gull Trophy (moved to last position)
-            html += \`
+            TROPHY_DEFINITIONS.forEach(definition => {
+                const trophy = trophies[definition.key];
+                html += \`
                 <div class="trophy-item">
-                    <h4>🏆 Silver C-Gull Trophy</h4>
-                    <p class="trophy-desc">Youngest to Achieve Silver C Badge</p>
-                    \${formatSilverCGullTrophyWinner(trophies.silverCGull)}
-                    <p class="calculation-note">\${trophies.silverCGull.explanation}</p>
+                    <h4>🏆 \${definition.title}</h4>
+                    \${definition.description ? \`<p class="trophy-desc">\${definition.description}</p>\` : ''}
+                    \${formatTrophyCard(definition, trophy)}
+                    \${trophy.explanation ? \`<p class="calculation-note">\${trophy.explanation}</p>\` : ''}
+                    \${(trophy.tieNotes || []).map(note => \`<p class="calculation-note">⚖️ \${note}</p>\`).join('')}
                 </div>
             \`;
-
+            });
             html += '</div>';
 
             container.innerHTML = html;
@@ -3441,6 +3308,41 @@ No maximum distance bonus\`
             }
         }
 
+        function toggleTeamSection() {
+            const content = document.getElementById('teamContent');
+            const arrow = document.getElementById('teamArrow');
+
+            if (content.style.display === 'none') {
+                content.style.display = 'block';
+                arrow.textContent = '▼';
+            } else {
+                content.style.display = 'none';
+                arrow.textContent = '▶';
+            }
+        }
+
+        // Show or hide the pilots under a team row
+        function toggleTeamPilots(rowId) {
+            const pilots = document.getElementById('teamPilots-' + rowId);
+            const arrow = document.getElementById('teamArrow-' + rowId);
+            const hidden = pilots.style.display === 'none';
+            pilots.style.display = hidden ? 'table-row' : 'none';
+            arrow.textContent = hidden ? '▼' : '▶';
+        }
+
+        function toggleEligibilitySection() {
+            const content = document.getElementById('eligibilityContent');
+            const arrow = document.getElementById('eligibilityArrow');
+
+            if (content.style.display === 'none') {
+                content.style.display = 'block';
+                arrow.textContent = '▼';
+            } else {
+                content.style.display = 'none';
+                arrow.textContent = '▶';
+            }
+        }
+
         function calculateTaskTypeStats() {
             const taskStats = {};
             const taskDescriptions = {
@@ -3533,12 +3435,17 @@ No maximum distance bonus\`
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
 
-            alert('Verification data exported! Save this file and commit it to your repository as pilot_pic_hours_verification.json');
+            alert('Verification data exported! Merge it into the repository with: node sync_verifications.js --local pilot_verifications_export.json');
         }
 
         function showAdminPanel() {
             const localData = localStorage.getItem('pilot_verifications');
             const verificationCount = localData ? Object.keys(JSON.parse(localData).verifications || {}).length : 0;
+            const confidenceCounts = { high: 0, medium: 0, low: 0 };
+            Object.values(pilotVerifications.picHoursEstimates || {}).forEach(estimate => {
+                const confidence = estimate.calculation && estimate.calculation.confidence;
+                if (confidence in confidenceCounts) confidenceCounts[confidence]++;
+            });
 
             const overlay = document.createElement('div');
             overlay.className = 'verification-overlay';
@@ -3550,14 +3457,71 @@ No maximum distance bonus\`
                         <h4>For GitHub Pages Deployment:</h4>
                         <p style="font-size: 0.9em; text-align: left; line-height: 1.4; color: #333;">
                             1. Click "Export Verification Data" to download the JSON file<br>
-                            2. Save it as <code>pilot_pic_hours_verification.json</code> in your repository<br>
-                            3. Commit and push to GitHub<br>
+                            2. Run <code>node sync_verifications.js --local pilot_verifications_export.json</code> (add <code>--config</code> for other leaderboards), check the changes it lists and confirm<br>
+                            3. Commit and push the updated verification file to GitHub<br>
                             4. Regenerate your HTML with the updated data using the Node.js script<br>
                             5. Deploy the new HTML to GitHub Pages
                         </p>
                     </div>
+                    <p><strong>Declarations awaiting review:</strong> \${buildReviewQueue(pilotVerifications).length}</p>
+                    <p><strong>WeGlide PIC hours estimates:</strong> \${confidenceCounts.high} high, \${confidenceCounts.medium} medium, \${confidenceCounts.low} low confidence</p>
+                    <div class="form-buttons">
+                        <button class="submit-btn" onclick="showReviewQueue()">Review Queue</button>
+                        <button class="submit-btn" onclick="exportVerificationData()">Export Verification Data</button>
+                        <button class="cancel-btn" onclick="closeVerificationForm()">Close</button>
+                    </div>
+                </div>
+            \`;
+            document.body.appendChild(overlay);
+        }
+
+        // Admin review queue: pending PIC hours and date of birth declarations, with
+        // the WeGlide estimate from the last leaderboard build beside each PIC claim
+        // and, for admins, the raw date of birth from dob_private
+        async function showReviewQueue() {
+            closeVerificationForm();
+            const queue = buildReviewQueue(pilotVerifications);
+            const canReview = !!db && currentClaims.admin === true;
+            const datesOfBirth = canReview ? await loadPrivateDatesOfBirth(queue) : {};
+
+            const rows = queue.map(item => {
+                const declared = item.kind === 'picHours'
+                    ? \`\${item.declaration.picHours} h\`
+                    : formatDerivedAge(item.declaration, datesOfBirth[item.pilotId]);
+                const estimate = item.estimate
+                    ? \`\${item.estimate.picHours} h<br><small>\${formatPicHoursEstimate(item.estimate)}</small>\`
+                    : '-';
+                const actions = canReview
+                    ? \`<button class="submit-btn small" onclick="reviewDeclaration('\${item.kind}', '\${item.pilotId}', 'approved')">Approve</button>
+                       <button class="cancel-btn small" onclick="reviewDeclaration('\${item.kind}', '\${item.pilotId}', 'rejected')">Reject</button>\`
+                    : '';
+                return \`
+                    <tr>
+                        <td><a href="https://www.weglide.org/user/\${item.pilotId}" target="_blank">\${item.pilotName}</a></td>
+                        <td>\${item.label}</td>
+                        <td>\${declared}</td>
+                        <td>\${estimate}</td>
+                        <td>\${item.submittedAt ? new Date(item.submittedAt).toLocaleDateString() : '-'}</td>
+                        <td>\${actions}</td>
+                    </tr>
+                \`;
+            }).join('');
+
+            const overlay = document.createElement('div');
+            overlay.className = 'verification-overlay';
+            overlay.innerHTML = \`
+                <div class="verification-form review-queue" style="max-width: 900px;">
+                    <h3>Review Queue (\${queue.length} pending)</h3>
+                    \${canReview ? '' : '<p style="font-size: 0.9em; color: #888;">Sign in as a leaderboard admin to approve or reject declarations.</p>'}
+                    \${queue.length > 0 ? \`
+                    <table>
+                        <thead>
+                            <tr><th>Pilot</th><th>Declaration</th><th>Declared</th><th>WeGlide estimate</th><th>Submitted</th><th></th></tr>
+                        </thead>
+                        <tbody>\${rows}</tbody>
+                    </table>
+                    \` : '<p>No declarations are waiting for review.</p>'}
                     <div class="form-buttons">
-                        <button class="submit-btn" onclick="exportVerificationData()">Export Verification Data</button>
                         <button class="cancel-btn" onclick="closeVerificationForm()">Close</button>
                     </div>
                 </div>
@@ -3565,6 +3529,72 @@ No maximum distance bonus\`
             document.body.appendChild(overlay);
         }
 
+        function formatDerivedAge(declaration, dateOfBirth) {
+            const age = Number.isInteger(declaration.ageAtAchievement)
+                ? \`Age \${declaration.ageAtAchievement} on \${declaration.achievementDate} (\${declaration.juniorEligible ? 'junior' : 'not junior'})\`
+                : 'Age not derived yet';
+            return dateOfBirth ? \`\${age}<br><small>Born \${dateOfBirth}</small>\` : age;
+        }
+
+        async function loadPrivateDatesOfBirth(queue) {
+            const datesOfBirth = {};
+            const pilotIds = queue.filter(item => item.kind === 'dob').map(item => item.pilotId);
+            await Promise.all(pilotIds.map(async pilotId => {
+                try {
+                    const snapshot = await db.collection(DECLARATION_KINDS.dob.privateCollection).doc(String(pilotId)).get();
+                    if (snapshot.exists) {
+                        datesOfBirth[pilotId] = snapshot.data().dateOfBirth;
+                    }
+                } catch (error) {
+                    console.warn('Could not load the date of birth for ' + pilotId + ':', error.message);
+                }
+            }));
+            return datesOfBirth;
+        }
+
+        // Approve or reject a pending declaration; the decision and note are kept on the
+        // declaration and in its verification_audit entry
+        async function reviewDeclaration(kind, pilotId, decision) {
+            const { key, collection } = DECLARATION_KINDS[kind];
+            const note = prompt(decision === 'approved' ? 'Note for the approval (optional):' : 'Reason for rejecting (optional):', '');
+            if (note === null) {
+                return;
+            }
+
+            try {
+                const snapshot = await db.collection(collection).doc(String(pilotId)).get();
+                if (!snapshot.exists) {
+                    throw new Error('The declaration no longer exists');
+                }
+                const { pilotId: storedPilotId, timestamp, submittedBy, auditId, ...declaration } = snapshot.data();
+                if (getReviewStatus(declaration) !== 'pending') {
+                    alert('This declaration has already been reviewed or changed - reload the page to see it.');
+                    return;
+                }
+
+                const review = {
+                    reviewedBy: currentUser.uid,
+                    reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    note: note.trim()
+                };
+                await writeAuditedVerification(collection, pilotId, { ...declaration, status: decision, review },
+                    decision === 'approved' ? 'approve' : 'reject');
+
+                pilotVerifications[key] = pilotVerifications[key] || {};
+                pilotVerifications[key][pilotId] = {
+                    ...declaration,
+                    status: decision,
+                    review: { ...review, reviewedAt: new Date().toISOString() }
+                };
+                buildLeaderboard();
+                calculateTrophyWinners();
+                showReviewQueue();
+            } catch (error) {
+                console.error('Failed to save review:', error);
+                alert('Failed to save the review: ' + error.message);
+            }
+        }
+
         // Add keyboard shortcut for admin panel (Ctrl+Shift+A)
         document.addEventListener('keydown', function(e) {
             if (e.ctrlKey && e.shiftKey && e.key === 'A') {
@@ -3586,7 +3616,7 @@ No maximum distance bonus\`
                         <input type="date" id="dobInput" max="2010-12-31" />
                         <label for="dobInput">Date of Birth</label>
                     </div>
-                    <p style="font-size: 0.9em; color: #888;">This is a self-declaration system. Your age at the time of achieving Silver C will be calculated.</p>
+                    <p style="font-size: 0.9em; color: #888;">This is a self-declaration system. Only leaderboard admins can see your date of birth; the leaderboard shows just your age when you achieved Silver C.</p>
                     <div class="form-buttons">
                         <button class="submit-btn" onclick="submitDOBVerification('\${pilotId}', '\${pilotName}')">Verify</button>
                         <button class="cancel-btn" onclick="closeVerificationForm()">Cancel</button>
@@ -3614,6 +3644,16 @@ No maximum distance bonus\`
                 return;
             }
 
+            const candidate = silverCGullLeaderboard.find(entry => String(entry.userId) === String(pilotId));
+            if (!candidate) {
+                alert('No junior Silver C flight found for this pilot');
+                return;
+            }
+
+            if (!(await requireVerificationAccess(pilotId, pilotName))) {
+                return;
+            }
+
             // Show loading state
             const submitBtn = document.querySelector('.submit-btn');
             const originalText = submitBtn.textContent;
@@ -3622,17 +3662,11 @@ No maximum distance bonus\`
 
             try {
                 // Save to database
-                await saveDOBVerificationToDatabase(pilotId, pilotName, dateOfBirth);
+                const verificationData = await saveDOBVerificationToDatabase(pilotId, pilotName, dateOfBirth, candidate.date);
 
                 // Update local data for immediate UI update
                 pilotVerifications.dobVerifications = pilotVerifications.dobVerifications || {};
-                pilotVerifications.dobVerifications[pilotId] = {
-                    pilotName: pilotName,
-                    dateOfBirth: dateOfBirth,
-                    verifiedDate: new Date().toISOString(),
-                    dataSource: 'user-entered',
-                    age: Math.floor(age)
-                };
+                pilotVerifications.dobVerifications[pilotId] = verificationData;
 
                 // Close form and rebuild leaderboard
                 closeVerificationForm();
@@ -3640,7 +3674,7 @@ No maximum distance bonus\`
                 calculateTrophyWinners(); // Recalculate trophies
 
                 // Show confirmation
-                alert(\`Thank you \${pilotName}! Your date of birth has been verified.\`);
+                alert(\`Thank you \${pilotName}! Your date of birth has been saved and will count once a leaderboard admin has reviewed it.\`);
             } catch (error) {
                 console.error('Failed to save DOB verification:', error);
                 alert('Failed to save verification. Please try again or contact support.');
@@ -3652,36 +3686,23 @@ No maximum distance bonus\`
         }
 
         // Verification system functions
-        function calculateWeGlideHoursSinceStart(pilotId) {
-            const startDate = new Date('2024-10-01');
-            let totalHours = 0;
-
-            // Look through all flight data for this pilot since Oct 1, 2024
-            const allFlightData = [...mixedLeaderboard, ...freeLeaderboard, ...silverCGullLeaderboard];
-            const pilotFlights = allFlightData.filter(p => p.pilotId == pilotId);
-
-            pilotFlights.forEach(pilot => {
-                if (pilot.bestFlights) {
-                    pilot.bestFlights.forEach(flight => {
-                        if (flight.date && new Date(flight.date) >= startDate) {
-                            // Extract duration from flight data (this would need to be added to flight data structure)
-                            // For now, we'll estimate based on distance and speed
-                            if (flight.distance && flight.speed) {
-                                const estimatedHours = flight.distance / flight.speed;
-                                totalHours += estimatedHours;
-                            }
-                        }
-                    });
-                } else if (pilot.date && new Date(pilot.date) >= startDate) {
-                    // Silver C-Gull structure
-                    if (pilot.distance && pilot.speed) {
-                        const estimatedHours = pilot.distance / pilot.speed;
-                        totalHours += estimatedHours;
-                    }
-                }
-            });
-
-            return totalHours;
+        // Breakdown of a WeGlide PIC hours estimate (pic_hours_estimator.js); estimates
+        // from older builds have no source, flight count or confidence
+        function formatPicHoursEstimate(estimate) {
+            const calculation = estimate.calculation || {};
+            const source = { 'flight-list': 'own flight list', 'season-file': 'season file' }[calculation.source];
+            const flights = typeof calculation.flightsSinceSeasonStart === 'number'
+                ? \` (\${calculation.flightsSinceSeasonStart} flights\${source ? ', ' + source : ''})\`
+                : '';
+            const lines = [
+                \`Total WeGlide hours: \${calculation.totalWeGlideHours} h\`,
+                \`Hours since \${SEASON_START_LABEL}: \${calculation.hoursSinceOct1} h\${flights}\`
+            ];
+            if (calculation.confidence) {
+                lines.push(\`Confidence: <span class="estimate-confidence \${calculation.confidence}">\${calculation.confidence}</span>\`);
+            }
+            (calculation.notes || []).forEach(note => lines.push(\`<em>\${note}</em>\`));
+            return lines.join('<br>');
         }
 
         async function runAutomaticVerificationWorkflow() {
@@ -3702,34 +3723,27 @@ No maximum distance bonus\`
                     continue; // Don't overwrite user data
                 }
 
-                // Calculate WeGlide-based hours
-                const weglideHoursSinceStart = calculateWeGlideHoursSinceStart(pilotId);
-                const totalWeGlideHours = pilotDurations[pilotId] ? (pilotDurations[pilotId] / 3600) : 0;
-                const estimatedOct1Hours = Math.max(0, totalWeGlideHours - weglideHoursSinceStart);
-
-                // Only update if we have meaningful WeGlide data
-                if (totalWeGlideHours > 0) {
+                // WeGlide estimate from the leaderboard build
+                const estimate = pilotVerifications.picHoursEstimates && pilotVerifications.picHoursEstimates[pilotId];
+                if (estimate) {
                     pilotVerifications.picHoursVerifications = pilotVerifications.picHoursVerifications || {};
 
                     // Create/update automatic verification entry
                     pilotVerifications.picHoursVerifications[pilotId] = {
                         pilotName: pilot.pilot,
-                        picHours: estimatedOct1Hours,
+                        picHours: estimate.picHours,
                         verifiedDate: new Date().toISOString(),
                         dataSource: 'weglide-calculated', // Lower priority than user data
-                        eligible: estimatedOct1Hours < 200,
-                        calculation: {
-                            totalWeGlideHours: totalWeGlideHours,
-                            hoursSinceOct1: weglideHoursSinceStart,
-                            estimatedOct1Hours: estimatedOct1Hours
-                        }
+                        eligible: estimate.eligible,
+                        calculation: estimate.calculation
                     };
                     updatedCount++;
 
-                    // Save to database if pilot is over 200 hours (important for eligibility)
-                    if (estimatedOct1Hours >= 200) {
+                    // Save to database if pilot is over 200 hours (important for eligibility);
+                    // only admins may store WeGlide estimates
+                    if (!estimate.eligible && canWriteVerification(pilotId)) {
                         try {
-                            await saveVerificationToDatabase(pilotId, pilot.pilot, estimatedOct1Hours, 'weglide-calculated');
+                            await saveVerificationToDatabase(pilotId, pilot.pilot, estimate.picHours, 'weglide-calculated');
                         } catch (error) {
                             console.warn(\`Failed to save auto-verification for \${pilot.pilot}:\`, error);
                         }
@@ -3744,10 +3758,8 @@ No maximum distance bonus\`
 
 
         function showVerificationForm(pilotId, pilotName) {
-            // Calculate WeGlide hours since Oct 1, 2024
-            const weglideHoursSinceStart = calculateWeGlideHoursSinceStart(pilotId);
-            const totalWeGlideHours = pilotDurations[pilotId] ? (pilotDurations[pilotId] / 3600) : 0;
-            const estimatedOct1Hours = Math.max(0, totalWeGlideHours - weglideHoursSinceStart);
+            // WeGlide estimate of the hours at the season start, from the leaderboard build
+            const estimate = pilotVerifications.picHoursEstimates && pilotVerifications.picHoursEstimates[pilotId];
 
             const overlay = document.createElement('div');
             overlay.className = 'verification-overlay';
@@ -3755,24 +3767,23 @@ No maximum distance bonus\`
                 <div class="verification-form">
                     <h3>PIC Hours Verification</h3>
                     <p><strong>\${pilotName}</strong></p>
-                    <p>Please confirm your total Pilot-in-Command hours as of <strong>October 1, 2024</strong>:</p>
+                    <p>Please confirm your total Pilot-in-Command hours as of <strong>\${SEASON_START_LABEL}</strong>:</p>
 
-                    \${weglideHoursSinceStart > 0 ? \`
+                    \${estimate ? \`
                     <div class="weglide-calculation" style="background: rgba(0,123,255,0.1); padding: 10px; border-radius: 5px; margin: 10px 0; font-size: 0.9em;">
                         <strong>WeGlide Calculation:</strong><br>
-                        Total WeGlide hours: \${totalWeGlideHours.toFixed(1)}h<br>
-                        Hours since Oct 1, 2024: \${weglideHoursSinceStart.toFixed(1)}h<br>
-                        <strong>Estimated Oct 1, 2024 hours: \${estimatedOct1Hours.toFixed(1)}h</strong>
+                        \${formatPicHoursEstimate(estimate)}<br>
+                        <strong>Estimated \${SEASON_START_LABEL} hours: \${estimate.picHours.toFixed(1)}h</strong>
                     </div>
                     \` : ''}
 
                     <div>
-                        <input type="number" id="picHours" min="0" step="0.1" placeholder="Hours" value="\${estimatedOct1Hours > 0 ? estimatedOct1Hours.toFixed(1) : ''}" />
+                        <input type="number" id="picHours" min="0" step="0.1" placeholder="Hours" value="\${estimate && estimate.picHours > 0 ? estimate.picHours.toFixed(1) : ''}" />
                         <label for="picHours">hours PIC</label>
                     </div>
                     <p style="font-size: 0.9em; color: #888;">
                         Self-declaration system. If you enter ≥200 hours, you'll be removed from the Under 200 Hours eligibility list.
-                        \${weglideHoursSinceStart > 0 ? 'Pre-filled with WeGlide calculation - please verify or correct.' : ''}
+                        \${estimate ? 'Pre-filled with WeGlide calculation - please verify or correct.' : ''}
                     </p>
                     <div class="form-buttons">
                         <button class="submit-btn" onclick="submitVerification('\${pilotId}', '\${pilotName}')">Verify</button>
@@ -3799,6 +3810,10 @@ No maximum distance bonus\`
                 return;
             }
 
+            if (!(await requireVerificationAccess(pilotId, pilotName))) {
+                return;
+            }
+
             // Show loading state
             const submitBtn = document.querySelector('.submit-btn');
             const originalText = submitBtn.textContent;
@@ -3816,6 +3831,7 @@ No maximum distance bonus\`
                     picHours: hours,
                     verifiedDate: new Date().toISOString(),
                     dataSource: 'user-entered', // Mark as user data (highest priority)
+                    status: 'pending', // Counts once an admin approves it
                     eligible: hours < 200
                 };
 
@@ -3824,7 +3840,7 @@ No maximum distance bonus\`
                 buildLeaderboard();
 
                 // Show confirmation
-                alert(\`Thank you \${pilotName}! Your PIC hours (\${hours}) have been verified and saved.\`);
+                alert(\`Thank you \${pilotName}! Your PIC hours (\${hours}) have been saved and will count once a leaderboard admin has reviewed them.\`);
             } catch (error) {
                 console.error('Failed to save verification:', error);
                 alert('Failed to save verification. Please try again or contact support.');
@@ -3855,6 +3871,15 @@ No maximum distance bonus\`
                     firebase.initializeApp(firebaseConfig);
                     db = firebase.firestore();
                     console.log('Firebase initialized successfully');
+
+                    // Wait for the first auth state so a returning admin or pilot is recognised
+                    currentUser = await new Promise(resolve => {
+                        const unsubscribe = firebase.auth().onAuthStateChanged(user => {
+                            unsubscribe();
+                            resolve(user);
+                        });
+                    });
+                    await refreshAuthClaims();
                 } else {
                     console.warn('Firebase not loaded - using localStorage fallback');
                 }
@@ -3863,41 +3888,126 @@ No maximum distance bonus\`
             }
         }
 
+        // Signed-in Firebase user and the custom claims set by set_verification_roles.js:
+        // weglideUserId (the pilot the account belongs to) and admin
+        let currentUser = null;
+        let currentClaims = {};
+
+        async function refreshAuthClaims() {
+            currentClaims = currentUser ? (await currentUser.getIdTokenResult(true)).claims : {};
+        }
+
+        // Mirrors canWriteVerification in firestore.rules
+        function canWriteVerification(pilotId) {
+            return currentClaims.admin === true ||
+                (Number.isInteger(currentClaims.weglideUserId) && String(currentClaims.weglideUserId) === String(pilotId));
+        }
+
+        // Sign in (Google) if needed and check the account may verify this pilot
+        async function requireVerificationAccess(pilotId, pilotName) {
+            if (!db) {
+                return true; // localStorage fallback
+            }
+
+            try {
+                if (!currentUser) {
+                    const result = await firebase.auth().signInWithPopup(new firebase.auth.GoogleAuthProvider());
+                    currentUser = result.user;
+                }
+                await refreshAuthClaims();
+            } catch (error) {
+                console.error('Sign-in failed:', error);
+                alert('Please sign in to verify your details.');
+                return false;
+            }
+
+            if (canWriteVerification(pilotId)) {
+                return true;
+            }
+
+            const switchAccount = confirm(\`You are signed in as \${currentUser.email || currentUser.uid}, which is not linked to \${pilotName}'s WeGlide account.\n\n\` +
+                \`To link it, send a leaderboard admin this account id: \${currentUser.uid}\n\nSign out to use a different account?\`);
+            if (switchAccount) {
+                await firebase.auth().signOut();
+                currentUser = null;
+                currentClaims = {};
+            }
+            return false;
+        }
+
+        // Write a verification together with its verification_audit entry;
+        // firestore.rules rejects verification writes without one.
+        // action: 'approve' / 'reject' for admin reviews, otherwise create or update
+        async function writeAuditedVerification(collectionName, pilotId, data, action = null, privateRecord = null) {
+            const docRef = db.collection(collectionName).doc(String(pilotId));
+            const auditRef = db.collection('verification_audit').doc();
+            const existing = await docRef.get();
+            const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+
+            const auditEntry = {
+                collection: collectionName,
+                pilotId: String(pilotId),
+                action: action || (existing.exists ? 'update' : 'create'),
+                data: data,
+                actorUid: currentUser.uid,
+                actorIsAdmin: currentClaims.admin === true,
+                timestamp: timestamp
+            };
+            if (Number.isInteger(currentClaims.weglideUserId)) {
+                auditEntry.actorWeglideUserId = currentClaims.weglideUserId;
+            }
+
+            const batch = db.batch();
+            batch.set(docRef, {
+                ...data,
+                pilotId: String(pilotId),
+                submittedBy: currentUser.uid,
+                auditId: auditRef.id,
+                timestamp: timestamp
+            });
+            // Admin-only part of the declaration (raw date of birth), never in the audit entry
+            if (privateRecord) {
+                batch.set(db.collection(privateRecord.collection).doc(String(pilotId)), {
+                    ...privateRecord.data,
+                    pilotId: String(pilotId),
+                    submittedBy: currentUser.uid,
+                    timestamp: timestamp
+                });
+            }
+            batch.set(auditRef, auditEntry);
+            await batch.commit();
+        }
+
         async function saveVerificationToDatabase(pilotId, pilotName, hours, dataSource = 'user-entered') {
             const verificationData = {
-                pilotId: pilotId,
                 pilotName: pilotName,
                 picHours: hours,
                 verifiedDate: new Date().toISOString(),
                 eligible: hours < 200,
-                dataSource: dataSource,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+                dataSource: dataSource
             };
+            // Declarations wait for admin review; WeGlide estimates have no review status
+            if (dataSource === 'user-entered') {
+                verificationData.status = 'pending';
+            }
 
             if (db) {
                 try {
-                    console.log('Attempting to save verification data:', JSON.stringify(verificationData, null, 2));
                     // Save to Firebase Firestore
-                    await db.collection('pilot_verifications').doc(pilotId).set(verificationData);
+                    await writeAuditedVerification('pilot_verifications', pilotId, verificationData);
                     console.log('Verification saved to Firebase');
                     return;
                 } catch (error) {
-                    console.error('Firebase save failed:', error);
-                    console.error('Error details:', error.code, error.message);
-                    console.error('Data that failed:', JSON.stringify(verificationData, null, 2));
-                    // Fall back to localStorage
+                    // Rejected writes (e.g. not signed in as this pilot) must not look saved
+                    console.error('Firebase save failed:', error.code, error.message);
+                    throw error;
                 }
             }
 
             // Fallback to localStorage
             const localData = JSON.parse(localStorage.getItem('pilot_verifications') || '{"picHoursVerifications": {}, "dobVerifications": {}}');
             localData.picHoursVerifications = localData.picHoursVerifications || {};
-            localData.picHoursVerifications[pilotId] = {
-                pilotName: pilotName,
-                picHours: hours,
-                verifiedDate: new Date().toISOString(),
-                eligible: hours < 200
-            };
+            localData.picHoursVerifications[pilotId] = verificationData;
             localStorage.setItem('pilot_verifications', JSON.stringify(localData));
             console.log('Verification saved to localStorage (fallback)');
         }
@@ -3908,6 +4018,10 @@ No maximum distance bonus\`
                 console.log('⚠️ Firebase not initialized - cannot perform mass sync');
                 return;
             }
+            if (currentClaims.admin !== true) {
+                console.log('⚠️ Mass sync needs a signed-in leaderboard admin');
+                return;
+            }
 
             console.log('🔄 Starting mass Firebase sync of all WeGlide verification data...');
 
@@ -3937,13 +4051,11 @@ No maximum distance bonus\`
 
                     // Push to Firebase
                     const firebaseData = {
-                        pilotId: pilotId,
                         pilotName: verificationData.pilotName,
                         picHours: verificationData.picHours,
                         verifiedDate: verificationData.verifiedDate,
                         eligible: verificationData.eligible,
-                        dataSource: verificationData.dataSource,
-                        timestamp: firebase.firestore.FieldValue.serverTimestamp()
+                        dataSource: verificationData.dataSource
                     };
 
                     // Only include calculation if it exists and has no undefined values
@@ -3953,7 +4065,7 @@ No maximum distance bonus\`
                         firebaseData.calculation = verificationData.calculation;
                     }
 
-                    await db.collection('pilot_verifications').doc(pilotId).set(firebaseData);
+                    await writeAuditedVerification('pilot_verifications', pilotId, firebaseData);
                     successCount++;
 
                     // Progress update and throttle
@@ -3986,38 +4098,38 @@ No maximum distance bonus\`
             console.log('🔧 Removed sync_firebase parameter from URL');
         }
 
-        async function saveDOBVerificationToDatabase(pilotId, pilotName, dateOfBirth) {
+        // The raw date of birth only goes to the admin-only dob_private collection; the
+        // public record gets the age on the Silver C achievement date
+        async function saveDOBVerificationToDatabase(pilotId, pilotName, dateOfBirth, achievementDate) {
+            const { privateCollection } = DECLARATION_KINDS.dob;
             const verificationData = {
-                pilotId: pilotId,
                 pilotName: pilotName,
-                dateOfBirth: dateOfBirth,
                 verifiedDate: new Date().toISOString(),
                 dataSource: 'user-entered',
-                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+                status: 'pending',
+                ...deriveAgeAtAchievement(dateOfBirth, achievementDate)
             };
 
             if (db) {
                 try {
                     // Save to Firebase Firestore
-                    await db.collection('dob_verifications').doc(pilotId).set(verificationData);
+                    await writeAuditedVerification('dob_verifications', pilotId, verificationData, null,
+                        { collection: privateCollection, data: { pilotName: pilotName, dateOfBirth: dateOfBirth } });
                     console.log('DOB verification saved to Firebase');
-                    return;
+                    return verificationData;
                 } catch (error) {
-                    console.error('Firebase DOB save failed:', error);
-                    // Fall back to localStorage
+                    console.error('Firebase DOB save failed:', error.code, error.message);
+                    throw error;
                 }
             }
 
             // Fallback to localStorage
             const localData = JSON.parse(localStorage.getItem('pilot_verifications') || '{"picHoursVerifications": {}, "dobVerifications": {}}');
             localData.dobVerifications = localData.dobVerifications || {};
-            localData.dobVerifications[pilotId] = {
-                pilotName: pilotName,
-                dateOfBirth: dateOfBirth,
-                verifiedDate: new Date().toISOString()
-            };
+            localData.dobVerifications[pilotId] = verificationData;
             localStorage.setItem('pilot_verifications', JSON.stringify(localData));
             console.log('DOB verification saved to localStorage (fallback)');
+            return verificationData;
         }
 
         async function loadVerificationsFromDatabase() {
@@ -4033,7 +4145,9 @@ No maximum distance bonus\`
                             picHours: data.picHours,
                             verifiedDate: data.verifiedDate,
                             eligible: data.eligible,
-                            dataSource: data.dataSource || 'user-entered' // Default to user-entered for backward compatibility
+                            dataSource: data.dataSource || 'user-entered', // Default to user-entered for backward compatibility
+                            status: data.status,
+                            review: data.review
                         };
                     });
 
@@ -4044,9 +4158,13 @@ No maximum distance bonus\`
                         const data = doc.data();
                         dobVerifications[doc.id] = {
                             pilotName: data.pilotName,
-                            dateOfBirth: data.dateOfBirth,
+                            ageAtAchievement: data.ageAtAchievement,
+                            achievementDate: data.achievementDate,
+                            juniorEligible: data.juniorEligible,
                             verifiedDate: data.verifiedDate,
-                            dataSource: data.dataSource || 'user-entered' // Default to user-entered for backward compatibility
+                            dataSource: data.dataSource || 'user-entered', // Default to user-entered for backward compatibility
+                            status: data.status,
+                            review: data.review
                         };
                     });
 
@@ -4117,14 +4235,16 @@ No maximum distance bonus\`
 
             document.getElementById('combinedBtn').addEventListener('click', () => switchScoringMode('mixed'));
             document.getElementById('freeBtn').addEventListener('click', () => switchScoringMode('free'));
-            const sprintBtn = document.getElementById('sprintBtn');
-            if (sprintBtn) sprintBtn.addEventListener('click', () => switchScoringMode('sprint'));
-            const triangleBtn = document.getElementById('triangleBtn');
-            if (triangleBtn) triangleBtn.addEventListener('click', () => switchScoringMode('triangle'));
-            const outReturnBtn = document.getElementById('outReturnBtn');
-            if (outReturnBtn) outReturnBtn.addEventListener('click', () => switchScoringMode('out_return'));
-            const outBtn = document.getElementById('outBtn');
-            if (outBtn) outBtn.addEventListener('click', () => switchScoringMode('out'));
+            document.querySelectorAll('.toggle-btn[data-mode]').forEach(btn => {
+                btn.addEventListener('click', () => switchScoringMode(btn.dataset.mode));
+            });
+            const classSelect = document.getElementById('classSelect');
+            if (classSelect) {
+                classSelect.addEventListener('change', () => {
+                    currentClass = classSelect.value;
+                    switchScoringMode(currentScoringMode === 'silverCGull' ? 'mixed' : currentScoringMode);
+                });
+            }
 
             // Initialize tooltips
             addTooltipListeners();
@@ -4344,26 +4464,26 @@ No maximum distance bonus\`
         </script>`
         .replace('__PILOT_DURATIONS_PLACEHOLDER__', JSON.stringify(pilotDurationsEmbedded));
 
-        australianHTML = australianHTML.substring(0, scriptStart) +
+        leaderboardHTML = leaderboardHTML.substring(0, scriptStart) +
                         newScriptContent +
-                        australianHTML.substring(scriptEnd);
+                        leaderboardHTML.substring(scriptEnd);
 
         // Inject embedded pilot durations JSON into the script
-        australianHTML = australianHTML.replace('__PILOT_DURATIONS_PLACEHOLDER__', JSON.stringify(pilotDurationsEmbedded));
+        leaderboardHTML = leaderboardHTML.replace('__PILOT_DURATIONS_PLACEHOLDER__', JSON.stringify(pilotDurationsEmbedded));
 
         // Inject embedded pilot verification data into the script
-        australianHTML = australianHTML.replace('__PILOT_VERIFICATIONS_PLACEHOLDER__', JSON.stringify(pilotVerificationData));
+        leaderboardHTML = leaderboardHTML.replace('__PILOT_VERIFICATIONS_PLACEHOLDER__', JSON.stringify(pilotVerificationData));
 
         // Inject embedded pilot profiles data into the script
-        australianHTML = australianHTML.replace('__PILOT_PROFILES_PLACEHOLDER__', JSON.stringify(pilotProfilesEmbedded));
+        leaderboardHTML = leaderboardHTML.replace('__PILOT_PROFILES_PLACEHOLDER__', JSON.stringify(pilotProfilesEmbedded));
 
         // Remove Canadian-specific under-table filter bar to avoid duplicate buttons
-        australianHTML = australianHTML.replace(/<div class="scoring-toggle" id="filtersBar"[\s\S]*?<\/div>\s*/g, '');
+        leaderboardHTML = leaderboardHTML.replace(/<div class="scoring-toggle" id="filtersBar"[\s\S]*?<\/div>\s*/g, '');
 
         // Add scoring toggle buttons and trophy section after the stats section
-        australianHTML = australianHTML.replace(
+        leaderboardHTML = leaderboardHTML.replace(
             /(<div class="stats">.*?<\/div>\s*)<\/div>/s,
-            '$1</div><div class="scoring-toggle">\n                    <div class="primary-toggle-row">\n                        <button class="toggle-btn active" id="combinedBtn">Combined Scoring</button>\n                        <button class="toggle-btn" id="freeBtn">Free Only</button>\n                        <button class="filter-btn" id="under200Btn">⚬ < 200 hrs PIC</button>\n                        <button class="find-btn" id="openSearchBtn" title="Find pilot">🔍 Find</button>\n                    </div>\n                    <div class="secondary-toggle-row">\n                        <span class="secondary-toggle-label">Contest views:</span>\n                        <button class="toggle-btn secondary" id="sprintBtn">Sprint</button>\n                        <button class="toggle-btn secondary" id="triangleBtn">Triangle</button>\n                        <button class="toggle-btn secondary" id="outReturnBtn">Out &amp; Return</button>\n                        <button class="toggle-btn secondary" id="outBtn">Out</button>\n                    </div>\n                </div><div id="searchOverlay" class="search-overlay" style="display: none;"><div class="search-widget"><input type="text" id="searchInput" placeholder="Find pilot..." autocomplete="off"><button id="nextBtn">Next</button><button id="closeBtn">✕</button><div id="searchStatus"></div></div></div><div class="trophy-section"><div class="trophy-header" onclick="toggleTrophySection()"><h3>🏆 Trophy Standings (YTD - unofficial) <span class="toggle-arrow" id="trophyArrow">▶</span></h3></div><div class="trophy-content" id="trophyContent" style="display: none;"><div id="trophyWinners">Loading trophy winners...</div></div></div><div class="task-stats-section"><div class="task-stats-header" onclick="toggleTaskStatsSection()"><h5>📊 Task Type Statistics <span class="toggle-arrow" id="taskStatsArrow">▶</span></h5></div><div class="task-stats-content" id="taskStatsContent" style="display: none;"><div class="task-stats-table-wrapper"><table class="task-stats-table"><thead><tr><th>Task Type</th><th>Description</th><th>Total</th><th>Finished</th><th>IGC Task</th><th>IGC Completed</th><th>WeGlide Task</th><th>WeGlide Completed</th></tr></thead><tbody id="taskStatsTableBody"></tbody></table></div></div></div><p class="mock-notice">(Mock leaderboard using Australian data for demonstration purposes.)</p>'
+            '$1</div><div class="scoring-toggle">\n                    <div class="primary-toggle-row">\n                        <button class="toggle-btn active" id="combinedBtn">' + escapeHtml(leaderboardViews.find(view => view.id === 'mixed').label) + '</button>\n                        <button class="toggle-btn" id="freeBtn">' + escapeHtml(leaderboardViews.find(view => view.id === 'free').label) + '</button>\n                        <button class="filter-btn" id="under200Btn">⚬ < 200 hrs PIC</button>\n                        ' + classSelectHtml + '\n                        <button class="find-btn" id="openSearchBtn" title="Find pilot">🔍 Find</button>\n                        <a class="find-btn compare-link" href="' + escapeHtml(path.relative(path.dirname(config.outputFile), config.comparePageFile).split(path.sep).join('/')) + '" title="Compare pilots\' flight statistics">⚖️ Compare</a>\n                    </div>\n                    ' + (contestViewButtons ? '<div class="secondary-toggle-row">\n                        <span class="secondary-toggle-label">Contest views:</span>\n                        ' + contestViewButtons + '\n                    </div>' : '') + '\n                </div><div id="searchOverlay" class="search-overlay" style="display: none;"><div class="search-widget"><input type="text" id="searchInput" placeholder="Find pilot..." autocomplete="off"><button id="nextBtn">Next</button><button id="closeBtn">✕</button><div id="searchStatus"></div></div></div>' + dailySectionHtml + aircraftSectionHtml + (config.trophies.length > 0 ? '<div class="trophy-section"><div class="trophy-header" onclick="toggleTrophySection()"><h3>🏆 Trophy Standings (YTD - unofficial) <span class="toggle-arrow" id="trophyArrow">▶</span></h3></div><div class="trophy-content" id="trophyContent" style="display: none;"><div id="trophyWinners">Loading trophy winners...</div></div></div>' : '') + '<div class="task-stats-section"><div class="task-stats-header" onclick="toggleTaskStatsSection()"><h5>📊 Task Type Statistics <span class="toggle-arrow" id="taskStatsArrow">▶</span></h5></div><div class="task-stats-content" id="taskStatsContent" style="display: none;"><div class="task-stats-table-wrapper"><table class="task-stats-table"><thead><tr><th>Task Type</th><th>Description</th><th>Total</th><th>Finished</th><th>IGC Task</th><th>IGC Completed</th><th>WeGlide Task</th><th>WeGlide Completed</th></tr></thead><tbody id="taskStatsTableBody"></tbody></table></div></div></div>' + teamSectionHtml + ineligibleSectionHtml + (config.notice ? '<p class="mock-notice">' + config.notice + '</p>' : '')
         );
 
         // Add CSS for toggle buttons and award badges
@@ -4427,6 +4547,11 @@ No maximum distance bonus\`
             box-shadow: 0 2px 4px rgba(40, 167, 69, 0.3);
         }
 
+        .compare-link {
+            display: inline-block;
+            text-decoration: none;
+        }
+
         .find-btn:hover {
             background: linear-gradient(135deg, #218838, #1ea080);
             box-shadow: 0 3px 6px rgba(40, 167, 69, 0.4);
@@ -4629,6 +4754,27 @@ No maximum distance bonus\`
             color: #333;
         }
 
+        .copilot-flight-list {
+            margin: 0;
+            padding-left: 16px;
+            font-size: 12px;
+            color: #333;
+        }
+
+        .copilot-flight-list .copilot-credit {
+            float: right;
+            font-weight: 600;
+        }
+
+        .copilot-badge {
+            background: linear-gradient(90deg, #8e44ad, #9b59b6);
+            color: white;
+            font-size: 0.7em;
+            padding: 2px 6px;
+            border-radius: 10px;
+            margin-left: 5px;
+        }
+
         /* Mobile responsive pilot tooltips */
         @media (max-width: 768px) {
             .pilot-tooltip {
@@ -4687,6 +4833,20 @@ No maximum distance bonus\`
         }
 
         /* Filter button - visually distinct from scoring buttons */
+        .class-select {
+            padding: 8px 10px;
+            border: 2px solid rgba(255,255,255,0.3);
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border-radius: 6px;
+            font-size: 0.9em;
+            cursor: pointer;
+        }
+
+        .class-select option {
+            color: #333;
+        }
+
         .filter-btn {
             padding: 8px 16px;
             border: 2px solid rgba(255,193,7,0.5);
@@ -5231,6 +5391,21 @@ No maximum distance bonus\`
             color: white;
         }
 
+        .pending-row {
+            background-color: rgba(255, 193, 7, 0.08) !important;
+        }
+
+        .verification-badge.pending,
+        .verification-status.pending {
+            background-color: #ffc107;
+            color: #333;
+        }
+
+        .verification-badge.rejected {
+            background-color: #6c757d;
+            color: white;
+        }
+
         .verify-btn {
             font-size: 0.65em;
             padding: 2px 6px;
@@ -5280,6 +5455,47 @@ No maximum distance bonus\`
             opacity: 0.85;
         }
 
+        .pending-leaders {
+            border-left-color: rgba(255, 193, 7, 0.8);
+        }
+
+        .review-queue table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85em;
+            text-align: left;
+            margin: 10px 0;
+        }
+
+        .review-queue th,
+        .review-queue td {
+            padding: 6px 8px;
+            border-bottom: 1px solid rgba(0, 0, 0, 0.1);
+            vertical-align: top;
+        }
+
+        .review-queue button.small {
+            font-size: 0.8em;
+            padding: 3px 8px;
+            margin: 0 2px 2px 0;
+        }
+
+        .estimate-confidence {
+            font-weight: bold;
+        }
+
+        .estimate-confidence.high {
+            color: #28a745;
+        }
+
+        .estimate-confidence.medium {
+            color: #d39e00;
+        }
+
+        .estimate-confidence.low {
+            color: #dc3545;
+        }
+
         .unverified-pilot {
             display: flex;
             justify-content: space-between;
@@ -5647,6 +5863,55 @@ No maximum distance bonus\`
             color: rgba(255, 255, 255, 0.8);
         }
 
+        /* Team leaderboards */
+        .team-rules {
+            margin: 4px 0 8px;
+            color: #555;
+        }
+
+        .team-kind {
+            margin: 10px 0 6px;
+            font-size: 1em;
+            color: #333;
+        }
+
+        .team-row {
+            cursor: pointer;
+        }
+
+        .team-row:hover td {
+            background: #f1f8ff;
+        }
+
+        .team-pilots .task-stats-table {
+            min-width: 0;
+        }
+
+        .team-pilot-extra td {
+            color: #999;
+        }
+
+        /* Flight of the day bar linking to the daily results pages */
+        .daily-highlight {
+            margin: 10px auto;
+            max-width: 800px;
+            padding: 8px 12px;
+            background: rgba(255, 255, 255, 0.95);
+            border-left: 4px solid #f1c40f;
+            border-radius: 6px;
+            font-size: 0.9em;
+            color: #2c3e50;
+            text-align: center;
+        }
+
+        .daily-highlight a {
+            color: #2980b9;
+        }
+
+        .aircraft-highlight {
+            border-left-color: #3498db;
+        }
+
         #leaderboardTable.three-flight-mode th:nth-child(7),
         #leaderboardTable.three-flight-mode th:nth-child(8),
         #leaderboardTable.three-flight-mode td:nth-child(7),
@@ -5654,115 +5919,118 @@ No maximum distance bonus\`
             display: none;
         }`;
 
-        australianHTML = australianHTML.replace('</style>', toggleCSS + '\n    </style>');
+        leaderboardHTML = leaderboardHTML.replace('</style>', toggleCSS + '\n    </style>');
 
 
-        // Write the Australian leaderboard HTML
-        fs.writeFileSync('SAC_leaderboard.html', australianHTML);
+        // Write the leaderboard HTML
+        fs.writeFileSync(config.outputFile, leaderboardHTML);
 
-        fs.writeFileSync('australian_leaderboard.html', `<!DOCTYPE html>
+        if (config.redirectFile) {
+            fs.writeFileSync(config.redirectFile, `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8" />
-  <meta http-equiv="refresh" content="0; url=./SAC_leaderboard.html" />
+  <meta http-equiv="refresh" content="0; url=./${config.outputFile}" />
   <title>Redirecting…</title>
 </head>
 <body>
-  <p>Redirecting to <a href="./SAC_leaderboard.html">SAC Leaderboard</a>…</p>
+  <p>Redirecting to <a href="./${config.outputFile}">${config.title}</a>…</p>
 </body>
 </html>`);
-
-        console.log('✅ Created SAC_leaderboard.html and redirecting australian_leaderboard.html');
-
-        // Run server-side WeGlide verification calculation
-        console.log('🔄 Running WeGlide verification calculations...');
-
-        // Server-side WeGlide verification calculation function
-        async function runServerSideVerificationCalculations() {
-            const startDate = new Date('2024-10-01');
-            let calculatedCount = 0;
-            let updatedCount = 0;
-
-            // Initialize verification data if not exists
-            if (!pilotVerificationData.picHoursVerifications) {
-                pilotVerificationData.picHoursVerifications = {};
-            }
-
-            // Process all pilots from mixed leaderboard (most comprehensive)
-            for (const pilot of mixedLeaderboard) {
-                const pilotId = pilot.pilotId;
-                const existingVerification = pilotVerificationData.picHoursVerifications[pilotId];
-
-                // Skip if user has already entered data (never overwrite user data)
-                if (existingVerification && existingVerification.dataSource === 'user-entered') {
-                    continue;
-                }
-
-                // Calculate WeGlide hours since Oct 1, 2024
-                let hoursSinceStart = 0;
-                if (pilot.bestFlights) {
-                    pilot.bestFlights.forEach(flight => {
-                        if (flight.date && new Date(flight.date) >= startDate) {
-                            if (flight.distance && flight.speed) {
-                                hoursSinceStart += flight.distance / flight.speed;
-                            }
-                        }
-                    });
-                }
-
-                // Get total WeGlide hours for this pilot
-                const totalWeGlideHours = pilotDurationsEmbedded[pilotId] ?
-                    (pilotDurationsEmbedded[pilotId] / 3600) : 0;
-
-                const estimatedOct1Hours = Math.max(0, totalWeGlideHours - hoursSinceStart);
-
-                // Only process if we have meaningful WeGlide data
-                if (totalWeGlideHours > 0) {
-                    calculatedCount++;
-
-                    // Update or create verification entry (only if no user data exists)
-                    pilotVerificationData.picHoursVerifications[pilotId] = {
-                        pilotName: pilot.pilot,
-                        picHours: parseFloat(estimatedOct1Hours.toFixed(1)),
-                        verifiedDate: new Date().toISOString(),
-                        dataSource: 'weglide-calculated',
-                        eligible: estimatedOct1Hours < 200,
-                        calculation: {
-                            totalWeGlideHours: parseFloat(totalWeGlideHours.toFixed(1)),
-                            hoursSinceOct1: parseFloat(hoursSinceStart.toFixed(1)),
-                            estimatedOct1Hours: parseFloat(estimatedOct1Hours.toFixed(1))
-                        }
-                    };
-                    updatedCount++;
-                }
-            }
-
-            // Save updated verification data back to file
-            if (updatedCount > 0) {
-                try {
-                    fs.writeFileSync('pilot_pic_hours_verification.json',
-                        JSON.stringify(pilotVerificationData, null, 2));
-                    console.log(`✅ Updated ${updatedCount}/${calculatedCount} pilot verifications with WeGlide data`);
-
-                } catch (error) {
-                    console.error('❌ Failed to save verification calculations:', error);
-                }
-            } else {
-                console.log('ℹ️ No verification updates needed');
-            }
-
+            console.log(`✅ Created ${config.outputFile} and redirecting ${config.redirectFile}`);
+        } else {
+            console.log(`✅ Created ${config.outputFile}`);
+        }
+
+        // Static season page per pilot, linked from the pilot names
+        const pilotPageCount = writePilotPages(config, {
+            views: config.leaderboards,
+            seasonLabel,
+            seasonRecords,
+            creditedCopilotRecords,
+            pilotFlightsByView,
+            leaderboardsByView,
+            silverCGullLeaderboard,
+            aircraftAwards,
+            coachingInsights: buildCoachingInsights(seasonRecords),
+            verifications: pilotVerificationData
+        });
+        console.log(`✅ Wrote ${pilotPageCount} pilot pages to ${config.pilotPagesDir}`);
+
+        // Daily and weekly results; pilot names link to the pilot pages written above
+        const rankedPilotIds = new Set(silverCGullLeaderboard.map(entry => entry.userId));
+        Object.values(leaderboardsByView).forEach(leaderboard => leaderboard.forEach(entry => rankedPilotIds.add(entry.pilotId)));
+        const dailyPageCount = writeDailyPages(config, dailyResults, { seasonLabel, rankedPilotIds });
+        console.log(`✅ Wrote ${dailyPageCount.days} daily and ${dailyPageCount.weeks} weekly results pages to ${config.dailyPagesDir}`);
+        const comparedPilotCount = writeComparisonPage(config, buildPilotStatSummaries(seasonRecords, { pilotIds: rankedPilotIds }), { seasonLabel });
+        console.log(`✅ Wrote ${config.comparePageFile} comparing the flight stats of ${comparedPilotCount} pilots`);
+        if (aircraftTypeStats) {
+            const aircraftPageCount = writeAircraftTypePages(config, aircraftTypeStats, { seasonLabel, rankedPilotIds });
+            console.log(`✅ Wrote ${aircraftPageCount} aircraft type pages to ${config.aircraftPagesDir}`);
+        }
+
+        // CSV and JSON exports for other sites and spreadsheets
+        if (config.exportsDir) {
+            const exportCount = writeExports(config, {
+                leaderboardsByView,
+                recordsById,
+                silverCGullLeaderboard,
+                trophyCandidates,
+                verifications: pilotVerificationData
+            });
+            console.log(`📤 Wrote ${exportCount} exports (JSON, CSV and Excel CSV, schema v${EXPORT_SCHEMA_VERSION}) to ${config.exportsDir}`);
         }
 
-        await runServerSideVerificationCalculations();
+        // Keep this season next to earlier ones, with the cross-season index
+        if (config.archiveDir) {
+            const seasonDir = archiveSeason(config, buildSeasonSummary(config, {
+                seasonLabel,
+                leaderboardsByView,
+                trophyCandidates,
+                verifications: pilotVerificationData,
+                generatedAt: new Date().toISOString()
+            }));
+            console.log(`🗄️ Archived season ${config.season} to ${seasonDir} (index: ${path.join(config.archiveDir, 'index.html')})`);
+        }
         console.log(`📊 Top 10 pilots (Mixed Scoring):`);
-        mixedLeaderboard.slice(0, 10).forEach((pilot, index) => {
-            console.log(`${index + 1}. ${pilot.pilot}: ${pilot.totalPoints.toFixed(1)} points (${pilot.flightCount} flights, ${pilot.totalDistance.toFixed(0)} km)`);
+        mixedLeaderboard.slice(0, 10).forEach(pilot => {
+            console.log(`${pilot.rank}. ${pilot.pilot}: ${pilot.totalPoints.toFixed(1)} points (${pilot.flightCount} flights, ${pilot.totalDistance.toFixed(0)} km)`);
         });
 
     } catch (error) {
-        console.error('❌ Error processing flights:', error.message);
+        // Fail the run so scripts and CI don't publish a half-built leaderboard
+        console.error('❌ Error processing flights:', error.stack || error.message);
+        process.exitCode = 1;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG, fullRebuild: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') {
+            options.config = argv[++i];
+        } else if (argv[i] === '--full') {
+            options.fullRebuild = true;
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
     }
+    return options;
 }
 
+module.exports = {
+    processFlights,
+    deriveFlightRecord,
+    buildSilverBadgeEntry
+};
 
-processAustralianFlights();
+// Usage: node create_australian_leaderboard_from_jsonl.js [--config sac_demo|canada|australia|new_zealand|path/to/config.js] [--full]
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        processFlights(resolveLeaderboardConfig(options.config), { fullRebuild: options.fullRebuild });
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+}
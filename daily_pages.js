@@ -0,0 +1,381 @@
+// Static daily and weekly results for create_australian_leaderboard_from_jsonl.js
+//
+// The leaderboards total each pilot's best flights over the season; these pages group the
+// same season flights by scoring date instead, so clubs can share a day's results during
+// a competition or a good soaring week. <dailyPagesDir> (default <outputFile>_daily) gets
+// index.html listing every week and day, <YYYY-MM-DD>.html per flying day ranking its
+// flights, and <YYYY>-W<ww>.html per ISO week (Monday to Sunday) with the pilots' totals
+// for the week. Flights score with calculateBestScore (WeGlide Combined: Free, or a
+// declared task when it scores higher); the top flight of each day is its flight of the day.
+
+const fs = require('fs');
+const path = require('path');
+const { calculateBestScore, rankByPoints, FLIGHT_TIE_BREAKERS } = require('./weglide_scoring');
+const { flightCreditShares } = require('./pilot_eligibility');
+const { escapeHtml, isSharedRank, formatRank } = require('./shared_helpers');
+
+const DAY_TIE_BREAK = ['distance', 'speed'];
+const WEEK_TIE_BREAKERS = {
+    bestFlight: (a, b) => b.bestFlight - a.bestFlight
+};
+const TOP_FLIGHTS_PER_WEEK = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PAGE_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #2c3e50; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
+        .back-link { color: #3498db; text-decoration: none; font-size: 14px; }
+        .nav { display: flex; justify-content: space-between; font-size: 14px; margin: 10px 0; }
+        h1 { margin: 10px 0 4px; }
+        h2 { font-size: 18px; margin: 0 0 12px; }
+        .subtitle { color: #7f8c8d; margin-bottom: 20px; }
+        .section { background: white; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 20px; overflow-x: auto; }
+        .highlight { border-left: 4px solid #f1c40f; }
+        .highlight p { margin: 4px 0; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ecf0f1; text-align: left; white-space: nowrap; }
+        th { background: #f8f9fa; font-weight: 600; }
+        td.points { text-align: right; }
+        tr.top td { background: #fef9e7; font-weight: 600; }
+        .role { font-size: 11px; color: #8e44ad; }
+        .legend { font-size: 12px; color: #7f8c8d; margin-top: 8px; }
+        a { color: #2980b9; }`;
+
+function isoDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// "Sat 12 Oct 2024"
+function formatDay(date) {
+    const day = new Date(date + 'T00:00:00Z');
+    return `${DAY_NAMES[day.getUTCDay()]} ${day.getUTCDate()} ${MONTH_NAMES[day.getUTCMonth()]} ${day.getUTCFullYear()}`;
+}
+
+// ISO week of a scoring date: { id: '2025-W03', start (Monday), end (Sunday) }
+function isoWeek(date) {
+    const day = new Date(date + 'T00:00:00Z').getTime();
+    const monday = day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+    const thursday = new Date(monday + 3 * DAY_MS);
+    const week = Math.floor((thursday.getTime() - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * DAY_MS)) + 1;
+    return {
+        id: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
+        start: isoDate(monday),
+        end: isoDate(monday + 6 * DAY_MS)
+    };
+}
+
+// Season flights grouped by scoring date ({ days, weeks }, oldest first). Days rank their
+// flights; weeks total each pilot's points with the config's co-pilot credit, like the
+// leaderboards (creditShares and creditedCopilotRecords from the generator).
+function buildDailyResults(records, { creditShares, creditedCopilotRecords }) {
+    const flightsByDate = new Map();
+    records.forEach(record => {
+        if (!record.date) return;
+        const score = calculateBestScore(record.minimal);
+        if (!(score.score > 0)) return;
+        if (!flightsByDate.has(record.date)) flightsByDate.set(record.date, []);
+        const shares = flightCreditShares(creditShares, creditedCopilotRecords.has(record));
+        flightsByDate.get(record.date).push({
+            id: record.id,
+            date: record.date,
+            pilot: record.pilotName,
+            pilotId: record.userId,
+            copilot: record.copilot,
+            picShare: shares.pic,
+            copilotShare: shares.copilot,
+            points: score.score,
+            distance: score.distance,
+            speed: score.speed,
+            contestType: score.contestType,
+            declared: score.declared,
+            takeoff: record.minimal.takeoff_airport?.name || '',
+            aircraft: record.aircraft?.name || record.aircraft?.kind || 'Unknown'
+        });
+    });
+
+    const days = Array.from(flightsByDate.keys()).sort().map(date => {
+        const flights = rankByPoints(flightsByDate.get(date), flight => flight.points, DAY_TIE_BREAK, FLIGHT_TIE_BREAKERS);
+        return {
+            date,
+            week: isoWeek(date),
+            flights,
+            flightsOfTheDay: flights.filter(flight => flight.rank === 1),
+            pilotCount: new Set(flights.map(flight => flight.pilotId)).size,
+            kms: flights.reduce((sum, flight) => sum + (flight.distance || 0), 0)
+        };
+    });
+
+    const weeks = [];
+    days.forEach(day => {
+        let week = weeks[weeks.length - 1];
+        if (!week || week.id !== day.week.id) {
+            week = { ...day.week, days: [] };
+            weeks.push(week);
+        }
+        week.days.push(day);
+    });
+    weeks.forEach(week => {
+        const flights = week.days.flatMap(day => day.flights);
+        const pilots = new Map();
+        const credit = (pilotId, pilot, points, flight) => {
+            if (!pilots.has(pilotId)) {
+                pilots.set(pilotId, { pilotId, pilot, totalPoints: 0, flightCount: 0, kms: 0, bestFlight: 0 });
+            }
+            const entry = pilots.get(pilotId);
+            entry.totalPoints += points;
+            entry.flightCount++;
+            entry.kms += flight.distance || 0;
+            entry.bestFlight = Math.max(entry.bestFlight, points);
+        };
+        flights.forEach(flight => {
+            credit(flight.pilotId, flight.pilot, flight.points * flight.picShare, flight);
+            if (flight.copilotShare > 0) {
+                credit(flight.copilot.id, flight.copilot.name, flight.points * flight.copilotShare, flight);
+            }
+        });
+        week.flightCount = flights.length;
+        week.kms = flights.reduce((sum, flight) => sum + (flight.distance || 0), 0);
+        week.pilots = rankByPoints(Array.from(pilots.values()), entry => entry.totalPoints, ['bestFlight'], WEEK_TIE_BREAKERS);
+        week.topFlights = rankByPoints(flights.map(flight => ({ ...flight })), flight => flight.points,
+            [...DAY_TIE_BREAK, 'earliestFlight'], FLIGHT_TIE_BREAKERS).slice(0, TOP_FLIGHTS_PER_WEEK);
+    });
+
+    return { days, weeks };
+}
+
+function describeFlight(flight) {
+    const contest = flight.declared ? 'Task' : 'Free';
+    return `${flight.points.toFixed(1)} pts · ${Math.round(flight.distance || 0)} km · ${(flight.speed || 0).toFixed(1)} km/h · ${contest}`;
+}
+
+function renderPage({ title, heading, subtitle, backLinks, nav, body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(heading)} - ${escapeHtml(title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${backLinks}
+        <h1>${escapeHtml(heading)}</h1>
+        <div class="subtitle">${subtitle}</div>
+        ${nav}
+${body}
+    </div>
+</body>
+</html>
+`;
+}
+
+// Previous/next page links
+function renderNav(previous, next) {
+    if (!previous && !next) return '';
+    return `<div class="nav"><span>${previous ? `<a href="${escapeHtml(previous.href)}">← ${escapeHtml(previous.label)}</a>` : ''}</span><span>${next ? `<a href="${escapeHtml(next.href)}">${escapeHtml(next.label)} →</a>` : ''}</span></div>`;
+}
+
+function renderDayPage(day, neighbours, options) {
+    const { pilotLink } = options;
+    const rows = day.flights.map(flight => `
+                    <tr${flight.rank === 1 ? ' class="top"' : ''}>
+                        <td>${formatRank(flight.rank, isSharedRank(flight, day.flights))}</td>
+                        <td>${pilotLink(flight.pilotId, flight.pilot)}${flight.copilot ? ` <span class="role">with ${escapeHtml(flight.copilot.name)}</span>` : ''}</td>
+                        <td class="points">${flight.points.toFixed(1)}</td>
+                        <td class="points">${Math.round(flight.distance || 0)} km</td>
+                        <td class="points">${(flight.speed || 0).toFixed(1)} km/h</td>
+                        <td>${flight.declared ? 'Task' : 'Free'}</td>
+                        <td>${escapeHtml(flight.takeoff)}</td>
+                        <td>${escapeHtml(flight.aircraft)}</td>
+                        <td><a href="https://www.weglide.org/flight/${flight.id}" target="_blank">${flight.id}</a></td>
+                    </tr>`).join('');
+    const highlight = day.flightsOfTheDay.map(flight =>
+        `<p><strong>${pilotLink(flight.pilotId, flight.pilot)}</strong> - ${escapeHtml(describeFlight(flight))} from ${escapeHtml(flight.takeoff || 'unknown')} in ${escapeHtml(flight.aircraft)} (<a href="https://www.weglide.org/flight/${flight.id}" target="_blank">flight ${flight.id}</a>)</p>`).join('');
+
+    return renderPage({
+        title: options.title,
+        heading: formatDay(day.date),
+        subtitle: `${escapeHtml(options.title)} · ${day.flights.length} flights by ${day.pilotCount} pilots · ${Math.round(day.kms).toLocaleString()} km · <a href="${escapeHtml(day.week.id)}.html">Week ${escapeHtml(day.week.id)}</a>`,
+        backLinks: options.backLinks,
+        nav: renderNav(neighbours.previous && { href: `${neighbours.previous.date}.html`, label: formatDay(neighbours.previous.date) },
+            neighbours.next && { href: `${neighbours.next.date}.html`, label: formatDay(neighbours.next.date) }),
+        body: `
+        <div class="section highlight">
+            <h2>⭐ Flight of the Day</h2>
+            ${highlight}${day.flightsOfTheDay.length > 1 ? '\n            <p class="legend">Equal on points, distance and speed - shared.</p>' : ''}
+        </div>
+
+        <div class="section">
+            <h2>Flights</h2>
+            <table>
+                <thead><tr><th>Rank</th><th>Pilot</th><th>Points</th><th>Distance</th><th>Speed</th><th>Scoring</th><th>Takeoff</th><th>Aircraft</th><th>Flight</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <div class="legend">WeGlide Combined points: Free, or the declared task when it scores higher. Equal points are split by distance, then speed.</div>
+        </div>`
+    });
+}
+
+function renderWeekPage(week, neighbours, options) {
+    const { pilotLink } = options;
+    const dayRows = week.days.map(day => `
+                    <tr>
+                        <td><a href="${day.date}.html">${escapeHtml(formatDay(day.date))}</a></td>
+                        <td>${day.flights.length}</td>
+                        <td>${day.pilotCount}</td>
+                        <td class="points">${Math.round(day.kms).toLocaleString()} km</td>
+                        <td>${day.flightsOfTheDay.map(flight => `${pilotLink(flight.pilotId, flight.pilot)} (${flight.points.toFixed(1)} pts)`).join(', ')}</td>
+                    </tr>`).join('');
+    const pilotRows = week.pilots.map(entry => `
+                    <tr${entry.rank === 1 ? ' class="top"' : ''}>
+                        <td>${formatRank(entry.rank, isSharedRank(entry, week.pilots))}</td>
+                        <td>${pilotLink(entry.pilotId, entry.pilot)}</td>
+                        <td class="points">${entry.totalPoints.toFixed(1)}</td>
+                        <td>${entry.flightCount}</td>
+                        <td class="points">${Math.round(entry.kms).toLocaleString()} km</td>
+                        <td class="points">${entry.bestFlight.toFixed(1)}</td>
+                    </tr>`).join('');
+    const flightRows = week.topFlights.map(flight => `
+                    <tr>
+                        <td>${formatRank(flight.rank, isSharedRank(flight, week.topFlights))}</td>
+                        <td><a href="${flight.date}.html">${escapeHtml(formatDay(flight.date))}</a></td>
+                        <td>${pilotLink(flight.pilotId, flight.pilot)}</td>
+                        <td>${escapeHtml(describeFlight(flight))}</td>
+                        <td><a href="https://www.weglide.org/flight/${flight.id}" target="_blank">${flight.id}</a></td>
+                    </tr>`).join('');
+
+    return renderPage({
+        title: options.title,
+        heading: `Week ${week.id}`,
+        subtitle: `${escapeHtml(options.title)} · ${escapeHtml(formatDay(week.start))} - ${escapeHtml(formatDay(week.end))} · ${week.flightCount} flights · ${Math.round(week.kms).toLocaleString()} km`,
+        backLinks: options.backLinks,
+        nav: renderNav(neighbours.previous && { href: `${neighbours.previous.id}.html`, label: `Week ${neighbours.previous.id}` },
+            neighbours.next && { href: `${neighbours.next.id}.html`, label: `Week ${neighbours.next.id}` }),
+        body: `
+        <div class="section">
+            <h2>Flying Days</h2>
+            <table>
+                <thead><tr><th>Day</th><th>Flights</th><th>Pilots</th><th>Distance</th><th>⭐ Flight of the day</th></tr></thead>
+                <tbody>${dayRows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Pilots This Week</h2>
+            <table>
+                <thead><tr><th>Rank</th><th>Pilot</th><th>Points</th><th>Flights</th><th>Distance</th><th>Best flight</th></tr></thead>
+                <tbody>${pilotRows}
+                </tbody>
+            </table>
+            <div class="legend">Every flight of the week counts; equal totals are split by the best flight. Two-seater points are credited as on the leaderboard.</div>
+        </div>
+
+        <div class="section">
+            <h2>Top Flights</h2>
+            <table>
+                <thead><tr><th>Rank</th><th>Day</th><th>Pilot</th><th>Score</th><th>Flight</th></tr></thead>
+                <tbody>${flightRows}
+                </tbody>
+            </table>
+        </div>`
+    });
+}
+
+function renderIndexPage(results, options) {
+    const { pilotLink } = options;
+    const weekRows = results.weeks.slice().reverse().map(week => `
+                    <tr>
+                        <td><a href="${week.id}.html">${escapeHtml(week.id)}</a></td>
+                        <td>${escapeHtml(formatDay(week.start))} - ${escapeHtml(formatDay(week.end))}</td>
+                        <td>${week.days.length}</td>
+                        <td>${week.flightCount}</td>
+                        <td class="points">${Math.round(week.kms).toLocaleString()} km</td>
+                        <td>${week.pilots.filter(entry => entry.rank === 1).map(entry => `${pilotLink(entry.pilotId, entry.pilot)} (${entry.totalPoints.toFixed(1)} pts)`).join(', ')}</td>
+                    </tr>`).join('');
+    const dayRows = results.days.slice().reverse().map(day => `
+                    <tr>
+                        <td><a href="${day.date}.html">${escapeHtml(formatDay(day.date))}</a></td>
+                        <td>${day.flights.length}</td>
+                        <td>${day.pilotCount}</td>
+                        <td class="points">${Math.round(day.kms).toLocaleString()} km</td>
+                        <td>${day.flightsOfTheDay.map(flight => `${pilotLink(flight.pilotId, flight.pilot)} - ${escapeHtml(describeFlight(flight))}`).join('<br>')}</td>
+                    </tr>`).join('');
+
+    return renderPage({
+        title: options.title,
+        heading: 'Daily & Weekly Results',
+        subtitle: `${escapeHtml(options.title)} · ${escapeHtml(options.seasonLabel)} · ${results.days.length} flying days`,
+        backLinks: options.backLinks,
+        nav: '',
+        body: `
+        <div class="section">
+            <h2>Weeks</h2>
+            <table>
+                <thead><tr><th>Week</th><th>Dates</th><th>Flying days</th><th>Flights</th><th>Distance</th><th>Top pilot</th></tr></thead>
+                <tbody>${weekRows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Days</h2>
+            <table>
+                <thead><tr><th>Day</th><th>Flights</th><th>Pilots</th><th>Distance</th><th>⭐ Flight of the day</th></tr></thead>
+                <tbody>${dayRows}
+                </tbody>
+            </table>
+        </div>`
+    });
+}
+
+// Write the index, day and week pages; removes the pages of days no longer in the season
+// (e.g. every flight that day was invalidated)
+function writeDailyPages(config, results, { seasonLabel, rankedPilotIds }) {
+    fs.mkdirSync(config.dailyPagesDir, { recursive: true });
+    const relative = target => path.relative(config.dailyPagesDir, target).split(path.sep).join('/');
+    const leaderboardHref = relative(config.outputFile);
+    const pilotPagesHref = relative(config.pilotPagesDir);
+    const options = {
+        title: config.title,
+        seasonLabel,
+        // Pilot pages exist for ranked pilots only
+        pilotLink: (pilotId, name) => rankedPilotIds.has(pilotId)
+            ? `<a href="${escapeHtml(`${pilotPagesHref}/${pilotId}.html`)}">${escapeHtml(name)}</a>`
+            : escapeHtml(name),
+        backLinks: `<a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a> · <a class="back-link" href="index.html">All days and weeks</a>`
+    };
+
+    const written = new Set();
+    const write = (fileName, html) => {
+        fs.writeFileSync(path.join(config.dailyPagesDir, fileName), html);
+        written.add(fileName);
+    };
+    results.days.forEach((day, index) => {
+        write(`${day.date}.html`, renderDayPage(day, { previous: results.days[index - 1], next: results.days[index + 1] }, options));
+    });
+    results.weeks.forEach((week, index) => {
+        write(`${week.id}.html`, renderWeekPage(week, { previous: results.weeks[index - 1], next: results.weeks[index + 1] }, options));
+    });
+    write('index.html', renderIndexPage(results, {
+        ...options,
+        backLinks: `<a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a>`
+    }));
+
+    fs.readdirSync(config.dailyPagesDir)
+        .filter(fileName => /^\d{4}-(\d{2}-\d{2}|W\d{2})\.html$/.test(fileName) && !written.has(fileName))
+        .forEach(fileName => fs.unlinkSync(path.join(config.dailyPagesDir, fileName)));
+
+    return { days: results.days.length, weeks: results.weeks.length };
+}
+
+module.exports = {
+    isoWeek,
+    buildDailyResults,
+    writeDailyPages
+};
@@ -1,10 +1,12 @@
 const fs = require('fs');
 const readline = require('readline');
+const { selectDowContest } = require('./weglide_scoring');
 
 async function debugGoalCalculation() {
     const flightData = [];
 
-    const fileStream = fs.createReadStream('/Users/ryanwood/GitHub/WeGlide-API/australian_flights_2025_details.jsonl');
+    const inputFile = process.argv[2] || 'australian_flights_2025_details.jsonl';
+    const fileStream = fs.createReadStream(inputFile);
     const rl = readline.createInterface({
         input: fileStream,
         crlfDelay: Infinity
@@ -27,21 +29,10 @@ async function debugGoalCalculation() {
     let bestScore = 0;
 
     flightData.forEach(flight => {
-        if (!flight.contest || !Array.isArray(flight.contest)) return;
-
-        let contestToUse = null;
-        let scoreToUse = 0;
-
-        const auContest = flight.contest.find(c => c.name === 'au' && c.points > 0);
-        const declarationContest = flight.contest.find(c => c.name === 'declaration' && c.points > 0);
-
-        if (auContest && auContest.score && auContest.score.declared) {
-            contestToUse = auContest;
-            scoreToUse = auContest.points;
-        } else if (declarationContest && declarationContest.score && declarationContest.score.declared) {
-            contestToUse = declarationContest;
-            scoreToUse = declarationContest.points;
-        }
+        // Same contest selection as the Dow Goal trophy (declared tasks only)
+        const selected = selectDowContest(flight, 'GL', true);
+        const contestToUse = selected?.contest;
+        const scoreToUse = selected?.score || 0;
 
         if (contestToUse && scoreToUse > bestScore) {
             bestScore = scoreToUse;
@@ -0,0 +1,78 @@
+// Admin-only store of raw dates of birth (Silver C-Gull trophy)
+//
+// Public verification data (pilot_pic_hours_verification.json, the generated page,
+// Firestore dob_verifications) only carries the age derived for the pilot's Silver C
+// achievement date (verification_review.js deriveAgeAtAchievement). The raw dates live
+// in Firestore's dob_private collection, which only admins can read, and for leaderboard
+// builds in a local file (config.dobPrivateFile, gitignored) filled by
+// sync_verifications.js and migrate_dob_verifications.js. Never commit or publish it.
+//
+// File format: { description, datesOfBirth: { <pilotId>: { pilotName, dateOfBirth } } }
+
+const fs = require('fs');
+const { deriveAgeAtAchievement } = require('./verification_review');
+
+// { pilotId: { pilotName, dateOfBirth } } from the private file ({} when there is none)
+function loadPrivateDOBs(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8')).datesOfBirth || {};
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+function savePrivateDOBs(file, datesOfBirth) {
+    fs.writeFileSync(file, JSON.stringify({
+        description: 'Raw dates of birth for Silver C-Gull verification - admin only, do not commit or publish',
+        datesOfBirth
+    }, null, 2));
+}
+
+// Take raw dates of birth out of public DOB records (in place) into datesOfBirth.
+// An entry already in the private store is kept. Returns the pilot ids changed.
+function extractRawDatesOfBirth(dobVerifications, datesOfBirth) {
+    const moved = [];
+    Object.entries(dobVerifications || {}).forEach(([pilotId, record]) => {
+        if (!record || !record.dateOfBirth) return;
+        if (!datesOfBirth[pilotId]) {
+            datesOfBirth[pilotId] = { pilotName: record.pilotName, dateOfBirth: record.dateOfBirth };
+        }
+        delete record.dateOfBirth;
+        delete record.age; // age on the day of submission, cached by older pages
+        moved.push(pilotId);
+    });
+    return moved;
+}
+
+// Derive the public age for each Silver C candidate ({ userId, date }) with a private
+// date of birth (in place). A re-derived record gets a new timestamp so
+// sync_verifications.js carries it to Firestore. Returns the pilot ids updated.
+function refreshDerivedAges(dobVerifications, datesOfBirth, candidates) {
+    const updated = [];
+    candidates.forEach(candidate => {
+        const pilotId = String(candidate.userId);
+        const record = dobVerifications?.[pilotId];
+        const privateEntry = datesOfBirth[pilotId];
+        if (!record || !privateEntry || !candidate.date) return;
+
+        const derived = deriveAgeAtAchievement(privateEntry.dateOfBirth, candidate.date);
+        if (record.ageAtAchievement === derived.ageAtAchievement &&
+            record.achievementDate === derived.achievementDate &&
+            record.juniorEligible === derived.juniorEligible) {
+            return;
+        }
+        Object.assign(record, derived, { timestamp: new Date().toISOString() });
+        updated.push(pilotId);
+    });
+    return updated;
+}
+
+module.exports = {
+    loadPrivateDOBs,
+    savePrivateDOBs,
+    extractRawDatesOfBirth,
+    refreshDerivedAges
+};
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const https = require('https');
+const { calculateBestScore } = require('./weglide_scoring');
 
 // Helper function to make API requests
 function fetchFlightDetail(flightId) {
@@ -71,36 +72,24 @@ async function enhanceLeaderboard() {
                 console.log(`  Fetching flight ${flight.id}...`);
                 const flightDetail = await fetchFlightDetail(flight.id);
                 
-                // Find the best scoring method
-                let bestScore = flight.points; // Start with free flight score
-                let contestType = 'free';
-                let declared = false;
-                
-                if (flightDetail.contest && Array.isArray(flightDetail.contest)) {
-                    // Look for declared task scoring (declared can be true or null for valid tasks)
-                    const declarationContest = flightDetail.contest.find(c => 
-                        c.name === 'declaration'
-                    );
-                    
-                    if (declarationContest && declarationContest.points > bestScore) {
-                        bestScore = declarationContest.points;
-                        contestType = 'declaration';
-                        declared = true;
-                        
-                        // Also update distance if available
-                        if (declarationContest.distance) {
-                            flight.distance = declarationContest.distance;
-                        }
+                // Find the best scoring method (same rules as the leaderboard generator)
+                const best = calculateBestScore(flightDetail);
+                if (best.score > flight.points) {
+                    flight.points = best.score;
+                    flight.contestType = best.contestType;
+                    flight.declared = best.declared;
+
+                    // Also update distance if available
+                    if (best.distance) {
+                        flight.distance = best.distance;
                     }
+                } else {
+                    flight.contestType = 'free';
+                    flight.declared = false;
                 }
                 
-                // Update flight data
-                flight.points = bestScore;
-                flight.declared = declared;
-                flight.contestType = contestType;
-                
                 processedFlights++;
-                console.log(`    ✓ ${flight.points.toFixed(1)} pts (${contestType}${declared ? ', declared' : ''})`);
+                console.log(`    ✓ ${flight.points.toFixed(1)} pts (${flight.contestType}${flight.declared ? ', declared' : ''})`);
                 
                 // Add delay to avoid rate limiting
                 await delay(100);
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+// Fetch a full WeGlide season for one country into a JSONL file of flight details
+// - Pages through /v1/flight?season_in=...&country_id_in=... (oldest upload first)
+// - Pulls /v1/flightdetail/{id} for every listed flight
+// - Appends one JSON record per line (default: australian_flights_2025_details.jsonl)
+// - Re-runs are a deduplicating re-fetch, not a resume: the season list is paged again
+//   from the start, but details are only fetched for flights not yet in the output file
+//   (so flights that failed last time are retried and nothing is written twice)
+//
+// Usage:
+//   node fetch_season_flights.js [--season 2025] [--country AU] [--output file.jsonl]
+//                                [--base-url http://localhost:8000] [--delay 100]
+//
+// The base URL can also be set with WEGLIDE_API_URL, e.g. to point at a local mock
+// of the endpoints described in "openapi (1).json".
+
+const fs = require('fs');
+const readline = require('readline');
+
+const DEFAULT_BASE_URL = 'https://api.weglide.org';
+const PAGE_SIZE = 100; // API maximum for /v1/flight
+const MAX_RETRIES = 3;
+
+function parseArgs(argv) {
+    const options = {
+        season: '2025',
+        country: 'AU',
+        output: null,
+        baseUrl: process.env.WEGLIDE_API_URL || DEFAULT_BASE_URL,
+        delay: 100
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--season': options.season = next; i++; break;
+            case '--country': options.country = next; i++; break;
+            case '--output': options.output = next; i++; break;
+            case '--base-url': options.baseUrl = next; i++; break;
+            case '--delay': options.delay = parseInt(next, 10) || 0; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    options.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    if (!options.output) {
+        options.output = defaultOutputFile(options.country, options.season);
+    }
+    return options;
+}
+
+const COUNTRY_FILE_PREFIXES = {
+    AU: 'australian',
+    CA: 'canadian',
+    NZ: 'new_zealand'
+};
+
+function defaultOutputFile(country, season) {
+    const prefix = COUNTRY_FILE_PREFIXES[String(country).toUpperCase()] || String(country).toLowerCase();
+    return `${prefix}_flights_${season}_details.jsonl`;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchJson(url) {
+    for (let attempt = 1; ; attempt++) {
+        let res;
+        try {
+            res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        } catch (e) {
+            if (attempt >= MAX_RETRIES) throw new Error(`Request failed for ${url}: ${e.message || e}`);
+            await delay(1000 * attempt);
+            continue;
+        }
+
+        // Back off on rate limiting and transient server errors
+        if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+            await delay(1000 * attempt);
+            continue;
+        }
+        if (!res.ok) {
+            throw new Error(`HTTP ${res.status} for ${url}`);
+        }
+        return res.json();
+    }
+}
+
+async function fetchFlightPage(options, skip) {
+    const params = new URLSearchParams({
+        season_in: options.season,
+        country_id_in: options.country,
+        order_by: 'created',
+        skip: String(skip),
+        limit: String(PAGE_SIZE)
+    });
+    const data = await fetchJson(`${options.baseUrl}/v1/flight?${params}`);
+    return Array.isArray(data) ? data : [];
+}
+
+async function fetchFlightDetail(options, flightId) {
+    const detail = await fetchJson(`${options.baseUrl}/v1/flightdetail/${flightId}`);
+    // The published schema names the contest list sorted_contest; the scripts read contest
+    if (detail && !Array.isArray(detail.contest) && Array.isArray(detail.sorted_contest)) {
+        detail.contest = detail.sorted_contest;
+    }
+    return detail;
+}
+
+// Read the ids already written to the output file. A crash mid-write can leave a
+// truncated last line; it is cut off so the next append starts on a clean line.
+async function readWrittenFlightIds(filePath) {
+    const ids = new Set();
+    if (!fs.existsSync(filePath)) {
+        return ids;
+    }
+
+    let validBytes = 0;
+    let truncated = false;
+    const fileStream = fs.createReadStream(filePath);
+    const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+    for await (const line of rl) {
+        if (truncated) continue;
+        if (!line.trim()) {
+            validBytes += Buffer.byteLength(line) + 1;
+            continue;
+        }
+        try {
+            const flight = JSON.parse(line);
+            if (flight && flight.id != null) {
+                ids.add(flight.id);
+            }
+            validBytes += Buffer.byteLength(line) + 1;
+        } catch {
+            truncated = true;
+        }
+    }
+
+    if (truncated) {
+        console.log(`⚠️ Dropping incomplete record at end of ${filePath}`);
+        fs.truncateSync(filePath, validBytes);
+    } else if (validBytes > 0 && fs.statSync(filePath).size < validBytes) {
+        // Last record was written without its trailing newline
+        fs.appendFileSync(filePath, '\n');
+    }
+
+    return ids;
+}
+
+async function fetchSeasonFlights(options) {
+    const writtenIds = await readWrittenFlightIds(options.output);
+    if (writtenIds.size > 0) {
+        console.log(`ℹ️ Listing the whole season again; details of the ${writtenIds.size} flights already in ${options.output} are not fetched again`);
+    }
+
+    let skip = 0;
+    let listed = 0;
+    let written = 0;
+    let failed = 0;
+
+    while (true) {
+        const page = await fetchFlightPage(options, skip);
+        if (page.length === 0) break;
+        listed += page.length;
+
+        for (const flight of page) {
+            if (!flight || flight.id == null || writtenIds.has(flight.id)) continue;
+
+            try {
+                const detail = await fetchFlightDetail(options, flight.id);
+                fs.appendFileSync(options.output, JSON.stringify(detail) + '\n');
+                writtenIds.add(flight.id);
+                written++;
+            } catch (e) {
+                // Leave it out of the file so the next run retries it
+                console.log(`  ✗ Flight ${flight.id}: ${e.message || e}`);
+                failed++;
+            }
+
+            if (options.delay > 0) await delay(options.delay);
+        }
+
+        console.log(`Listed ${listed} flights, wrote ${written} new details${failed ? `, ${failed} failed` : ''}...`);
+        if (page.length < PAGE_SIZE) break;
+        skip += PAGE_SIZE;
+    }
+
+    return { listed, written, failed, total: writtenIds.size };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`⏬ Fetching season ${options.season} flights for ${options.country} from ${options.baseUrl}`);
+
+    const result = await fetchSeasonFlights(options);
+
+    console.log(`✅ ${result.written} new flights written to ${options.output} (${result.total} total)`);
+    if (result.failed > 0) {
+        console.log(`⚠️ ${result.failed} flights failed - run again to retry them`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    fetchJson,
+    fetchFlightDetail,
+    fetchSeasonFlights,
+    readWrittenFlightIds,
+    defaultOutputFile
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    });
+}
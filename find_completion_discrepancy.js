@@ -1,5 +1,6 @@
 const fs = require('fs');
 const readline = require('readline');
+const { hasDeclaredTaskContest } = require('./weglide_scoring');
 
 async function findCompletionDiscrepancies() {
     const discrepancies = [];
@@ -8,7 +9,8 @@ async function findCompletionDiscrepancies() {
     let contestBasedTrue = 0;
     let bothTrue = 0;
 
-    const fileStream = fs.createReadStream('/Users/ryanwood/GitHub/WeGlide-API/australian_flights_2025_details.jsonl');
+    const inputFile = process.argv[2] || 'australian_flights_2025_details.jsonl';
+    const fileStream = fs.createReadStream(inputFile);
     const rl = readline.createInterface({
         input: fileStream,
         crlfDelay: Infinity
@@ -26,9 +28,7 @@ async function findCompletionDiscrepancies() {
                     const method1 = flight.task_achieved === true;
 
                     // Method 2: contest-based (old task type stats method)
-                    const method2 = flight.contest && flight.contest.some(c =>
-                        (c.name === 'au' || c.name === 'declaration') && c.score && c.score.declared
-                    );
+                    const method2 = hasDeclaredTaskContest(flight);
 
                     if (method1) taskAchievedTrue++;
                     if (method2) contestBasedTrue++;
@@ -34,10 +34,12 @@ async function importCriticalVerificationsToFirebase() {
 
     // Initialize Firebase Admin SDK
     let db;
+    let serverTimestamp;
     try {
         // Try to use existing Firebase CLI configuration
         const { initializeApp } = require('firebase-admin/app');
-        const { getFirestore } = require('firebase-admin/firestore');
+        const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+        serverTimestamp = () => FieldValue.serverTimestamp();
 
         // Initialize with default project (uses Firebase CLI configuration)
         const app = initializeApp();
@@ -75,7 +77,22 @@ async function importCriticalVerificationsToFirebase() {
 
     for (const [pilotId, verificationData] of Object.entries(exportData.criticalVerifications)) {
         try {
-            await db.collection('pilot_verifications').doc(pilotId).set(verificationData);
+            // The Admin SDK bypasses firestore.rules, so add the audit entry the rules would require
+            const docRef = db.collection('pilot_verifications').doc(pilotId);
+            const auditRef = db.collection('verification_audit').doc();
+            const existing = await docRef.get();
+            const batch = db.batch();
+            batch.set(docRef, { ...verificationData, pilotId, auditId: auditRef.id, submittedBy: 'firebase-import-script' });
+            batch.set(auditRef, {
+                collection: 'pilot_verifications',
+                pilotId,
+                action: existing.exists ? 'update' : 'create',
+                data: verificationData,
+                actorUid: 'firebase-import-script',
+                actorIsAdmin: true,
+                timestamp: serverTimestamp()
+            });
+            await batch.commit();
             successCount++;
 
             if (successCount % 10 === 0) {
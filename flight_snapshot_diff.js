@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+// Compare two flight snapshots (build states written by
+// create_australian_leaderboard_from_jsonl.js) and report what changed upstream:
+// - flights added or removed since the previous fetch
+// - flights invalidated (valid === false or an active error) or valid again
+// - flights re-scored by WeGlide (contest points changed after upload)
+// - per-pilot rank changes for every leaderboard view
+//
+// The generator runs this diff against its previous build state on every build
+// and writes <outputFile>_snapshot_diff.json. Run it by hand to compare two saved states:
+//   node flight_snapshot_diff.js --previous old_build_state.json --current australian_leaderboard_2025_build_state.json
+//                                [--report snapshot_diff.json]
+
+const fs = require('fs');
+
+// active_errors entries of these types are informational (e.g. NON_VALID_FIXES,
+// NO_LANDING); WeGlide still scores the flight. Any other type is an active error.
+const NOTICE_TYPES = ['info', 'warning'];
+const SAMPLE_SIZE = 10; // rank changes shown per view in the summary
+
+function describeIssue(issue) {
+    if (!issue || typeof issue !== 'object') return String(issue);
+    if (issue.token && issue.msg) return `${issue.token}: ${issue.msg}`;
+    return issue.msg || issue.token || JSON.stringify(issue);
+}
+
+// Why a flight must be kept off the leaderboards (empty reasons when it counts)
+function getFlightReview(flight) {
+    const issues = Array.isArray(flight.active_errors) ? flight.active_errors : [];
+    const reasons = [];
+    if (flight.valid === false) {
+        reasons.push('Marked invalid by WeGlide');
+    }
+    issues.filter(issue => !NOTICE_TYPES.includes(issue?.type))
+        .forEach(issue => reasons.push(describeIssue(issue)));
+
+    return {
+        excluded: reasons.length > 0,
+        reasons,
+        notices: issues.filter(issue => NOTICE_TYPES.includes(issue?.type)).map(describeIssue),
+        editAllowedUntil: flight.edit_allowed_until || null
+    };
+}
+
+// Points WeGlide reported per contest, used to spot re-scored flights
+function getContestPoints(flight) {
+    const points = {};
+    (Array.isArray(flight.contest) ? flight.contest : []).forEach(contest => {
+        if (contest?.name && typeof contest.points === 'number') {
+            points[contest.name] = contest.points;
+        }
+    });
+    return points;
+}
+
+// { updatedAt, records, ranks } from a build state file's contents
+function snapshotFromBuildState(state) {
+    const records = [];
+    Object.values(state?.pilots || {}).forEach(pilot => {
+        Object.values(pilot.flights || {}).forEach(record => records.push(record));
+    });
+    return { updatedAt: state?.updatedAt || null, records, ranks: state?.ranks || {} };
+}
+
+function describeFlight(record) {
+    return { flightId: record.id, pilot: record.pilotName, userId: record.userId, date: record.date };
+}
+
+function diffContestPoints(previous = {}, current = {}) {
+    const names = [...new Set([...Object.keys(previous), ...Object.keys(current)])].sort();
+    return names
+        .filter(name => previous[name] !== current[name])
+        .map(name => ({ contest: name, previous: previous[name] ?? null, current: current[name] ?? null }));
+}
+
+function diffRanks(previousRanks = {}, currentRanks = {}) {
+    const changes = {};
+    const views = [...new Set([...Object.keys(previousRanks), ...Object.keys(currentRanks)])];
+    views.forEach(viewId => {
+        const before = previousRanks[viewId] || {};
+        const after = currentRanks[viewId] || {};
+        const pilots = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        const viewChanges = pilots
+            .filter(pilot => before[pilot]?.rank !== after[pilot]?.rank)
+            .map(pilot => ({
+                pilot,
+                previousRank: before[pilot]?.rank ?? null,
+                currentRank: after[pilot]?.rank ?? null,
+                // Positive when the pilot moved up
+                change: before[pilot] && after[pilot] ? before[pilot].rank - after[pilot].rank : null,
+                previousPoints: before[pilot]?.totalPoints ?? null,
+                currentPoints: after[pilot]?.totalPoints ?? null
+            }))
+            .sort((a, b) => (a.currentRank ?? Infinity) - (b.currentRank ?? Infinity));
+        if (viewChanges.length > 0) {
+            changes[viewId] = viewChanges;
+        }
+    });
+    return changes;
+}
+
+// Diff two snapshots from snapshotFromBuildState
+function diffSnapshots(previous, current) {
+    const previousById = new Map(previous.records.map(record => [record.id, record]));
+    const currentById = new Map(current.records.map(record => [record.id, record]));
+
+    const diff = {
+        previousUpdatedAt: previous.updatedAt,
+        currentUpdatedAt: current.updatedAt,
+        added: [],
+        removed: [],
+        invalidated: [],
+        revalidated: [],
+        rescored: [],
+        rankChanges: diffRanks(previous.ranks, current.ranks)
+    };
+
+    currentById.forEach((record, id) => {
+        const before = previousById.get(id);
+        if (!before) {
+            diff.added.push({ ...describeFlight(record), excluded: !!record.review?.excluded });
+            return;
+        }
+        if (!before.review?.excluded && record.review?.excluded) {
+            diff.invalidated.push({ ...describeFlight(record), reasons: record.review.reasons });
+        } else if (before.review?.excluded && !record.review?.excluded) {
+            diff.revalidated.push(describeFlight(record));
+        }
+        if (before.hash !== record.hash) {
+            const changes = diffContestPoints(before.contestPoints, record.contestPoints);
+            if (changes.length > 0) {
+                diff.rescored.push({ ...describeFlight(record), changes });
+            }
+        }
+    });
+
+    previousById.forEach((record, id) => {
+        if (!currentById.has(id)) {
+            diff.removed.push(describeFlight(record));
+        }
+    });
+
+    return diff;
+}
+
+function printDiffSummary(diff) {
+    const rankChangeCount = Object.values(diff.rankChanges).reduce((sum, changes) => sum + changes.length, 0);
+    console.log(`🔀 Changes since ${diff.previousUpdatedAt || 'the previous snapshot'}: ` +
+        `${diff.added.length} added, ${diff.removed.length} removed, ${diff.invalidated.length} invalidated, ` +
+        `${diff.revalidated.length} valid again, ${diff.rescored.length} re-scored, ${rankChangeCount} rank changes`);
+
+    diff.removed.forEach(f => console.log(`  ➖ Removed flight ${f.flightId} (${f.pilot || 'unknown'}, ${f.date || 'no date'})`));
+    diff.invalidated.forEach(f => console.log(`  ⛔ Invalidated flight ${f.flightId} (${f.pilot || 'unknown'}): ${f.reasons.join('; ')}`));
+    diff.rescored.forEach(f => {
+        const changes = f.changes.map(c => `${c.contest} ${c.previous ?? '-'} → ${c.current ?? '-'}`).join(', ');
+        console.log(`  🔁 Re-scored flight ${f.flightId} (${f.pilot || 'unknown'}): ${changes}`);
+    });
+    Object.entries(diff.rankChanges).forEach(([viewId, changes]) => {
+        changes.slice(0, SAMPLE_SIZE).forEach(c => {
+            const movement = c.previousRank === null ? 'new'
+                : c.currentRank === null ? `dropped from #${c.previousRank}`
+                    : `#${c.previousRank} → #${c.currentRank}`;
+            console.log(`  📊 ${viewId}: ${c.pilot} ${movement}`);
+        });
+        if (changes.length > SAMPLE_SIZE) {
+            console.log(`  ... and ${changes.length - SAMPLE_SIZE} more ${viewId} rank changes in the report`);
+        }
+    });
+}
+
+function parseArgs(argv) {
+    const options = { previous: null, current: null, report: 'snapshot_diff.json' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--previous': options.previous = next; i++; break;
+            case '--current': options.current = next; i++; break;
+            case '--report': options.report = next; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (!options.previous || !options.current) {
+        throw new Error('Both --previous and --current build state files are required');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [previous, current] = [options.previous, options.current].map(file => {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Missing ${file}`);
+        }
+        return snapshotFromBuildState(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    });
+
+    const diff = diffSnapshots(previous, current);
+    printDiffSummary(diff);
+    fs.writeFileSync(options.report, JSON.stringify(diff, null, 2));
+    console.log(`💾 Saved snapshot diff to ${options.report}`);
+}
+
+module.exports = {
+    getFlightReview,
+    getContestPoints,
+    snapshotFromBuildState,
+    diffSnapshots,
+    printDiffSummary
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    }
+}
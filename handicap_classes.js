@@ -0,0 +1,97 @@
+// Handicap-class leaderboards for create_australian_leaderboard_from_jsonl.js
+//
+// Every leaderboard view can be narrowed to one glider class with the class selector next
+// to the view buttons: the pilots are ranked again with rankPilots on their flights in that
+// class only, so pilots of low-index club ships compete among themselves. A flight's class
+// comes from WeGlide's competition class (sc_class: ST, 15, 18, OP, CL, DO). Club class also
+// takes flights WeGlide scored as club class (score_club_class) and two-seat any double-seater,
+// so such a flight can count in two classes.
+//
+// config.handicapClasses lists the classes offered, in selector order: built-in ids and/or
+// definitions { id, label, scClasses: ['CL'], clubClassFlights?: true, doubleSeaters?: true }.
+// false hides the selector.
+
+const { rankPilots } = require('./weglide_scoring');
+
+const BUILT_IN_CLASSES = {
+    standard: { label: 'Standard', scClasses: ['ST'] },
+    '15m': { label: '15m', scClasses: ['15'] },
+    '18m': { label: '18m', scClasses: ['18'] },
+    open: { label: 'Open', scClasses: ['OP'] },
+    club: { label: 'Club', scClasses: ['CL'], clubClassFlights: true },
+    two_seat: { label: 'Two-seat', scClasses: ['DO'], doubleSeaters: true }
+};
+
+const DEFAULT_CLASSES = Object.keys(BUILT_IN_CLASSES);
+
+// Validate a config's class list; null when the selector is off
+function resolveHandicapClasses(classes = DEFAULT_CLASSES) {
+    if (classes === false) return null;
+    if (!Array.isArray(classes) || classes.length === 0) {
+        throw new Error('handicapClasses must be a non-empty array of class ids or definitions (or false)');
+    }
+
+    const ids = new Set();
+    return classes.map(entry => {
+        const definition = typeof entry === 'string'
+            ? BUILT_IN_CLASSES[entry] && { id: entry, ...BUILT_IN_CLASSES[entry] }
+            : entry;
+        if (!definition) {
+            throw new Error(`handicapClasses has an unknown class "${entry}" (built-in: ${DEFAULT_CLASSES.join(', ')})`);
+        }
+        if (typeof definition.id !== 'string' || !/^\w+$/.test(definition.id)) {
+            throw new Error(`handicapClasses has an invalid id: ${JSON.stringify(definition.id)}`);
+        }
+        if (ids.has(definition.id)) {
+            throw new Error(`handicapClasses lists "${definition.id}" twice`);
+        }
+        ids.add(definition.id);
+        if (!Array.isArray(definition.scClasses) || definition.scClasses.some(scClass => typeof scClass !== 'string')) {
+            throw new Error(`handicapClasses "${definition.id}" needs scClasses, e.g. ['CL']`);
+        }
+        return {
+            id: definition.id,
+            label: definition.label || definition.id,
+            scClasses: definition.scClasses,
+            clubClassFlights: definition.clubClassFlights === true,
+            doubleSeaters: definition.doubleSeaters === true
+        };
+    });
+}
+
+function recordInClass(record, definition) {
+    const aircraft = record?.aircraft;
+    return Boolean(aircraft && definition.scClasses.includes(aircraft.scClass)) ||
+        (definition.clubClassFlights && record?.scoreClubClass === true) ||
+        (definition.doubleSeaters && aircraft?.doubleSeater === true);
+}
+
+// { viewId: { classId: leaderboard } } ranked like the view, from each pilot's flights in
+// the class; classes nobody flew are left out
+function buildClassLeaderboards(classes, { views, pilotFlightsByView, recordsById }) {
+    const leaderboards = {};
+    views.forEach(view => {
+        leaderboards[view.id] = {};
+        classes.forEach(definition => {
+            const pilotFlights = {};
+            Object.entries(pilotFlightsByView[view.id]).forEach(([pilotName, flights]) => {
+                const inClass = flights.filter(flight => recordInClass(recordsById.get(flight.id), definition));
+                if (inClass.length > 0) {
+                    pilotFlights[pilotName] = inClass;
+                }
+            });
+            const leaderboard = rankPilots(pilotFlights, view.profile);
+            if (leaderboard.length > 0) {
+                leaderboards[view.id][definition.id] = leaderboard;
+            }
+        });
+    });
+    return leaderboards;
+}
+
+module.exports = {
+    BUILT_IN_CLASSES,
+    resolveHandicapClasses,
+    recordInClass,
+    buildClassLeaderboards
+};
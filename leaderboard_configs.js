@@ -0,0 +1,276 @@
+// Leaderboard configurations for create_australian_leaderboard_from_jsonl.js
+//
+// Each config describes one leaderboard site: which country's season file to read,
+// the season window, page title, trophy set and where to write the output.
+// Select one with: node create_australian_leaderboard_from_jsonl.js --config canada
+// or pass a path to a .js/.json file exporting an object with the same fields.
+//
+// Fields:
+//   countryCode     WeGlide country id used when fetching (AU, CA, NZ, ...)
+//   countryName     Adjective used in page text and logs ("Australian")
+//   flag            Emoji used in console output
+//   season          WeGlide season (season_in), e.g. '2025'
+//   seasonStart     First scoring date included (YYYY-MM-DD)
+//   seasonEnd       Last scoring date included (YYYY-MM-DD)
+//   title           Page heading
+//   trophies        Trophies to calculate and show, in display order: built-in keys
+//                   (canadair, trophy200, baic, dow, silverCGull) and/or definitions
+//                   such as { key: 'clubClass', extends: 'baic', title: 'Club Class
+//                   Trophy', filters: { competitionClasses: ['CL'] } }; see
+//                   trophy_definitions.js
+//   inputFile       JSONL from fetch_season_flights.js
+//   outputFile      Generated HTML page
+//   redirectFile    Optional page that redirects to outputFile
+//   pilotPagesDir   Folder for the per-pilot season pages (default <outputFile>_pilots)
+//   dailyPagesDir   Folder for the daily and weekly results pages (default <outputFile>_daily)
+//   aircraftPagesDir  Folder for the aircraft type pages (default <outputFile>_aircraft)
+//   comparePageFile Pilot flight statistics comparison page (default <outputFile>_compare.html)
+//   exportsDir      Folder for the CSV/JSON exports of every view, the Silver C-Gull list
+//                   and the trophy results (default <outputFile>_exports, false to skip);
+//                   see leaderboard_exports.js
+//   archiveDir      Folder keeping every season's page, pilot pages and standings, with
+//                   a cross-season index.html (default <config id>_archive, false to
+//                   skip; later seasons' configs set the same folder); see season_archive.js
+//   dataPrefix      Prefix for the downloaded data files (<prefix>_flight_details.json,
+//                   <prefix>_user_profiles.json, ...), which configs reading the same
+//                   flights share. Build state, flight history, snapshot diff and review
+//                   report are per output (<outputFile>_build_state.json, ...)
+//   verificationFile  PIC hours and date of birth verifications embedded in the page
+//   dobPrivateFile  Admin-only raw dates of birth, never committed or embedded
+//                   (default pilot_dob_private.json; see dob_private_store.js)
+//   notice          Optional note shown under the trophy/task sections
+//   leaderboards    Leaderboard views, in button order: { id, profile, label? }.
+//                   profile is a scoring profile name from weglide_scoring.js or an
+//                   object such as { extends: 'weglide_mixed', bestN: 4 }. The
+//                   'mixed' and 'free' views are required (main toggle, trophies).
+//   eligibility     Which pilots and flights count (allow/deny lists, club accounts,
+//                   co-pilot flights, residency); see pilot_eligibility.js
+//   teams           Club and region team leaderboards: { by: ['club', 'region'],
+//                   view: 'mixed', topPilots: 3, bestN: <view's bestN> } (false to
+//                   hide); see team_leaderboards.js
+//   handicapClasses Classes in the leaderboard's class selector: built-in ids (standard,
+//                   15m, 18m, open, club, two_seat; default all) and/or definitions
+//                   { id, label, scClasses: ['CL'] } (false to hide); see handicap_classes.js
+//   aircraftTypes   Aircraft type pages ranking glider types by points per flight, XC
+//                   speed and climb: { view: 'mixed', minFlights: 3 } (false to skip);
+//                   see aircraft_types.js
+//   copilotCredit   Points for the co-pilot of a two-seater flight: 'none' (default,
+//                   PIC only), 'full' (both pilots) or 'split' (half each)
+
+const path = require('path');
+const { defaultOutputFile } = require('./fetch_season_flights');
+const { resolveScoringProfile } = require('./weglide_scoring');
+const { resolveEligibilityRules, COPILOT_CREDIT_SHARES } = require('./pilot_eligibility');
+const { resolveTrophyDefinitions } = require('./trophy_definitions');
+const { resolveTeamRules } = require('./team_leaderboards');
+const { resolveHandicapClasses } = require('./handicap_classes');
+const { resolveAircraftTypeRules } = require('./aircraft_types');
+
+// SAC trophy set ('dow' stands for the three Dow trophies)
+const TROPHY_KEYS = ['canadair', 'trophy200', 'baic', 'dow', 'silverCGull'];
+
+// Views built by default: WeGlide Combined and Free plus the contest views
+const DEFAULT_LEADERBOARDS = [
+    { id: 'mixed', profile: 'weglide_mixed' },
+    { id: 'free', profile: 'weglide_free' },
+    { id: 'sprint', profile: 'weglide_sprint' },
+    { id: 'triangle', profile: 'weglide_triangle' },
+    { id: 'out_return', profile: 'weglide_out_return' },
+    { id: 'out', profile: 'weglide_out' }
+];
+
+const REQUIRED_LEADERBOARDS = ['mixed', 'free'];
+
+const LEADERBOARD_CONFIGS = {
+    // SAC trophy layout demonstrated on Australian data (the original SAC_leaderboard.html)
+    sac_demo: {
+        countryCode: 'AU',
+        countryName: 'Australian',
+        flag: '🇦🇺',
+        season: '2025',
+        seasonStart: '2024-10-01',
+        seasonEnd: '2025-09-30',
+        title: 'Soaring Association of Canada Leaderboard 2025',
+        trophies: TROPHY_KEYS,
+        inputFile: 'australian_flights_2025_details.jsonl',
+        outputFile: 'SAC_leaderboard.html',
+        redirectFile: 'australian_leaderboard.html',
+        dataPrefix: 'australian',
+        notice: '(Mock leaderboard using Australian data for demonstration purposes.)'
+    },
+    canada: {
+        countryCode: 'CA',
+        countryName: 'Canadian',
+        flag: '🇨🇦',
+        season: '2025',
+        seasonStart: '2024-10-01',
+        seasonEnd: '2025-09-30',
+        title: 'Soaring Association of Canada Leaderboard 2025',
+        trophies: TROPHY_KEYS,
+        outputFile: 'canadian_leaderboard_2025.html',
+        dataPrefix: 'canadian',
+        eligibility: { residency: { countries: ['CA'] } }
+    },
+    australia: {
+        countryCode: 'AU',
+        countryName: 'Australian',
+        flag: '🇦🇺',
+        season: '2025',
+        seasonStart: '2024-10-01',
+        seasonEnd: '2025-09-30',
+        title: 'Australian Gliding Leaderboard 2025',
+        trophies: [],
+        outputFile: 'australian_leaderboard_2025.html',
+        dataPrefix: 'australian',
+        leaderboards: [
+            ...DEFAULT_LEADERBOARDS,
+            { id: 'dmst', profile: 'dmst' }
+        ],
+        eligibility: { residency: { countries: ['AU'] } }
+    },
+    new_zealand: {
+        countryCode: 'NZ',
+        countryName: 'New Zealand',
+        flag: '🇳🇿',
+        season: '2025',
+        seasonStart: '2024-10-01',
+        seasonEnd: '2025-09-30',
+        title: 'New Zealand Gliding Leaderboard 2025',
+        trophies: [],
+        outputFile: 'new_zealand_leaderboard_2025.html',
+        dataPrefix: 'new_zealand',
+        eligibility: { residency: { countries: ['NZ'] } }
+    }
+};
+
+const DEFAULT_CONFIG = 'sac_demo';
+
+function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !Number.isNaN(new Date(value + 'T00:00:00Z').getTime());
+}
+
+function resolveLeaderboardViews(config) {
+    if (!Array.isArray(config.leaderboards)) {
+        throw new Error(`Leaderboard config "${config.id}" leaderboards must be an array`);
+    }
+
+    const seen = new Set();
+    const views = config.leaderboards.map(view => {
+        if (!view || !/^[a-z][a-z0-9_]*$/.test(view.id || '')) {
+            throw new Error(`Leaderboard config "${config.id}" has a leaderboard without a valid id (lowercase letters, digits, _)`);
+        }
+        if (seen.has(view.id)) {
+            throw new Error(`Leaderboard config "${config.id}" has duplicate leaderboard "${view.id}"`);
+        }
+        seen.add(view.id);
+
+        let profile;
+        try {
+            profile = resolveScoringProfile(view.profile);
+        } catch (error) {
+            throw new Error(`Leaderboard config "${config.id}" leaderboard "${view.id}": ${error.message}`);
+        }
+        return { id: view.id, label: view.label || profile.label || view.id, profile };
+    });
+
+    const missing = REQUIRED_LEADERBOARDS.filter(id => !seen.has(id));
+    if (missing.length > 0) {
+        throw new Error(`Leaderboard config "${config.id}" is missing leaderboards: ${missing.join(', ')}`);
+    }
+    return views;
+}
+
+// Look up a named config (or load one from a file) and fill in derived defaults
+function resolveLeaderboardConfig(nameOrPath = DEFAULT_CONFIG) {
+    let base = LEADERBOARD_CONFIGS[nameOrPath];
+    if (!base) {
+        if (!/\.(js|json)$/.test(nameOrPath)) {
+            throw new Error(`Unknown leaderboard config "${nameOrPath}" (known: ${Object.keys(LEADERBOARD_CONFIGS).join(', ')})`);
+        }
+        base = require(path.resolve(nameOrPath));
+    }
+
+    const config = {
+        id: LEADERBOARD_CONFIGS[nameOrPath] ? nameOrPath : path.basename(nameOrPath).replace(/\.(js|json)$/, ''),
+        flag: '🏆',
+        trophies: [],
+        redirectFile: null,
+        notice: '',
+        verificationFile: 'pilot_pic_hours_verification.json',
+        dobPrivateFile: 'pilot_dob_private.json',
+        templateFile: 'canadian_leaderboard_2025_embedded.html',
+        leaderboards: DEFAULT_LEADERBOARDS,
+        copilotCredit: 'none',
+        ...base
+    };
+
+    const missing = ['countryCode', 'countryName', 'season', 'seasonStart', 'seasonEnd', 'title', 'outputFile']
+        .filter(key => !config[key]);
+    if (missing.length > 0) {
+        throw new Error(`Leaderboard config "${config.id}" is missing: ${missing.join(', ')}`);
+    }
+    if (!isIsoDate(config.seasonStart) || !isIsoDate(config.seasonEnd) || config.seasonStart > config.seasonEnd) {
+        throw new Error(`Leaderboard config "${config.id}" has an invalid season window ${config.seasonStart} - ${config.seasonEnd}`);
+    }
+
+    if (!(config.copilotCredit in COPILOT_CREDIT_SHARES)) {
+        throw new Error(`Leaderboard config "${config.id}" copilotCredit must be one of: ${Object.keys(COPILOT_CREDIT_SHARES).join(', ')}`);
+    }
+    config.leaderboards = resolveLeaderboardViews(config);
+    try {
+        config.trophies = resolveTrophyDefinitions(config.trophies, config.leaderboards.map(view => view.id));
+    } catch (error) {
+        throw new Error(`Leaderboard config "${config.id}": ${error.message}`);
+    }
+    try {
+        config.handicapClasses = resolveHandicapClasses(config.handicapClasses);
+    } catch (error) {
+        throw new Error(`Leaderboard config "${config.id}": ${error.message}`);
+    }
+    try {
+        config.teams = resolveTeamRules(config.teams, config.leaderboards);
+    } catch (error) {
+        throw new Error(`Leaderboard config "${config.id}": ${error.message}`);
+    }
+    try {
+        config.aircraftTypes = resolveAircraftTypeRules(config.aircraftTypes, config.leaderboards);
+    } catch (error) {
+        throw new Error(`Leaderboard config "${config.id}": ${error.message}`);
+    }
+    try {
+        config.eligibility = resolveEligibilityRules(config.eligibility);
+    } catch (error) {
+        throw new Error(`Leaderboard config "${config.id}": ${error.message}`);
+    }
+
+    config.inputFile = config.inputFile || defaultOutputFile(config.countryCode, config.season);
+    config.dataPrefix = config.dataPrefix || String(config.countryCode).toLowerCase();
+    config.flightDetailsFile = config.flightDetailsFile || `${config.dataPrefix}_flight_details.json`;
+    config.flightStatsFile = config.flightStatsFile || `${config.dataPrefix}_flight_stats.json`;
+    config.userDurationsFile = config.userDurationsFile || `${config.dataPrefix}_user_durations.json`;
+    config.userProfilesFile = config.userProfilesFile || `${config.dataPrefix}_user_profiles.json`;
+    // Configs can share a dataPrefix (sac_demo and australia read the same flights), so
+    // everything a build derives from its own rules is named after its output instead
+    const outputBase = config.outputFile.replace(/\.html$/, '');
+    config.buildStateFile = config.buildStateFile || `${outputBase}_build_state.json`;
+    config.flightHistoryFile = config.flightHistoryFile || `${outputBase}_flight_history.json`;
+    config.snapshotDiffFile = config.snapshotDiffFile || `${outputBase}_snapshot_diff.json`;
+    config.reviewReportFile = config.reviewReportFile || `${outputBase}_review_report.json`;
+    config.pilotPagesDir = config.pilotPagesDir || `${outputBase}_pilots`;
+    config.dailyPagesDir = config.dailyPagesDir || `${outputBase}_daily`;
+    config.aircraftPagesDir = config.aircraftPagesDir || `${outputBase}_aircraft`;
+    config.comparePageFile = config.comparePageFile || `${outputBase}_compare.html`;
+    config.exportsDir = config.exportsDir === false ? null : config.exportsDir || `${outputBase}_exports`;
+    config.archiveDir = config.archiveDir === false ? null : config.archiveDir || `${config.id}_archive`;
+
+    return config;
+}
+
+module.exports = {
+    LEADERBOARD_CONFIGS,
+    DEFAULT_CONFIG,
+    DEFAULT_LEADERBOARDS,
+    TROPHY_KEYS,
+    resolveLeaderboardConfig
+};
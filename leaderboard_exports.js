@@ -0,0 +1,218 @@
+// Machine-readable exports for create_australian_leaderboard_from_jsonl.js
+//
+// Every leaderboard view (mixed, free, sprint, ...), the Silver C-Gull candidates and the
+// trophy results are written to <exportsDir> (default <outputFile>_exports) as:
+//   <id>.json        { schemaVersion, kind, id, label, ..., rows: [...] }
+//   <id>.csv         RFC 4180 CSV (UTF-8, CRLF, header row)
+//   <id>_excel.csv   The same CSV with a UTF-8 byte order mark, so Excel and other
+//                    spreadsheets open it with the right encoding, and text cells
+//                    starting with = + - @, a tab or a carriage return prefixed with ' so
+//                    they are never run as formulas
+// plus index.json listing the files and schema.json describing every column. The columns
+// are defined once below and drive all three formats and the schema, so they cannot
+// drift apart. EXPORT_SCHEMA_VERSION changes whenever a column is renamed, removed or
+// changes meaning; new columns are only ever appended.
+//
+// Trophy results are decided against the verification file at build time, like the season
+// archive; the page decides them against the live verifications.
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeTrophyWinners } = require('./season_archive');
+const { isSharedRank, formatRank, round1 } = require('./shared_helpers');
+
+const EXPORT_SCHEMA_VERSION = 1;
+const FILE_SUFFIXES = { json: '.json', csv: '.csv', excelCsv: '_excel.csv' };
+
+// Columns: name (JSON key and CSV header), type, description and value(row, context).
+// integer[] columns are arrays in JSON and space-separated in CSV.
+const LEADERBOARD_COLUMNS = [
+    { name: 'rank', type: 'integer', description: 'Rank in the view; pilots no tie-break separates share a rank', value: entry => entry.rank },
+    { name: 'rankLabel', type: 'string', description: 'Rank as shown on the page: "3", or "T-3" when shared', value: (entry, { leaderboard }) => formatRank(entry.rank, isSharedRank(entry, leaderboard)) },
+    { name: 'pilotId', type: 'integer', description: 'WeGlide user id', value: entry => entry.pilotId },
+    { name: 'pilot', type: 'string', description: 'Pilot name on WeGlide', value: entry => entry.pilot },
+    { name: 'club', type: 'string|null', description: 'Club of the pilot\'s best counted flight', value: (entry, { recordsById }) => recordsById.get(entry.bestFlights[0]?.id)?.clubName || null },
+    { name: 'totalPoints', type: 'number', description: 'Total of the counted flights\' points (1 decimal)', value: entry => round1(entry.totalPoints) },
+    { name: 'flightCount', type: 'integer', description: 'Flights counted, at most the view\'s bestN', value: entry => entry.flightCount },
+    { name: 'totalDistanceKm', type: 'number', description: 'Total distance of the counted flights in km (1 decimal)', value: entry => round1(entry.totalDistance) },
+    { name: 'bestFlightPoints', type: 'number', description: 'Points of the best counted flight (1 decimal)', value: entry => round1(entry.bestFlights[0]?.points) },
+    { name: 'flightIds', type: 'integer[]', description: 'WeGlide ids of the counted flights, best first', value: entry => entry.bestFlights.map(flight => flight.id) }
+];
+
+// Counted flights, nested in each row of the leaderboard JSON files only
+const LEADERBOARD_FLIGHT_COLUMNS = [
+    { name: 'id', type: 'integer', description: 'WeGlide flight id', value: flight => flight.id },
+    { name: 'date', type: 'string', description: 'Scoring date (YYYY-MM-DD)', value: flight => flight.date || null },
+    { name: 'points', type: 'number', description: 'Points credited to the pilot in the view (1 decimal)', value: flight => round1(flight.points) },
+    { name: 'distanceKm', type: 'number', description: 'Scored distance in km (1 decimal)', value: flight => round1(flight.distance) },
+    { name: 'speedKmh', type: 'number', description: 'Scored speed in km/h (1 decimal)', value: flight => round1(flight.speed) },
+    { name: 'contestType', type: 'string', description: 'WeGlide contest the points come from (free, au, declaration, ...)', value: flight => flight.contestType || null },
+    { name: 'declared', type: 'boolean', description: 'Whether the points are for a declared task', value: flight => flight.declared === true },
+    { name: 'takeoff', type: 'string', description: 'Takeoff airport', value: flight => flight.takeoff || '' },
+    { name: 'region', type: 'string', description: 'Region of the takeoff airport, e.g. AU-NSW', value: flight => flight.region || '' },
+    { name: 'aircraft', type: 'string', description: 'Aircraft type', value: flight => flight.aircraftName || '' },
+    { name: 'copilotOf', type: 'string|null', description: 'Pilot in command when the pilot is credited as co-pilot (config.copilotCredit)', value: flight => flight.copilotOf || null },
+    { name: 'creditShare', type: 'number', description: 'Share of the flight\'s points credited (1, or 0.5 with split co-pilot credit)', value: flight => flight.creditShare ?? 1 }
+];
+
+const SILVER_C_GULL_COLUMNS = [
+    { name: 'pilotId', type: 'integer', description: 'WeGlide user id', value: entry => entry.userId },
+    { name: 'pilot', type: 'string', description: 'Pilot name on WeGlide', value: entry => entry.pilot },
+    { name: 'club', type: 'string', description: 'Club of the badge flight', value: entry => entry.club },
+    { name: 'flightId', type: 'integer', description: 'WeGlide id of the junior Silver badge flight', value: entry => entry.flightId },
+    { name: 'date', type: 'string', description: 'Scoring date of the badge flight (YYYY-MM-DD)', value: entry => entry.date },
+    { name: 'distanceKm', type: 'number|null', description: 'Best distance of the badge flight in km (1 decimal)', value: entry => round1(entry.distanceKm) },
+    { name: 'duration', type: 'string', description: 'Flight duration, e.g. "5h 12m"', value: entry => entry.duration },
+    { name: 'points', type: 'number|null', description: 'Best points of the badge flight (1 decimal)', value: entry => round1(entry.bestPoints) },
+    { name: 'takeoff', type: 'string', description: 'Takeoff airport', value: entry => entry.takeoff }
+];
+
+const TROPHY_COLUMNS = [
+    { name: 'trophyKey', type: 'string', description: 'Trophy key from the config (canadair, baic, ...)', value: row => row.trophyKey },
+    { name: 'trophy', type: 'string', description: 'Trophy title', value: row => row.trophy },
+    { name: 'award', type: 'string|null', description: '"Combined", "Free" or "Combined & Free" for trophies awarded on both, else null', value: row => row.award },
+    { name: 'pilotId', type: 'integer', description: 'WeGlide user id of the winner', value: row => row.pilotId },
+    { name: 'pilot', type: 'string', description: 'Winner\'s name on WeGlide', value: row => row.pilot },
+    { name: 'points', type: 'number|null', description: 'Winning points (1 decimal); null for the Silver C-Gull', value: row => row.points ?? null },
+    { name: 'flightId', type: 'integer|null', description: 'Winning flight for single-flight trophies, else null', value: row => row.flightId ?? null },
+    { name: 'detail', type: 'string|null', description: 'Extra detail, e.g. "age 16" for the Silver C-Gull', value: row => row.detail ?? null }
+];
+
+const TABLES = {
+    leaderboard: { description: 'One leaderboard view: a row per ranked pilot, best first', columns: LEADERBOARD_COLUMNS, nested: { flights: LEADERBOARD_FLIGHT_COLUMNS } },
+    silverCGull: { description: 'Junior pilots who earned the Silver badge this season, by name', columns: SILVER_C_GULL_COLUMNS },
+    trophies: { description: 'Trophy winners decided at build time: a row per winner, trophies in config order', columns: TROPHY_COLUMNS }
+};
+
+function rowObject(columns, item, context) {
+    return Object.fromEntries(columns.map(column => [column.name, column.value(item, context)]));
+}
+
+function csvCell(value, excel) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+    // Characters a spreadsheet may read as the start of a formula (OWASP CSV injection)
+    if (excel && typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows, excel) {
+    const lines = [columns.map(column => column.name).join(',')]
+        .concat(rows.map(row => columns.map(column => csvCell(row[column.name], excel)).join(',')));
+    return (excel ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+// JSON Schema-like description of every table, written as schema.json
+function buildSchema() {
+    const describe = columns => columns.map(({ name, type, description }) => ({ name, type, description }));
+    return {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        formats: {
+            json: 'Object with schemaVersion, kind, id, label, season, seasonStart, seasonEnd, generatedAt and rows (an object per row, keyed by column name)',
+            csv: 'RFC 4180: UTF-8, comma-separated, CRLF line ends, header row of column names; integer[] columns are space-separated, null is an empty cell',
+            excelCsv: 'As csv, with a UTF-8 byte order mark, and text cells starting with = + - @, a tab or a carriage return prefixed with \''
+        },
+        tables: Object.fromEntries(Object.entries(TABLES).map(([kind, table]) => [kind, {
+            description: table.description,
+            columns: describe(table.columns),
+            ...(table.nested ? { jsonOnly: Object.fromEntries(Object.entries(table.nested).map(([name, columns]) => [name, describe(columns)])) } : {})
+        }]))
+    };
+}
+
+// Every export the build has: [{ id, kind, label, rows, meta }]
+function buildExports(config, { leaderboardsByView, recordsById, silverCGullLeaderboard, trophyCandidates, verifications }) {
+    const exports = config.leaderboards.map(view => {
+        const leaderboard = leaderboardsByView[view.id];
+        const context = { leaderboard, recordsById };
+        return {
+            id: view.id,
+            kind: 'leaderboard',
+            label: view.label,
+            meta: { profile: view.profile.name, bestN: view.profile.bestN },
+            rows: leaderboard.map(entry => ({
+                ...rowObject(LEADERBOARD_COLUMNS, entry, context),
+                flights: entry.bestFlights.map(flight => rowObject(LEADERBOARD_FLIGHT_COLUMNS, flight, context))
+            }))
+        };
+    });
+
+    exports.push({
+        id: 'silver_c_gull',
+        kind: 'silverCGull',
+        label: 'Silver C-Gull candidates',
+        meta: {},
+        rows: silverCGullLeaderboard.map(entry => rowObject(SILVER_C_GULL_COLUMNS, entry, {}))
+    });
+
+    exports.push({
+        id: 'trophies',
+        kind: 'trophies',
+        label: 'Trophy results',
+        meta: { decidedAt: 'build' },
+        rows: config.trophies.flatMap(definition =>
+            summarizeTrophyWinners(definition, trophyCandidates[definition.key], verifications)
+                .map(winner => rowObject(TROPHY_COLUMNS, { ...winner, trophyKey: definition.key, trophy: definition.title }, {})))
+    });
+
+    return exports;
+}
+
+// Write the exports, index.json and schema.json; removes exports no longer produced
+// (e.g. a view dropped from the config). Returns the number of exports.
+function writeExports(config, context) {
+    const dir = config.exportsDir;
+    fs.mkdirSync(dir, { recursive: true });
+    const generatedAt = context.generatedAt || new Date().toISOString();
+    const season = { season: String(config.season), seasonStart: config.seasonStart, seasonEnd: config.seasonEnd };
+
+    const written = new Set(['index.json', 'schema.json']);
+    const write = (fileName, content) => {
+        fs.writeFileSync(path.join(dir, fileName), content);
+        written.add(fileName);
+    };
+
+    const exports = buildExports(config, context);
+    const index = exports.map(entry => {
+        const columns = TABLES[entry.kind].columns;
+        const files = Object.fromEntries(Object.entries(FILE_SUFFIXES).map(([format, suffix]) => [format, `${entry.id}${suffix}`]));
+        write(files.json, JSON.stringify({
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            kind: entry.kind,
+            id: entry.id,
+            label: entry.label,
+            ...season,
+            generatedAt,
+            ...entry.meta,
+            rows: entry.rows
+        }, null, 2));
+        write(files.csv, toCsv(columns, entry.rows, false));
+        write(files.excelCsv, toCsv(columns, entry.rows, true));
+        return { id: entry.id, kind: entry.kind, label: entry.label, rows: entry.rows.length, files };
+    });
+
+    write('schema.json', JSON.stringify(buildSchema(), null, 2));
+    write('index.json', JSON.stringify({
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        title: config.title,
+        ...season,
+        generatedAt,
+        schema: 'schema.json',
+        exports: index
+    }, null, 2));
+
+    fs.readdirSync(dir)
+        .filter(fileName => /\.(json|csv)$/.test(fileName) && !written.has(fileName))
+        .forEach(fileName => fs.unlinkSync(path.join(dir, fileName)));
+
+    return exports.length;
+}
+
+module.exports = {
+    EXPORT_SCHEMA_VERSION,
+    buildSchema,
+    buildExports,
+    writeExports
+};
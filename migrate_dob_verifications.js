@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+// Move raw dates of birth out of the public date of birth verifications.
+//
+// dob_verifications records used to hold the pilot's dateOfBirth, readable by anyone
+// in Firestore and embedded in the leaderboard page. This copies every raw date to the
+// admin-only stores (Firestore dob_private and the config's dobPrivateFile, see
+// dob_private_store.js) and rewrites the public records with only the age on the
+// pilot's Silver C achievement date. Review status and history are kept; declarations
+// saved before the review workflow get status 'pending' so an admin has to approve them.
+//
+// Usage:
+//   node migrate_dob_verifications.js [--config australia] [--file pilot_pic_hours_verification.json]
+//                                     [--local pilot_verifications_export.json ...]
+//                                     [--no-firestore] [--dry-run] [--yes]
+//
+// Achievement dates come from the last leaderboard build (<outputFile>_build_state.json),
+// so build first. Pilots without a junior Silver C flight in it get no age until a later
+// build derives one. Firestore writes use the Admin SDK like sync_verifications.js, with
+// a verification_audit entry per record that never contains the raw date.
+
+const fs = require('fs');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+const { readJson, confirm } = require('./shared_helpers');
+const { snapshotFromBuildState } = require('./flight_snapshot_diff');
+const { DECLARATION_KINDS, deriveAgeAtAchievement, getReviewStatus } = require('./verification_review');
+const { loadPrivateDOBs, savePrivateDOBs } = require('./dob_private_store');
+
+const MIGRATION_ACTOR = 'migrate_dob_verifications';
+
+// Earliest junior Silver C flight per pilot in the season window, from the last build
+function loadAchievementDates(config) {
+    if (!fs.existsSync(config.buildStateFile)) {
+        console.warn(`⚠️ No ${config.buildStateFile} - run a leaderboard build first to derive ages now`);
+        return {};
+    }
+    const { records } = snapshotFromBuildState(JSON.parse(fs.readFileSync(config.buildStateFile, 'utf-8')));
+    const dates = {};
+    records.forEach(record => {
+        if (!record.silverBadge || record.review?.excluded || !record.date) return;
+        if (record.date < config.seasonStart || record.date > config.seasonEnd) return;
+        const pilotId = String(record.silverBadge.userId);
+        if (!dates[pilotId] || record.date < dates[pilotId]) {
+            dates[pilotId] = record.date;
+        }
+    });
+    return dates;
+}
+
+// Public record without the raw date, with the derived age when the date is known
+function migrateRecord(record, dateOfBirth, achievementDate) {
+    const { dateOfBirth: raw, age, ...publicRecord } = record;
+    // Like the page, records without a dataSource are declarations; unreviewed ones wait for an admin
+    publicRecord.dataSource = publicRecord.dataSource || 'user-entered';
+    if (getReviewStatus(publicRecord) === 'pending') {
+        publicRecord.status = 'pending';
+        delete publicRecord.review;
+    }
+    return achievementDate
+        ? { ...publicRecord, ...deriveAgeAtAchievement(dateOfBirth, achievementDate) }
+        : publicRecord;
+}
+
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG, file: null, local: [], firestore: true, dryRun: false, yes: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--config': options.config = next; i++; break;
+            case '--file': options.file = next; i++; break;
+            case '--local': options.local.push(next); i++; break;
+            case '--no-firestore': options.firestore = false; break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--yes': options.yes = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    options.local.forEach(file => {
+        if (!file || !fs.existsSync(file)) {
+            throw new Error(`Missing localStorage dump: ${file}`);
+        }
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = resolveLeaderboardConfig(options.config);
+    const file = options.file || config.verificationFile;
+    const { collection, privateCollection } = DECLARATION_KINDS.dob;
+
+    const achievementDates = loadAchievementDates(config);
+    const datesOfBirth = loadPrivateDOBs(config.dobPrivateFile);
+    // Raw dates found, first source wins: Firestore, then the file, then dumps
+    const found = {};
+    const conflicts = [];
+    const collect = (pilotId, record, sourceName) => {
+        if (!found[pilotId]) {
+            found[pilotId] = { pilotName: record.pilotName, dateOfBirth: record.dateOfBirth, submittedBy: record.submittedBy || null };
+        } else if (found[pilotId].dateOfBirth !== record.dateOfBirth) {
+            conflicts.push(`${record.pilotName || pilotId} (${sourceName})`);
+        }
+    };
+
+    let firestore = null;
+    const firestoreDocs = {};
+    const firestorePrivateIds = new Set();
+    if (options.firestore) {
+        const { initializeApp } = require('firebase-admin/app');
+        const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+        const db = getFirestore(initializeApp());
+        firestore = { db, FieldValue };
+        (await db.collection(collection).get()).forEach(doc => {
+            if (doc.data().dateOfBirth) {
+                firestoreDocs[doc.id] = doc.data();
+                collect(doc.id, doc.data(), 'Firestore');
+            }
+        });
+        (await db.collection(privateCollection).get()).forEach(doc => firestorePrivateIds.add(doc.id));
+    }
+
+    const targets = [file, ...options.local]
+        .filter(name => fs.existsSync(name))
+        .map(name => ({ name, data: readJson(name) }));
+    targets.forEach(target => {
+        target.rawIds = Object.entries(target.data.dobVerifications || {})
+            .filter(([, record]) => record && record.dateOfBirth)
+            .map(([pilotId, record]) => {
+                collect(pilotId, record, target.name);
+                return pilotId;
+            });
+    });
+
+    // The plan; pilot names only, never the dates
+    const describe = pilotId => `${found[pilotId].pilotName || 'Unknown'} (${pilotId})` +
+        (achievementDates[pilotId] ? '' : ' - no Silver C flight in the last build, age left for a later build');
+    const toPrivateFile = Object.keys(found).filter(pilotId => !datesOfBirth[pilotId]);
+    const toPrivateFirestore = firestore ? Object.keys(found).filter(pilotId => !firestorePrivateIds.has(pilotId)) : [];
+
+    if (firestore) {
+        console.log(`📝 Firestore ${collection}: ${Object.keys(firestoreDocs).length} records with a raw date of birth`);
+        Object.keys(firestoreDocs).forEach(pilotId => console.log(`  ~ ${describe(pilotId)}`));
+        console.log(`🔒 Firestore ${privateCollection}: ${toPrivateFirestore.length} dates of birth to add`);
+    }
+    targets.forEach(target => {
+        console.log(`📝 ${target.name}: ${target.rawIds.length} records with a raw date of birth`);
+        target.rawIds.forEach(pilotId => console.log(`  ~ ${describe(pilotId)}`));
+    });
+    console.log(`🔒 ${config.dobPrivateFile}: ${toPrivateFile.length} dates of birth to add`);
+    if (conflicts.length > 0) {
+        console.warn(`⚠️ Different dates of birth for the same pilot, the first source's date is kept: ${conflicts.join(', ')}`);
+    }
+
+    if (Object.keys(found).length === 0) {
+        console.log('\n✅ No raw dates of birth in public records - nothing to migrate');
+        return;
+    }
+    if (options.dryRun) {
+        console.log('\nℹ️ Dry run - nothing written');
+        return;
+    }
+    if (!options.yes && !(await confirm('\nMigrate these records? (y/N) '))) {
+        console.log('ℹ️ Nothing written');
+        return;
+    }
+
+    // Private stores first, so a raw date is never removed before it is kept
+    toPrivateFile.forEach(pilotId => {
+        datesOfBirth[pilotId] = { pilotName: found[pilotId].pilotName, dateOfBirth: found[pilotId].dateOfBirth };
+    });
+    if (toPrivateFile.length > 0) {
+        savePrivateDOBs(config.dobPrivateFile, datesOfBirth);
+        console.log(`💾 Saved ${config.dobPrivateFile}`);
+    }
+
+    if (firestore) {
+        const { db, FieldValue } = firestore;
+        for (const pilotId of toPrivateFirestore) {
+            await db.collection(privateCollection).doc(pilotId).set({
+                pilotId,
+                pilotName: found[pilotId].pilotName,
+                dateOfBirth: found[pilotId].dateOfBirth,
+                submittedBy: found[pilotId].submittedBy || MIGRATION_ACTOR,
+                timestamp: FieldValue.serverTimestamp()
+            });
+        }
+
+        // Same document shape and audit entry as the page's writeAuditedVerification
+        for (const [pilotId, record] of Object.entries(firestoreDocs)) {
+            const { pilotId: storedPilotId, submittedBy, auditId, timestamp, ...declaration } = record;
+            const data = migrateRecord(declaration, found[pilotId].dateOfBirth, achievementDates[pilotId]);
+            const auditRef = db.collection('verification_audit').doc();
+            const batch = db.batch();
+            batch.set(db.collection(collection).doc(pilotId), {
+                ...data,
+                pilotId,
+                submittedBy: submittedBy || MIGRATION_ACTOR,
+                auditId: auditRef.id,
+                timestamp: FieldValue.serverTimestamp()
+            });
+            batch.set(auditRef, {
+                collection,
+                pilotId,
+                action: 'update',
+                data,
+                actorUid: MIGRATION_ACTOR,
+                actorIsAdmin: true,
+                timestamp: FieldValue.serverTimestamp()
+            });
+            await batch.commit();
+        }
+        console.log(`🔥 Migrated ${Object.keys(firestoreDocs).length} Firestore records (${toPrivateFirestore.length} dates of birth to ${privateCollection})`);
+    }
+
+    targets.filter(target => target.rawIds.length > 0).forEach(target => {
+        target.rawIds.forEach(pilotId => {
+            target.data.dobVerifications[pilotId] = migrateRecord(target.data.dobVerifications[pilotId],
+                found[pilotId].dateOfBirth, achievementDates[pilotId]);
+        });
+        fs.writeFileSync(target.name, JSON.stringify(target.data, null, 2));
+        console.log(`💾 Saved ${target.name}`);
+    });
+
+    console.log(`\n💡 Keep ${config.dobPrivateFile} out of the repository and off the web server`);
+}
+
+module.exports = {
+    loadAchievementDates,
+    migrateRecord
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    });
+}
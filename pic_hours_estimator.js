@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+// PIC hours at the season start, estimated from WeGlide (Under 200 Hours trophy)
+//
+// WeGlide's total_flight_duration covers every flight a pilot has uploaded so far, so
+// hours at the season start = that total minus the duration (total_seconds) of every
+// flight scored since the season start. The generator takes those flights from the
+// season JSONL, which misses flights abroad and after the season end (the estimate
+// comes out too high). Fetching each pilot's own flight list closes that gap:
+//
+//   node pic_hours_estimator.js [--config australia] [--base-url http://localhost:8000] [--delay 100]
+//
+// writes the config's flightHistoryFile (<outputFile>_flight_history.json): fresh
+// totals from /v1/user and every flight since the season start from
+// /v1/flight?user_id_in=, taken at the same time. Builds use it instead of the JSONL
+// while it exists. Each estimate's calculation records the
+// source, the flights counted and a confidence level for admins reviewing declarations.
+
+const fs = require('fs');
+const readline = require('readline');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+const { DEFAULT_BASE_URL, fetchJson } = require('./fetch_season_flights');
+const { round1 } = require('./shared_helpers');
+
+const PIC_HOURS_LIMIT = 200;
+const NEAR_LIMIT_HOURS = 20; // estimates this close to the limit are flagged for review
+const USER_BATCH_SIZE = 100; // ids per /v1/user request
+const FLIGHT_LIST_USERS = 10; // pilots per /v1/flight request
+const PAGE_SIZE = 100; // API maximum for /v1/flight
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+function lowerConfidence(level) {
+    return CONFIDENCE_LEVELS[Math.max(0, CONFIDENCE_LEVELS.indexOf(level) - 1)];
+}
+
+// { userId: [{ id, date, seconds }] } from the generator's flight records
+function seasonFlightsByPilot(records) {
+    const flights = {};
+    records.forEach(record => {
+        if (record.userId == null) return;
+        (flights[record.userId] = flights[record.userId] || []).push({
+            id: record.id,
+            date: record.date,
+            seconds: typeof record.durationSeconds === 'number' ? record.durationSeconds : null
+        });
+    });
+    return flights;
+}
+
+// Estimate for one pilot. source is 'season-file' (flights from the season JSONL) or
+// 'flight-list' (the pilot's own flight list, fetched at fetchedAt).
+// Returns null without a WeGlide total to start from.
+function estimatePicHours({ totalSeconds, flights = [], source, seasonStart, fetchedAt = null }) {
+    if (!(totalSeconds > 0)) {
+        return null;
+    }
+
+    const sinceStart = flights.filter(flight => flight.date && flight.date >= seasonStart);
+    const withoutDuration = sinceStart.filter(flight => typeof flight.seconds !== 'number');
+    const totalHours = totalSeconds / 3600;
+    const hoursSinceStart = sinceStart.reduce((sum, flight) => sum + (flight.seconds || 0), 0) / 3600;
+    const estimate = Math.max(0, totalHours - hoursSinceStart);
+
+    let confidence = source === 'flight-list' ? 'high' : 'medium';
+    const notes = [source === 'flight-list'
+        ? `All WeGlide flights since the season start (fetched ${String(fetchedAt).slice(0, 10)})`
+        : 'Season file only: flights abroad or after the season end count as pre-season hours'];
+    if (withoutDuration.length > 0) {
+        confidence = lowerConfidence(confidence);
+        notes.push(`${withoutDuration.length} of ${sinceStart.length} flights have no duration`);
+    }
+    if (hoursSinceStart > totalHours + 0.5) {
+        confidence = 'low';
+        notes.push('More hours since the season start than the WeGlide total - the total is out of date');
+    }
+    if (Math.abs(estimate - PIC_HOURS_LIMIT) < NEAR_LIMIT_HOURS) {
+        notes.push(`Within ${NEAR_LIMIT_HOURS} h of the ${PIC_HOURS_LIMIT} h limit`);
+    }
+
+    return {
+        picHours: round1(estimate),
+        eligible: estimate < PIC_HOURS_LIMIT,
+        calculation: {
+            // hoursSinceOct1/estimatedOct1Hours keep the names of earlier records; they
+            // are relative to the config's season start
+            totalWeGlideHours: round1(totalHours),
+            hoursSinceOct1: round1(hoursSinceStart),
+            estimatedOct1Hours: round1(estimate),
+            flightsSinceSeasonStart: sinceStart.length,
+            flightsWithoutDuration: withoutDuration.length,
+            source,
+            confidence,
+            notes
+        }
+    };
+}
+
+// Flight history written by this script, or null when missing or for another season
+function loadFlightHistory(config) {
+    const file = config.flightHistoryFile;
+    if (!fs.existsSync(file)) return null;
+    try {
+        const history = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (history.seasonStart !== config.seasonStart) {
+            console.log(`ℹ️ ${file} is for a season starting ${history.seasonStart} - not used`);
+            return null;
+        }
+        return history;
+    } catch (error) {
+        console.warn(`⚠️ Could not read ${file}:`, error.message || error);
+        return null;
+    }
+}
+
+async function readPilotIds(inputFile) {
+    if (!fs.existsSync(inputFile)) {
+        throw new Error(`Input file not found: ${inputFile}`);
+    }
+    const ids = new Set();
+    const rl = readline.createInterface({ input: fs.createReadStream(inputFile), crlfDelay: Infinity });
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        try {
+            const id = JSON.parse(line)?.user?.id;
+            if (typeof id === 'number') ids.add(id);
+        } catch (e) {
+            // truncated line from an interrupted fetch
+        }
+    }
+    return Array.from(ids);
+}
+
+// Flight list entries have no total_seconds; use takeoff to landing
+function listedFlightSeconds(flight) {
+    const seconds = (Date.parse(flight.landing_time) - Date.parse(flight.takeoff_time)) / 1000;
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchFlightHistory(config, options) {
+    const pilotIds = await readPilotIds(config.inputFile);
+    const fetchedAt = new Date().toISOString();
+    const pilots = {};
+    console.log(`⏬ Fetching WeGlide totals and flights since ${config.seasonStart} for ${pilotIds.length} pilots from ${options.baseUrl}`);
+
+    for (let i = 0; i < pilotIds.length; i += USER_BATCH_SIZE) {
+        const users = await fetchJson(`${options.baseUrl}/v1/user?id_in=${pilotIds.slice(i, i + USER_BATCH_SIZE).join(',')}`);
+        (Array.isArray(users) ? users : []).forEach(user => {
+            if (user && typeof user.total_flight_duration === 'number') {
+                pilots[user.id] = { totalFlightDuration: user.total_flight_duration, flights: [] };
+            }
+        });
+        await delay(options.delay);
+    }
+
+    for (let i = 0; i < pilotIds.length; i += FLIGHT_LIST_USERS) {
+        const chunk = pilotIds.slice(i, i + FLIGHT_LIST_USERS);
+        for (let skip = 0; ; skip += PAGE_SIZE) {
+            const params = new URLSearchParams({
+                user_id_in: chunk.join(','),
+                scoring_date_start: config.seasonStart,
+                skip: String(skip),
+                limit: String(PAGE_SIZE)
+            });
+            const page = await fetchJson(`${options.baseUrl}/v1/flight?${params}`);
+            const flights = Array.isArray(page) ? page : [];
+            flights.forEach(flight => {
+                const pilot = pilots[flight.user?.id];
+                if (pilot) {
+                    pilot.flights.push({ id: flight.id, date: flight.scoring_date, seconds: listedFlightSeconds(flight) });
+                }
+            });
+            await delay(options.delay);
+            if (flights.length < PAGE_SIZE) break;
+        }
+        console.log(`   ${Math.min(i + FLIGHT_LIST_USERS, pilotIds.length)} / ${pilotIds.length} pilots`);
+    }
+
+    return { fetchedAt, seasonStart: config.seasonStart, pilots };
+}
+
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG, baseUrl: process.env.WEGLIDE_API_URL || DEFAULT_BASE_URL, delay: 100 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--config': options.config = next; i++; break;
+            case '--base-url': options.baseUrl = next; i++; break;
+            case '--delay': options.delay = parseInt(next, 10) || 0; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    options.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = resolveLeaderboardConfig(options.config);
+    const history = await fetchFlightHistory(config, options);
+    fs.writeFileSync(config.flightHistoryFile, JSON.stringify(history));
+    const flightCount = Object.values(history.pilots).reduce((sum, pilot) => sum + pilot.flights.length, 0);
+    console.log(`💾 Saved ${Object.keys(history.pilots).length} pilots (${flightCount} flights) to ${config.flightHistoryFile}`);
+    console.log('💡 Rebuild the leaderboard to use it for the PIC hours estimates');
+}
+
+module.exports = {
+    PIC_HOURS_LIMIT,
+    seasonFlightsByPilot,
+    estimatePicHours,
+    loadFlightHistory
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,328 @@
+// Pilot flight statistics comparison page for create_australian_leaderboard_from_jsonl.js
+//
+// The flight tooltip shows WeGlide's contest score stats one flight at a time; this page
+// averages them over each ranked pilot's season flights (as pilot in command) so coaches
+// can put two or more pilots side by side for a debrief. The stats per flight are the ones
+// the tooltip shows in the Combined view (task stats for a finished task, else free
+// stats). Rates are averaged weighted by the time they cover (climb over thermalling time,
+// glide ratio over gliding time, time low over flight time), so long flights count for more.
+//
+// <comparePageFile> (default <outputFile>_compare.html) embeds every pilot's averages; the
+// pilots compared are picked on the page and kept in the URL (#pilots=123,456) so a
+// comparison can be shared. For each stat the best and worst of the pilots shown are
+// highlighted, and each pilot gets a list of where they gain or lose most against the others.
+
+const fs = require('fs');
+const path = require('path');
+const { scoredStats } = require('./aircraft_types');
+const { escapeHtml } = require('./shared_helpers');
+
+// Stats compared, in page order. better: 1 when higher is better, -1 when lower is, 0 when
+// neither (style, not performance). weight: stat the average is weighted by. scale and unit
+// convert WeGlide's SI values for display, as in the tooltip. Shares of time are compared
+// by percentage points (absoluteGap) rather than relative to each other.
+const COMPARISON_METRICS = [
+    { key: 'thermal_avg', group: 'Climbing', label: 'Avg climb', better: 1, weight: 'thermal_time', scale: 1.94384, unit: ' kts', digits: 1 },
+    { key: 'attempt_avg', group: 'Climbing', label: 'Avg climb attempt', better: 1, weight: 'attempt_count', scale: 1.94384, unit: ' kts', digits: 1 },
+    { key: 'attempt_speed_loss', group: 'Climbing', label: 'Attempt loss', better: -1, weight: 'attempt_count', unit: ' km/h', digits: 1 },
+    { key: 'thermal_start_agl', group: 'Climbing', label: 'Thermal start AGL', better: 0, weight: 'thermal_count', scale: 3.28084, unit: ' ft', digits: 0 },
+    { key: 'thermal_radius', group: 'Climbing', label: 'Thermal radius', better: 0, weight: 'thermal_time', scale: 3.28084, unit: ' ft', digits: 0 },
+    { key: 'thermal_bank', group: 'Climbing', label: 'Thermal bank', better: 0, weight: 'thermal_time', unit: '°', digits: 1 },
+    { key: 'glide_ratio', group: 'Gliding', label: 'Glide ratio', better: 1, weight: 'glide_time', digits: 1 },
+    { key: 'glide_speed', group: 'Gliding', label: 'Glide speed', better: 1, weight: 'glide_time', unit: ' km/h', digits: 0 },
+    { key: 'glide_detour', group: 'Gliding', label: 'Glide detour', better: -1, weight: 'glide_time', digits: 2 },
+    { key: 'glide_percentage', group: 'Gliding', label: 'Time gliding', better: 1, weight: 'duration', scale: 100, unit: '%', digits: 0, zeroValid: true, absoluteGap: 0.02 },
+    { key: 'glide_percentage_lift', group: 'Gliding', label: 'Glide % in lift', better: 1, weight: 'glide_time', scale: 100, unit: '%', digits: 0, zeroValid: true, absoluteGap: 0.02 },
+    { key: 'agl_avg', group: 'Height', label: 'Avg AGL', better: 1, weight: 'duration', scale: 3.28084, unit: ' ft', digits: 0 },
+    { key: 'below_800_agl', group: 'Height', label: 'Time below 2625 ft AGL', better: -1, weight: 'duration', scale: 100, unit: '%', digits: 0, zeroValid: true, absoluteGap: 0.02 },
+    { key: 'below_400_agl', group: 'Height', label: 'Time below 1312 ft AGL', better: -1, weight: 'duration', scale: 100, unit: '%', digits: 0, zeroValid: true, absoluteGap: 0.02 },
+    { key: 'below_200_agl', group: 'Height', label: 'Time below 656 ft AGL', better: -1, weight: 'duration', scale: 100, unit: '%', digits: 0, zeroValid: true, absoluteGap: 0.02 }
+];
+
+// A gain or loss is listed when the pilot is this far (relative) from the others' average,
+// or absoluteGap away for the metrics that set one
+const NOTABLE_GAP = 0.05;
+
+const PAGE_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #2c3e50; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
+        .back-link { color: #3498db; text-decoration: none; font-size: 14px; }
+        h1 { margin: 10px 0 4px; }
+        h2 { font-size: 18px; margin: 0 0 12px; }
+        h3 { font-size: 15px; margin: 12px 0 6px; }
+        .subtitle { color: #7f8c8d; margin-bottom: 20px; }
+        .section { background: white; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 20px; overflow-x: auto; }
+        .picker { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        .picker select, .picker button { font-size: 14px; padding: 6px 10px; border: 1px solid #bdc3c7; border-radius: 6px; background: white; }
+        .picker button { cursor: pointer; }
+        .chip { display: inline-block; background: #eaf2f8; border-radius: 14px; padding: 4px 10px; font-size: 13px; }
+        .chip button { border: none; background: none; cursor: pointer; color: #7f8c8d; padding: 0 0 0 6px; font-size: 13px; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ecf0f1; text-align: left; white-space: nowrap; }
+        th { background: #f8f9fa; font-weight: 600; }
+        td.value { text-align: right; }
+        td.best { background: #eafaf1; font-weight: 700; color: #1e8449; }
+        td.worst { background: #fdedec; color: #c0392b; }
+        tr.group td { background: #f8f9fa; font-weight: 600; color: #7f8c8d; }
+        .gap { display: block; font-size: 11px; color: #95a5a6; font-weight: 400; }
+        ul.facts { margin: 0; padding-left: 18px; line-height: 1.7; }
+        .gain { color: #1e8449; }
+        .loss { color: #c0392b; }
+        .legend { font-size: 12px; color: #7f8c8d; margin-top: 8px; }
+        a { color: #2980b9; }`;
+
+function usableValue(value, metric) {
+    return typeof value === 'number' && Number.isFinite(value) && (value > 0 || (metric.zeroValid && value === 0));
+}
+
+// Season averages of every comparison stat per pilot, from their PIC flights with detailed
+// stats. Only pilots in pilotIds (the ranked pilots) are included, sorted by name:
+// [{ pilotId, pilot, flightCount, hours, values: { key: average | null }, flights: { key: n } }]
+function buildPilotStatSummaries(records, { pilotIds }) {
+    const pilots = new Map();
+    records.forEach(record => {
+        if (!pilotIds.has(record.userId)) return;
+        const stats = scoredStats(record.details, 'mixed');
+        if (!stats) return;
+        if (!pilots.has(record.userId)) {
+            pilots.set(record.userId, { pilotId: record.userId, pilot: record.pilotName, statsList: [] });
+        }
+        pilots.get(record.userId).statsList.push(stats);
+    });
+
+    return Array.from(pilots.values())
+        .map(({ pilotId, pilot, statsList }) => {
+            const values = {};
+            const flights = {};
+            COMPARISON_METRICS.forEach(metric => {
+                let weighted = 0;
+                let totalWeight = 0;
+                let count = 0;
+                statsList.forEach(stats => {
+                    if (!usableValue(stats[metric.key], metric)) return;
+                    // Flights missing the weighting stat are weighted by their duration instead
+                    const weight = stats[metric.weight] > 0 ? stats[metric.weight] : stats.duration > 0 ? stats.duration : 1;
+                    weighted += stats[metric.key] * weight;
+                    totalWeight += weight;
+                    count++;
+                });
+                values[metric.key] = count > 0 ? weighted / totalWeight : null;
+                flights[metric.key] = count;
+            });
+            return {
+                pilotId,
+                pilot,
+                flightCount: statsList.length,
+                hours: statsList.reduce((sum, stats) => sum + (stats.duration || 0), 0) / 3600,
+                values,
+                flights
+            };
+        })
+        .sort((a, b) => a.pilot.localeCompare(b.pilot));
+}
+
+// JSON for an inline <script>, safe against "</script>" in pilot names
+function inlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Browser code for the page: pilot picker, comparison table and gains/losses. Kept free of
+// template placeholders so it can sit in the page template as is.
+const PAGE_SCRIPT = `
+        const pilotsById = new Map(PILOTS.map(function (pilot) { return [pilot.pilotId, pilot]; }));
+        let selected = [];
+
+        function escapeHtml(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        function display(metric, value) {
+            if (value === null || value === undefined) return '-';
+            return (value * (metric.scale || 1)).toFixed(metric.digits) + (metric.unit || '');
+        }
+
+        // Difference to another value in display units, e.g. "+0.4 kts"
+        function displayGap(metric, gap) {
+            const scaled = gap * (metric.scale || 1);
+            return (scaled > 0 ? '+' : '') + scaled.toFixed(metric.digits) + (metric.unit || '');
+        }
+
+        function readHash() {
+            const match = /pilots=([\\d,]+)/.exec(window.location.hash);
+            selected = match ? match[1].split(',').map(Number).filter(function (id) { return pilotsById.has(id); }) : [];
+            selected = selected.filter(function (id, index) { return selected.indexOf(id) === index; });
+        }
+
+        function writeHash() {
+            history.replaceState(null, '', selected.length > 0 ? '#pilots=' + selected.join(',') : window.location.pathname);
+        }
+
+        function renderPicker() {
+            const select = document.getElementById('pilotSelect');
+            select.innerHTML = '<option value="">Add a pilot...</option>' + PILOTS
+                .filter(function (pilot) { return selected.indexOf(pilot.pilotId) === -1; })
+                .map(function (pilot) { return '<option value="' + pilot.pilotId + '">' + escapeHtml(pilot.pilot) + '</option>'; })
+                .join('');
+            document.getElementById('selectedPilots').innerHTML = selected.map(function (id) {
+                return '<span class="chip">' + escapeHtml(pilotsById.get(id).pilot) + '<button title="Remove" onclick="removePilot(' + id + ')">✕</button></span>';
+            }).join(' ');
+        }
+
+        function renderTable() {
+            const pilots = selected.map(function (id) { return pilotsById.get(id); });
+            const table = document.getElementById('comparison');
+            if (pilots.length === 0) {
+                table.innerHTML = '<p>Pick two or more pilots to compare.</p>';
+                return;
+            }
+            let group = null;
+            const rows = METRICS.map(function (metric) {
+                const values = pilots.map(function (pilot) { return pilot.values[metric.key]; });
+                const known = values.filter(function (value) { return value !== null; });
+                const best = known.length > 1 && metric.better !== 0 ? (metric.better > 0 ? Math.max.apply(null, known) : Math.min.apply(null, known)) : null;
+                const worst = known.length > 1 && metric.better !== 0 ? (metric.better > 0 ? Math.min.apply(null, known) : Math.max.apply(null, known)) : null;
+                let html = '';
+                if (metric.group !== group) {
+                    group = metric.group;
+                    html += '<tr class="group"><td colspan="' + (pilots.length + 1) + '">' + escapeHtml(group) + '</td></tr>';
+                }
+                html += '<tr><td>' + escapeHtml(metric.label) + '</td>' + values.map(function (value, index) {
+                    const className = value === null || best === worst ? '' : value === best ? ' best' : value === worst ? ' worst' : '';
+                    const gap = best !== null && value !== null && display(metric, value) !== display(metric, best)
+                        ? '<span class="gap">' + displayGap(metric, value - best) + ' vs best</span>' : '';
+                    return '<td class="value' + className + '" title="' + pilots[index].flights[metric.key] + ' flights">' + display(metric, value) + gap + '</td>';
+                }).join('') + '</tr>';
+                return html;
+            }).join('');
+            table.innerHTML = '<table><thead><tr><th>Stat</th>' + pilots.map(function (pilot) {
+                return '<th>' + escapeHtml(pilot.pilot) + '<span class="gap">' + pilot.flightCount + ' flights · ' + pilot.hours.toFixed(1) + ' h</span></th>';
+            }).join('') + '</tr></thead><tbody>' + rows + '</tbody></table>';
+        }
+
+        // Per pilot, the stats where they beat or trail the others' average by NOTABLE_GAP or more
+        function renderInsights() {
+            const container = document.getElementById('insights');
+            const pilots = selected.map(function (id) { return pilotsById.get(id); });
+            if (pilots.length < 2) {
+                container.innerHTML = '<p>Pick two or more pilots to see where each gains or loses.</p>';
+                return;
+            }
+            container.innerHTML = pilots.map(function (pilot) {
+                const notes = [];
+                METRICS.forEach(function (metric) {
+                    const value = pilot.values[metric.key];
+                    const others = pilots
+                        .filter(function (other) { return other !== pilot && other.values[metric.key] !== null; })
+                        .map(function (other) { return other.values[metric.key]; });
+                    if (metric.better === 0 || value === null || others.length === 0) return;
+                    const average = others.reduce(function (sum, other) { return sum + other; }, 0) / others.length;
+                    // Gap in multiples of the notable gap, signed like the difference
+                    const gap = metric.absoluteGap ? (value - average) / metric.absoluteGap
+                        : average === 0 ? 0 : (value - average) / average / NOTABLE_GAP;
+                    if (Math.abs(gap) < 1 || display(metric, value) === display(metric, average)) return;
+                    notes.push({
+                        gains: gap * metric.better > 0,
+                        size: Math.abs(gap),
+                        text: escapeHtml(metric.label) + ': ' + display(metric, value) + ' vs ' + display(metric, average) + (others.length > 1 ? ' (others avg)' : '')
+                    });
+                });
+                notes.sort(function (a, b) { return b.size - a.size; });
+                const list = function (items, className, heading) {
+                    return items.length === 0 ? '' : '<p class="' + className + '">' + heading + '</p><ul class="facts">' +
+                        items.map(function (note) { return '<li>' + note.text + '</li>'; }).join('') + '</ul>';
+                };
+                const gains = notes.filter(function (note) { return note.gains; });
+                const losses = notes.filter(function (note) { return !note.gains; });
+                return '<h3>' + escapeHtml(pilot.pilot) + '</h3>' +
+                    (notes.length === 0 ? '<p>No stat notably apart from the others.</p>' :
+                        list(gains, 'gain', '▲ Gains') + list(losses, 'loss', '▼ Loses'));
+            }).join('');
+        }
+
+        function render() {
+            renderPicker();
+            renderTable();
+            renderInsights();
+        }
+
+        function addPilot() {
+            const id = Number(document.getElementById('pilotSelect').value);
+            if (!pilotsById.has(id) || selected.indexOf(id) !== -1) return;
+            selected.push(id);
+            writeHash();
+            render();
+        }
+
+        function removePilot(id) {
+            selected = selected.filter(function (other) { return other !== id; });
+            writeHash();
+            render();
+        }
+
+        document.getElementById('pilotSelect').addEventListener('change', addPilot);
+        window.addEventListener('hashchange', function () {
+            readHash();
+            render();
+        });
+        readHash();
+        render();`;
+
+function renderComparisonPage(summaries, { title, seasonLabel, leaderboardHref }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Compare Pilots - ${escapeHtml(title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a>
+        <h1>Compare Pilots</h1>
+        <div class="subtitle">${escapeHtml(title)} · ${escapeHtml(seasonLabel)} · season averages of WeGlide's flight stats for ${summaries.length} pilots</div>
+
+        <div class="section">
+            <div class="picker">
+                <select id="pilotSelect"></select>
+                <span id="selectedPilots"></span>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Side by Side</h2>
+            <div id="comparison"></div>
+            <div class="legend">Averages over each pilot's season flights as pilot in command, weighted by the time each stat covers (thermalling, gliding or flight time). Stats are the ones in the flight tooltip: the task for a finished task, else WeGlide Free. Best and worst of the pilots shown are highlighted; thermal start height, radius and bank are style, not scored. Hover a value for the number of flights behind it.</div>
+        </div>
+
+        <div class="section">
+            <h2>Where Each Pilot Gains and Loses</h2>
+            <div id="insights"></div>
+            <div class="legend">Stats at least ${Math.round(NOTABLE_GAP * 100)}% better or worse than the other pilots' average (shares of time: 2 percentage points), largest first.</div>
+        </div>
+    </div>
+    <script>
+        const PILOTS = ${inlineJson(summaries)};
+        const METRICS = ${inlineJson(COMPARISON_METRICS)};
+        const NOTABLE_GAP = ${NOTABLE_GAP};
+${PAGE_SCRIPT}
+    </script>
+</body>
+</html>
+`;
+}
+
+function writeComparisonPage(config, summaries, { seasonLabel }) {
+    fs.mkdirSync(path.dirname(path.resolve(config.comparePageFile)), { recursive: true });
+    const leaderboardHref = path.relative(path.dirname(config.comparePageFile), config.outputFile).split(path.sep).join('/');
+    fs.writeFileSync(config.comparePageFile, renderComparisonPage(summaries, { title: config.title, seasonLabel, leaderboardHref }));
+    return summaries.length;
+}
+
+module.exports = {
+    COMPARISON_METRICS,
+    buildPilotStatSummaries,
+    renderComparisonPage,
+    writeComparisonPage
+};
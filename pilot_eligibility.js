@@ -0,0 +1,205 @@
+// Pilot eligibility rules for create_australian_leaderboard_from_jsonl.js
+//
+// Decides whether a flight counts towards a leaderboard. Rules are set per config
+// (config.eligibility) and checked in this order:
+//   deny            User ids that never count: [123, { userId: 456, reason: '...' }]
+//   copilotFlights  'count' (default) or 'exclude' flights flown with a co-pilot
+//   allow           User ids that always count, skipping the club-account and
+//                   residency checks (same format as deny)
+//   clubAccountPatterns
+//                   Regular expressions (strings, case-insensitive) for shared club
+//                   accounts. A user name that equals its club's name is always
+//                   treated as a club account.
+//   residency       { countries: ['AU'], unknown: 'allow' | 'exclude' }: the pilot's
+//                   home club region on WeGlide (AU-VIC -> AU) must be one of the
+//                   countries. unknown decides pilots without a club region.
+//
+// Co-pilots of two-seater flights (flight.co_user) are credited separately through
+// config.copilotCredit (COPILOT_CREDIT_SHARES); each credited co-pilot goes through
+// the same rules as a pilot.
+
+// Whole words only. "Club" alone is not a default: real pilots have it in their name;
+// "Gliding Club" and "Soaring Club" are, and other club accounts go on the deny list.
+const DEFAULT_CLUB_ACCOUNT_PATTERNS = [
+    '\\b(gliding|soaring)\\s+(centre|center|society|association|school|club)\\b',
+    '\\bsyndicate\\b'
+];
+
+const COPILOT_POLICIES = ['count', 'exclude'];
+const UNKNOWN_RESIDENCY_POLICIES = ['allow', 'exclude'];
+
+// Share of a two-seater flight's points for the pilot who uploaded it (PIC) and the co-pilot:
+//   none   the PIC keeps all the points (WeGlide's own attribution)
+//   full   both get the full points
+//   split  both get half
+const COPILOT_CREDIT_SHARES = {
+    none: { pic: 1, copilot: 0 },
+    full: { pic: 1, copilot: 1 },
+    split: { pic: 0.5, copilot: 0.5 }
+};
+
+// Shares of one flight's points for its PIC and co-pilot: the PIC keeps all the points
+// unless the co-pilot is credited, so a co-pilot without an account (or one the rules
+// exclude) never halves the PIC's points under split credit.
+function flightCreditShares(creditShares, copilotCredited) {
+    return copilotCredited ? creditShares : COPILOT_CREDIT_SHARES.none;
+}
+
+// { userId: reason } from [123, { userId: 456, reason: '...' }]
+function resolveUserList(entries, name, defaultReason) {
+    if (!Array.isArray(entries)) {
+        throw new Error(`eligibility.${name} must be an array of user ids`);
+    }
+    const users = {};
+    entries.forEach(entry => {
+        const userId = typeof entry === 'object' && entry !== null ? entry.userId : entry;
+        if (!Number.isInteger(userId)) {
+            throw new Error(`eligibility.${name} has an invalid user id: ${JSON.stringify(entry)}`);
+        }
+        users[userId] = (typeof entry === 'object' && entry.reason) || defaultReason;
+    });
+    return users;
+}
+
+// Validate a config's eligibility rules and fill in the defaults
+function resolveEligibilityRules(rules = {}) {
+    const resolved = {
+        deny: resolveUserList(rules.deny || [], 'deny', 'On the deny list'),
+        allow: resolveUserList(rules.allow || [], 'allow', 'On the allow list'),
+        copilotFlights: rules.copilotFlights || 'count',
+        clubAccountPatterns: (rules.clubAccountPatterns || DEFAULT_CLUB_ACCOUNT_PATTERNS).map(pattern => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`eligibility.clubAccountPatterns has an invalid pattern "${pattern}": ${error.message}`);
+            }
+        }),
+        residency: null
+    };
+
+    const both = Object.keys(resolved.deny).filter(userId => userId in resolved.allow);
+    if (both.length > 0) {
+        throw new Error(`eligibility lists user ids on both allow and deny: ${both.join(', ')}`);
+    }
+    if (!COPILOT_POLICIES.includes(resolved.copilotFlights)) {
+        throw new Error(`eligibility.copilotFlights must be one of: ${COPILOT_POLICIES.join(', ')}`);
+    }
+
+    if (rules.residency) {
+        const countries = rules.residency.countries;
+        if (!Array.isArray(countries) || countries.length === 0 || !countries.every(c => /^[A-Z]{2}$/.test(c))) {
+            throw new Error('eligibility.residency.countries must list two-letter country codes');
+        }
+        const unknown = rules.residency.unknown || 'allow';
+        if (!UNKNOWN_RESIDENCY_POLICIES.includes(unknown)) {
+            throw new Error(`eligibility.residency.unknown must be one of: ${UNKNOWN_RESIDENCY_POLICIES.join(', ')}`);
+        }
+        resolved.residency = { countries, unknown };
+    }
+
+    return resolved;
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Country of the pilot's home club from a cached WeGlide profile (null when unknown)
+function getResidencyCountry(profile) {
+    const region = profile?.club?.region;
+    return typeof region === 'string' && region ? region.split('-')[0].toUpperCase() : null;
+}
+
+// Why a flight does not count ({ rule, reason }), or null when it is eligible.
+// flight: { userId, pilotName, clubName, copilot } as stored in the build state
+function checkFlightEligibility(flight, rules, profile) {
+    if (!flight.pilotName) {
+        return { rule: 'missing_pilot', reason: 'No pilot name on the flight' };
+    }
+    if (flight.userId in rules.deny) {
+        return { rule: 'deny', reason: rules.deny[flight.userId] };
+    }
+    if (flight.copilot && rules.copilotFlights === 'exclude') {
+        return { rule: 'copilot', reason: `Flown with co-pilot ${flight.copilot.name || 'unknown'} (co-pilot flights excluded)` };
+    }
+    if (flight.userId in rules.allow) {
+        return null;
+    }
+
+    const pilotName = normalizeName(flight.pilotName);
+    const clubNames = [flight.clubName, profile?.club?.name].map(normalizeName).filter(Boolean);
+    if (clubNames.includes(pilotName)) {
+        return { rule: 'club_account', reason: 'Account name matches its club name (shared club account)' };
+    }
+    const pattern = rules.clubAccountPatterns.find(regex => regex.test(flight.pilotName));
+    if (pattern) {
+        return { rule: 'club_account', reason: `Account name looks like a club account (${pattern.source})` };
+    }
+
+    if (rules.residency) {
+        const country = getResidencyCountry(profile);
+        if (!country) {
+            if (rules.residency.unknown === 'exclude') {
+                return { rule: 'residency', reason: 'No home club region on WeGlide' };
+            }
+        } else if (!rules.residency.countries.includes(country)) {
+            const clubName = profile.club.name || 'Home club';
+            return { rule: 'residency', reason: `${clubName} is in ${country}, not ${rules.residency.countries.join('/')}` };
+        }
+    }
+
+    return null;
+}
+
+// One entry per pilot and reason from [{ record, result }] exclusions
+// Two-seater records whose co-pilot is credited (creditShares.copilot > 0): the co-pilot has
+// a WeGlide account other than the PIC's and passes the same rules as a pilot.
+// Returns { credited: Set of records, exclusions: [{ record, result }], withoutAccount }.
+function findCreditedCopilots(records, rules, creditShares, profiles) {
+    const found = { credited: new Set(), exclusions: [], withoutAccount: 0 };
+    if (!(creditShares.copilot > 0)) return found;
+    records.forEach(record => {
+        if (!record.copilot) return;
+        if (record.copilot.id == null || record.copilot.id === record.userId) {
+            found.withoutAccount++;
+            return;
+        }
+        const copilotRecord = { id: record.id, userId: record.copilot.id, pilotName: record.copilot.name, clubName: null, copilot: null };
+        const result = checkFlightEligibility(copilotRecord, rules, profiles[record.copilot.id]);
+        if (result) {
+            found.exclusions.push({ record: copilotRecord, result: { ...result, reason: `As co-pilot: ${result.reason}` } });
+        } else {
+            found.credited.add(record);
+        }
+    });
+    return found;
+}
+
+function summarizeExclusions(exclusions) {
+    const byPilot = new Map();
+    exclusions.forEach(({ record, result }) => {
+        const key = `${record.userId}|${result.reason}`;
+        if (!byPilot.has(key)) {
+            byPilot.set(key, {
+                pilot: record.pilotName || 'Unknown pilot',
+                userId: record.userId,
+                rule: result.rule,
+                reason: result.reason,
+                flightIds: []
+            });
+        }
+        byPilot.get(key).flightIds.push(record.id);
+    });
+    return Array.from(byPilot.values()).sort((a, b) => a.pilot.localeCompare(b.pilot));
+}
+
+module.exports = {
+    DEFAULT_CLUB_ACCOUNT_PATTERNS,
+    COPILOT_CREDIT_SHARES,
+    flightCreditShares,
+    resolveEligibilityRules,
+    getResidencyCountry,
+    checkFlightEligibility,
+    findCreditedCopilots,
+    summarizeExclusions
+};
@@ -0,0 +1,320 @@
+// Static per-pilot season pages for create_australian_leaderboard_from_jsonl.js
+//
+// One page per ranked pilot, <pilotPagesDir>/<userId>.html, linked from the pilot
+// name on the leaderboard. Each page lists every season flight with its points in
+// each leaderboard view (best-N selection highlighted), the cumulative total over
+// the season, aircraft flown, coaching insights (coaching_insights.js), and the awards
+// and verifications known at build time.
+// Trophy standings that the leaderboard page works out in the browser are not
+// repeated here.
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, isSharedRank, formatRank } = require('./shared_helpers');
+const { getReviewStatus } = require('./verification_review');
+const { renderCoachingSection } = require('./coaching_insights');
+
+const PAGE_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #2c3e50; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
+        .back-link { color: #3498db; text-decoration: none; font-size: 14px; }
+        h1 { margin: 10px 0 4px; }
+        h2 { font-size: 18px; margin: 0 0 12px; }
+        .subtitle { color: #7f8c8d; margin-bottom: 20px; }
+        .section { background: white; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 20px; overflow-x: auto; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ecf0f1; text-align: left; white-space: nowrap; }
+        th { background: #f8f9fa; font-weight: 600; }
+        td.points { text-align: right; }
+        td.best { background: #eafaf1; font-weight: 700; color: #1e8449; }
+        .role { font-size: 11px; color: #8e44ad; }
+        .legend { font-size: 12px; color: #7f8c8d; margin-top: 8px; }
+        .chart { width: 100%; height: auto; }
+        ul.facts { margin: 0 0 12px; padding-left: 18px; line-height: 1.7; }
+        tr.insight-weakness td { background: #fdedec; }
+        tr.insight-strength td { background: #eafaf1; }
+        .trend-improving { color: #1e8449; }
+        .trend-worsening { color: #c0392b; }
+        a { color: #2980b9; }`;
+
+function formatPoints(points) {
+    return typeof points === 'number' ? points.toFixed(1) : '-';
+}
+
+// Total of the best N flights flown up to each flight date (the pilot's standing over the season)
+function buildCumulativeSeries(flights, viewId, bestN) {
+    const pointsSoFar = [];
+    const series = [];
+    flights.forEach(flight => {
+        const points = flight.points[viewId];
+        if (typeof points !== 'number') return;
+        pointsSoFar.push(points);
+        const total = pointsSoFar.slice().sort((a, b) => b - a).slice(0, bestN).reduce((sum, p) => sum + p, 0);
+        const last = series[series.length - 1];
+        if (last && last.date === flight.date) {
+            last.total = total;
+        } else {
+            series.push({ date: flight.date, total });
+        }
+    });
+    return series;
+}
+
+// Inline SVG line chart of the cumulative series (no scripts or libraries needed)
+function renderCumulativeChart(series) {
+    if (series.length === 0) return '<p>No scored flights yet.</p>';
+
+    const width = 640;
+    const height = 200;
+    const pad = 40;
+    const maxTotal = Math.max(...series.map(p => p.total)) || 1;
+    const first = new Date(series[0].date + 'T00:00:00Z').getTime();
+    const last = new Date(series[series.length - 1].date + 'T00:00:00Z').getTime();
+    const span = Math.max(last - first, 1);
+    const coords = series.map(p => {
+        const x = series.length === 1 ? width / 2 : pad + ((new Date(p.date + 'T00:00:00Z').getTime() - first) / span) * (width - 2 * pad);
+        const y = height - pad - (p.total / maxTotal) * (height - 2 * pad);
+        return { x: x.toFixed(1), y: y.toFixed(1), p };
+    });
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative points over the season">
+                <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#bdc3c7" />
+                <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#bdc3c7" />
+                <text x="${pad - 6}" y="${pad + 4}" font-size="11" text-anchor="end">${Math.round(maxTotal)}</text>
+                <text x="${pad}" y="${height - pad + 16}" font-size="11">${escapeHtml(series[0].date)}</text>
+                <text x="${width - pad}" y="${height - pad + 16}" font-size="11" text-anchor="end">${escapeHtml(series[series.length - 1].date)}</text>
+                <polyline fill="none" stroke="#3498db" stroke-width="2" points="${coords.map(c => `${c.x},${c.y}`).join(' ')}" />
+                ${coords.map(c => `<circle cx="${c.x}" cy="${c.y}" r="3" fill="#2980b9"><title>${escapeHtml(c.p.date)}: ${c.p.total.toFixed(1)} pts</title></circle>`).join('')}
+            </svg>`;
+}
+
+// Everything one pilot page shows, from the generator's per-view maps and season records
+function buildPilotPageData(pilot, context) {
+    const { views, seasonRecords, creditedCopilotRecords, pilotFlightsByView, leaderboardsByView } = context;
+
+    const flights = [];
+    seasonRecords.forEach(record => {
+        const asPic = record.userId === pilot.userId;
+        const asCopilot = creditedCopilotRecords.has(record) && record.copilot.id === pilot.userId;
+        if (!asPic && !asCopilot) return;
+        flights.push({
+            id: record.id,
+            date: record.date,
+            role: asPic ? 'PIC' : 'Co-pilot',
+            partner: asPic ? record.copilot?.name || null : record.pilotName,
+            takeoff: record.minimal.takeoff_airport?.name || '',
+            aircraft: record.aircraft?.name || record.aircraft?.kind || 'Unknown',
+            kms: record.stats?.kms || 0,
+            points: {},
+            best: {}
+        });
+    });
+    flights.sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.id - b.id);
+    const flightsById = new Map(flights.map(flight => [flight.id, flight]));
+
+    // Credited points per view, and the flights in the pilot's best-N selection
+    const standings = [];
+    views.forEach(view => {
+        (pilotFlightsByView[view.id][pilot.name] || [])
+            .filter(entry => entry.userId === pilot.userId)
+            .forEach(entry => {
+                const flight = flightsById.get(entry.id);
+                if (flight) flight.points[view.id] = entry.points;
+            });
+
+        const leaderboard = leaderboardsByView[view.id];
+        const entry = leaderboard.find(candidate => candidate.pilotId === pilot.userId);
+        if (!entry) return;
+        entry.bestFlights.forEach(best => {
+            const flight = flightsById.get(best.id);
+            if (flight) flight.best[view.id] = true;
+        });
+        standings.push({ view, rank: formatRank(entry.rank, isSharedRank(entry, leaderboard)), pilots: leaderboard.length, totalPoints: entry.totalPoints, flightCount: entry.flightCount });
+    });
+
+    const aircraft = {};
+    flights.forEach(flight => {
+        if (!aircraft[flight.aircraft]) {
+            aircraft[flight.aircraft] = { name: flight.aircraft, flights: 0, kms: 0 };
+        }
+        aircraft[flight.aircraft].flights++;
+        aircraft[flight.aircraft].kms += flight.kms;
+    });
+
+    const mixedView = views.find(view => view.id === 'mixed');
+    return {
+        pilot,
+        flights,
+        standings,
+        aircraft: Object.values(aircraft).sort((a, b) => b.flights - a.flights || a.name.localeCompare(b.name)),
+        cumulative: buildCumulativeSeries(flights, mixedView.id, mixedView.profile.bestN),
+        awards: buildAwards(pilot, context),
+        coaching: context.coachingInsights?.[pilot.userId] || null,
+        verifications: buildVerifications(pilot, context.verifications)
+    };
+}
+
+// Awards the generator knows at build time
+function buildAwards(pilot, { aircraftAwards, silverCGullLeaderboard }) {
+    const awards = [];
+    if (aircraftAwards.bestGliderPilotId === pilot.userId) {
+        awards.push(`🛩️ Best pure glider score (${aircraftAwards.bestGliderScore.toFixed(1)} pts, Free)`);
+    }
+    if (aircraftAwards.bestMotorGliderPilotId === pilot.userId) {
+        awards.push(`⚙️ Best motor glider score (${aircraftAwards.bestMotorGliderScore.toFixed(1)} pts, Free)`);
+    }
+    const silver = silverCGullLeaderboard.find(entry => entry.userId === pilot.userId);
+    if (silver) {
+        awards.push(`🥈 Silver C-Gull candidate: junior Silver badge on ${silver.date} (flight ${silver.flightId})`);
+    }
+    return awards;
+}
+
+const REVIEW_LABELS = { pending: 'awaiting admin review', approved: 'verified', rejected: 'not approved' };
+
+function buildVerifications(pilot, verifications) {
+    const items = [];
+    const picHours = verifications?.picHoursVerifications?.[pilot.userId];
+    if (picHours) {
+        const status = getReviewStatus(picHours);
+        const source = status ? `entered by the pilot, ${REVIEW_LABELS[status]}` : 'estimated from WeGlide';
+        items.push(`PIC hours at season start: ${picHours.picHours} (${source}, ${String(picHours.verifiedDate || '').slice(0, 10)})`);
+    }
+    // Only the review status of a date of birth, never the date itself
+    const dobStatus = getReviewStatus(verifications?.dobVerifications?.[pilot.userId]);
+    if (dobStatus) {
+        items.push(`Date of birth ${REVIEW_LABELS[dobStatus]} (Silver C-Gull eligibility)`);
+    }
+    return items;
+}
+
+function renderPilotPage(data, { title, seasonLabel, views, leaderboardHref, compareHref }) {
+    const { pilot } = data;
+    const facts = items => items.length > 0
+        ? `<ul class="facts">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p>None.</p>';
+
+    const flightRows = data.flights.map(flight => `
+                    <tr>
+                        <td>${escapeHtml(flight.date || '')}</td>
+                        <td><a href="https://www.weglide.org/flight/${flight.id}" target="_blank">${flight.id}</a>${flight.role === 'Co-pilot'
+                            ? ` <span class="role">co-pilot with ${escapeHtml(flight.partner)}</span>`
+                            : (flight.partner ? ` <span class="role">with ${escapeHtml(flight.partner)}</span>` : '')}</td>
+                        <td>${escapeHtml(flight.takeoff)}</td>
+                        <td>${escapeHtml(flight.aircraft)}</td>
+                        ${views.map(view => `<td class="points${flight.best[view.id] ? ' best' : ''}">${formatPoints(flight.points[view.id])}</td>`).join('')}
+                    </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(pilot.name)} - ${escapeHtml(title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a class="back-link" href="${escapeHtml(leaderboardHref)}">← Back to the leaderboard</a>
+        <h1>${escapeHtml(pilot.name)}</h1>
+        <div class="subtitle">${escapeHtml(title)} · ${escapeHtml(seasonLabel)} · <a href="https://www.weglide.org/user/${pilot.userId}" target="_blank">WeGlide profile →</a>${compareHref ? ` · <a href="${escapeHtml(`${compareHref}#pilots=${pilot.userId}`)}">Compare with other pilots →</a>` : ''}</div>
+
+        <div class="section">
+            <h2>Standings</h2>
+            <table>
+                <thead><tr><th>Leaderboard</th><th>Rank</th><th>Points</th><th>Flights counted</th></tr></thead>
+                <tbody>${data.standings.map(s => `
+                    <tr><td>${escapeHtml(s.view.label)}</td><td>${s.rank} of ${s.pilots}</td><td>${s.totalPoints.toFixed(1)}</td><td>${s.flightCount} (best ${s.view.profile.bestN})</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Season Flights (${data.flights.length})</h2>
+            <table>
+                <thead><tr><th>Date</th><th>Flight</th><th>Takeoff</th><th>Aircraft</th>${views.map(view => `<th>${escapeHtml(view.label)}</th>`).join('')}</tr></thead>
+                <tbody>${flightRows}
+                </tbody>
+            </table>
+            <div class="legend">Highlighted points are in the pilot's best-N selection for that leaderboard.</div>
+        </div>
+
+        <div class="section">
+            <h2>Cumulative ${escapeHtml(views.find(view => view.id === 'mixed').label)} Points</h2>
+            ${renderCumulativeChart(data.cumulative)}
+        </div>
+
+        <div class="section">
+            <h2>Aircraft</h2>
+            <table>
+                <thead><tr><th>Aircraft</th><th>Flights</th><th>Distance</th></tr></thead>
+                <tbody>${data.aircraft.map(a => `
+                    <tr><td>${escapeHtml(a.name)}</td><td>${a.flights}</td><td>${Math.round(a.kms).toLocaleString()} km</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+
+        ${data.coaching ? renderCoachingSection(data.coaching) : ''}
+
+        <div class="section">
+            <h2>Awards</h2>
+            ${facts(data.awards)}
+            <div class="legend">Trophy standings are on the <a href="${escapeHtml(leaderboardHref)}">leaderboard page</a>.</div>
+        </div>
+
+        <div class="section">
+            <h2>Verifications</h2>
+            ${facts(data.verifications)}
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+// Write a page for every pilot on any leaderboard view or the Silver C-Gull list;
+// removes the pages of pilots who are no longer listed
+function writePilotPages(config, context) {
+    const pilots = new Map();
+    const addPilot = (userId, name) => {
+        if (Number.isInteger(userId) && !pilots.has(userId)) {
+            pilots.set(userId, { userId, name });
+        }
+    };
+    Object.values(context.leaderboardsByView).forEach(leaderboard => {
+        leaderboard.forEach(entry => addPilot(entry.pilotId, entry.pilot));
+    });
+    context.silverCGullLeaderboard.forEach(entry => addPilot(entry.userId, entry.pilot));
+
+    fs.mkdirSync(config.pilotPagesDir, { recursive: true });
+    const leaderboardHref = path.relative(config.pilotPagesDir, config.outputFile).split(path.sep).join('/');
+    const compareHref = config.comparePageFile
+        ? path.relative(config.pilotPagesDir, config.comparePageFile).split(path.sep).join('/')
+        : null;
+    const written = new Set();
+    pilots.forEach(pilot => {
+        const fileName = `${pilot.userId}.html`;
+        const html = renderPilotPage(buildPilotPageData(pilot, context), {
+            title: config.title,
+            seasonLabel: context.seasonLabel,
+            views: context.views,
+            leaderboardHref,
+            compareHref
+        });
+        fs.writeFileSync(path.join(config.pilotPagesDir, fileName), html);
+        written.add(fileName);
+    });
+
+    fs.readdirSync(config.pilotPagesDir)
+        .filter(fileName => /^\d+\.html$/.test(fileName) && !written.has(fileName))
+        .forEach(fileName => fs.unlinkSync(path.join(config.pilotPagesDir, fileName)));
+
+    return written.size;
+}
+
+module.exports = {
+    buildPilotPageData,
+    renderPilotPage,
+    writePilotPages
+};
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+// QA checks for firestore.rules against the Firestore emulator
+// - pilots may only write their own verifications, admins may write any
+// - pilot declarations are saved as pending; only admins approve or reject them
+// - every verification write needs a new verification_audit entry in the same batch
+// - audit entries are append-only and only admins can read them
+// - raw dates of birth only go to the admin-only dob_private collection
+// Writes go through the same batch the leaderboard page builds (writeAuditedVerification).
+//
+// Usage: npm run test:rules
+//   (firebase emulators:exec --only firestore "node qa_firestore_rules.js")
+// Needs Java 21+ and `npm install`, which installs the Firebase CLI (firebase-tools);
+// exits non-zero if any check fails.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app').default;
+require('firebase/compat/firestore');
+const { deriveAgeAtAchievement } = require('./verification_review');
+
+const PILOT_ID = 12345;
+const OTHER_PILOT_ID = 67890;
+
+// Test accounts with the custom claims set_verification_roles.js sets
+const ACCOUNTS = {
+    pilot: ['pilot-uid', { weglideUserId: PILOT_ID }],
+    stringClaim: ['string-claim-uid', { weglideUserId: String(PILOT_ID) }],
+    unlinked: ['unlinked-uid', {}],
+    admin: ['admin-uid', { admin: true }]
+};
+
+// Declarations are pending until reviewed; WeGlide estimates have no review status
+function picVerification(hours, dataSource = 'user-entered') {
+    const verification = {
+        pilotName: 'Test Pilot',
+        picHours: hours,
+        verifiedDate: new Date().toISOString(),
+        eligible: hours < 200,
+        dataSource
+    };
+    if (dataSource === 'user-entered') {
+        verification.status = 'pending';
+    }
+    return verification;
+}
+
+// Public part of a date of birth declaration; the raw date goes to dob_private
+function dobVerification(dateOfBirth, achievementDate = '2025-01-12') {
+    return {
+        pilotName: 'Test Pilot',
+        verifiedDate: new Date().toISOString(),
+        dataSource: 'user-entered',
+        status: 'pending',
+        ...deriveAgeAtAchievement(dateOfBirth, achievementDate)
+    };
+}
+
+function privateDOB(dateOfBirth) {
+    return { collection: 'dob_private', data: { pilotName: 'Test Pilot', dateOfBirth } };
+}
+
+// A declaration as reviewDeclaration on the page writes it
+function reviewed(declaration, status, uid, note = '') {
+    return {
+        ...declaration,
+        status,
+        review: { reviewedBy: uid, reviewedAt: firebase.firestore.FieldValue.serverTimestamp(), note }
+    };
+}
+
+// Same writes as writeAuditedVerification on the leaderboard page; overrides
+// tamper with the verification or audit entry to check the rules reject it, and
+// overrides.privateRecord adds the dob_private write
+async function writeAuditedVerification(db, uid, claims, collectionName, pilotId, data, overrides = {}, action = null) {
+    const docRef = db.collection(collectionName).doc(String(pilotId));
+    const auditRef = db.collection('verification_audit').doc(overrides.auditId);
+    const existing = await docRef.get();
+    const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+
+    const auditEntry = {
+        collection: collectionName,
+        pilotId: String(pilotId),
+        action: action || (existing.exists ? 'update' : 'create'),
+        data,
+        actorUid: uid,
+        actorIsAdmin: claims.admin === true,
+        timestamp,
+        ...overrides.audit
+    };
+    const verification = {
+        ...data,
+        pilotId: String(pilotId),
+        submittedBy: uid,
+        auditId: auditRef.id,
+        timestamp,
+        ...overrides.verification
+    };
+
+    const batch = db.batch();
+    batch.set(docRef, verification);
+    if (overrides.privateRecord) {
+        batch.set(db.collection(overrides.privateRecord.collection).doc(String(pilotId)), {
+            ...overrides.privateRecord.data,
+            pilotId: String(pilotId),
+            submittedBy: uid,
+            timestamp
+        });
+    }
+    if (!overrides.skipAudit) {
+        batch.set(auditRef, auditEntry);
+    }
+    return batch.commit();
+}
+
+function buildChecks(testEnv) {
+    const as = name => {
+        const [uid, claims] = ACCOUNTS[name];
+        const db = testEnv.authenticatedContext(uid, claims).firestore();
+        return {
+            db,
+            write: (collectionName, pilotId, data, overrides) =>
+                writeAuditedVerification(db, uid, claims, collectionName, pilotId, data, overrides),
+            review: (collectionName, pilotId, data, action) =>
+                writeAuditedVerification(db, uid, claims, collectionName, pilotId, data, {}, action),
+            declareDOB: (pilotId, dateOfBirth, overrides = {}) =>
+                writeAuditedVerification(db, uid, claims, 'dob_verifications', pilotId, dobVerification(dateOfBirth),
+                    { privateRecord: privateDOB(dateOfBirth), ...overrides })
+        };
+    };
+    const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+    return [
+        ['anyone can read verifications', async () => {
+            await assertSucceeds(anonymous().collection('pilot_verifications').doc(String(PILOT_ID)).get());
+            await assertSucceeds(anonymous().collection('dob_verifications').doc(String(PILOT_ID)).get());
+        }],
+        ['signed-out visitors cannot write verifications', async () => {
+            const db = anonymous();
+            await assertFails(db.collection('pilot_verifications').doc(String(PILOT_ID)).set({
+                ...picVerification(150), pilotId: String(PILOT_ID), timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            }));
+        }],
+        ['a pilot can verify their own PIC hours', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+        }],
+        ['a pilot can update their own PIC hours', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(250)));
+        }],
+        ['a pilot can declare 200 or more hours', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(480)));
+        }],
+        ['a pilot cannot write another pilot\'s PIC hours', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', OTHER_PILOT_ID, picVerification(150)));
+        }],
+        ['an account without a linked pilot cannot write', async () => {
+            await assertFails(as('unlinked').write('pilot_verifications', PILOT_ID, picVerification(150)));
+        }],
+        ['a string weglideUserId claim does not link an account', async () => {
+            await assertFails(as('stringClaim').write('pilot_verifications', PILOT_ID, picVerification(150)));
+        }],
+        ['a pilot cannot store a WeGlide estimate', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150, 'weglide-calculated')));
+        }],
+        ['eligible must match the PIC hours', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, { ...picVerification(250), eligible: true }));
+        }],
+        ['negative PIC hours are rejected', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, { ...picVerification(-1), eligible: true }));
+        }],
+        ['unknown verification fields are rejected', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, { ...picVerification(150), approved: true }));
+        }],
+        ['submittedBy must be the signed-in account', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150),
+                { verification: { submittedBy: 'someone-else' } }));
+        }],
+        ['a verification write without an audit entry is rejected', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150), { skipAudit: true }));
+        }],
+        ['an existing audit entry cannot be reused', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150), { auditId: 'first-write' }));
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(250),
+                { auditId: 'first-write', skipAudit: true }));
+        }],
+        ['the audit entry must name the signed-in account', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150),
+                { audit: { actorUid: 'someone-else' } }));
+        }],
+        ['the audit action must match the write', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150),
+                { audit: { action: 'update' } }));
+        }],
+        ['a pilot cannot claim admin in the audit entry', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150),
+                { audit: { actorIsAdmin: true } }));
+        }],
+        ['an audit entry cannot be written on its own', async () => {
+            const { db } = as('pilot');
+            await assertFails(db.collection('verification_audit').doc('lonely').set({
+                collection: 'pilot_verifications',
+                pilotId: String(PILOT_ID),
+                action: 'create',
+                data: picVerification(150),
+                actorUid: ACCOUNTS.pilot[0],
+                actorIsAdmin: false,
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            }));
+        }],
+        ['an admin can write any pilot\'s verification and WeGlide estimates', async () => {
+            await assertSucceeds(as('admin').write('pilot_verifications', OTHER_PILOT_ID, picVerification(150)));
+            await assertSucceeds(as('admin').write('pilot_verifications', PILOT_ID, picVerification(320, 'weglide-calculated')));
+        }],
+        ['nobody can delete a verification from the page', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertFails(as('pilot').db.collection('pilot_verifications').doc(String(PILOT_ID)).delete());
+            await assertFails(as('admin').db.collection('pilot_verifications').doc(String(PILOT_ID)).delete());
+        }],
+        ['a pilot cannot approve their own declaration', async () => {
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID,
+                reviewed(picVerification(150), 'approved', ACCOUNTS.pilot[0])));
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, { ...picVerification(150), status: 'approved' }));
+        }],
+        ['a declaration without a review status is rejected', async () => {
+            const { status, ...declaration } = picVerification(150);
+            await assertFails(as('pilot').write('pilot_verifications', PILOT_ID, declaration));
+        }],
+        ['a WeGlide estimate cannot carry a review status', async () => {
+            await assertFails(as('admin').write('pilot_verifications', PILOT_ID,
+                { ...picVerification(320, 'weglide-calculated'), status: 'approved' }));
+        }],
+        ['an admin can approve or reject a pending declaration', async () => {
+            const adminUid = ACCOUNTS.admin[0];
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertSucceeds(as('admin').review('pilot_verifications', PILOT_ID,
+                reviewed(picVerification(150), 'approved', adminUid, 'Logbook checked'), 'approve'));
+            await assertSucceeds(as('pilot').declareDOB(PILOT_ID, '2008-04-12'));
+            await assertSucceeds(as('admin').review('dob_verifications', PILOT_ID,
+                reviewed(dobVerification('2008-04-12'), 'rejected', adminUid, 'Does not match the licence'), 'reject'));
+        }],
+        ['a changed declaration goes back to pending', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertSucceeds(as('admin').review('pilot_verifications', PILOT_ID,
+                reviewed(picVerification(150), 'approved', ACCOUNTS.admin[0]), 'approve'));
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(170)));
+        }],
+        ['a review must name the reviewing admin', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertFails(as('admin').review('pilot_verifications', PILOT_ID,
+                reviewed(picVerification(150), 'approved', 'someone-else'), 'approve'));
+        }],
+        ['the audit action must match the review decision', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertFails(as('admin').review('pilot_verifications', PILOT_ID,
+                reviewed(picVerification(150), 'rejected', ACCOUNTS.admin[0]), 'approve'));
+        }],
+        ['a pilot cannot record a review decision', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150)));
+            await assertFails(as('pilot').review('pilot_verifications', PILOT_ID, picVerification(150), 'approve'));
+        }],
+        ['a pilot can verify their own date of birth', async () => {
+            await assertSucceeds(as('pilot').declareDOB(PILOT_ID, '2008-04-12'));
+        }],
+        ['a pilot cannot write another pilot\'s date of birth', async () => {
+            await assertFails(as('pilot').declareDOB(OTHER_PILOT_ID, '2008-04-12'));
+        }],
+        ['a date of birth must be YYYY-MM-DD', async () => {
+            await assertFails(as('pilot').declareDOB(PILOT_ID, '2008-04-12', { privateRecord: privateDOB('12/04/2008') }));
+        }],
+        ['a date of birth declaration needs the raw date in dob_private', async () => {
+            await assertFails(as('pilot').write('dob_verifications', PILOT_ID, dobVerification('2008-04-12')));
+        }],
+        ['the public record cannot carry the raw date of birth', async () => {
+            await assertFails(as('pilot').declareDOB(PILOT_ID, '2008-04-12', { verification: { dateOfBirth: '2008-04-12' } }));
+        }],
+        ['junior eligibility must match the derived age', async () => {
+            await assertFails(as('pilot').declareDOB(PILOT_ID, '1990-04-12', { verification: { juniorEligible: true } }));
+        }],
+        ['only admins can read raw dates of birth', async () => {
+            await assertSucceeds(as('pilot').declareDOB(PILOT_ID, '2008-04-12'));
+            await assertFails(as('pilot').db.collection('dob_private').doc(String(PILOT_ID)).get());
+            await assertFails(anonymous().collection('dob_private').doc(String(PILOT_ID)).get());
+            await assertSucceeds(as('admin').db.collection('dob_private').doc(String(PILOT_ID)).get());
+        }],
+        ['a raw date of birth cannot be written without its declaration', async () => {
+            await assertFails(as('pilot').db.collection('dob_private').doc(String(PILOT_ID)).set({
+                pilotId: String(PILOT_ID),
+                pilotName: 'Test Pilot',
+                dateOfBirth: '2008-04-12',
+                submittedBy: ACCOUNTS.pilot[0],
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            }));
+        }],
+        ['an audit entry must describe the collection written', async () => {
+            await assertFails(as('pilot').declareDOB(PILOT_ID, '2008-04-12', { audit: { collection: 'pilot_verifications' } }));
+        }],
+        ['only admins can read the audit history', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150), { auditId: 'history' }));
+            await assertFails(as('pilot').db.collection('verification_audit').doc('history').get());
+            await assertFails(anonymous().collection('verification_audit').get());
+            await assertSucceeds(as('admin').db.collection('verification_audit').doc('history').get());
+        }],
+        ['audit entries are append-only, even for admins', async () => {
+            await assertSucceeds(as('pilot').write('pilot_verifications', PILOT_ID, picVerification(150), { auditId: 'history' }));
+            const auditRef = as('admin').db.collection('verification_audit').doc('history');
+            await assertFails(auditRef.update({ action: 'update' }));
+            await assertFails(auditRef.delete());
+        }]
+    ];
+}
+
+async function main() {
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+        throw new Error('FIRESTORE_EMULATOR_HOST is not set - run through: npm run test:rules');
+    }
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-leaderboard-rules',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, 'firestore.rules'), 'utf-8') }
+    });
+    console.log(`🧪 Checking firestore.rules against the emulator at ${process.env.FIRESTORE_EMULATOR_HOST}`);
+
+    let failed = 0;
+    try {
+        for (const [name, check] of buildChecks(testEnv)) {
+            await testEnv.clearFirestore();
+            try {
+                await check();
+                console.log(`  ✓ ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`  ✗ ${name}`);
+                console.log(`    ${String(error.message).split('\n').join('\n    ')}`);
+            }
+        }
+    } finally {
+        await testEnv.cleanup();
+    }
+
+    if (failed > 0) {
+        console.log(`\n❌ ${failed} check(s) failed`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n✅ All Firestore rules checks passed');
+    }
+}
+
+main().catch(err => {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+});
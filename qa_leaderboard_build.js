@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+// QA checks for the leaderboard build against the "aus sample.json" flight fixtures:
+// config file paths, pilot eligibility, co-pilot credit, flight records and what the
+// exports write for them.
+//
+// Usage: node qa_leaderboard_build.js   (exits non-zero if any check fails)
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSilverBadgeEntry, deriveFlightRecord } = require('./create_australian_leaderboard_from_jsonl');
+const { buildDailyResults } = require('./daily_pages');
+const { resolveLeaderboardConfig } = require('./leaderboard_configs');
+const { writeExports } = require('./leaderboard_exports');
+const {
+    COPILOT_CREDIT_SHARES,
+    flightCreditShares,
+    resolveEligibilityRules,
+    checkFlightEligibility,
+    findCreditedCopilots
+} = require('./pilot_eligibility');
+
+function loadSampleFlights() {
+    const flights = new Map();
+    const lines = fs.readFileSync(path.join(__dirname, 'aus sample.json'), 'utf-8').split('\n');
+    lines.filter(line => line.trim()).forEach(line => {
+        const flight = JSON.parse(line);
+        flights.set(flight.id, flight);
+    });
+    return flights;
+}
+
+// Write the exports of a build with no leaderboard rows but the given Silver C-Gull
+// candidates to a temporary directory; returns { json, csvRow } of the silver_c_gull export
+function exportSilverCGull(silverCGullLeaderboard) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa_exports_'));
+    try {
+        const config = { ...resolveLeaderboardConfig('sac_demo'), trophies: [], exportsDir: dir };
+        writeExports(config, {
+            leaderboardsByView: Object.fromEntries(config.leaderboards.map(view => [view.id, []])),
+            recordsById: new Map(),
+            silverCGullLeaderboard,
+            trophyCandidates: {},
+            verifications: {}
+        });
+        const json = JSON.parse(fs.readFileSync(path.join(dir, 'silver_c_gull.json'), 'utf-8'));
+        const [header, row] = fs.readFileSync(path.join(dir, 'silver_c_gull.csv'), 'utf-8').split('\r\n');
+        const cells = row.split(',');
+        return { json, csvRow: Object.fromEntries(header.split(',').map((name, i) => [name, cells[i]])) };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Expected values are read off the fixture contests by hand
+function buildChecks(flights) {
+    const flight = id => {
+        if (!flights.has(id)) throw new Error(`Fixture flight ${id} not found`);
+        return flights.get(id);
+    };
+
+    const defaultRules = resolveEligibilityRules();
+    // Eligibility of the fixture flight's record flown under another account name
+    const eligibilityAs = pilotName => checkFlightEligibility(
+        { userId: flight(492761).user.id, pilotName, clubName: flight(492761).club.name }, defaultRules, null);
+
+    // Record of the fixture flight flown with the given co-pilot, credited as split
+    const splitConfig = { ...resolveLeaderboardConfig('sac_demo'), copilotCredit: 'split' };
+    const splitCredit = copilot => {
+        const record = deriveFlightRecord({ ...flight(492761), ...copilot }, 'qa', splitConfig);
+        const { credited } = findCreditedCopilots([record], splitConfig.eligibility, COPILOT_CREDIT_SHARES.split, {});
+        return { record, credited, shares: flightCreditShares(COPILOT_CREDIT_SHARES.split, credited.has(record)) };
+    };
+
+    return [
+        ['configs sharing a dataPrefix share only the downloaded data files (sac_demo, australia)', () => {
+            const demo = resolveLeaderboardConfig('sac_demo');
+            const australia = resolveLeaderboardConfig('australia');
+            assert.strictEqual(demo.dataPrefix, australia.dataPrefix);
+            assert.strictEqual(demo.flightDetailsFile, australia.flightDetailsFile);
+            ['buildStateFile', 'flightHistoryFile', 'snapshotDiffFile', 'reviewReportFile', 'exportsDir', 'archiveDir']
+                .forEach(key => assert.notStrictEqual(demo[key], australia[key], key));
+        }],
+        ['club accounts named "<place> Soaring Club" are excluded by default', () =>
+            assert.strictEqual(eligibilityAs('Darling Downs Soaring Club')?.rule, 'club_account')],
+        ['club accounts named "<place> Gliding Club" are excluded by default', () =>
+            assert.strictEqual(eligibilityAs('Geelong Gliding Club')?.rule, 'club_account')],
+        ['pilots with "Club" in their name are not excluded by default', () =>
+            assert.strictEqual(eligibilityAs('Grant Club'), null)],
+        ['split credit keeps the PIC\'s full points when the co-pilot has no account (492761)', () => {
+            const { record, credited, shares } = splitCredit({ co_user_name: 'Jo Passenger' });
+            assert.strictEqual(credited.size, 0);
+            assert.deepStrictEqual(shares, { pic: 1, copilot: 0 });
+
+            const { weeks } = buildDailyResults([record], { creditShares: COPILOT_CREDIT_SHARES.split, creditedCopilotRecords: credited });
+            assert.deepStrictEqual(weeks[0].pilots.map(pilot => [pilot.pilot, pilot.totalPoints]), [['Grant Heaney', 212.26917]]);
+        }],
+        ['split credit halves the points between the PIC and a credited co-pilot (492761)', () => {
+            const { credited, shares } = splitCredit({ co_user: { id: 4242, name: 'Jo Passenger' } });
+            assert.strictEqual(credited.size, 1);
+            assert.deepStrictEqual(shares, { pic: 0.5, copilot: 0.5 });
+        }],
+        ['Silver C-Gull export has the badge flight\'s best distance and points (492761)', () => {
+            // The fixture pilot is not a junior and has no badges; make the flight a junior silver badge flight
+            const entry = buildSilverBadgeEntry({ ...flight(492761), junior: true, achievement: [{ badge_id: 'silver' }] });
+            assert.strictEqual(entry.distance, '195.1 km');
+            assert.strictEqual(entry.points, '212.3 pts');
+
+            const { json, csvRow } = exportSilverCGull([entry]);
+            assert.strictEqual(json.rows.length, 1);
+            assert.strictEqual(json.rows[0].distanceKm, 195.1);
+            assert.strictEqual(json.rows[0].points, 212.3);
+            assert.strictEqual(csvRow.distanceKm, '195.1');
+            assert.strictEqual(csvRow.points, '212.3');
+        }],
+        ['Silver C-Gull export leaves distance and points empty for a flight without contests', () => {
+            const entry = buildSilverBadgeEntry({ ...flight(492761), junior: true, achievement: [{ badge_id: 'silver' }], contest: [] });
+            const { json, csvRow } = exportSilverCGull([entry]);
+            assert.strictEqual(json.rows[0].distanceKm, null);
+            assert.strictEqual(json.rows[0].points, null);
+            assert.strictEqual(csvRow.distanceKm, '');
+            assert.strictEqual(csvRow.points, '');
+        }]
+    ];
+}
+
+function main() {
+    const flights = loadSampleFlights();
+    console.log(`🧪 Checking the leaderboard build against ${flights.size} fixture flights\n`);
+
+    let failed = 0;
+    buildChecks(flights).forEach(([name, check]) => {
+        try {
+            check();
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  ✗ ${name}`);
+            console.log(`    ${String(error.message).split('\n').join('\n    ')}`);
+        }
+    });
+
+    if (failed > 0) {
+        console.log(`\n❌ ${failed} check(s) failed`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n✅ All leaderboard build checks passed');
+    }
+}
+
+main();
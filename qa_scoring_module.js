@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+// QA checks for weglide_scoring.js against the flight fixtures in the repo
+// - "aus sample.json" (JSONL sample of Australian flight details)
+// - completion_discrepancy_example.json (task_achieved without a declared au contest)
+// Runs every check in Node and again with the module loaded the way the
+// generated page loads it (plain script, window.WeGlideScoring).
+//
+// Usage: node qa_scoring_module.js   (exits non-zero if any check fails)
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULE_PATH = path.join(__dirname, 'weglide_scoring.js');
+
+function loadSampleFlights() {
+    const flights = new Map();
+    const lines = fs.readFileSync(path.join(__dirname, 'aus sample.json'), 'utf-8').split('\n');
+    lines.filter(line => line.trim()).forEach(line => {
+        const flight = JSON.parse(line);
+        flights.set(flight.id, flight);
+    });
+    const example = JSON.parse(fs.readFileSync(path.join(__dirname, 'completion_discrepancy_example.json'), 'utf-8'));
+    flights.set(example.id, example);
+    return flights;
+}
+
+function loadBrowserModule() {
+    const sandbox = {};
+    vm.runInNewContext(fs.readFileSync(MODULE_PATH, 'utf-8'), sandbox, { filename: 'weglide_scoring.js' });
+    return sandbox.WeGlideScoring;
+}
+
+const EMPTY = { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+
+// Copy the result first: objects built inside the vm context have that context's prototypes
+function assertScore(actual, expected) {
+    assert.deepStrictEqual({ ...actual }, expected);
+}
+
+// Expected values are read off the fixture contests by hand
+function buildChecks(scoring, flights) {
+    const flight = id => {
+        if (!flights.has(id)) throw new Error(`Fixture flight ${id} not found`);
+        return flights.get(id);
+    };
+
+    return [
+        ['best score uses a declared au task that beats Free (492768)', () =>
+            assertScore(scoring.calculateBestScore(flight(492768)),
+                { score: 710.07086, distance: 655.45, speed: 102.65, contestType: 'au', declared: true })],
+        ['best score uses a declared au task that beats Free (492780)', () =>
+            assertScore(scoring.calculateBestScore(flight(492780)),
+                { score: 276.77, distance: 215.03, speed: 112.34, contestType: 'au', declared: true })],
+        ['best score ignores an undeclared au task that beats Free (492783)', () =>
+            assertScore(scoring.calculateBestScore(flight(492783)),
+                { score: 619.76636, distance: 621.36, speed: 95.93, contestType: 'free', declared: false })],
+        ['best score falls back to Free when there is no au contest (492769)', () =>
+            assertScore(scoring.calculateBestScore(flight(492769)),
+                { score: 694.49, distance: 731.44, speed: 116.96, contestType: 'free', declared: false })],
+        ['best score ignores task_achieved without a declared au contest (485718)', () =>
+            assertScore(scoring.calculateBestScore(flight(485718)),
+                { score: 616.30914, distance: 576.62, speed: 94.87, contestType: 'free', declared: false })],
+        ['best score falls back to any scored contest when Free/au are missing', () =>
+            assertScore(scoring.calculateBestScore({ contest: [{ name: 'sprint', points: 50, distance: 100, speed: 90 }] }),
+                { score: 50, distance: 100, speed: 90, contestType: 'sprint', declared: false })],
+        ['best score is empty without contests', () => {
+            assertScore(scoring.calculateBestScore({}), EMPTY);
+            assertScore(scoring.calculateBestScore({ contest: [] }), EMPTY);
+        }],
+        ['free score never carries a task badge (492768)', () =>
+            assertScore(scoring.calculateFreeScore(flight(492768)),
+                { score: 696.36163, distance: 720, speed: 110.2, contestType: 'free', declared: false })],
+        ['free score is empty without a Free contest', () =>
+            assertScore(scoring.calculateFreeScore({ contest: [{ name: 'au', points: 10 }] }), EMPTY)],
+        ['contest score reads the named contest (492773 triangle)', () =>
+            assertScore(scoring.calculateContestScore(flight(492773), 'triangle'),
+                { score: 224.8972, distance: 240.64, speed: 52.37, contestType: 'triangle', declared: false })],
+        ['contest score marks achieved tasks as declared (485718 out_return)', () =>
+            assertScore(scoring.calculateContestScore(flight(485718), 'out_return'),
+                { score: 396.69165, distance: 476.03, speed: 81.55, contestType: 'out_return', declared: true })],
+        ['contest score is empty for a contest the flight does not have (492765 out_return)', () =>
+            assertScore(scoring.calculateContestScore(flight(492765), 'out_return'), EMPTY)],
+        ['declared task contest check matches the fixtures', () => {
+            assert.strictEqual(scoring.hasDeclaredTaskContest(flight(492768)), true);
+            assert.strictEqual(scoring.hasDeclaredTaskContest(flight(492783)), false);
+            // The saved discrepancy: task_achieved is true but no contest is declared
+            assert.strictEqual(flight(485718).task_achieved, true);
+            assert.strictEqual(scoring.hasDeclaredTaskContest(flight(485718)), false);
+        }],
+        ['Dow triangle uses the triangle contest when au is undeclared (492773)', () => {
+            const selected = scoring.selectDowContest(flight(492773), 'TR');
+            assert.strictEqual(selected.contest.name, 'triangle');
+            assert.strictEqual(selected.score, 224.8972);
+        }],
+        ['Dow out & return prefers a higher declared au task (492768)', () => {
+            const selected = scoring.selectDowContest(flight(492768), 'OR');
+            assert.strictEqual(selected.contest.name, 'au');
+            assert.strictEqual(selected.score, 710.07086);
+        }],
+        ['Dow goal only counts declared tasks (492771, 492780)', () => {
+            assert.strictEqual(scoring.selectDowContest(flight(492771), 'GL', true), null);
+            const selected = scoring.selectDowContest(flight(492780), 'GL', true);
+            assert.strictEqual(selected.contest.name, 'au');
+            assert.strictEqual(selected.score, 276.77);
+        }],
+        ['Dow selection falls back to Free only when allowed', () => {
+            const freeOnly = { contest: [{ name: 'free', points: 100 }] };
+            assert.strictEqual(scoring.selectDowContest(freeOnly, 'TR').contest.name, 'free');
+            assert.strictEqual(scoring.selectDowContest(freeOnly, 'TR', true), null);
+        }],
+        ['DMSt shape bonuses', () => {
+            assert.strictEqual(scoring.getDMSTShapeBonus('TR'), 0.40);
+            assert.strictEqual(scoring.getDMSTShapeBonus('triangle'), 0.40);
+            assert.strictEqual(scoring.getDMSTShapeBonus('out_return'), 0.30);
+            assert.strictEqual(scoring.getDMSTShapeBonus('GL'), 0.30);
+            assert.strictEqual(scoring.getDMSTShapeBonus('MTR'), 0.20);
+            assert.strictEqual(scoring.getDMSTShapeBonus('FR4'), 0);
+            assert.strictEqual(scoring.getDMSTShapeBonus(null), 0);
+        }],
+        ['built-in profiles match the WeGlide scoring functions on every fixture', () => {
+            const equivalents = {
+                weglide_mixed: f => scoring.calculateBestScore(f),
+                weglide_free: f => scoring.calculateFreeScore(f),
+                weglide_sprint: f => scoring.calculateContestScore(f, 'sprint'),
+                weglide_triangle: f => scoring.calculateContestScore(f, 'triangle'),
+                weglide_out_return: f => scoring.calculateContestScore(f, 'out_return'),
+                weglide_out: f => scoring.calculateContestScore(f, 'out')
+            };
+            Object.entries(equivalents).forEach(([name, score]) => {
+                const profile = scoring.resolveScoringProfile(name);
+                flights.forEach(f => assertScore(scoring.scoreFlightWithProfile(f, profile), { ...score(f) }));
+            });
+        }],
+        ['DMSt profile counts undeclared au points (492783)', () =>
+            assertScore(scoring.scoreFlightWithProfile(flight(492783), scoring.resolveScoringProfile('dmst')),
+                { score: 634.4983, distance: 580.81, speed: 89.8, contestType: 'au', declared: false })],
+        ['free distance profile scores kilometres (492769)', () =>
+            assertScore(scoring.scoreFlightWithProfile(flight(492769), scoring.resolveScoringProfile('free_distance')),
+                { score: 731.44, distance: 731.44, speed: 116.96, contestType: 'free', declared: false })],
+        ['profiles extend a named profile and reject bad rules', () => {
+            const custom = scoring.resolveScoringProfile({ extends: 'weglide_free', bestN: 2, tieBreak: ['name'] });
+            assert.deepStrictEqual([custom.name, custom.bestN, [...custom.contests]], ['weglide_free_custom', 2, ['free']]);
+            assert.throws(() => scoring.resolveScoringProfile('olc_plus'), /Unknown scoring profile/);
+            assert.throws(() => scoring.resolveScoringProfile({ contests: [], bestN: 5 }), /at least one contest/);
+            assert.throws(() => scoring.resolveScoringProfile({ extends: 'weglide_free', bestN: 0 }), /bestN/);
+            assert.throws(() => scoring.resolveScoringProfile({ extends: 'weglide_free', tieBreak: ['coinToss'] }), /tie-breaks/);
+        }],
+        ['ranking keeps best N flights and applies tie-breaks in order', () => {
+            const entry = (id, points, distance, date) => ({ id, userId: id, points, distance, date });
+            const pilotFlights = {
+                Alpha: [entry(1, 100, 90, '2025-01-05'), entry(2, 50, 60, '2025-01-01'), entry(3, 10, 20, '2025-01-02')],
+                Bravo: [entry(4, 80, 100, '2025-01-03'), entry(5, 70, 70, '2025-01-04')],
+                Charlie: [entry(6, 80, 50, '2025-01-01'), entry(7, 70, 50, '2025-01-02')]
+            };
+            const profile = scoring.resolveScoringProfile({ extends: 'weglide_free', bestN: 2, tieBreak: ['totalDistance'] });
+            const ranked = scoring.rankPilots(pilotFlights, profile);
+            assert.deepStrictEqual(Array.from(ranked, p => [p.pilot, p.totalPoints, p.flightCount]),
+                [['Bravo', 150, 2], ['Alpha', 150, 2], ['Charlie', 150, 2]]);
+            const byDate = scoring.rankPilots(pilotFlights, { ...profile, tieBreak: ['earliestFlight'] });
+            assert.deepStrictEqual(Array.from(byDate, p => p.pilot), ['Charlie', 'Bravo', 'Alpha']);
+        }],
+        ['equal pilots share a rank and decided ties name their rule', () => {
+            const entry = (id, points, distance) => ({ id, userId: id, points, distance, date: '2025-01-01' });
+            const pilotFlights = {
+                Alpha: [entry(1, 100, 90), entry(2, 50, 60)],
+                Bravo: [entry(3, 100, 90), entry(4, 40, 60), entry(5, 10, 10)],
+                Charlie: [entry(6, 75, 80), entry(7, 75, 70)],
+                Delta: [entry(8, 75, 80), entry(9, 75, 70)],
+                Echo: [entry(10, 90, 90)]
+            };
+            const profile = scoring.resolveScoringProfile({ extends: 'weglide_free', bestN: 3, tieBreak: ['bestFlight', 'nextBestFlight'] });
+            const ranked = scoring.rankPilots(pilotFlights, profile);
+            assert.deepStrictEqual(Array.from(ranked, p => [p.pilot, p.rank]),
+                [['Alpha', 1], ['Bravo', 2], ['Charlie', 3], ['Delta', 3], ['Echo', 5]]);
+            assert.deepStrictEqual([{ ...ranked[0].tieBreak }, { ...ranked[1].tieBreak }],
+                [{ rule: 'nextBestFlight', over: 'Bravo' }, { rule: 'bestFlight', over: 'Charlie' }]);
+            assert.strictEqual(ranked[2].tieBreak, undefined);
+            assert.strictEqual(scoring.TIE_BREAK_LABELS.nextBestFlight, 'next-best flight');
+        }],
+        ['single flights rank by points, then the flight tie-breaks', () => {
+            const flights = [
+                { pilot: 'Alpha', points: 500, distance: 400, date: '2025-02-01' },
+                { pilot: 'Bravo', points: 500, distance: 400, date: '2025-01-15' },
+                { pilot: 'Charlie', points: 500.0000001, distance: 300, date: '2025-03-01' }
+            ];
+            const ranked = scoring.rankByPoints(flights, f => f.points, ['distance', 'earliestFlight'], scoring.FLIGHT_TIE_BREAKERS);
+            assert.deepStrictEqual(Array.from(ranked, f => [f.pilot, f.rank]), [['Bravo', 1], ['Alpha', 2], ['Charlie', 3]]);
+            assert.deepStrictEqual([{ ...ranked[0].tieBreak }, { ...ranked[1].tieBreak }],
+                [{ rule: 'earliestFlight', over: 'Alpha' }, { rule: 'distance', over: 'Charlie' }]);
+        }],
+        ['task kind labels', () => {
+            assert.strictEqual(scoring.TASK_KIND_LABELS.FR4, 'Start, 2-3 Turnpoints, Finish');
+            assert.strictEqual(scoring.TASK_KIND_LABELS.GL, 'Goal Flight');
+        }]
+    ];
+}
+
+function runChecks(label, scoring, flights) {
+    let failed = 0;
+    console.log(`\n${label}`);
+    buildChecks(scoring, flights).forEach(([name, check]) => {
+        try {
+            check();
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  ✗ ${name}`);
+            console.log(`    ${String(error.message).split('\n').join('\n    ')}`);
+        }
+    });
+    return failed;
+}
+
+function main() {
+    const flights = loadSampleFlights();
+    console.log(`🧪 Checking weglide_scoring.js against ${flights.size} fixture flights`);
+
+    let failed = runChecks('Node (require)', require(MODULE_PATH), flights);
+    failed += runChecks('Browser (window.WeGlideScoring)', loadBrowserModule(), flights);
+
+    if (failed > 0) {
+        console.log(`\n❌ ${failed} check(s) failed`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n✅ All scoring checks passed');
+    }
+}
+
+main();
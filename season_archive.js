@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+// Multi-season archive for create_australian_leaderboard_from_jsonl.js
+//
+// Every build overwrites the config's outputFile, so each build also keeps its season in
+// <archiveDir>/<season>/ (default <config id>_archive): a copy of the leaderboard page,
+// pilot pages, daily results, aircraft type and pilot comparison pages, the data exports,
+// and summary.json with every view's standings (same entries as the generator's
+// leaderboardsByView, without the flights) and the trophy winners. Configs for later
+// seasons of one leaderboard set the same archiveDir, so their seasons end up side by side.
+// <archiveDir>/index.html is rebuilt from all summaries: pilot rank and points per season,
+// the biggest movers between consecutive seasons and the trophy winners by year.
+//
+// Trophy winners are decided at build time against the verification file, so run
+// sync_verifications.js before the final build of a season. Rebuild only the index
+// (e.g. after removing a season folder) with:
+//
+//   node season_archive.js [--config australia]
+
+const fs = require('fs');
+const path = require('path');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+const { decideTrophy } = require('./trophy_definitions');
+const { escapeHtml, isSharedRank, formatRank, round1 } = require('./shared_helpers');
+
+const SUMMARY_FILE = 'summary.json';
+const SUMMARY_VERSION = 1;
+const MOVERS_LIMIT = 5;
+
+const PAGE_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #2c3e50; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
+        h1 { margin: 10px 0 4px; }
+        h2 { font-size: 18px; margin: 0 0 12px; }
+        h3 { font-size: 15px; margin: 12px 0 8px; }
+        .subtitle { color: #7f8c8d; margin-bottom: 20px; }
+        .section { background: white; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 20px; overflow-x: auto; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ecf0f1; text-align: left; white-space: nowrap; }
+        th { background: #f8f9fa; font-weight: 600; }
+        td.points { text-align: right; }
+        td.up { color: #1e8449; font-weight: 700; }
+        td.down { color: #c0392b; font-weight: 700; }
+        .movers { display: flex; gap: 20px; flex-wrap: wrap; }
+        .movers > div { flex: 1; min-width: 300px; }
+        .award { font-size: 11px; color: #8e44ad; }
+        .legend { font-size: 12px; color: #7f8c8d; margin-top: 8px; }
+        details { margin-top: 12px; }
+        summary { cursor: pointer; font-weight: 600; }
+        a { color: #2980b9; }`;
+
+// Folder name for a season ('2025', '2024-25', ...)
+function seasonFolder(season) {
+    return String(season).replace(/[^\w.-]/g, '_');
+}
+
+// Winners of one trophy as [{ award, pilot, pilotId, points?, flightId?, detail? }];
+// award is 'Combined', 'Free' or 'Combined & Free' for split trophies, null otherwise
+function summarizeTrophyWinners(definition, candidates, verifications) {
+    const result = decideTrophy(definition, candidates, verifications);
+    if (definition.source.type === 'silverC') {
+        return result.winner
+            ? [{ award: null, pilot: result.winner.pilot, pilotId: result.winner.userId, detail: `age ${result.winner.ageAtAchievement}` }]
+            : [];
+    }
+
+    const split = definition.split === 'combinedAndFree';
+    const winner = (entry, award) => ({
+        award: split ? award : null,
+        pilot: entry.pilot,
+        pilotId: entry.pilotId,
+        points: round1(typeof entry.totalPoints === 'number' ? entry.totalPoints : entry.points),
+        flightId: definition.source.type === 'flight' ? entry.id : null
+    });
+    const winners = [];
+    if (result.combined) {
+        winners.push(winner(result.combined, result.sameWinner ? 'Combined & Free' : 'Combined'));
+    }
+    if (result.free) {
+        winners.push(winner(result.free, 'Free'));
+    }
+    return winners;
+}
+
+// The season's archive record, from the generator's standings and trophy candidates
+function buildSeasonSummary(config, { seasonLabel, leaderboardsByView, trophyCandidates, verifications, generatedAt }) {
+    // Page folders are only archived when they sit under the page's folder
+    const besidePage = dir => {
+        const relative = path.relative(path.dirname(config.outputFile), dir).split(path.sep).join('/');
+        return relative.startsWith('..') || path.isAbsolute(relative) ? null : relative;
+    };
+    return {
+        version: SUMMARY_VERSION,
+        season: String(config.season),
+        seasonStart: config.seasonStart,
+        seasonEnd: config.seasonEnd,
+        seasonLabel,
+        title: config.title,
+        countryName: config.countryName,
+        generatedAt,
+        page: path.basename(config.outputFile),
+        pilotPages: besidePage(config.pilotPagesDir),
+        dailyPages: besidePage(config.dailyPagesDir),
+        aircraftPages: config.aircraftTypes ? besidePage(config.aircraftPagesDir) : null,
+        comparePage: besidePage(config.comparePageFile),
+        exports: config.exportsDir ? besidePage(config.exportsDir) : null,
+        views: config.leaderboards.map(view => {
+            const leaderboard = leaderboardsByView[view.id];
+            return {
+                id: view.id,
+                label: view.label,
+                entries: leaderboard.map(entry => ({
+                    pilotId: entry.pilotId,
+                    pilot: entry.pilot,
+                    rank: entry.rank,
+                    shared: isSharedRank(entry, leaderboard),
+                    totalPoints: round1(entry.totalPoints),
+                    flightCount: entry.flightCount
+                }))
+            };
+        }),
+        trophies: config.trophies.map(definition => ({
+            key: definition.key,
+            title: definition.title,
+            winners: summarizeTrophyWinners(definition, trophyCandidates[definition.key], verifications)
+        }))
+    };
+}
+
+// Keep the season's pages and summary in <archiveDir>/<season>/ (replacing an earlier
+// build of the same season) and rebuild the index. Returns the season folder.
+function archiveSeason(config, summary) {
+    const seasonDir = path.join(config.archiveDir, seasonFolder(summary.season));
+    fs.mkdirSync(seasonDir, { recursive: true });
+    fs.copyFileSync(config.outputFile, path.join(seasonDir, summary.page));
+    if (summary.comparePage) {
+        fs.mkdirSync(path.dirname(path.join(seasonDir, summary.comparePage)), { recursive: true });
+        fs.copyFileSync(config.comparePageFile, path.join(seasonDir, summary.comparePage));
+    }
+    const pageDirs = [[config.pilotPagesDir, summary.pilotPages], [config.dailyPagesDir, summary.dailyPages]];
+    if (config.aircraftTypes) {
+        pageDirs.push([config.aircraftPagesDir, summary.aircraftPages]);
+    }
+    if (config.exportsDir) {
+        pageDirs.push([config.exportsDir, summary.exports]);
+    }
+    pageDirs.forEach(([dir, archived]) => {
+        if (!archived) {
+            console.warn(`⚠️ ${dir} is outside the folder of ${config.outputFile} - not archived`);
+            return;
+        }
+        fs.rmSync(path.join(seasonDir, archived), { recursive: true, force: true });
+        fs.cpSync(dir, path.join(seasonDir, archived), { recursive: true });
+    });
+    fs.writeFileSync(path.join(seasonDir, SUMMARY_FILE), JSON.stringify(summary, null, 2));
+    writeArchiveIndex(config.archiveDir);
+    return seasonDir;
+}
+
+// Every archived season's summary, oldest first
+function loadSeasonSummaries(archiveDir) {
+    if (!fs.existsSync(archiveDir)) return [];
+    const summaries = [];
+    fs.readdirSync(archiveDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            const file = path.join(archiveDir, entry.name, SUMMARY_FILE);
+            if (!fs.existsSync(file)) return;
+            try {
+                summaries.push({ ...JSON.parse(fs.readFileSync(file, 'utf-8')), folder: entry.name });
+            } catch (error) {
+                console.warn(`⚠️ Could not read ${file}:`, error.message || error);
+            }
+        });
+    return summaries.sort((a, b) => a.seasonStart.localeCompare(b.seasonStart));
+}
+
+function findView(summary, viewId) {
+    return summary.views.find(view => view.id === viewId) || null;
+}
+
+// Rank changes of pilots ranked in both seasons (a positive change is a climb)
+function findBiggestMovers(previous, current, viewId = 'mixed', limit = MOVERS_LIMIT) {
+    const before = findView(previous, viewId);
+    const after = findView(current, viewId);
+    if (!before || !after) return null;
+
+    const previousEntries = new Map(before.entries.map(entry => [entry.pilotId, entry]));
+    const moves = after.entries
+        .filter(entry => previousEntries.has(entry.pilotId))
+        .map(entry => {
+            const earlier = previousEntries.get(entry.pilotId);
+            return {
+                pilotId: entry.pilotId,
+                pilot: entry.pilot,
+                previous: earlier,
+                current: entry,
+                change: earlier.rank - entry.rank,
+                pointsChange: round1(entry.totalPoints - earlier.totalPoints)
+            };
+        });
+    return {
+        from: previous.season,
+        to: current.season,
+        risers: moves.filter(move => move.change > 0)
+            .sort((a, b) => b.change - a.change || b.pointsChange - a.pointsChange).slice(0, limit),
+        fallers: moves.filter(move => move.change < 0)
+            .sort((a, b) => a.change - b.change || a.pointsChange - b.pointsChange).slice(0, limit)
+    };
+}
+
+// One row per pilot ranked in the view in any season: { pilotId, pilot, seasons: { season: entry } },
+// ordered by the latest season's rank, then pilots who did not fly it by their best rank
+function buildPilotHistory(summaries, viewId) {
+    const pilots = new Map();
+    summaries.forEach(summary => {
+        const view = findView(summary, viewId);
+        if (!view) return;
+        view.entries.forEach(entry => {
+            if (!pilots.has(entry.pilotId)) {
+                pilots.set(entry.pilotId, { pilotId: entry.pilotId, pilot: entry.pilot, seasons: {}, latest: null });
+            }
+            const row = pilots.get(entry.pilotId);
+            row.pilot = entry.pilot; // latest name
+            row.seasons[summary.season] = entry;
+            row.latest = summary;
+        });
+    });
+
+    const latestSeason = summaries.length > 0 ? summaries[summaries.length - 1].season : null;
+    const bestRank = row => Math.min(...Object.values(row.seasons).map(entry => entry.rank));
+    return Array.from(pilots.values()).sort((a, b) => {
+        const aLatest = a.seasons[latestSeason];
+        const bLatest = b.seasons[latestSeason];
+        if (aLatest && bLatest) return aLatest.rank - bLatest.rank || a.pilot.localeCompare(b.pilot);
+        if (aLatest || bLatest) return aLatest ? -1 : 1;
+        return bestRank(a) - bestRank(b) || a.pilot.localeCompare(b.pilot);
+    });
+}
+
+// Pilot page in the latest archived season the pilot was ranked in
+function pilotLink(row) {
+    const name = escapeHtml(row.pilot);
+    if (!row.latest || !row.latest.pilotPages || !Number.isInteger(row.pilotId)) return name;
+    return `<a href="${escapeHtml(`${row.latest.folder}/${row.latest.pilotPages}/${row.pilotId}.html`)}">${name}</a>`;
+}
+
+function renderMovers(movers) {
+    const rows = list => list.length === 0
+        ? '<tr><td colspan="4">None</td></tr>'
+        : list.map(move => `
+                    <tr><td>${escapeHtml(move.pilot)}</td><td>${formatRank(move.previous.rank, move.previous.shared)} → ${formatRank(move.current.rank, move.current.shared)}</td><td class="${move.change > 0 ? 'up' : 'down'}">${move.change > 0 ? '▲' : '▼'} ${Math.abs(move.change)}</td><td class="points">${move.pointsChange > 0 ? '+' : ''}${move.pointsChange.toFixed(1)}</td></tr>`).join('');
+    const table = (heading, list) => `
+                <div>
+                    <h3>${heading}</h3>
+                    <table>
+                        <thead><tr><th>Pilot</th><th>Rank</th><th>Change</th><th>Points change</th></tr></thead>
+                        <tbody>${rows(list)}
+                        </tbody>
+                    </table>
+                </div>`;
+    return `
+            <h3>${escapeHtml(movers.from)} → ${escapeHtml(movers.to)}</h3>
+            <div class="movers">${table('Biggest climbs', movers.risers)}${table('Biggest drops', movers.fallers)}
+            </div>`;
+}
+
+function renderPilotHistory(summaries, view) {
+    const rows = buildPilotHistory(summaries, view.id);
+    if (rows.length === 0) return '<p>No ranked pilots.</p>';
+    return `<table>
+                <thead><tr><th>Pilot</th>${summaries.map(summary => `<th>${escapeHtml(summary.season)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `
+                    <tr><td>${pilotLink(row)}</td>${summaries.map(summary => {
+                        const entry = row.seasons[summary.season];
+                        return entry
+                            ? `<td>${formatRank(entry.rank, entry.shared)} <span class="legend">(${entry.totalPoints.toFixed(1)} pts)</span></td>`
+                            : '<td>-</td>';
+                    }).join('')}</tr>`).join('')}
+                </tbody>
+            </table>`;
+}
+
+function renderTrophyWinners(summaries) {
+    // Trophies in the latest season's order, then any dropped since
+    const trophies = [];
+    summaries.slice().reverse().forEach(summary => {
+        summary.trophies.forEach(trophy => {
+            if (!trophies.some(known => known.key === trophy.key)) {
+                trophies.push({ key: trophy.key, title: trophy.title });
+            }
+        });
+    });
+    if (trophies.length === 0) return '<p>No trophies configured.</p>';
+
+    const describe = winner => escapeHtml(winner.pilot) +
+        (winner.award ? ` <span class="award">${escapeHtml(winner.award)}</span>` : '') +
+        (winner.detail ? ` <span class="legend">(${escapeHtml(winner.detail)})</span>` : '') +
+        (winner.flightId ? ` <span class="legend">(<a href="https://www.weglide.org/flight/${winner.flightId}" target="_blank">flight</a>)</span>` : '');
+    return `<table>
+                <thead><tr><th>Trophy</th>${summaries.map(summary => `<th>${escapeHtml(summary.season)}</th>`).join('')}</tr></thead>
+                <tbody>${trophies.map(trophy => `
+                    <tr><td>${escapeHtml(trophy.title)}</td>${summaries.map(summary => {
+                        const entry = summary.trophies.find(candidate => candidate.key === trophy.key);
+                        if (!entry) return '<td>-</td>';
+                        return `<td>${entry.winners.length > 0 ? entry.winners.map(describe).join('<br>') : 'No winner'}</td>`;
+                    }).join('')}</tr>`).join('')}
+                </tbody>
+            </table>`;
+}
+
+function renderArchiveIndex(summaries) {
+    const latest = summaries[summaries.length - 1];
+    const title = `${latest.countryName} Gliding Leaderboard Archive`;
+    const newestFirst = summaries.slice().reverse();
+    const movers = [];
+    for (let i = summaries.length - 1; i > 0; i--) {
+        const result = findBiggestMovers(summaries[i - 1], summaries[i]);
+        if (result) movers.push(result);
+    }
+    const seasonRows = newestFirst.map(summary => {
+        const mixed = findView(summary, 'mixed');
+        const leaders = mixed ? mixed.entries.filter(entry => entry.rank === 1).map(entry => entry.pilot) : [];
+        return `
+                    <tr><td><a href="${escapeHtml(`${summary.folder}/${summary.page}`)}">${escapeHtml(summary.season)}</a></td><td>${escapeHtml(summary.seasonLabel)}</td><td>${mixed ? mixed.entries.length : 0}</td><td>${escapeHtml(leaders.join(', ') || '-')}</td><td>${escapeHtml(String(summary.generatedAt).slice(0, 10))}</td></tr>`;
+    }).join('');
+    const views = latest.views;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)}</h1>
+        <div class="subtitle">${summaries.length} season${summaries.length === 1 ? '' : 's'} · ${escapeHtml(summaries[0].season)} - ${escapeHtml(latest.season)}</div>
+
+        <div class="section">
+            <h2>Seasons</h2>
+            <table>
+                <thead><tr><th>Season</th><th>Period</th><th>Pilots ranked</th><th>${escapeHtml(findView(latest, 'mixed').label)} leader</th><th>Archived</th></tr></thead>
+                <tbody>${seasonRows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Trophy Winners by Year</h2>
+            ${renderTrophyWinners(summaries)}
+            <div class="legend">Winners as decided by each season's last build.</div>
+        </div>
+
+        <div class="section">
+            <h2>Biggest Movers (${escapeHtml(findView(latest, 'mixed').label)})</h2>
+            ${movers.length > 0 ? movers.map(renderMovers).join('') : '<p>Movers appear once two seasons are archived.</p>'}
+        </div>
+
+        <div class="section">
+            <h2>Pilot Rank and Points by Season</h2>
+            ${views.map((view, index) => index === 0
+                ? `<h3>${escapeHtml(view.label)}</h3>
+            ${renderPilotHistory(summaries, view)}`
+                : `<details>
+                <summary>${escapeHtml(view.label)}</summary>
+                ${renderPilotHistory(summaries, view)}
+            </details>`).join('\n            ')}
+            <div class="legend">T-3: rank shared with another pilot.</div>
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+// Rebuild <archiveDir>/index.html; returns the number of seasons listed
+function writeArchiveIndex(archiveDir) {
+    const summaries = loadSeasonSummaries(archiveDir);
+    if (summaries.length === 0) return 0;
+    fs.writeFileSync(path.join(archiveDir, 'index.html'), renderArchiveIndex(summaries));
+    return summaries.length;
+}
+
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--config': options.config = next; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = resolveLeaderboardConfig(options.config);
+    if (!config.archiveDir) {
+        throw new Error(`Leaderboard config "${config.id}" has no archive (archiveDir: false)`);
+    }
+    const seasonCount = writeArchiveIndex(config.archiveDir);
+    if (seasonCount === 0) {
+        console.log(`ℹ️ No archived seasons in ${config.archiveDir} - build the leaderboard first`);
+        return;
+    }
+    console.log(`✅ Wrote ${path.join(config.archiveDir, 'index.html')} (${seasonCount} seasons)`);
+}
+
+module.exports = {
+    summarizeTrophyWinners,
+    buildSeasonSummary,
+    archiveSeason,
+    loadSeasonSummaries,
+    findBiggestMovers,
+    buildPilotHistory,
+    renderArchiveIndex,
+    writeArchiveIndex
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    }
+}
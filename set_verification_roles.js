@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Link Firebase accounts to WeGlide pilots and grant the leaderboard admin role.
+//
+// firestore.rules only accepts verification writes from a signed-in account whose
+// custom claims allow it:
+//   weglideUserId  the pilot's WeGlide user id (may write their own verifications)
+//   admin          true for leaderboard admins (may write any verification and read
+//                  the verification_audit collection)
+// Pilots sign in on the leaderboard page, which shows them their account id; check
+// who they are on WeGlide before linking the account.
+//
+// Usage:
+//   node set_verification_roles.js --uid <accountId> --weglide-user 12345
+//   node set_verification_roles.js --email pilot@example.com --weglide-user 12345
+//   node set_verification_roles.js --uid <accountId> --admin
+//   node set_verification_roles.js --uid <accountId> --revoke-admin
+//   node set_verification_roles.js --uid <accountId> --unlink
+//   node set_verification_roles.js --uid <accountId>          (show current roles)
+//
+// Uses the Firebase CLI / application default credentials like firebase-import-script.js.
+// Set FIREBASE_AUTH_EMULATOR_HOST to run against the Auth emulator.
+
+function parseArgs(argv) {
+    const options = { uid: null, email: null, weglideUser: null, admin: null, unlink: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--uid': options.uid = next; i++; break;
+            case '--email': options.email = next; i++; break;
+            case '--weglide-user':
+                options.weglideUser = Number(next);
+                if (!Number.isInteger(options.weglideUser) || options.weglideUser <= 0) {
+                    throw new Error(`--weglide-user must be a WeGlide user id, got ${next}`);
+                }
+                i++;
+                break;
+            case '--admin': options.admin = true; break;
+            case '--revoke-admin': options.admin = false; break;
+            case '--unlink': options.unlink = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (!options.uid === !options.email) {
+        throw new Error('Give exactly one of --uid or --email');
+    }
+    if (options.unlink && options.weglideUser !== null) {
+        throw new Error('--unlink and --weglide-user cannot be combined');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const { initializeApp } = require('firebase-admin/app');
+    const { getAuth } = require('firebase-admin/auth');
+    const auth = getAuth(initializeApp());
+
+    const user = options.uid ? await auth.getUser(options.uid) : await auth.getUserByEmail(options.email);
+    const claims = { ...(user.customClaims || {}) };
+    console.log(`👤 ${user.email || 'no email'} (${user.uid})`);
+    console.log(`   Current roles: WeGlide user ${claims.weglideUserId ?? 'not linked'}, admin ${claims.admin === true ? 'yes' : 'no'}`);
+
+    const changing = options.weglideUser !== null || options.admin !== null || options.unlink;
+    if (!changing) {
+        return;
+    }
+
+    if (options.weglideUser !== null) {
+        claims.weglideUserId = options.weglideUser;
+    }
+    if (options.unlink) {
+        delete claims.weglideUserId;
+    }
+    if (options.admin === true) {
+        claims.admin = true;
+    } else if (options.admin === false) {
+        delete claims.admin;
+    }
+
+    await auth.setCustomUserClaims(user.uid, claims);
+    console.log(`✅ Updated roles: WeGlide user ${claims.weglideUserId ?? 'not linked'}, admin ${claims.admin === true ? 'yes' : 'no'}`);
+    console.log('💡 The pilot must reload the leaderboard page (or sign in again) to pick up the change');
+}
+
+main().catch(err => {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+});
@@ -66,40 +66,15 @@ function createFirebaseProject() {
 function initializeFirebase(projectId) {
     console.log('\n⚙️ Initializing Firebase project...');
 
-    // Create firebase.json
-    const firebaseConfig = {
-        firestore: {
-            rules: "firestore.rules",
-            indexes: "firestore.indexes.json"
-        }
-    };
-
-    fs.writeFileSync('firebase.json', JSON.stringify(firebaseConfig, null, 2));
-    console.log('✅ Created firebase.json');
-
-    // Create Firestore security rules
-    const firestoreRules = `rules_version = '2';
-service cloud.firestore {
-  match /databases/{database}/documents {
-    // Allow read access to pilot verifications for everyone
-    match /pilot_verifications/{pilotId} {
-      allow read: if true;
-      allow write: if request.auth == null &&
-                      resource == null && // Only allow creating new documents
-                      request.resource.data.keys().hasAll(['pilotId', 'pilotName', 'picHours', 'verifiedDate', 'eligible']) &&
-                      request.resource.data.picHours is number &&
-                      request.resource.data.picHours >= 0 &&
-                      request.resource.data.picHours < 200;
+    // firebase.json, firestore.rules and firestore.indexes.json ship with the repo;
+    // the rules lock verification writes to signed-in pilots and admins
+    const requiredFiles = ['firebase.json', 'firestore.rules', 'firestore.indexes.json'];
+    const missing = requiredFiles.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+        console.error(`❌ Missing ${missing.join(', ')} - run this script from the repository root`);
+        return false;
     }
-  }
-}`;
-
-    fs.writeFileSync('firestore.rules', firestoreRules);
-    console.log('✅ Created firestore.rules');
-
-    // Create empty indexes file
-    fs.writeFileSync('firestore.indexes.json', JSON.stringify({ indexes: [] }, null, 2));
-    console.log('✅ Created firestore.indexes.json');
+    console.log('✅ Using firebase.json, firestore.rules and firestore.indexes.json from the repository');
 
     // Use the project
     try {
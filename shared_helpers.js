@@ -0,0 +1,56 @@
+// Small helpers shared by the leaderboard generator and the modules and scripts around it
+
+const fs = require('fs');
+const readline = require('readline');
+
+// Text safe for HTML content and double-quoted attributes
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Whether another entry of a ranked list (rankByPoints) has the same rank
+function isSharedRank(entry, list) {
+    return list.some(other => other !== entry && other.rank === entry.rank);
+}
+
+// Rank as the pages show it: "3", or "T-3" when shared
+function formatRank(rank, shared) {
+    return shared ? `T-${rank}` : String(rank);
+}
+
+// Number rounded to one decimal, null for anything that isn't a finite number
+function round1(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? parseFloat(value.toFixed(1)) : null;
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+// Yes/no question on the terminal; only "y" or "yes" confirms
+function confirm(prompt) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(prompt, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+module.exports = {
+    escapeHtml,
+    isSharedRank,
+    formatRank,
+    round1,
+    readJson,
+    confirm
+};
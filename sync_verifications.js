@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+// Two-way sync of pilot verifications (PIC hours and date of birth) between
+// pilot_pic_hours_verification.json, Firestore and localStorage dumps exported from
+// the leaderboard page (admin panel, Ctrl+Shift+A → Export Verification Data).
+//
+// Every source ends up with the same record per pilot. When sources disagree:
+//   1. a pilot's declaration (user-entered) beats a WeGlide estimate (weglide-calculated)
+//   2. otherwise the most recently written record wins (Firestore timestamp, review
+//      date or verifiedDate)
+// The diff for each target is printed before anything is written.
+//
+// Usage:
+//   node sync_verifications.js [--config australia] [--file pilot_pic_hours_verification.json]
+//                              [--local pilot_verifications_export.json ...] [--no-firestore]
+//                              [--dry-run] [--yes]
+//
+// Firestore is reached with the Firebase CLI / application default credentials
+// (like firebase-import-script.js); each Firestore write adds a verification_audit
+// entry. A dump is rewritten with the merged declarations (WeGlide estimates are
+// already embedded in the page); load it back into a browser with
+//   localStorage.setItem('pilot_verifications', '<file contents>')
+//
+// Raw dates of birth are copied one way, from Firestore's admin-only dob_private
+// collection to the config's dobPrivateFile (dob_private_store.js), so builds can derive
+// Silver C ages. Sources that still hold raw dates of birth in public records have to
+// go through migrate_dob_verifications.js first.
+
+const fs = require('fs');
+const { resolveLeaderboardConfig, DEFAULT_CONFIG } = require('./leaderboard_configs');
+const { readJson, confirm } = require('./shared_helpers');
+const { DECLARATION_KINDS, getReviewStatus } = require('./verification_review');
+const { loadPrivateDOBs, savePrivateDOBs } = require('./dob_private_store');
+
+const DATA_SOURCE_PRIORITY = { 'user-entered': 2, 'weglide-calculated': 1 };
+const SYNC_ACTOR = 'sync_verifications';
+const SAMPLE_SIZE = 10; // WeGlide estimate changes listed per target
+
+// Fields kept per kind; anything else (Firestore bookkeeping, cached ages) is dropped
+const RECORD_FIELDS = {
+    picHours: ['pilotName', 'picHours', 'verifiedDate', 'eligible', 'dataSource', 'status', 'review', 'calculation', 'timestamp'],
+    dob: ['pilotName', 'ageAtAchievement', 'achievementDate', 'juniorEligible', 'verifiedDate', 'dataSource', 'status', 'review', 'timestamp']
+};
+// Fields that only say when a record was written; records differing only here are the same
+const DATE_FIELDS = ['verifiedDate', 'timestamp'];
+
+// ISO string from a string, Date or Firestore Timestamp
+function toIsoString(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    return null;
+}
+
+// Record in the file's shape. Records without a dataSource are pilot declarations
+// (as the page treats them). fromDump resets declarations from a localStorage dump to
+// pending without a review: a dump is a file anyone can edit, so its review state is
+// not trusted.
+function normalizeRecord(kind, record, { fromDump = false } = {}) {
+    const normalized = {};
+    RECORD_FIELDS[kind].forEach(field => {
+        if (record[field] !== undefined && record[field] !== null) {
+            normalized[field] = record[field];
+        }
+    });
+    normalized.dataSource = normalized.dataSource || 'user-entered';
+    if (normalized.timestamp !== undefined) {
+        normalized.timestamp = toIsoString(normalized.timestamp);
+    }
+    if (normalized.review) {
+        normalized.review = { ...normalized.review, reviewedAt: toIsoString(normalized.review.reviewedAt) };
+    }
+    if (normalized.dataSource !== 'user-entered') {
+        delete normalized.status;
+        delete normalized.review;
+    } else if (fromDump) {
+        normalized.status = 'pending';
+        delete normalized.review;
+    }
+    if (kind === 'picHours' && typeof normalized.picHours === 'number') {
+        normalized.eligible = normalized.picHours < 200;
+    }
+    return normalized;
+}
+
+// { picHours: { pilotId: record }, dob: { ... } } from a file or dump
+// ({ picHoursVerifications, dobVerifications }, or the old { verifications } format)
+function recordsFromVerificationData(data, options) {
+    const records = {};
+    Object.entries(DECLARATION_KINDS).forEach(([kind, { key }]) => {
+        const entries = { ...(data?.[key] || {}) };
+        if (kind === 'picHours' && data?.verifications && !data.picHoursVerifications) {
+            Object.assign(entries, data.verifications);
+        }
+        records[kind] = {};
+        Object.entries(entries).forEach(([pilotId, record]) => {
+            if (record && typeof record === 'object') {
+                records[kind][pilotId] = normalizeRecord(kind, record, options);
+            }
+        });
+    });
+    return records;
+}
+
+// Pilot ids whose public DOB record still has the raw date (not migrated yet)
+function findRawDatesOfBirth(dobVerifications) {
+    return Object.entries(dobVerifications || {})
+        .filter(([, record]) => record && record.dateOfBirth)
+        .map(([pilotId]) => pilotId);
+}
+
+function lastWritten(record) {
+    return [record.timestamp, record.review?.reviewedAt, record.verifiedDate]
+        .map(toIsoString)
+        .filter(Boolean)
+        .sort()
+        .pop() || '';
+}
+
+// Same value with object keys sorted, so key order doesn't make records differ
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+}
+
+function signature(record) {
+    const content = { ...record };
+    DATE_FIELDS.forEach(field => delete content[field]);
+    if (content.review) {
+        content.review = { ...content.review };
+        delete content.review.reviewedAt;
+    }
+    return JSON.stringify(canonical(content));
+}
+
+// Winner among [{ source, record }] and why it beat the runner-up
+function pickRecord(candidates) {
+    const ranked = candidates.slice().sort((a, b) =>
+        (DATA_SOURCE_PRIORITY[b.record.dataSource] || 0) - (DATA_SOURCE_PRIORITY[a.record.dataSource] || 0) ||
+        lastWritten(b.record).localeCompare(lastWritten(a.record)) ||
+        a.order - b.order);
+    const [winner, runnerUp] = ranked;
+    let reason = null;
+    if (runnerUp && signature(runnerUp.record) !== signature(winner.record)) {
+        reason = winner.record.dataSource !== runnerUp.record.dataSource
+            ? `${winner.record.dataSource} beats ${runnerUp.record.dataSource}`
+            : `newer (${lastWritten(winner.record).slice(0, 10) || 'undated'})`;
+    }
+    return { ...winner, reason };
+}
+
+// Merge sources ([{ name, records, declarationsOnly }], in tie-break order) and work
+// out what each must change. declarationsOnly sources don't receive WeGlide estimates.
+function mergeVerificationSources(sources) {
+    const merged = {};
+    const changes = sources.map(source => ({ name: source.name, added: [], updated: [] }));
+
+    Object.keys(DECLARATION_KINDS).forEach(kind => {
+        merged[kind] = {};
+        const pilotIds = new Set(sources.flatMap(source => Object.keys(source.records[kind] || {})));
+        pilotIds.forEach(pilotId => {
+            const candidates = sources
+                .map((source, order) => ({ source: source.name, order, record: source.records[kind]?.[pilotId] }))
+                .filter(candidate => candidate.record);
+            const winner = pickRecord(candidates);
+            merged[kind][pilotId] = winner.record;
+
+            sources.forEach((source, index) => {
+                if (source.declarationsOnly && winner.record.dataSource !== 'user-entered') {
+                    return;
+                }
+                const current = source.records[kind]?.[pilotId];
+                const change = { kind, pilotId, from: winner.source, reason: winner.reason, before: current || null, after: winner.record };
+                if (!current) {
+                    changes[index].added.push(change);
+                } else if (signature(current) !== signature(winner.record)) {
+                    changes[index].updated.push(change);
+                }
+            });
+        });
+    });
+
+    return { merged, changes };
+}
+
+function describeRecord(kind, record) {
+    const value = kind === 'picHours' ? `${record.picHours} h`
+        : Number.isInteger(record.ageAtAchievement) ? `age ${record.ageAtAchievement} on ${record.achievementDate}` : 'age not derived';
+    const status = getReviewStatus(record);
+    return `${value}, ${record.dataSource}${status ? ` (${status})` : ''}`;
+}
+
+function printChanges(change) {
+    const total = change.added.length + change.updated.length;
+    console.log(`\n${total === 0 ? '✅' : '📝'} ${change.name}: ${change.added.length} to add, ${change.updated.length} to update`);
+
+    const lines = [
+        ...change.added.map(c => ({ c, line: `  + ${DECLARATION_KINDS[c.kind].label} · ${c.after.pilotName || 'Unknown'} (${c.pilotId}): ${describeRecord(c.kind, c.after)} [from ${c.from}]` })),
+        ...change.updated.map(c => ({ c, line: `  ~ ${DECLARATION_KINDS[c.kind].label} · ${c.after.pilotName || 'Unknown'} (${c.pilotId}): ${describeRecord(c.kind, c.before)} → ${describeRecord(c.kind, c.after)} [from ${c.from}${c.reason ? `: ${c.reason}` : ''}]` }))
+    ];
+    // Every declaration change is listed; WeGlide estimate changes are sampled
+    const estimates = lines.filter(({ c }) => c.after.dataSource === 'weglide-calculated');
+    lines.filter(({ c }) => c.after.dataSource !== 'weglide-calculated').forEach(({ line }) => console.log(line));
+    estimates.slice(0, SAMPLE_SIZE).forEach(({ line }) => console.log(line));
+    if (estimates.length > SAMPLE_SIZE) {
+        console.log(`  ... and ${estimates.length - SAMPLE_SIZE} more WeGlide estimate changes`);
+    }
+}
+
+// Write merged records back into the file's or dump's shape, keeping its other keys
+function applyToVerificationData(data, merged, { declarationsOnly = false } = {}) {
+    const updated = { ...data };
+    delete updated.verifications; // old dump format, now under picHoursVerifications
+    Object.entries(DECLARATION_KINDS).forEach(([kind, { key }]) => {
+        updated[key] = Object.fromEntries(Object.entries(merged[kind])
+            .filter(([, record]) => !declarationsOnly || record.dataSource === 'user-entered'));
+    });
+    return updated;
+}
+
+async function loadFirestoreRecords(db) {
+    const records = {};
+    const rawDatesOfBirth = [];
+    for (const [kind, { collection }] of Object.entries(DECLARATION_KINDS)) {
+        records[kind] = {};
+        const snapshot = await db.collection(collection).get();
+        snapshot.forEach(doc => {
+            if (kind === 'dob' && doc.data().dateOfBirth) {
+                rawDatesOfBirth.push(doc.id);
+            }
+            records[kind][doc.id] = normalizeRecord(kind, doc.data());
+        });
+    }
+    return { records, rawDatesOfBirth };
+}
+
+// Private entries from Firestore that the local private file lacks or has different
+async function loadPrivateDOBChanges(db, datesOfBirth) {
+    const changes = {};
+    const snapshot = await db.collection(DECLARATION_KINDS.dob.privateCollection).get();
+    snapshot.forEach(doc => {
+        const { pilotName, dateOfBirth } = doc.data();
+        const current = datesOfBirth[doc.id];
+        if (!current || current.dateOfBirth !== dateOfBirth || current.pilotName !== pilotName) {
+            changes[doc.id] = { pilotName, dateOfBirth };
+        }
+    });
+    return changes;
+}
+
+// Same document shape and audit entry as the page's writeAuditedVerification
+async function writeFirestoreChanges(db, FieldValue, change) {
+    let written = 0;
+    for (const c of [...change.added, ...change.updated]) {
+        const { collection } = DECLARATION_KINDS[c.kind];
+        const { timestamp, ...data } = c.after;
+        const docRef = db.collection(collection).doc(c.pilotId);
+        const auditRef = db.collection('verification_audit').doc();
+        const batch = db.batch();
+        batch.set(docRef, {
+            ...data,
+            pilotId: c.pilotId,
+            submittedBy: SYNC_ACTOR,
+            auditId: auditRef.id,
+            timestamp: FieldValue.serverTimestamp()
+        });
+        batch.set(auditRef, {
+            collection,
+            pilotId: c.pilotId,
+            action: c.before ? 'update' : 'create',
+            data,
+            actorUid: SYNC_ACTOR,
+            actorIsAdmin: true,
+            timestamp: FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+        written++;
+        if (written % 25 === 0) {
+            console.log(`   📤 Wrote ${written} Firestore records...`);
+        }
+    }
+    return written;
+}
+
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG, file: null, local: [], firestore: true, dryRun: false, yes: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        switch (arg) {
+            case '--config': options.config = next; i++; break;
+            case '--file': options.file = next; i++; break;
+            case '--local': options.local.push(next); i++; break;
+            case '--no-firestore': options.firestore = false; break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--yes': options.yes = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    const config = resolveLeaderboardConfig(options.config);
+    options.file = options.file || config.verificationFile;
+    options.privateFile = config.dobPrivateFile;
+    options.local.forEach(file => {
+        if (!file || !fs.existsSync(file)) {
+            throw new Error(`Missing localStorage dump: ${file}`);
+        }
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Sources in tie-break order: Firestore (the live data) before the file before dumps
+    const sources = [];
+    const rawDatesOfBirth = [];
+    let firestore = null;
+    let privateDOBChanges = {};
+    if (options.firestore) {
+        const { initializeApp } = require('firebase-admin/app');
+        const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+        const db = getFirestore(initializeApp());
+        firestore = { db, FieldValue };
+        const { records, rawDatesOfBirth: rawIds } = await loadFirestoreRecords(db);
+        sources.push({ name: 'Firestore', records });
+        if (rawIds.length > 0) rawDatesOfBirth.push(`Firestore (${rawIds.length})`);
+        privateDOBChanges = await loadPrivateDOBChanges(db, loadPrivateDOBs(options.privateFile));
+    }
+
+    const fileData = fs.existsSync(options.file)
+        ? readJson(options.file)
+        : { description: 'Pilot verification data for eligibility' };
+    sources.push({ name: options.file, records: recordsFromVerificationData(fileData), data: fileData });
+
+    options.local.forEach(file => {
+        const data = readJson(file);
+        sources.push({ name: file, records: recordsFromVerificationData(data, { fromDump: true }), data, declarationsOnly: true });
+    });
+
+    sources.filter(source => source.data).forEach(source => {
+        const rawIds = findRawDatesOfBirth(source.data.dobVerifications);
+        if (rawIds.length > 0) rawDatesOfBirth.push(`${source.name} (${rawIds.length})`);
+    });
+    if (rawDatesOfBirth.length > 0) {
+        throw new Error(`Raw dates of birth in public records: ${rawDatesOfBirth.join(', ')} - ` +
+            'run node migrate_dob_verifications.js first');
+    }
+
+    sources.forEach(source => {
+        const counts = Object.entries(DECLARATION_KINDS)
+            .map(([kind, { label }]) => `${Object.keys(source.records[kind]).length} ${label}`)
+            .join(', ');
+        console.log(`📥 ${source.name}: ${counts}`);
+    });
+
+    const { merged, changes } = mergeVerificationSources(sources);
+    changes.forEach(printChanges);
+
+    // Only counted: the dates themselves are not printed
+    const privateCount = Object.keys(privateDOBChanges).length;
+    if (firestore) {
+        console.log(`\n${privateCount === 0 ? '✅' : '🔒'} ${options.privateFile}: ${privateCount} dates of birth to add or update from Firestore`);
+    }
+
+    const pending = changes.filter(change => change.added.length + change.updated.length > 0);
+    if (pending.length === 0 && privateCount === 0) {
+        console.log('\n✅ Everything is in sync');
+        return;
+    }
+    if (options.dryRun) {
+        console.log('\nℹ️ Dry run - nothing written');
+        return;
+    }
+    if (!options.yes && !(await confirm('\nWrite these changes? (y/N) '))) {
+        console.log('ℹ️ Nothing written');
+        return;
+    }
+
+    if (privateCount > 0) {
+        savePrivateDOBs(options.privateFile, { ...loadPrivateDOBs(options.privateFile), ...privateDOBChanges });
+        console.log(`💾 Saved ${options.privateFile}`);
+    }
+    for (const change of pending) {
+        const source = sources.find(s => s.name === change.name);
+        if (change.name === 'Firestore') {
+            const written = await writeFirestoreChanges(firestore.db, firestore.FieldValue, change);
+            console.log(`🔥 Wrote ${written} records to Firestore`);
+        } else {
+            const updated = applyToVerificationData(source.data, merged, { declarationsOnly: source.declarationsOnly });
+            fs.writeFileSync(change.name, JSON.stringify(updated, null, 2));
+            console.log(`💾 Saved ${change.name}`);
+        }
+    }
+}
+
+module.exports = {
+    findRawDatesOfBirth,
+    normalizeRecord,
+    recordsFromVerificationData,
+    mergeVerificationSources,
+    applyToVerificationData
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message || err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,117 @@
+// Club and region team leaderboards for create_australian_leaderboard_from_jsonl.js
+//
+// A flight counts for the club it was uploaded under (flight.club) and the region of its
+// takeoff airport (takeoff_airport.region, e.g. AU-NSW), for every pilot credited with it
+// (co-pilots included, see config.copilotCredit). Within each team the pilots are ranked
+// with rankPilots on their best N team flights, and the team scores the sum of its top K
+// pilots. Rules are set per config (config.teams, false to hide the teams):
+//   by          Team kinds, in display order: 'club' and/or 'region' (default both)
+//   view        Leaderboard view whose flight points count (default 'mixed')
+//   topPilots   K, pilots counted per team (default 3)
+//   bestN       N, flights counted per pilot (default the view's bestN)
+
+const { rankPilots, rankByPoints } = require('./weglide_scoring');
+const { escapeHtml, isSharedRank, formatRank } = require('./shared_helpers');
+
+const TEAM_KINDS = {
+    club: { label: 'Clubs', teamOf: (flight, record) => record?.clubName || null },
+    region: { label: 'States & Regions', teamOf: flight => flight.region || null }
+};
+
+const TEAM_TIE_BREAKERS = {
+    topPilot: (a, b) => b.pilots[0].totalPoints - a.pilots[0].totalPoints,
+    morePilots: (a, b) => b.pilots.length - a.pilots.length
+};
+
+const DEFAULT_TEAM_RULES = { by: ['club', 'region'], view: 'mixed', topPilots: 3, bestN: null };
+
+// Validate a config's team rules and fill in the defaults; null when teams are off
+function resolveTeamRules(teams, views) {
+    if (teams === false) return null;
+    const rules = { ...DEFAULT_TEAM_RULES, ...(teams || {}) };
+
+    if (!Array.isArray(rules.by) || rules.by.length === 0 || rules.by.some(kind => !TEAM_KINDS[kind])) {
+        throw new Error(`teams.by must list one or more of: ${Object.keys(TEAM_KINDS).join(', ')}`);
+    }
+    const view = views.find(candidate => candidate.id === rules.view);
+    if (!view) {
+        throw new Error(`teams.view "${rules.view}" is not a leaderboard view (${views.map(candidate => candidate.id).join(', ')})`);
+    }
+    if (!Number.isInteger(rules.topPilots) || rules.topPilots < 1) {
+        throw new Error('teams.topPilots must be a positive whole number');
+    }
+    if (rules.bestN === null) {
+        rules.bestN = view.profile.bestN;
+    } else if (!Number.isInteger(rules.bestN) || rules.bestN < 1) {
+        throw new Error('teams.bestN must be a positive whole number');
+    }
+    return rules;
+}
+
+// { kind: [team] } with teams ranked by the total of their top K pilots. A team has
+// { name, rank, totalPoints, pilots } where pilots is its rankPilots leaderboard and
+// the first topPilots entries carry counted: true.
+function buildTeamLeaderboards(rules, { views, pilotFlightsByView, recordsById }) {
+    const view = views.find(candidate => candidate.id === rules.view);
+    const profile = { ...view.profile, bestN: rules.bestN };
+    const leaderboards = {};
+
+    rules.by.forEach(kind => {
+        const teamFlights = {}; // { team: { pilotName: [flight] } }
+        Object.entries(pilotFlightsByView[view.id]).forEach(([pilotName, flights]) => {
+            flights.forEach(flight => {
+                const team = TEAM_KINDS[kind].teamOf(flight, recordsById.get(flight.id));
+                if (!team) return;
+                teamFlights[team] = teamFlights[team] || {};
+                (teamFlights[team][pilotName] = teamFlights[team][pilotName] || []).push(flight);
+            });
+        });
+
+        const teams = Object.entries(teamFlights).map(([name, pilotFlights]) => {
+            const pilots = rankPilots(pilotFlights, profile);
+            pilots.forEach((pilot, index) => {
+                pilot.counted = index < rules.topPilots;
+            });
+            return {
+                name,
+                pilots,
+                totalPoints: pilots.filter(pilot => pilot.counted).reduce((sum, pilot) => sum + pilot.totalPoints, 0)
+            };
+        });
+        leaderboards[kind] = rankByPoints(teams, team => team.totalPoints, ['topPilot', 'morePilots'], TEAM_TIE_BREAKERS);
+    });
+
+    return leaderboards;
+}
+
+// Collapsible page section with a table per team kind; a team row expands to its
+// pilots (toggleTeamSection and toggleTeamPilots in the page script)
+function renderTeamSection(leaderboards, rules, { viewLabel, pilotPagesHref }) {
+    const pilotLink = pilot => Number.isInteger(pilot.pilotId)
+        ? `<a href="${escapeHtml(`${pilotPagesHref}/${pilot.pilotId}.html`)}">${escapeHtml(pilot.pilot)}</a>`
+        : escapeHtml(pilot.pilot);
+
+    const tables = rules.by.map(kind => {
+        const teams = leaderboards[kind];
+        const rows = teams.map((team, index) => {
+            const rowId = `${kind}-${index}`;
+            const pilotRows = team.pilots.map(pilot => `<tr class="${pilot.counted ? 'team-pilot-counted' : 'team-pilot-extra'}"><td>${formatRank(pilot.rank, isSharedRank(pilot, team.pilots))}</td><td>${pilotLink(pilot)}</td><td>${pilot.totalPoints.toFixed(1)}</td><td>${pilot.flightCount}</td><td>${pilot.counted ? '✓' : ''}</td></tr>`).join('');
+            return `<tr class="team-row" onclick="toggleTeamPilots('${rowId}')"><td>${formatRank(team.rank, isSharedRank(team, teams))}</td><td><span class="toggle-arrow" id="teamArrow-${rowId}">▶</span> ${escapeHtml(team.name)}</td><td>${team.totalPoints.toFixed(1)}</td><td>${Math.min(team.pilots.length, rules.topPilots)} of ${team.pilots.length}</td></tr>` +
+                `<tr class="team-pilots" id="teamPilots-${rowId}" style="display: none;"><td colspan="4"><table class="task-stats-table"><thead><tr><th>#</th><th>Pilot</th><th>Points</th><th>Flights</th><th>Counted</th></tr></thead><tbody>${pilotRows}</tbody></table></td></tr>`;
+        }).join('');
+        return `<h6 class="team-kind">${escapeHtml(TEAM_KINDS[kind].label)} (${teams.length})</h6>` +
+            `<div class="task-stats-table-wrapper"><table class="task-stats-table team-table"><thead><tr><th>Rank</th><th>Team</th><th>Points</th><th>Pilots counted</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+    }).join('');
+
+    return '<div class="task-stats-section"><div class="task-stats-header" onclick="toggleTeamSection()"><h5>👥 Team Leaderboards <span class="toggle-arrow" id="teamArrow">▶</span></h5></div>' +
+        '<div class="task-stats-content" id="teamContent" style="display: none;">' +
+        `<p class="team-rules">Top ${rules.topPilots} pilots per team, best ${rules.bestN} ${escapeHtml(viewLabel)} flights each, flown for the club or from the region. Click a team for its pilots.</p>` +
+        tables + '</div></div>';
+}
+
+module.exports = {
+    TEAM_KINDS,
+    resolveTeamRules,
+    buildTeamLeaderboards,
+    renderTeamSection
+};
@@ -0,0 +1,517 @@
+// Declarative trophy definitions
+//
+// A config's `trophies` lists built-in trophy keys and/or definitions of its own.
+// The generator ranks each trophy's candidates at build time (buildTrophyCandidates)
+// and embeds them into the page, where decideTrophy applies the verification
+// requirement against the live verification data. Inlined into the page as
+// window.TrophyDefinitions.
+//
+// Definition fields:
+//   key            Unique id (letters, digits, _)
+//   extends        Built-in trophy to start from; the other fields override it
+//   title          Card heading
+//   description    Card subtitle
+//   source         What is ranked:
+//                    { type: 'leaderboard', leaderboard: 'mixed' }  season totals in a leaderboard view
+//                    { type: 'flight', leaderboard: 'mixed' }       single flights scored as in a view
+//                    { type: 'flight', scoring: 'dow' }             single flights, shape contest or
+//                                                                   declared task for their task kind
+//                    { type: 'silverC' }                            youngest junior to earn the silver badge
+//   filters        Which pilots and flights count (all optional):
+//                    maxPicHours         pilots with fewer WeGlide hours
+//                    junior              only flights WeGlide marks as junior
+//                    aircraftKinds       aircraft kinds, e.g. ['GL'] (pure gliders), ['MG']
+//                    competitionClasses  WeGlide classes, e.g. ['CL'] (club), ['ST'], ['15'], ['18'], ['OP'], ['DO']
+//                    taskKinds           declared task kinds, e.g. ['TR'], ['OR'], ['GL']
+//                    declaredOnly        the counted score must come from a declared task
+//   tieBreak       Rules for equal points, in order. Leaderboard sources default to the
+//                  view's profile (TIE_BREAKERS in weglide_scoring.js), flight sources to
+//                  ['distance', 'earliestFlight'] (FLIGHT_TIE_BREAKERS). Candidates no rule
+//                  separates share a rank; the page notes ties and the rule that broke them.
+//   verification   'none', 'picHours' (approved PIC hours declaration) or
+//                  'dateOfBirth' (approved date of birth, silverC source only)
+//   split          'combinedAndFree': a second award when the Free view ranks someone
+//                  else first, or 'none' (one award)
+//
+// Node:    const { resolveTrophyDefinitions } = require('./trophy_definitions');
+// Browser: const { decideTrophy } = TrophyDefinitions;
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./weglide_scoring'), require('./verification_review'));
+    } else {
+        root.TrophyDefinitions = factory(root.WeGlideScoring, root.VerificationReview);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WeGlideScoring, VerificationReview) {
+
+    const { rankPilots, rankByPoints, selectDowContest, TIE_BREAKERS, FLIGHT_TIE_BREAKERS, TIE_BREAK_LABELS } = WeGlideScoring;
+    const { getReviewStatus, isApproved, isPending, getAgeAtAchievement } = VerificationReview;
+
+    // SAC trophy set
+    const BUILT_IN_TROPHIES = {
+        canadair: {
+            title: 'Canadair Trophy',
+            description: 'Overall Champion (Top 5 flights)',
+            source: { type: 'leaderboard', leaderboard: 'mixed' },
+            split: 'combinedAndFree'
+        },
+        trophy200: {
+            title: '200 Trophy',
+            description: 'Under 200 Hours Champion',
+            source: { type: 'leaderboard', leaderboard: 'mixed' },
+            filters: { maxPicHours: 200 },
+            verification: 'picHours',
+            split: 'combinedAndFree'
+        },
+        baic: {
+            title: 'BAIC Trophy',
+            description: 'Single Best Flight',
+            source: { type: 'flight', leaderboard: 'mixed' },
+            split: 'combinedAndFree'
+        },
+        dowTriangle: {
+            title: 'Dow Trophy - Triangle',
+            description: 'Best Triangle Flight',
+            source: { type: 'flight', scoring: 'dow' },
+            filters: { taskKinds: ['TR'] }
+        },
+        dowOutReturn: {
+            title: 'Dow Trophy - Out & Return',
+            description: 'Best Out & Return Flight',
+            source: { type: 'flight', scoring: 'dow' },
+            filters: { taskKinds: ['OR'] }
+        },
+        dowGoal: {
+            title: 'Dow Trophy - Goal',
+            description: 'Best Goal Flight (Declared Tasks Only)',
+            source: { type: 'flight', scoring: 'dow' },
+            filters: { taskKinds: ['GL'], declaredOnly: true }
+        },
+        silverCGull: {
+            title: 'Silver C-Gull Trophy',
+            description: 'Youngest to Achieve Silver C Badge',
+            source: { type: 'silverC' },
+            verification: 'dateOfBirth'
+        }
+    };
+
+    // Keys that stand for several trophies in a config
+    const TROPHY_GROUPS = {
+        dow: ['dowTriangle', 'dowOutReturn', 'dowGoal']
+    };
+
+    const DEFINITION_DEFAULTS = {
+        description: '',
+        filters: {},
+        verification: 'none',
+        split: 'none'
+    };
+
+    const DEFAULT_FLIGHT_TIE_BREAK = ['distance', 'earliestFlight'];
+
+    const SOURCE_TYPES = ['leaderboard', 'flight', 'silverC'];
+    const VERIFICATIONS = ['none', 'picHours', 'dateOfBirth'];
+    const SPLITS = ['none', 'combinedAndFree'];
+    const LIST_FILTERS = ['aircraftKinds', 'competitionClasses', 'taskKinds'];
+    const FILTER_KEYS = ['maxPicHours', 'junior', 'declaredOnly', ...LIST_FILTERS];
+
+    function validateDefinition(definition, viewIds) {
+        const name = `Trophy "${definition.key}"`;
+        const { source, filters } = definition;
+
+        if (!definition.title) {
+            throw new Error(`${name} needs a title`);
+        }
+        if (!source || !SOURCE_TYPES.includes(source.type)) {
+            throw new Error(`${name} has unknown source type "${source?.type}" (use ${SOURCE_TYPES.join(', ')})`);
+        }
+        if (source.type === 'flight' && source.scoring !== undefined && source.scoring !== 'dow') {
+            throw new Error(`${name} has unknown flight scoring "${source.scoring}" (use dow or a leaderboard)`);
+        }
+        const usesLeaderboard = source.type === 'leaderboard' || (source.type === 'flight' && source.scoring !== 'dow');
+        if (usesLeaderboard && !viewIds.includes(source.leaderboard)) {
+            throw new Error(`${name} needs source.leaderboard set to one of the config's leaderboards (${viewIds.join(', ')})`);
+        }
+
+        const unknownFilters = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+        if (unknownFilters.length > 0) {
+            throw new Error(`${name} has unknown filters: ${unknownFilters.join(', ')} (known: ${FILTER_KEYS.join(', ')})`);
+        }
+        if (filters.maxPicHours !== undefined && !(typeof filters.maxPicHours === 'number' && filters.maxPicHours > 0)) {
+            throw new Error(`${name} filters.maxPicHours must be a positive number`);
+        }
+        LIST_FILTERS.forEach(key => {
+            if (filters[key] !== undefined && (!Array.isArray(filters[key]) || filters[key].length === 0)) {
+                throw new Error(`${name} filters.${key} must be a non-empty array`);
+            }
+        });
+
+        if (definition.tieBreak !== undefined) {
+            const breakers = source.type === 'leaderboard' ? TIE_BREAKERS : FLIGHT_TIE_BREAKERS;
+            if (source.type === 'silverC' || !Array.isArray(definition.tieBreak)) {
+                throw new Error(`${name} tieBreak must be an array of rules (not for the silverC source)`);
+            }
+            const unknownRules = definition.tieBreak.filter(rule => !breakers[rule]);
+            if (unknownRules.length > 0) {
+                throw new Error(`${name} has unknown tie-breaks: ${unknownRules.join(', ')} (known: ${Object.keys(breakers).join(', ')})`);
+            }
+        }
+
+        if (!VERIFICATIONS.includes(definition.verification)) {
+            throw new Error(`${name} has unknown verification "${definition.verification}" (use ${VERIFICATIONS.join(', ')})`);
+        }
+        if ((definition.verification === 'dateOfBirth') !== (source.type === 'silverC')) {
+            throw new Error(`${name}: the silverC source goes with dateOfBirth verification, and only it`);
+        }
+        if (!SPLITS.includes(definition.split)) {
+            throw new Error(`${name} has unknown split "${definition.split}" (use ${SPLITS.join(', ')})`);
+        }
+        if (definition.split === 'combinedAndFree' && !usesLeaderboard) {
+            throw new Error(`${name} can only split Combined and Free awards with a leaderboard source`);
+        }
+    }
+
+    // Expand a config's trophies (keys, group keys and definitions) to full definitions
+    // in display order. viewIds are the config's leaderboard view ids.
+    function resolveTrophyDefinitions(trophies, viewIds) {
+        if (!Array.isArray(trophies)) {
+            throw new Error('trophies must be an array');
+        }
+
+        const keys = new Set();
+        const definitions = [];
+        const add = definition => {
+            if (keys.has(definition.key)) {
+                throw new Error(`Duplicate trophy "${definition.key}"`);
+            }
+            keys.add(definition.key);
+            definitions.push(definition);
+        };
+        const builtIn = key => ({ key, ...DEFINITION_DEFAULTS, ...BUILT_IN_TROPHIES[key] });
+
+        trophies.forEach(entry => {
+            if (typeof entry === 'string') {
+                if (TROPHY_GROUPS[entry]) {
+                    TROPHY_GROUPS[entry].forEach(key => add(builtIn(key)));
+                } else if (BUILT_IN_TROPHIES[entry]) {
+                    add(builtIn(entry));
+                } else {
+                    const known = [...Object.keys(BUILT_IN_TROPHIES), ...Object.keys(TROPHY_GROUPS)];
+                    throw new Error(`Unknown trophy "${entry}" (known: ${known.join(', ')})`);
+                }
+                return;
+            }
+            if (!entry || typeof entry !== 'object' || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(entry.key || '')) {
+                throw new Error('Each trophy definition needs a key (letters, digits, _)');
+            }
+
+            const { extends: baseKey, ...overrides } = entry;
+            if (baseKey !== undefined && !BUILT_IN_TROPHIES[baseKey]) {
+                throw new Error(`Trophy "${entry.key}" extends unknown trophy "${baseKey}"`);
+            }
+            const base = baseKey ? builtIn(baseKey) : DEFINITION_DEFAULTS;
+            add({ ...base, ...overrides, filters: { ...base.filters, ...overrides.filters } });
+        });
+
+        definitions.forEach(definition => validateDefinition(definition, viewIds));
+        return definitions;
+    }
+
+    // Flight-level filters against a flight record (generator's deriveFlightRecord)
+    function recordPassesFilters(record, filters) {
+        if (!record) return false;
+        if (filters.junior && record.junior !== true) return false;
+        if (filters.aircraftKinds && !filters.aircraftKinds.includes(record.aircraft?.kind)) return false;
+        if (filters.competitionClasses && !filters.competitionClasses.includes(record.aircraft?.scClass)) return false;
+        if (filters.taskKinds && !filters.taskKinds.includes(record.minimal?.task?.kind)) return false;
+        return true;
+    }
+
+    function hasFlightFilters(filters) {
+        return Boolean(filters.junior || filters.declaredOnly || LIST_FILTERS.some(key => filters[key]));
+    }
+
+    function pilotPassesFilters(pilotId, filters, pilotDurations) {
+        if (filters.maxPicHours === undefined) return true;
+        const seconds = pilotDurations[pilotId];
+        return typeof seconds === 'number' && seconds < filters.maxPicHours * 3600;
+    }
+
+    function compactPilot(entry) {
+        const compact = { pilot: entry.pilot, pilotId: entry.pilotId, totalPoints: entry.totalPoints, flightCount: entry.flightCount, rank: entry.rank };
+        if (entry.tieBreak) compact.tieBreak = entry.tieBreak;
+        return compact;
+    }
+
+    // Task name for display, derived from the kind when WeGlide has none (e.g. "1029km Goal")
+    function displayTaskName(task, distance) {
+        if (task?.name && task.name.trim().length > 0) return task.name;
+        const kindLabel = task?.kind === 'TR' ? 'Triangle'
+                        : task?.kind === 'OR' ? 'Out & Return'
+                        : task?.kind === 'GL' ? 'Goal'
+                        : null;
+        if (kindLabel && distance > 0) return String(Math.round(distance)) + 'km ' + kindLabel;
+        return kindLabel;
+    }
+
+    // Dow score of a flight: the contest selectDowContest picks for its task kind
+    function dowFlightScore(record, declaredOnly) {
+        const flight = record.minimal;
+        if (!flight?.task) return null;
+        const selected = selectDowContest(flight, flight.task.kind, declaredOnly);
+        if (!selected?.contest) return null;
+
+        // Some contests (au/declaration) omit distance and speed; fall back to the task
+        // distance or the Free contest for display only
+        const contest = selected.contest;
+        const freeContest = flight.contest.find(c => c.name === 'free' && c.points > 0);
+        const distance = (typeof contest.distance === 'number') ? contest.distance
+                       : (typeof flight.task.distance === 'number') ? flight.task.distance
+                       : (typeof freeContest?.distance === 'number') ? freeContest.distance
+                       : 0;
+        const speed = (typeof contest.speed === 'number') ? contest.speed
+                    : (typeof freeContest?.speed === 'number') ? freeContest.speed
+                    : 0;
+
+        return {
+            points: selected.score || 0,
+            distance,
+            speed,
+            contestType: contest.name,
+            declared: contest.score?.declared || false,
+            taskName: displayTaskName(flight.task, distance),
+            taskKind: flight.task.kind
+        };
+    }
+
+    // Each pilot's best matching flight, ranked by points and the trophy's tie-breaks
+    function rankFlights(records, definition, viewId, pilotDurations) {
+        const { filters, source } = definition;
+        const bestByPilot = new Map();
+
+        records.forEach(record => {
+            if (!recordPassesFilters(record, filters) || !pilotPassesFilters(record.userId, filters, pilotDurations)) return;
+
+            let score;
+            if (source.scoring === 'dow') {
+                score = dowFlightScore(record, Boolean(filters.declaredOnly));
+            } else {
+                const entry = record.scores?.[viewId];
+                score = entry && { points: entry.points, distance: entry.distance, speed: entry.speed, contestType: entry.contestType, declared: entry.declared };
+            }
+            if (!score || !(score.points > 0)) return;
+            if (filters.declaredOnly && !score.declared) return;
+
+            const best = bestByPilot.get(record.userId);
+            if (!best || score.points > best.points) {
+                bestByPilot.set(record.userId, { id: record.id, pilot: record.pilotName, pilotId: record.userId, date: record.date, ...score });
+            }
+        });
+
+        return rankByPoints(Array.from(bestByPilot.values()), flight => flight.points,
+            definition.tieBreak || DEFAULT_FLIGHT_TIE_BREAK, FLIGHT_TIE_BREAKERS);
+    }
+
+    // Pilots ranked in a view, re-ranked from the matching flights when flight filters apply
+    function rankLeaderboard(definition, view, context) {
+        const { filters } = definition;
+        let ranked = context.leaderboardsByView[view.id] || [];
+        const profile = definition.tieBreak ? { ...view.profile, tieBreak: definition.tieBreak } : view.profile;
+
+        if (hasFlightFilters(filters) || definition.tieBreak) {
+            const pilotFlights = {};
+            Object.entries(context.pilotFlightsByView[view.id] || {}).forEach(([pilotName, flights]) => {
+                const matching = flights.filter(flight =>
+                    recordPassesFilters(context.recordsById.get(flight.id), filters) &&
+                    (!filters.declaredOnly || flight.declared));
+                if (matching.length > 0) {
+                    pilotFlights[pilotName] = matching;
+                }
+            });
+            ranked = rankPilots(pilotFlights, profile);
+        }
+
+        // Ranks and tie-breaks are re-done among the pilots the filters keep
+        const kept = ranked
+            .filter(entry => pilotPassesFilters(entry.pilotId, filters, context.pilotDurations))
+            .map(({ tieBreak, ...entry }) => entry);
+        return rankByPoints(kept, entry => entry.totalPoints, profile.tieBreak || [], TIE_BREAKERS).map(compactPilot);
+    }
+
+    // Ranked candidates for every trophy, embedded into the page: { key: { combined, free } }.
+    // combined follows the source (Silver C candidates by name); free is the Free view's
+    // ranking for split trophies. Without a verification requirement only the top
+    // candidates can win, so only those sharing the first rank are kept.
+    // context: { records, recordsById, views, leaderboardsByView, pilotFlightsByView,
+    //            silverCGullLeaderboard, pilotDurations }
+    function buildTrophyCandidates(definitions, context) {
+        const candidates = {};
+        const viewsById = Object.fromEntries(context.views.map(view => [view.id, view]));
+
+        definitions.forEach(definition => {
+            const { source, filters } = definition;
+            const rank = viewId => {
+                if (source.type === 'leaderboard') {
+                    return rankLeaderboard(definition, viewsById[viewId], context);
+                }
+                return rankFlights(context.records, definition, viewId, context.pilotDurations);
+            };
+
+            let combined;
+            let free = null;
+            if (source.type === 'silverC') {
+                combined = context.silverCGullLeaderboard.filter(entry =>
+                    recordPassesFilters(context.recordsById.get(entry.flightId), filters) &&
+                    pilotPassesFilters(entry.userId, filters, context.pilotDurations));
+            } else {
+                combined = rank(source.leaderboard);
+                if (definition.split === 'combinedAndFree') {
+                    free = rank('free');
+                }
+            }
+
+            if (definition.verification === 'none') {
+                const firstRank = list => list.filter(candidate => candidate.rank === list[0].rank);
+                combined = firstRank(combined);
+                free = free && firstRank(free);
+            }
+            candidates[definition.key] = { combined, free };
+        });
+
+        return candidates;
+    }
+
+    // Top candidate with an approved PIC hours declaration, plus the higher ranked
+    // candidates awaiting review and those without an approved declaration
+    function findTopVerified(candidates, verifications) {
+        const statusOf = candidate => getReviewStatus(verifications.picHoursVerifications?.[candidate.pilotId]);
+        const index = candidates.findIndex(candidate => statusOf(candidate) === 'approved');
+        const higher = index === -1 ? candidates : candidates.slice(0, index);
+        return {
+            winner: index === -1 ? null : candidates[index],
+            higherPending: higher.filter(candidate => statusOf(candidate) === 'pending'),
+            higherUnverified: higher.filter(candidate => statusOf(candidate) !== 'pending')
+        };
+    }
+
+    // Youngest junior with an approved date of birth. The page only has the age derived
+    // for an achievement date; when the Silver C flight changed, the next leaderboard
+    // build derives it again from the admin-only date of birth.
+    function decideSilverC(candidates, verifications) {
+        const verified = [];
+        const unverifiedCandidates = [];
+        const pendingCandidates = [];
+
+        candidates.forEach(pilot => {
+            const verification = verifications.dobVerifications?.[pilot.userId || pilot.pilotId];
+            const ageAtAchievement = getAgeAtAchievement(verification, pilot.date);
+
+            if (isPending(verification) || (isApproved(verification) && ageAtAchievement === null)) {
+                pendingCandidates.push(pilot);
+            } else if (isApproved(verification)) {
+                if (verification.juniorEligible) {
+                    verified.push({ ...pilot, ageAtAchievement });
+                }
+            } else {
+                unverifiedCandidates.push(pilot);
+            }
+        });
+
+        // Whole years only; a tie goes to the pilot who achieved it first
+        verified.sort((a, b) => a.ageAtAchievement - b.ageAtAchievement || String(a.date).localeCompare(String(b.date)));
+        const youngestVerified = verified[0] || null;
+        const tieNotes = [];
+        const sameAge = verified.filter(pilot => pilot !== youngestVerified && pilot.ageAtAchievement === youngestVerified.ageAtAchievement);
+        if (sameAge.length > 0) {
+            const sameDay = sameAge.filter(pilot => pilot.date === youngestVerified.date);
+            tieNotes.push(sameDay.length > 0
+                ? `Tied with ${sameDay.map(pilot => pilot.pilot).join(', ')} on age and achievement date - rank shared`
+                : `Tied on age with ${sameAge.map(pilot => pilot.pilot).join(', ')} - won on earliest date`);
+        }
+
+        return {
+            winner: youngestVerified,
+            unverifiedCandidates: unverifiedCandidates.slice(0, 10), // Limit to 10
+            totalUnverified: unverifiedCandidates.length,
+            pendingCandidates,
+            tieNotes,
+            explanation: youngestVerified ?
+                `Youngest verified pilot to achieve Silver C badge (age ${youngestVerified.ageAtAchievement})` :
+                'No verified pilots found'
+        };
+    }
+
+    // Points ties around a winner: the candidates sharing its rank, or the rule that
+    // ranked it ahead of the next candidate
+    function describeTies(winner, candidates, prefix) {
+        if (!winner) return [];
+        const points = (winner.totalPoints ?? winner.points ?? 0).toFixed(1);
+        const shared = candidates.filter(candidate => candidate !== winner && candidate.rank === winner.rank);
+        const notes = [];
+        if (shared.length > 0) {
+            notes.push(`${prefix}Tied with ${shared.map(candidate => candidate.pilot).join(', ')} on ${points} pts - no tie-break separates them, rank shared`);
+        }
+        if (winner.tieBreak) {
+            notes.push(`${prefix}Tied with ${winner.tieBreak.over} on ${points} pts - won on ${TIE_BREAK_LABELS[winner.tieBreak.rule] || winner.tieBreak.rule}`);
+        }
+        return notes;
+    }
+
+    // Winners of one trophy from its embedded candidates and the current verifications
+    // ({ picHoursVerifications, dobVerifications })
+    function decideTrophy(definition, candidates, verifications) {
+        if (definition.source.type === 'silverC') {
+            return decideSilverC(candidates.combined, verifications);
+        }
+
+        const top = list => definition.verification === 'picHours'
+            ? findTopVerified(list, verifications)
+            : { winner: list[0] || null, higherPending: [], higherUnverified: [] };
+        const combinedResult = top(candidates.combined);
+        const freeResult = candidates.free ? top(candidates.free) : null;
+        const combined = combinedResult.winner;
+        const free = freeResult && freeResult.winner;
+        const isFlight = definition.source.type === 'flight';
+
+        const result = {
+            combined,
+            free: null,
+            sameWinner: false,
+            explanation: '',
+            higherPendingCombined: combinedResult.higherPending,
+            higherPendingFree: freeResult ? freeResult.higherPending : [],
+            higherUnverifiedCombined: combinedResult.higherUnverified,
+            higherUnverifiedFree: freeResult ? freeResult.higherUnverified : [],
+            tieNotes: []
+        };
+
+        if (combined && free && (isFlight ? combined.id === free.id : combined.pilot === free.pilot)) {
+            result.sameWinner = true;
+            result.explanation = isFlight
+                ? 'Same flight wins both Combined and Free - 1 award'
+                : 'Combined and Free score same person - 1 award';
+        } else if (free) {
+            result.free = free;
+            result.explanation = isFlight
+                ? 'Different flights win Combined vs Free - 2 awards'
+                : 'Different winners in Combined vs Free scoring - 2 awards';
+        } else if (!combined && definition.verification !== 'none') {
+            const hours = definition.filters.maxPicHours;
+            result.explanation = 'No verified pilots found' + (hours ? ` with <${hours} hours` : '');
+        }
+
+        result.tieNotes = result.free
+            ? [...describeTies(combined, candidates.combined, 'Combined: '), ...describeTies(result.free, candidates.free, 'Free: ')]
+            : describeTies(combined, candidates.combined, '');
+        return result;
+    }
+
+    return {
+        BUILT_IN_TROPHIES,
+        TROPHY_GROUPS,
+        resolveTrophyDefinitions,
+        recordPassesFilters,
+        buildTrophyCandidates,
+        decideTrophy
+    };
+});
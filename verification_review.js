@@ -0,0 +1,113 @@
+// Review state of pilot self-declarations (PIC hours and date of birth)
+//
+// Used by create_australian_leaderboard_from_jsonl.js and pilot_profile_pages.js in
+// Node and embedded into the generated leaderboard page, where it is available as
+// window.VerificationReview.
+//
+// A declaration (dataSource 'user-entered') waits as 'pending' until a leaderboard
+// admin approves or rejects it; only approved declarations count for trophies.
+// Declarations saved before the review workflow have no status and are pending too: they
+// were written when anyone could write, so an admin has to approve them.
+// WeGlide estimates (dataSource 'weglide-calculated') are not declarations.
+//
+// Dates of birth are personal data (most Silver C-Gull candidates are juniors): the raw
+// date is kept in the admin-only dob_private store, and public records only carry the
+// age at the Silver C achievement date and junior eligibility (deriveAgeAtAchievement).
+//
+// Node:    const { getReviewStatus } = require('./verification_review');
+// Browser: const { getReviewStatus } = VerificationReview;
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.VerificationReview = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+    // Junior class: under 25 on the achievement date
+    const JUNIOR_AGE_LIMIT = 25;
+
+    // Verification collections: key in pilot_pic_hours_verification.json -> Firestore collection
+    const DECLARATION_KINDS = {
+        picHours: { key: 'picHoursVerifications', collection: 'pilot_verifications', label: 'PIC hours' },
+        dob: { key: 'dobVerifications', collection: 'dob_verifications', privateCollection: 'dob_private', label: 'Date of birth' }
+    };
+
+    // 'pending' | 'approved' | 'rejected', or null when there is no declaration
+    function getReviewStatus(verification) {
+        if (!verification || verification.dataSource !== 'user-entered') {
+            return null;
+        }
+        return REVIEW_STATUSES.includes(verification.status) ? verification.status : 'pending';
+    }
+
+    function isApproved(verification) {
+        return getReviewStatus(verification) === 'approved';
+    }
+
+    function isPending(verification) {
+        return getReviewStatus(verification) === 'pending';
+    }
+
+    // Public part of a date of birth: whole years on the achievement date (YYYY-MM-DD)
+    function deriveAgeAtAchievement(dateOfBirth, achievementDate) {
+        const [birthYear, birthMonth, birthDay] = String(dateOfBirth).slice(0, 10).split('-').map(Number);
+        const date = String(achievementDate).slice(0, 10);
+        const [year, month, day] = date.split('-').map(Number);
+
+        let age = year - birthYear;
+        if (month < birthMonth || (month === birthMonth && day < birthDay)) {
+            age--;
+        }
+        return {
+            ageAtAchievement: age,
+            achievementDate: date,
+            juniorEligible: age < JUNIOR_AGE_LIMIT
+        };
+    }
+
+    // Age on the given achievement date, or null when the record was derived for another
+    // date (the Silver C flight changed) and has to be derived again from the raw date
+    function getAgeAtAchievement(verification, achievementDate) {
+        if (!verification || !Number.isInteger(verification.ageAtAchievement)) {
+            return null;
+        }
+        return verification.achievementDate === String(achievementDate).slice(0, 10) ? verification.ageAtAchievement : null;
+    }
+
+    // Pending declarations, oldest first; PIC hours claims carry the WeGlide estimate
+    // (picHoursEstimates, written by the generator) to review them against
+    function buildReviewQueue(verifications) {
+        const queue = [];
+        Object.entries(DECLARATION_KINDS).forEach(([kind, { key, label }]) => {
+            Object.entries(verifications?.[key] || {}).forEach(([pilotId, declaration]) => {
+                if (!isPending(declaration)) return;
+                queue.push({
+                    kind,
+                    label,
+                    pilotId,
+                    pilotName: declaration.pilotName || 'Unknown pilot',
+                    declaration,
+                    submittedAt: declaration.verifiedDate || null,
+                    estimate: kind === 'picHours' ? verifications.picHoursEstimates?.[pilotId] || null : null
+                });
+            });
+        });
+        return queue.sort((a, b) => String(a.submittedAt || '').localeCompare(String(b.submittedAt || '')));
+    }
+
+    return {
+        REVIEW_STATUSES,
+        JUNIOR_AGE_LIMIT,
+        DECLARATION_KINDS,
+        getReviewStatus,
+        isApproved,
+        isPending,
+        deriveAgeAtAchievement,
+        getAgeAtAchievement,
+        buildReviewQueue
+    };
+});
@@ -0,0 +1,551 @@
+// Shared WeGlide scoring rules
+//
+// Used by create_australian_leaderboard_from_jsonl.js in Node and embedded into the
+// generated leaderboard page, where it is available as window.WeGlideScoring.
+// Change scoring rules here so the server and the browser stay in step.
+//
+// Node:    const { calculateBestScore } = require('./weglide_scoring');
+// Browser: const { calculateBestScore } = WeGlideScoring;
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WeGlideScoring = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    function emptyScore() {
+        return { score: 0, distance: 0, speed: 0, contestType: 'none', declared: false };
+    }
+
+    function findContest(flight, name) {
+        return flight.contest.find(contest => contest && contest.name === name && contest.points > 0);
+    }
+
+    // Task (au) and declaration contests only count when the task was declared
+    function isDeclaredContest(contest) {
+        return contest?.score?.declared === true;
+    }
+
+    // Best score from flight contest data (Mixed scoring): Free, or a declared
+    // au/declaration task if it scores higher
+    function calculateBestScore(flight) {
+        if (!flight?.contest || !Array.isArray(flight.contest)) {
+            return emptyScore();
+        }
+
+        // Find the "au" (task), "declaration", and "free" contests specifically
+        const auContest = findContest(flight, 'au');
+        const declarationContest = findContest(flight, 'declaration');
+        const freeContest = findContest(flight, 'free');
+
+        let bestContest = null;
+        let bestScore = 0;
+
+        const isAuDeclared = isDeclaredContest(auContest);
+        const isDeclarationDeclared = isDeclaredContest(declarationContest);
+
+        // Always start with free contest as baseline
+        if (freeContest) {
+            bestContest = freeContest;
+            bestScore = freeContest.points;
+        }
+
+        // Check if AU contest should be used (higher than free AND declared)
+        if (auContest && isAuDeclared && auContest.points > bestScore) {
+            bestContest = auContest;
+            bestScore = auContest.points;
+        }
+
+        // Check if Declaration contest should be used (higher than current best AND declared)
+        if (declarationContest && isDeclarationDeclared && declarationContest.points > bestScore) {
+            bestContest = declarationContest;
+            bestScore = declarationContest.points;
+        }
+
+        // If no au/declaration/free found, fall back to any other contest with points
+        if (!bestContest) {
+            flight.contest.forEach(contest => {
+                if (contest && contest.points && contest.points > bestScore) {
+                    bestScore = contest.points;
+                    bestContest = contest;
+                }
+            });
+        }
+
+        if (bestContest) {
+            // Mark as declared if using au or declaration contest that was declared
+            const isDeclaredTask = (bestContest.name === 'au' && isAuDeclared) ||
+                                  (bestContest.name === 'declaration' && isDeclarationDeclared);
+
+            return {
+                score: bestScore,
+                distance: bestContest.distance || 0,
+                speed: bestContest.speed || 0,
+                contestType: bestContest.name || 'unknown',
+                declared: isDeclaredTask
+            };
+        }
+
+        return emptyScore();
+    }
+
+    // Free-only score from flight contest data
+    function calculateFreeScore(flight) {
+        if (!flight?.contest || !Array.isArray(flight.contest)) {
+            return emptyScore();
+        }
+
+        const freeContest = findContest(flight, 'free');
+        if (freeContest) {
+            return {
+                score: freeContest.points,
+                distance: freeContest.distance || 0,
+                speed: freeContest.speed || 0,
+                contestType: 'free',
+                declared: false  // No task badges in Free-only mode
+            };
+        }
+
+        return emptyScore();
+    }
+
+    // Score for a single named contest (sprint, triangle, out_return, out, ...)
+    function calculateContestScore(flight, contestName) {
+        if (!flight?.contest || !Array.isArray(flight.contest)) {
+            return emptyScore();
+        }
+
+        const contest = flight.contest.find(c => c && c.name === contestName && typeof c.points === 'number' && c.points > 0);
+        if (!contest) {
+            return emptyScore();
+        }
+
+        const distance = typeof contest.distance === 'number' ? contest.distance
+            : typeof contest?.score?.distance === 'number' ? contest.score.distance
+            : (typeof flight.distance === 'number' ? flight.distance : 0);
+        const speed = typeof contest.speed === 'number' ? contest.speed
+            : typeof contest?.score?.speed === 'number' ? contest.score.speed
+            : 0;
+
+        return {
+            score: contest.points,
+            distance,
+            speed,
+            contestType: contest.name,
+            declared: isDeclaredContest(contest) || flight.task_achieved === true
+        };
+    }
+
+    // True when an au/declaration contest carries a declared score
+    // (the contest-based completion check, as opposed to task_achieved)
+    function hasDeclaredTaskContest(flight) {
+        return Array.isArray(flight?.contest) && flight.contest.some(c =>
+            c && (c.name === 'au' || c.name === 'declaration') && isDeclaredContest(c)
+        );
+    }
+
+    // Shape contest scored for each Dow trophy task kind
+    const DOW_SHAPE_CONTESTS = {
+        TR: 'triangle',
+        OR: 'out_return'
+    };
+
+    // Contest used for a Dow trophy flight of the given task kind. Triangle and
+    // Out & Return compare the shape contest with declared au/declaration tasks
+    // (falling back to Free unless declaredOnly); other kinds (Goal) only count
+    // declared tasks. Returns { contest, score } or null.
+    function selectDowContest(flight, taskKind, declaredOnly = false) {
+        if (!flight?.contest || !Array.isArray(flight.contest)) return null;
+
+        const auContest = findContest(flight, 'au');
+        const declarationContest = findContest(flight, 'declaration');
+        const shapeContestName = DOW_SHAPE_CONTESTS[taskKind];
+
+        if (!shapeContestName) {
+            if (isDeclaredContest(auContest)) return { contest: auContest, score: auContest.points };
+            if (isDeclaredContest(declarationContest)) return { contest: declarationContest, score: declarationContest.points };
+            return null;
+        }
+
+        const shapeContest = findContest(flight, shapeContestName);
+        const freeContest = findContest(flight, 'free');
+        const candidates = [];
+
+        if (shapeContest) {
+            candidates.push({ contest: shapeContest, score: shapeContest.points });
+        }
+        if (isDeclaredContest(auContest)) {
+            candidates.push({ contest: auContest, score: auContest.points });
+        }
+        if (isDeclaredContest(declarationContest)) {
+            candidates.push({ contest: declarationContest, score: declarationContest.points });
+        }
+        if (!declaredOnly && freeContest && candidates.length === 0) {
+            candidates.push({ contest: freeContest, score: freeContest.points });
+        }
+
+        // Use the highest scoring contest
+        return candidates.reduce((best, current) =>
+            !best || current.score > best.score ? current : best,
+            null
+        );
+    }
+
+    // Contests that are declared tasks rather than optimised free contests
+    const TASK_CONTESTS = ['au', 'declaration'];
+
+    // Named scoring-rule profiles. A leaderboard config picks one per view, by
+    // name or as an object ({ extends: 'weglide_mixed', bestN: 4, ... }).
+    //   contests              Contests that count; each flight scores its best one
+    //   requireDeclaration    au/declaration only count when the task was declared
+    //   scoring               'points' (contest points) or 'distance' (km, handicap off)
+    //   bestN                 Flights per pilot that count towards the total
+    //   tieBreak              Applied in order when totals are equal (see TIE_BREAKERS);
+    //                         pilots none of them separate share a rank
+    //   fallbackToAnyContest  Use any scored contest when none of `contests` has points
+    const SCORING_PROFILES = {
+        weglide_mixed: {
+            label: 'Combined Scoring',
+            description: 'Higher of <span class="scoring-tooltip" data-tooltip="task">WeGlide Task</span> or <span class="scoring-tooltip" data-tooltip="free">Free scoring</span>',
+            contests: ['free', 'au', 'declaration'],
+            requireDeclaration: true,
+            scoring: 'points',
+            bestN: 5,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance'],
+            fallbackToAnyContest: true
+        },
+        weglide_free: {
+            label: 'Free Only',
+            description: '<span class="scoring-tooltip" data-tooltip="free">Free scoring</span> only',
+            contests: ['free'],
+            scoring: 'points',
+            bestN: 5,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        weglide_sprint: {
+            label: 'Sprint',
+            description: 'WeGlide Sprint scoring',
+            contests: ['sprint'],
+            scoring: 'points',
+            bestN: 3,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        weglide_triangle: {
+            label: 'Triangle',
+            description: 'WeGlide Triangle scoring',
+            contests: ['triangle'],
+            scoring: 'points',
+            bestN: 3,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        weglide_out_return: {
+            label: 'Out & Return',
+            description: 'WeGlide Out & Return scoring',
+            contests: ['out_return'],
+            scoring: 'points',
+            bestN: 3,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        weglide_out: {
+            label: 'Out',
+            description: 'WeGlide Out (Goal) scoring',
+            contests: ['out'],
+            scoring: 'points',
+            bestN: 3,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        // The au contest carries DMSt points: shape bonus and DMSt index applied
+        // (see audit_dmst_scoring.js)
+        dmst: {
+            label: 'DMSt',
+            description: 'DMSt scoring with shape bonus and handicap',
+            contests: ['au'],
+            requireDeclaration: false,
+            scoring: 'points',
+            bestN: 5,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'totalDistance']
+        },
+        free_distance: {
+            label: 'Free Distance',
+            description: 'Free distance in km, handicap off',
+            contests: ['free'],
+            scoring: 'distance',
+            bestN: 5,
+            tieBreak: ['bestFlight', 'nextBestFlight', 'earliestFlight']
+        }
+    };
+
+    const PROFILE_DEFAULTS = {
+        label: '',
+        description: '',
+        contests: ['free'],
+        requireDeclaration: false,
+        scoring: 'points',
+        bestN: 5,
+        tieBreak: [],
+        fallbackToAnyContest: false
+    };
+
+    // Summed points closer than this are equal (floating point noise)
+    const POINTS_EPSILON = 1e-6;
+
+    function comparePoints(a, b) {
+        return Math.abs(a - b) < POINTS_EPSILON ? 0 : b - a;
+    }
+
+    // Compare two ranked pilots; negative when a ranks ahead of b
+    const TIE_BREAKERS = {
+        bestFlight: (a, b) => comparePoints(a.bestFlights[0]?.points || 0, b.bestFlights[0]?.points || 0),
+        // Countback: second best flight, then third, ...
+        nextBestFlight: (a, b) => {
+            const count = Math.max(a.bestFlights.length, b.bestFlights.length);
+            for (let i = 1; i < count; i++) {
+                const result = comparePoints(a.bestFlights[i]?.points || 0, b.bestFlights[i]?.points || 0);
+                if (result !== 0) return result;
+            }
+            return 0;
+        },
+        totalDistance: (a, b) => (b.totalDistance || 0) - (a.totalDistance || 0),
+        fewerFlights: (a, b) => a.flightCount - b.flightCount,
+        // Whoever completed their counting flights first
+        earliestFlight: (a, b) => String(lastFlightDate(a)).localeCompare(String(lastFlightDate(b))),
+        name: (a, b) => String(a.pilot).localeCompare(String(b.pilot))
+    };
+
+    // Compare two single flights with equal points (trophy flight sources)
+    const FLIGHT_TIE_BREAKERS = {
+        distance: (a, b) => (b.distance || 0) - (a.distance || 0),
+        speed: (a, b) => (b.speed || 0) - (a.speed || 0),
+        earliestFlight: (a, b) => String(a.date || '9999').localeCompare(String(b.date || '9999')),
+        name: (a, b) => String(a.pilot).localeCompare(String(b.pilot))
+    };
+
+    // How a tie-break rule reads in trophy notes ("won on next-best flight")
+    const TIE_BREAK_LABELS = {
+        bestFlight: 'best flight',
+        nextBestFlight: 'next-best flight',
+        totalDistance: 'total distance',
+        fewerFlights: 'fewer flights',
+        earliestFlight: 'earliest date',
+        distance: 'distance',
+        speed: 'speed',
+        name: 'name'
+    };
+
+    function lastFlightDate(entry) {
+        return entry.bestFlights.reduce((latest, flight) => (flight.date && flight.date > latest ? flight.date : latest), '');
+    }
+
+    // Sort entries (in place) by points, highest first, then by the tie-break rules, and
+    // give them competition ranks (1, 2, 2, 4): entries no rule separates share a rank.
+    // An entry that won a tie on points carries tieBreak: { rule, over } where over is
+    // the pilot ranked right behind it.
+    function rankByPoints(entries, pointsOf, rules, breakers) {
+        const decide = (a, b) => {
+            for (const rule of rules) {
+                const result = breakers[rule](a, b);
+                if (result !== 0) return { rule, result };
+            }
+            return null;
+        };
+
+        entries.sort((a, b) => comparePoints(pointsOf(a), pointsOf(b)) || (decide(a, b)?.result || 0));
+        entries.forEach((entry, index) => {
+            const previous = entries[index - 1];
+            if (previous && comparePoints(pointsOf(previous), pointsOf(entry)) === 0) {
+                const decided = decide(previous, entry);
+                if (!decided) {
+                    entry.rank = previous.rank;
+                    return;
+                }
+                previous.tieBreak = { rule: decided.rule, over: entry.pilot };
+            }
+            entry.rank = index + 1;
+        });
+        return entries;
+    }
+
+    // Resolve a profile name or object ({ extends, ...overrides }) to a full profile
+    function resolveScoringProfile(profileOrName) {
+        let profile;
+        if (typeof profileOrName === 'string') {
+            if (!SCORING_PROFILES[profileOrName]) {
+                throw new Error(`Unknown scoring profile "${profileOrName}" (known: ${Object.keys(SCORING_PROFILES).join(', ')})`);
+            }
+            profile = { name: profileOrName, ...PROFILE_DEFAULTS, ...SCORING_PROFILES[profileOrName] };
+        } else if (profileOrName && typeof profileOrName === 'object') {
+            const { extends: baseName, ...overrides } = profileOrName;
+            const base = baseName ? resolveScoringProfile(baseName) : { ...PROFILE_DEFAULTS };
+            profile = { ...base, ...overrides, name: overrides.name || (baseName ? `${baseName}_custom` : 'custom') };
+        } else {
+            throw new Error('Scoring profile must be a profile name or an object');
+        }
+
+        if (!Array.isArray(profile.contests) || profile.contests.length === 0) {
+            throw new Error(`Scoring profile "${profile.name}" needs at least one contest`);
+        }
+        if (!['points', 'distance'].includes(profile.scoring)) {
+            throw new Error(`Scoring profile "${profile.name}" has unknown scoring "${profile.scoring}" (use points or distance)`);
+        }
+        if (!Number.isInteger(profile.bestN) || profile.bestN < 1) {
+            throw new Error(`Scoring profile "${profile.name}" needs a positive integer bestN`);
+        }
+        const unknownTieBreaks = (profile.tieBreak || []).filter(key => !TIE_BREAKERS[key]);
+        if (unknownTieBreaks.length > 0) {
+            throw new Error(`Scoring profile "${profile.name}" has unknown tie-breaks: ${unknownTieBreaks.join(', ')} (known: ${Object.keys(TIE_BREAKERS).join(', ')})`);
+        }
+        return profile;
+    }
+
+    function contestDistance(flight, contest) {
+        return typeof contest.distance === 'number' ? contest.distance
+            : typeof contest?.score?.distance === 'number' ? contest.score.distance
+            : (typeof flight.distance === 'number' ? flight.distance : 0);
+    }
+
+    function contestSpeed(contest) {
+        return typeof contest.speed === 'number' ? contest.speed
+            : typeof contest?.score?.speed === 'number' ? contest.score.speed
+            : 0;
+    }
+
+    // Score one flight under a resolved profile (same result shape as calculateBestScore)
+    function scoreFlightWithProfile(flight, profile) {
+        if (!flight?.contest || !Array.isArray(flight.contest)) {
+            return emptyScore();
+        }
+
+        const value = contest => (profile.scoring === 'distance' ? contestDistance(flight, contest) : contest.points);
+
+        let bestContest = null;
+        let bestValue = 0;
+        profile.contests.forEach(name => {
+            const contest = findContest(flight, name);
+            if (!contest) return;
+            if (profile.requireDeclaration && TASK_CONTESTS.includes(name) && !isDeclaredContest(contest)) return;
+            if (value(contest) > bestValue) {
+                bestContest = contest;
+                bestValue = value(contest);
+            }
+        });
+
+        if (!bestContest && profile.fallbackToAnyContest) {
+            flight.contest.forEach(contest => {
+                if (contest && contest.points > 0 && value(contest) > bestValue) {
+                    bestContest = contest;
+                    bestValue = value(contest);
+                }
+            });
+        }
+
+        if (!bestContest) {
+            return emptyScore();
+        }
+
+        // Task contests show the badge when declared; other contests (except Free)
+        // when the flight finished its task
+        const declared = TASK_CONTESTS.includes(bestContest.name)
+            ? isDeclaredContest(bestContest)
+            : bestContest.name !== 'free' && (isDeclaredContest(bestContest) || flight.task_achieved === true);
+
+        return {
+            score: bestValue,
+            distance: contestDistance(flight, bestContest),
+            speed: contestSpeed(bestContest),
+            contestType: bestContest.name || 'unknown',
+            declared
+        };
+    }
+
+    // Rank pilots from { pilotName: [leaderboard flight, ...] } under a resolved profile;
+    // entries get rank and, when a tie-break decided, tieBreak (see rankByPoints)
+    function rankPilots(pilotFlights, profile) {
+        const leaderboard = [];
+
+        Object.keys(pilotFlights).forEach(pilotName => {
+            // Sort flights by points (descending) and take the best N
+            const bestFlights = pilotFlights[pilotName]
+                .slice()
+                .sort((a, b) => b.points - a.points)
+                .slice(0, profile.bestN);
+
+            if (bestFlights.length > 0) {
+                leaderboard.push({
+                    pilot: pilotName,
+                    pilotId: bestFlights[0].userId || bestFlights[0].id,
+                    totalPoints: bestFlights.reduce((sum, flight) => sum + flight.points, 0),
+                    totalDistance: bestFlights.reduce((sum, flight) => sum + flight.distance, 0),
+                    flightCount: bestFlights.length,
+                    bestFlights: bestFlights
+                });
+            }
+        });
+
+        return rankByPoints(leaderboard, entry => entry.totalPoints, profile.tieBreak || [], TIE_BREAKERS);
+    }
+
+    const TASK_KIND_LABELS = {
+        FR4: 'Start, 2-3 Turnpoints, Finish',
+        Triangle: 'FAI Triangle',
+        TR: 'FAI Triangle',
+        OR: 'Out & Return',
+        GL: 'Goal Flight',
+        RT: 'Rectangle',
+        MTR: 'Multi-Lap Triangle/Rectangle',
+        SP: 'Speed Task',
+        OL: 'Optimized Task',
+        FR: 'Free Task',
+        unknown: 'Other Task'
+    };
+
+    // DMSt shape bonus for a task kind or au score name
+    function getDMSTShapeBonus(kind) {
+        if (!kind) return 0;
+        const normalized = String(kind).toUpperCase();
+        switch (normalized) {
+            case 'TR':
+            case 'TRIANGLE':
+            case 'DECLARATION':
+                return 0.40; // FAI Triangle
+            case 'OR':
+            case 'OUT_RETURN':
+                return 0.30; // Out & Return
+            case 'GL':
+            case 'OUT':
+            case 'GOAL':
+                return 0.30; // Straight Out / Goal
+            case 'RT':
+            case 'RECTANGLE':
+                return 0.40; // Rectangle bonus
+            case 'MTR':
+                return 0.20; // Multi-lap triangle/rectangle
+            case 'SP':
+            case 'SPEED':
+            case 'FR':
+            case 'FR4':
+                return 0.0; // No bonus
+            default:
+                return 0.0;
+        }
+    }
+
+    return {
+        TASK_KIND_LABELS,
+        SCORING_PROFILES,
+        TIE_BREAKERS,
+        FLIGHT_TIE_BREAKERS,
+        TIE_BREAK_LABELS,
+        calculateBestScore,
+        calculateFreeScore,
+        calculateContestScore,
+        hasDeclaredTaskContest,
+        selectDowContest,
+        getDMSTShapeBonus,
+        resolveScoringProfile,
+        scoreFlightWithProfile,
+        rankByPoints,
+        rankPilots
+    };
+});